@@ -0,0 +1,22 @@
+-- Migration: Create tracked_channels table for multi-channel archiving
+-- Replaces the single kv_store.target_channel_id row with one row per archived channel
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS tracked_channels (
+  chat_id TEXT PRIMARY KEY,
+  title TEXT,
+  username TEXT,
+  type TEXT,
+  enabled INTEGER NOT NULL DEFAULT 1,
+  -- Per-channel settings as JSON (e.g. {"batchSize": 50})
+  settings TEXT NOT NULL DEFAULT '{}',
+  last_synced_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_tracked_channels_enabled ON tracked_channels(enabled);
+
+-- Carry over the previously selected channel so existing deployments keep syncing
+INSERT OR IGNORE INTO tracked_channels (chat_id)
+  SELECT value FROM kv_store WHERE key = 'target_channel_id' AND value IS NOT NULL AND value != '';
@@ -0,0 +1,20 @@
+-- Migration: Create sync_runs table to record scheduled (cron) and manual sync runs
+-- Written by the Scanner (Phase A passes) and the Processor (Phase B media drain)
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS sync_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  worker TEXT NOT NULL,              -- 'scanner' | 'processor'
+  trigger TEXT NOT NULL,             -- 'cron' | 'manual'
+  cron TEXT,                         -- cron expression that fired the run, if any
+  status TEXT NOT NULL DEFAULT 'running', -- 'running' | 'success' | 'partial' | 'failed'
+  channels_count INTEGER DEFAULT 0,
+  synced_count INTEGER DEFAULT 0,    -- messages saved by Phase A
+  media_count INTEGER DEFAULT 0,     -- media items completed by Phase B
+  error_message TEXT,
+  details TEXT,                      -- per-channel results as JSON
+  started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  finished_at DATETIME
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_runs_started_at ON sync_runs(started_at);
@@ -0,0 +1,15 @@
+-- Migration: Full-text search index over messages.text
+-- Standalone FTS5 table keyed by messages.id (rowid); the Scanner's saveMessage keeps it in sync.
+-- The trigram tokenizer gives substring matching, which also works for CJK text without word breaks.
+-- Date: 2026-10-19
+
+CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+  text,
+  tokenize = 'trigram'
+);
+
+-- Index messages archived before this migration (service placeholders carry no searchable text)
+INSERT INTO messages_fts (rowid, text)
+  SELECT id, text FROM messages
+  WHERE text IS NOT NULL AND text != '' AND text != '[Service Message]'
+    AND id NOT IN (SELECT rowid FROM messages_fts);
@@ -0,0 +1,9 @@
+-- Migration: Store real file metadata for archived media
+-- Purpose: Videos and documents are now archived via chunked R2 multipart uploads, so keep
+--          the original mime type, file name, extension and size instead of a generic "bin"
+-- Date: 2026-10-19
+
+ALTER TABLE messages ADD COLUMN media_mime_type TEXT;
+ALTER TABLE messages ADD COLUMN media_file_name TEXT;
+ALTER TABLE messages ADD COLUMN media_extension TEXT;
+ALTER TABLE messages ADD COLUMN media_size INTEGER;
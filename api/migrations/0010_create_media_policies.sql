@@ -0,0 +1,25 @@
+-- Migration: Per-channel media policies evaluated by the Processor before downloading
+-- Replaces the hard-coded image/size filter; channels without a row archive everything up to MAX_MEDIA_BYTES
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS media_policies (
+  chat_id TEXT PRIMARY KEY,
+  -- JSON array of mime globs, e.g. ["image/*", "video/mp4"]
+  allowed_mime_types TEXT NOT NULL DEFAULT '["*/*"]',
+  max_bytes INTEGER,                         -- NULL falls back to MAX_MEDIA_BYTES
+  thumbnails_only INTEGER NOT NULL DEFAULT 0, -- archive a ~320px thumbnail instead of the file
+  date_from DATETIME,                        -- only archive media of messages within this window
+  date_to DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Which policy rule skipped a message's media, and a human-readable reason
+ALTER TABLE messages ADD COLUMN media_skip_rule TEXT;
+ALTER TABLE messages ADD COLUMN media_skip_reason TEXT;
+
+-- Carry over size ceilings previously stored in tracked_channels.settings.maxMediaBytes
+INSERT OR IGNORE INTO media_policies (chat_id, max_bytes)
+  SELECT chat_id, CAST(json_extract(settings, '$.maxMediaBytes') AS INTEGER)
+  FROM tracked_channels
+  WHERE json_extract(settings, '$.maxMediaBytes') IS NOT NULL;
@@ -0,0 +1,14 @@
+-- Migration: Row-level leases for Phase B media processing
+-- Purpose: Replace the per-isolate PROCESSING_LOCK. A worker claims a row by setting
+--          media_status = 'processing' with its lease_owner and lease_expires (epoch ms);
+--          rows whose lease has expired are returned to 'pending' and can be claimed again.
+-- Date: 2026-10-19
+
+ALTER TABLE messages ADD COLUMN lease_owner TEXT;
+ALTER TABLE messages ADD COLUMN lease_expires INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_messages_lease ON messages(media_status, lease_expires);
+
+-- Rows left in 'processing' by the old lock have no lease; give them back to the queue
+UPDATE messages SET media_status = 'pending'
+WHERE media_status = 'processing' AND lease_expires IS NULL;
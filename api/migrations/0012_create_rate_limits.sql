@@ -0,0 +1,16 @@
+-- Migration: Shared FloodWait governor
+-- Purpose: One row per Telegram account and method class holding the earliest time the next
+--          MTProto call of that class is allowed. Scanner and Processor check it before calling
+--          Telegram and extend it whenever Telegram answers with FLOOD_WAIT.
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS rate_limits (
+  account TEXT NOT NULL,                      -- RATE_LIMIT_ACCOUNT, 'default' for the shared session
+  method_class TEXT NOT NULL,                 -- 'history' | 'messages' | 'download'
+  next_allowed_at INTEGER NOT NULL DEFAULT 0, -- epoch ms
+  last_wait_seconds INTEGER,
+  last_error TEXT,
+  updated_by TEXT,                            -- worker that recorded the last FloodWait
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (account, method_class)
+);
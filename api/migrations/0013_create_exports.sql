@@ -0,0 +1,37 @@
+-- Migration: Resumable channel exports (ZIP with messages.json, media and index.html in R2 exports/)
+-- Purpose: An export is written in slices, one per Viewer request; each row keeps what the next
+--          slice needs to continue the R2 multipart upload where the previous one stopped.
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS exports (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  chat_id TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'running',  -- running | completed | failed
+  phase TEXT NOT NULL DEFAULT 'media',     -- media | messages | html | finalize
+  cursor TEXT,                             -- JSON keyset position within the phase
+  open_entry TEXT,                         -- JSON of the ZIP entry spanning slices (messages.json, index.html)
+  r2_key TEXT NOT NULL,
+  upload_id TEXT,
+  parts TEXT NOT NULL DEFAULT '[]',        -- JSON [{ partNumber, etag }]
+  bytes_written INTEGER NOT NULL DEFAULT 0,
+  message_count INTEGER NOT NULL DEFAULT 0,
+  media_count INTEGER NOT NULL DEFAULT 0,
+  missing_media INTEGER NOT NULL DEFAULT 0,
+  slice_started_at INTEGER,                -- epoch ms while a slice runs; guards against concurrent slices
+  error_message TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  completed_at DATETIME
+);
+
+CREATE INDEX IF NOT EXISTS idx_exports_chat ON exports(chat_id, id DESC);
+
+-- ZIP central directory records, written out when the export is finalized
+CREATE TABLE IF NOT EXISTS export_entries (
+  export_id INTEGER NOT NULL,
+  local_offset INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  crc INTEGER NOT NULL,
+  size INTEGER NOT NULL,
+  PRIMARY KEY (export_id, local_offset)
+);
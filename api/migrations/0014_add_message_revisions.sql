@@ -0,0 +1,19 @@
+-- Migration: Message edits and revision history
+-- Purpose: messages.edit_date holds Telegram's edit timestamp of the archived text. Whenever a
+--          sync replaces the text of an archived message, the prior text is kept in message_revisions.
+-- Date: 2026-10-19
+
+ALTER TABLE messages ADD COLUMN edit_date DATETIME;
+
+CREATE TABLE IF NOT EXISTS message_revisions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  message_id INTEGER NOT NULL,      -- messages.id
+  chat_id TEXT NOT NULL,
+  telegram_message_id INTEGER NOT NULL,
+  text TEXT,                        -- text before the edit
+  edit_date DATETIME,               -- edit_date of that text (NULL for the original version)
+  replaced_at DATETIME,             -- edit_date of the text that replaced it
+  recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_revisions_message ON message_revisions(message_id, id);
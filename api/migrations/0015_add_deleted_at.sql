@@ -0,0 +1,12 @@
+-- Migration: Messages deleted upstream
+-- Purpose: The Scanner re-fetches archived ids in batches and sets deleted_at (time of detection)
+--          on messages Telegram no longer returns. tracked_channels.reconcile_cursor remembers
+--          where the next batch starts so every channel is walked completely over time.
+-- Date: 2026-10-19
+
+ALTER TABLE messages ADD COLUMN deleted_at DATETIME;
+
+CREATE INDEX IF NOT EXISTS idx_messages_deleted ON messages(chat_id, deleted_at);
+
+ALTER TABLE tracked_channels ADD COLUMN reconcile_cursor INTEGER;  -- telegram_message_id; NULL starts at the newest
+ALTER TABLE tracked_channels ADD COLUMN last_reconciled_at DATETIME;
@@ -0,0 +1,13 @@
+-- Migration: Rich message metadata
+-- Purpose: Keep what saveMessage used to drop: formatting entities, the forward header, the
+--          replied-to message, view/forward counters, the post signature and reactions.
+--          JSON columns follow messageMeta.js; entity offsets are UTF-16 units into messages.text.
+-- Date: 2026-10-19
+
+ALTER TABLE messages ADD COLUMN entities TEXT;             -- JSON [{ type, offset, length, url?, language?, user_id?, document_id? }]
+ALTER TABLE messages ADD COLUMN fwd_from TEXT;             -- JSON { from_id, from_name, title, date, channel_post, post_author }
+ALTER TABLE messages ADD COLUMN reply_to_message_id INTEGER; -- telegram_message_id in the same chat
+ALTER TABLE messages ADD COLUMN views INTEGER;
+ALTER TABLE messages ADD COLUMN forwards INTEGER;
+ALTER TABLE messages ADD COLUMN post_author TEXT;
+ALTER TABLE messages ADD COLUMN reactions TEXT;            -- JSON [{ emoji | custom_emoji_id | paid, count }]
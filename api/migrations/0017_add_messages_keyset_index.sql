@@ -0,0 +1,7 @@
+-- Migration: Keyset index for /messages paging
+-- Purpose: The Viewer pages a channel by (date, telegram_message_id) cursors instead of
+--          LIMIT/OFFSET; this index lets every page (and the jump-to-date) seek directly to
+--          its cursor instead of scanning and counting the rows before it.
+-- Date: 2026-10-19
+
+CREATE INDEX IF NOT EXISTS idx_messages_chat_date ON messages(chat_id, date, telegram_message_id);
@@ -0,0 +1,10 @@
+-- Migration: Thumbnails in the media table
+-- Purpose: The Processor stores Telegram's own preview of each archived photo/document
+--          (photo.sizes / document.thumbs, ~320px JPEG) under thumb/ in R2 and records it in
+--          media with file_type = 'thumbnail'. The Viewer returns it as thumb_url.
+-- Date: 2026-10-19
+
+ALTER TABLE media ADD COLUMN width INTEGER;
+ALTER TABLE media ADD COLUMN height INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_media_message_type ON media(message_id, file_type);
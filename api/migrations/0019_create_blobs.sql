@@ -0,0 +1,24 @@
+-- Migration: Content-addressed media blobs
+-- Purpose: Downloaded media is stored once at blobs/<sha256> instead of per-message keys, so
+--          reposts, forwards and retried downloads share one R2 object. media rows reference a
+--          blob through sha256; blobs.refcount is the number of media rows pointing at it
+--          (recomputed from media on every new reference). Blobs at 0 are left for the GC.
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS blobs (
+  hash TEXT PRIMARY KEY,                -- SHA-256 of the content, lowercase hex
+  r2_key TEXT NOT NULL,                 -- blobs/<hash>
+  size INTEGER NOT NULL,
+  mime_type TEXT,                       -- of the first upload
+  refcount INTEGER NOT NULL DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_blobs_refcount ON blobs(refcount);
+
+ALTER TABLE media ADD COLUMN sha256 TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_media_sha256 ON media(sha256);
+
+-- Several messages can now share a media_key
+CREATE INDEX IF NOT EXISTS idx_messages_media_key ON messages(media_key);
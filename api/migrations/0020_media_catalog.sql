@@ -0,0 +1,31 @@
+-- Migration: media as the per-message media catalog
+-- Purpose: Every archived file gets a media row with its R2 key, size, mime type, dimensions,
+--          duration, file name and hash; a message can have several (the file and its
+--          thumbnail, re-downloads). The Viewer returns them as media[] on /messages.
+--          Rows archived before media rows were written are backfilled from messages.
+-- Date: 2026-10-19
+
+ALTER TABLE media ADD COLUMN file_name TEXT;
+ALTER TABLE media ADD COLUMN duration REAL;  -- seconds, for video and audio
+
+INSERT INTO media (message_id, r2_key, file_type, file_size, mime_type, file_name, sha256)
+  SELECT m.id,
+         m.media_key,
+         CASE
+           WHEN m.media_key LIKE '%_thumb.jpg' THEN 'thumbnail'  -- legacy thumbnails_only rows
+           WHEN m.media_type = 'MessageMediaPhoto' THEN 'photo'
+           WHEN m.media_mime_type LIKE 'video/%' THEN 'video'
+           WHEN m.media_mime_type LIKE 'audio/%' THEN 'audio'
+           WHEN m.media_mime_type LIKE 'image/%' THEN 'image'
+           ELSE 'document'
+         END,
+         m.media_size,
+         m.media_mime_type,
+         m.media_file_name,
+         CASE WHEN m.media_key LIKE 'blobs/%' THEN substr(m.media_key, 7) END
+  FROM messages m
+  WHERE m.media_status = 'completed' AND m.media_key IS NOT NULL AND m.media_key != ''
+    AND NOT EXISTS (SELECT 1 FROM media md WHERE md.message_id = m.id AND md.r2_key = m.media_key);
+
+-- Backfilled blob references count too
+UPDATE blobs SET refcount = (SELECT COUNT(*) FROM media WHERE media.sha256 = blobs.hash);
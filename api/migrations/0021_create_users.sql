@@ -0,0 +1,29 @@
+-- Migration: User accounts, roles and sessions
+-- Purpose: Replace the single shared ACCESS_KEY. Each person signs in with a username and
+--          password (PBKDF2-SHA256) and gets a session token; only its SHA-256 is stored.
+--          Roles: viewer (read only), operator (sync and media processing), admin (/admin,
+--          /debug, user management). Enforced by accessControl.js in every worker.
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+  password_hash TEXT NOT NULL,           -- pbkdf2-sha256$<iterations>$<salt>$<hash> (base64url)
+  role TEXT NOT NULL DEFAULT 'viewer' CHECK (role IN ('viewer', 'operator', 'admin')),
+  disabled INTEGER NOT NULL DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  last_login_at DATETIME
+);
+
+CREATE TABLE IF NOT EXISTS sessions (
+  token_hash TEXT PRIMARY KEY,           -- SHA-256 of the bearer token, hex
+  user_id INTEGER NOT NULL,
+  expires_at INTEGER NOT NULL,           -- epoch ms
+  user_agent TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expires_at);
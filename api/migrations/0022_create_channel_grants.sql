@@ -0,0 +1,31 @@
+-- Migration: Per-channel access for users and API tokens
+-- Purpose: Viewers and operators only see the channels granted to them (admins see all).
+--          API tokens are long-lived bearer tokens for scripts, owned by a user; a token's own
+--          grants narrow it to some of its owner's channels. chat_id '*' grants every channel.
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS api_tokens (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,       -- SHA-256 of the bearer token (tga_...), hex
+  role TEXT NOT NULL DEFAULT 'viewer' CHECK (role IN ('viewer', 'operator', 'admin')),  -- capped at the owner's role
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(user_id);
+
+CREATE TABLE IF NOT EXISTS channel_grants (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER,
+  api_token_id INTEGER,
+  chat_id TEXT NOT NULL,                 -- '*' for every channel
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  CHECK ((user_id IS NULL) != (api_token_id IS NULL)),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (api_token_id) REFERENCES api_tokens(id) ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_channel_grants_user ON channel_grants(user_id, chat_id) WHERE user_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_channel_grants_token ON channel_grants(api_token_id, chat_id) WHERE api_token_id IS NOT NULL;
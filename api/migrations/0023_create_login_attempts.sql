@@ -0,0 +1,15 @@
+-- Migration: Sign-in throttling
+-- Purpose: Failed POST /session attempts per username and per client IP. Too many failures
+--          within the window lock the username or IP out for a while, checked before the
+--          password is hashed, so online guessing is bounded by more than PBKDF2's cost.
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+  scope TEXT NOT NULL,                        -- 'username' | 'ip'
+  subject TEXT NOT NULL,                      -- lower-cased username, or CF-Connecting-IP
+  failures INTEGER NOT NULL DEFAULT 0,        -- failed attempts in the current window
+  window_started_at INTEGER NOT NULL,         -- epoch ms
+  locked_until INTEGER NOT NULL DEFAULT 0,    -- epoch ms
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (scope, subject)
+);
@@ -1,5 +1,6 @@
 import { TelegramClient } from 'telegram';
 import { StringSession } from 'telegram/sessions';
+import { openSession, isSealed } from '../../shared/sessionVault.js';
 
 export class ProcessorAuthService {
   constructor(env) {
@@ -89,7 +90,7 @@ export class ProcessorAuthService {
         console.warn('[CRITICAL] TELEGRAM_SESSION not found in D1 app_config table');
       }
 
-      // Create credentials object
+      // Create credentials object (session stays sealed until getClient)
       this.credentials = {
         session: sessionResult?.value || '',
         apiId: parseInt(apiIdResult.value),
@@ -98,8 +99,7 @@ export class ProcessorAuthService {
       };
 
       console.log('[Processor Auth] Successfully loaded credentials from D1');
-      console.log('[Processor Auth] Session exists:', !!this.credentials.session);
-      console.log('[Processor Auth] Session length:', this.credentials.session ? this.credentials.session.length : 0);
+      console.log('[Processor Auth] Session exists:', !!this.credentials.session, 'sealed:', isSealed(this.credentials.session));
       return this.credentials;
     } catch (error) {
       console.error('[CRITICAL] Failed to load credentials:', error);
@@ -127,17 +127,13 @@ export class ProcessorAuthService {
         throw new Error('API Hash is empty');
       }
       
-      // Log session info (safely)
       if (!credentials.session) {
         console.warn('[CRITICAL] Session string is empty - authentication will fail');
-      } else {
-        console.log('[Processor Auth] Session string length:', credentials.session.length);
-        console.log('[Processor Auth] Session string starts with:', credentials.session.substring(0, 10) + '...');
       }
       
-      // Create session object
+      // Create session object (the only place the sealed session is opened, see sessionVault.js)
       console.log('[Processor Auth] Creating StringSession...');
-      const session = new StringSession(credentials.session || '');
+      const session = new StringSession(await openSession(this.env, credentials.session));
       
       // Create client with better error handling (SINGLETON)
       console.log('[Processor Auth] Creating TelegramClient (singleton)...');
@@ -1,6 +1,13 @@
 import { Hono } from 'hono';
 import { cors } from 'hono/cors';
 import { ProcessorSyncService } from './sync.js';
+import { startSyncRun, finishSyncRun } from '../../shared/syncRuns.js';
+import { recordSkip } from './policy.js';
+import { consumeMediaJobs, consumeDeadLetters, MEDIA_DLQ_NAME } from './queue.js';
+import { getRateLimitStatus, parseFloodWait } from '../../shared/rateLimits.js';
+import { createLeaseOwner, releaseExpiredLeases, claimNextMedia, claimMedia, releaseLease, failLease } from './lease.js';
+import { accessControl, channelForbidden } from '../../shared/accessControl.js';
+import { mediaUrls } from '../../shared/mediaUrls.js';
 
 const app = new Hono();
 
@@ -8,95 +15,14 @@ const app = new Hono();
 app.use('/*', cors({
   origin: '*', 
   allowMethods: ['POST', 'GET', 'OPTIONS'],
-  allowHeaders: ['Content-Type', 'X-Access-Key', 'X-Internal-Key'],
-  exposeHeaders: ['Content-Length'],
+  allowHeaders: ['Content-Type', 'Authorization'],
+  exposeHeaders: ['Content-Length', 'Retry-After'],
   maxAge: 600,
   credentials: false,
 }));
 
-// STEP 2: Internal Service Auth Middleware
-app.use('/*', async (c, next) => {
-  // Skip check for OPTIONS requests
-  if (c.req.method === 'OPTIONS') {
-    return next();
-  }
-  
-  // CRITICAL: Log all incoming requests for debugging
-  console.log(`[Processor Auth] ${c.req.method} ${c.req.path} - Headers:`, {
-    'X-Internal-Key': c.req.header('X-Internal-Key') ? 'PRESENT' : 'MISSING',
-    'X-Access-Key': c.req.header('X-Access-Key') ? 'PRESENT' : 'MISSING',
-    'Content-Type': c.req.header('Content-Type'),
-    'User-Agent': c.req.header('User-Agent')
-  });
-  
-  // Public endpoints
-  const publicPaths = ['/', '/health'];
-  if (publicPaths.includes(c.req.path)) {
-    return next();
-  }
-  
-  const internalKey = c.req.header('X-Internal-Key');
-  const accessKey = c.req.header('X-Access-Key');
-  
-  // Allow either internal key (for microservice communication) or access key (for frontend)
-  if (!internalKey && !accessKey) {
-    console.error('[Processor Auth] No authentication provided - both keys missing');
-    return c.json({ error: 'Authentication required' }, 401);
-  }
-  
-  // Check internal key first (for microservice communication)
-  if (internalKey) {
-    const expectedKeyRaw = c.env.INTERNAL_SERVICE_KEY;
-    const expectedKey = (expectedKeyRaw || '').trim();
-    const receivedKey = (internalKey || '').trim();
-
-    // Enhanced debug to diagnose whitespace / desync issues
-    console.log('[Processor Auth] DEBUG - Comparing internal keys:', {
-      receivedLength: internalKey?.length,
-      expectedLength: expectedKeyRaw?.length,
-      receivedTrimmedLength: receivedKey.length,
-      expectedTrimmedLength: expectedKey.length,
-      match: receivedKey === expectedKey,
-      receivedFirst10: internalKey?.substring(0, 10),
-      expectedFirst10: expectedKeyRaw?.substring(0, 10),
-      receivedLast10: internalKey?.slice(-10),
-      expectedLast10: expectedKeyRaw?.slice(-10)
-    });
-
-    if (!expectedKey) {
-      console.error('[Processor Auth] INTERNAL_SERVICE_KEY not configured in environment');
-      return c.json({ error: 'Service configuration error' }, 500);
-    }
-
-    if (receivedKey !== expectedKey) {
-      console.error('[Processor Auth] Invalid internal key provided');
-      return c.json({ error: 'Invalid internal key' }, 401);
-    }
-
-    console.log('[Processor Auth] Internal key validated successfully');
-    await next();
-    return;
-  }
-  
-  // Check access key (for frontend communication)
-  if (accessKey) {
-    // First try environment variable (from GitHub Actions secrets)
-    const envAccessKey = c.env.ACCESS_KEY;
-    if (envAccessKey && envAccessKey === accessKey) {
-      console.log('[Processor Auth] Access key validated from environment');
-    } else {
-      // Fallback to D1 database
-      const storedKey = await c.env.DB.prepare("SELECT value FROM app_config WHERE key = 'ACCESS_KEY'").first();
-      if (!storedKey || !storedKey.value || storedKey.value !== accessKey) {
-        console.error('[Processor Auth] Invalid access key provided');
-        return c.json({ error: 'Invalid access key' }, 401);
-      }
-      console.log('[Processor Auth] Access key validated from D1');
-    }
-  }
-  
-  await next();
-});
+// STEP 2: Users and roles (X-Service-Token for worker-to-worker calls), see accessControl.js
+app.use('/*', accessControl({ publicPaths: ['/', '/health'] }));
 
 // STEP 3: Dependency Injection
 app.use('/*', async (c, next) => {
@@ -115,10 +41,21 @@ app.get('/', (c) => {
   });
 });
 
+// Public liveness check; the governor state is only for signed-in users (/rate-limits)
 app.get('/health', (c) => {
   return c.json({ status: 'healthy' });
 });
 
+// Remaining FloodWait cooldowns from the shared governor (rate_limits table)
+app.get('/rate-limits', async (c) => {
+  try {
+    return c.json({ success: true, rate_limits: await getRateLimitStatus(c.env) });
+  } catch (error) {
+    console.error('[Processor] Failed to read rate limits:', error.message);
+    return c.json({ success: false, error: 'Failed to read rate limits' }, 500);
+  }
+});
+
 // ON-DEMAND: Download specific message media (handles grouped messages)
 app.post('/download-media', async (c) => {
   try {
@@ -132,6 +69,8 @@ app.post('/download-media', async (c) => {
         error: 'messageId and chatId are required' 
       }, 400);
     }
+    const denied = await channelForbidden(c, chatId);
+    if (denied) return denied;
     
     console.log(`[Processor] ON-DEMAND download request for message ${messageId} in chat ${chatId}`);
     
@@ -171,6 +110,7 @@ app.post('/download-media', async (c) => {
     }
     
     // Process all messages in the group
+    const leaseOwner = createLeaseOwner('on-demand');
     const results = [];
     let successCount = 0;
     let alreadyCompletedCount = 0;
@@ -188,9 +128,28 @@ app.post('/download-media', async (c) => {
         continue;
       }
       
+      // Claim the row so a drain or queue consumer doesn't download it at the same time
+      const claimed = await claimMedia(c.env, leaseOwner, msg.id, { force: true });
+      if (!claimed) {
+        console.log(`[Processor] Message ${msg.telegram_message_id} is leased by another worker, skipping`);
+        results.push({
+          messageId: msg.telegram_message_id,
+          inProgress: true
+        });
+        continue;
+      }
+      
       // Process the media
       console.log(`[Processor] Processing media for message ${msg.telegram_message_id}`);
-      const result = await syncService.processMediaMessage(msg);
+      const result = await syncService.processMediaMessage(claimed);
+      
+      if (result.floodWait) {
+        await releaseLease(c.env, claimed.id, leaseOwner);
+      } else if (result.skipped) {
+        await recordSkip(c.env, claimed, result);
+      } else if (!result.success && !result.leaseLost) {
+        await failLease(c.env, claimed.id, leaseOwner, result.error || 'Unknown processing error');
+      }
       
       if (result.success) {
         successCount++;
@@ -210,6 +169,13 @@ app.post('/download-media', async (c) => {
       }
     }
     
+    // The Processor doesn't serve /media/*, so files come back as signed /media/... paths for the
+    // client to open on the Viewer (mediaUrls.js)
+    const paths = await mediaUrls(c, results.map(result => result.mediaKey), { chatId, origin: '' });
+    for (const result of results) {
+      if (result.mediaKey) result.mediaPath = paths.get(result.mediaKey)?.url || null;
+    }
+    
     // Return summary
     return c.json({
       success: true,
@@ -230,25 +196,35 @@ app.post('/download-media', async (c) => {
   }
 });
 
+// Thumbnails for media archived before previews were generated (one slice per call)
+app.post('/thumbnails/backfill', async (c) => {
+  const chatId = c.req.query('chatId');
+  const limit = Math.max(1, Math.min(parseInt(c.req.query('limit') || '20') || 20, 50));
+  const afterId = parseInt(c.req.query('afterId') || '0') || 0;
+
+  if (!chatId) {
+    return c.json({ success: false, error: 'chatId is required' }, 400);
+  }
+  const denied = await channelForbidden(c, chatId);
+  if (denied) return denied;
+
+  try {
+    const syncService = c.get('syncService');
+    const result = await syncService.backfillThumbnails(chatId, { limit, afterId });
+    if (result.floodWait) {
+      c.header('Retry-After', String(result.floodWait));
+      return c.json(result, 429);
+    }
+    return c.json(result);
+  } catch (error) {
+    console.error('[Processor] Thumbnail backfill error:', error);
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
 // Phase B: Media processing only
+// Concurrent requests are safe: every row is claimed through a lease (see lease.js)
 app.post('/process-media', async (c) => {
-  // 顺序处理标记，防止并发请求
-  const processingKey = 'processing_' + (c.req.query('chatId') || 'all');
-  
-  // 检查是否有并发请求
-  if (c.env.PROCESSING_LOCK && c.env.PROCESSING_LOCK[processingKey]) {
-    console.log(`[Processor] Concurrent request detected for ${processingKey}, returning 429`);
-    return c.json({
-      success: false,
-      error: 'Another request is already processing. Please wait.',
-      concurrent: true
-    }, 429);
-  }
-  
-  // 设置处理锁
-  if (!c.env.PROCESSING_LOCK) c.env.PROCESSING_LOCK = {};
-  c.env.PROCESSING_LOCK[processingKey] = true;
-  
   // 全局错误处理
   try {
     const syncService = c.get('syncService');
@@ -275,8 +251,21 @@ app.post('/process-media', async (c) => {
       ? Math.max(1, Math.min(requestedBatchSize, 10))
       : 10;
     
-    // Get chatId parameter for targeted processing
+    // Get chatId parameter for targeted processing (without it, any channel's media)
     const chatId = c.req.query('chatId');
+    const denied = await channelForbidden(c, chatId);
+    if (denied) return denied;
+    
+    // Only tracked, enabled channels may be processed
+    if (chatId) {
+      const trackedChannel = await syncService.getTrackedChannel(chatId);
+      if (!trackedChannel || !trackedChannel.enabled) {
+        return c.json({ 
+          success: false, 
+          error: `Channel ${chatId} is not tracked or is disabled` 
+        }, 404);
+      }
+    }
     
     if (batchMode) {
       return await processBatchMedia(c, syncService, batchSize, chatId);
@@ -311,38 +300,15 @@ app.post('/process-media', async (c) => {
       success: false, 
       error: error.message 
     }, 500);
-  } finally {
-    // 释放处理锁，无论成功或失败
-    if (c.env.PROCESSING_LOCK) {
-      c.env.PROCESSING_LOCK[processingKey] = false;
-      console.log(`[Processor] Released processing lock for ${processingKey}`);
-    }
   }
 });
 
 // Single media processing (original logic)
 async function processSingleMedia(c, syncService, chatId) {
-  // Step 1: Fetch pending task with retry logic, optionally scoped to chatId
-  let query = `
-    SELECT id, telegram_message_id, chat_id, text, date, media_status, media_type, media_key, grouped_id
-    FROM messages 
-    WHERE (media_status = 'pending' OR media_status = 'failed')
-  `;
-  const params = [];
-  
-  if (chatId) {
-    query += ` AND chat_id = ?`;
-    params.push(String(chatId));
-  }
-  
-  query += `
-    ORDER BY 
-      CASE WHEN media_status = 'pending' THEN 1 ELSE 2 END,
-      telegram_message_id ASC
-    LIMIT 1
-  `;
-  
-  const pendingMessage = await c.env.DB.prepare(query).bind(...params).first();
+  // Step 1: Claim the next pending task under a lease, optionally scoped to chatId
+  const leaseOwner = createLeaseOwner('processor');
+  await releaseExpiredLeases(c.env);
+  const pendingMessage = await claimNextMedia(c.env, leaseOwner, chatId);
 
   if (!pendingMessage) {
     return c.json({ success: true, remaining: 0, message: 'No pending media to process' });
@@ -363,28 +329,36 @@ async function processSingleMedia(c, syncService, chatId) {
   const result = await syncService.processMediaMessage(pendingMessage);
 
   // CRITICAL FIX: Update DB status for skipped items to prevent infinite loops
-  if (result.skipped) {
+  if (result.floodWait) {
+    // Rate limited, not skipped: give the row back for a later attempt
+    await releaseLease(c.env, pendingMessage.id, leaseOwner);
+    return c.json({
+      success: false,
+      floodWait: result.floodWait,
+      error: `FloodWaitError: Need to wait ${result.floodWait} seconds`
+    }, 429, { 'Retry-After': String(result.floodWait) });
+  } else if (result.skipped) {
     console.log(`[Processor] Updating DB status for skipped message ${pendingMessage.telegram_message_id}: ${result.reason}`);
     
-    let skipStatus;
-    if (result.reason && result.reason.includes('Non-photo media type')) {
-      skipStatus = 'skipped_type'; // Non-photo media
-    } else if (result.reason && result.reason.includes('exceeds 20MB limit')) {
-      skipStatus = 'skipped_large'; // Too large photos
-    } else {
-      skipStatus = 'skipped'; // Generic skip
-    }
-    
-    await c.env.DB.prepare(`
-      UPDATE messages SET media_status = ? WHERE id = ?
-    `).bind(skipStatus, String(pendingMessage.id)).run();
+    await recordSkip(c.env, pendingMessage, result);
+  } else if (!result.success && !result.leaseLost) {
+    await failLease(c.env, pendingMessage.id, leaseOwner, result.error || 'Unknown processing error');
   }
 
-  // Step 3: Count remaining pending tasks
-  const remainingCount = await c.env.DB.prepare(`
+  // Step 3: Count remaining pending tasks, optionally scoped to chatId
+  let remainingQuery = `
     SELECT COUNT(*) as count FROM messages 
-    WHERE media_status = 'pending' OR media_status = 'failed'
-  `).first();
+    WHERE (media_status = 'pending' OR media_status = 'failed')
+      AND chat_id IN (SELECT chat_id FROM tracked_channels WHERE enabled = 1)
+  `;
+  const remainingParams = [];
+  
+  if (chatId) {
+    remainingQuery += ` AND chat_id = ?`;
+    remainingParams.push(String(chatId));
+  }
+  
+  const remainingCount = await c.env.DB.prepare(remainingQuery).bind(...remainingParams).first();
 
   // CRITICAL: Return mediaKey for frontend instant display
   let mediaKey = null;
@@ -407,35 +381,25 @@ async function processSingleMedia(c, syncService, chatId) {
 
 // Batch media processing (new logic)
 async function processBatchMedia(c, syncService, batchSize, chatId) {
+  const result = await drainPendingMedia(c.env, syncService, batchSize, chatId);
+  return c.json(result);
+}
+
+// Process up to batchSize pending items and return a summary (shared by HTTP and cron)
+async function drainPendingMedia(env, syncService, batchSize, chatId) {
   console.log(`[Processor] Starting batch processing with size: ${batchSize}, chatId: ${chatId || 'all'}`);
   
   const results = [];
   let processedCount = 0;
   let skippedCount = 0;
+  let floodWaitSeconds = null;
+  const leaseOwner = createLeaseOwner('processor');
+  await releaseExpiredLeases(env);
   
   // Process multiple items in sequence (due to GramJS session lock)
   for (let i = 0; i < batchSize; i++) {
-    // Fetch next pending item, optionally scoped to chatId
-    let query = `
-      SELECT id, telegram_message_id, chat_id, text, date, media_status, media_type, media_key, grouped_id
-      FROM messages 
-      WHERE (media_status = 'pending' OR media_status = 'failed')
-    `;
-    const params = [];
-    
-    if (chatId) {
-      query += ` AND chat_id = ?`;
-      params.push(String(chatId));
-    }
-    
-    query += `
-      ORDER BY 
-        CASE WHEN media_status = 'pending' THEN 1 ELSE 2 END,
-        telegram_message_id ASC
-      LIMIT 1
-    `;
-    
-    const pendingMessage = await c.env.DB.prepare(query).bind(...params).first();
+    // Claim next pending item under a lease, optionally scoped to chatId
+    const pendingMessage = await claimNextMedia(env, leaseOwner, chatId);
 
     if (!pendingMessage) {
       console.log(`[Processor Batch] No more pending items after ${i} iterations`);
@@ -449,27 +413,29 @@ async function processBatchMedia(c, syncService, batchSize, chatId) {
       const result = await syncService.processMediaMessage(pendingMessage);
       
       // CRITICAL: Validate result has required properties to prevent fake success
-      if (result.success && (!result.mediaKey || result.mediaKey.trim() === '')) {
+      if (result.success && !result.skipped && (!result.mediaKey || result.mediaKey.trim() === '')) {
         console.error(`[Processor Batch] [FAKE SUCCESS DETECTED] Message ${pendingMessage.telegram_message_id} returned success but no mediaKey`);
         throw new Error(`[Validation Failed] Success reported but no mediaKey for message ${pendingMessage.telegram_message_id}`);
       }
       
+      // Rate limited: return the row to pending and stop this batch
+      if (result.floodWait) {
+        await releaseLease(env, pendingMessage.id, leaseOwner);
+        results.push({
+          success: false,
+          floodWait: result.floodWait,
+          error: result.error,
+          messageId: pendingMessage.telegram_message_id
+        });
+        floodWaitSeconds = result.floodWait;
+        break;
+      }
+      
       // Handle skipped items
       if (result.skipped) {
         console.log(`[Processor Batch] Skipping message ${pendingMessage.telegram_message_id}: ${result.reason}`);
         
-        let skipStatus;
-        if (result.reason && result.reason.includes('Non-photo media type')) {
-          skipStatus = 'skipped_type';
-        } else if (result.reason && result.reason.includes('exceeds 20MB limit')) {
-          skipStatus = 'skipped_large';
-        } else {
-          skipStatus = 'skipped';
-        }
-        
-        await c.env.DB.prepare(`
-          UPDATE messages SET media_status = ? WHERE id = ?
-        `).bind(skipStatus, String(pendingMessage.id)).run();
+        await recordSkip(env, pendingMessage, result);
         
         skippedCount++;
         results.push({
@@ -501,24 +467,8 @@ async function processBatchMedia(c, syncService, batchSize, chatId) {
         // Mark as explicit failure
         console.error(`[Processor Batch] [Explicit Failure] Message ${pendingMessage.telegram_message_id}: ${result.error || 'Unknown error'}`);
         
-        // Update message status to failed in DB with defensive error handling
-        try {
-          // Try to save the specific error message (requires error_message column)
-          await c.env.DB.prepare(`
-            UPDATE messages SET media_status = 'failed', error_message = ? WHERE id = ?
-          `).bind((result.error || 'Unknown error').substring(0, 255), String(pendingMessage.id)).run();
-          console.log(`[Processor Batch] Updated message ${pendingMessage.telegram_message_id} to 'failed' with error message`);
-        } catch (dbError) {
-          console.error(`[Double Fault] Failed to save error to DB. Fallback to simple status update.`, dbError);
-          // Fallback: Update status WITHOUT error_message column if schema is still old
-          try {
-            await c.env.DB.prepare(`
-              UPDATE messages SET media_status = 'failed' WHERE id = ?
-            `).bind(String(pendingMessage.id)).run();
-            console.log(`[Processor Batch] Updated message ${pendingMessage.telegram_message_id} to 'failed' (fallback)`);
-          } catch (fallbackError) {
-            console.error(`[Critical] Even fallback DB update failed:`, fallbackError);
-          }
+        if (!result.leaseLost) {
+          await failLease(env, pendingMessage.id, leaseOwner, (result.error || 'Unknown error').substring(0, 255));
         }
         
         results.push({
@@ -530,29 +480,15 @@ async function processBatchMedia(c, syncService, batchSize, chatId) {
     } catch (error) {
       console.error(`[Processor Batch] Error processing item ${pendingMessage.telegram_message_id}:`, error);
       
-      // Update message status to failed in DB with defensive error handling
-      try {
-        // Try to save the specific error message (requires error_message column)
-        await c.env.DB.prepare(`
-          UPDATE messages SET media_status = 'failed', error_message = ? WHERE id = ?
-        `).bind(error.message.substring(0, 255), String(pendingMessage.id)).run();
-        console.log(`[Processor Batch] Updated message ${pendingMessage.telegram_message_id} status to 'failed' with error message in DB`);
-      } catch (dbError) {
-        console.error(`[Double Fault] Failed to save error to DB. Fallback to simple status update.`, dbError);
-        // Fallback: Update status WITHOUT error_message column if schema is still old
+      // Check for FloodWait first: a rate-limited item goes back to pending, not failed
+      const floodWait = parseFloodWait(error);
+      if (floodWait !== null) {
         try {
-          await c.env.DB.prepare(`
-            UPDATE messages SET media_status = 'failed' WHERE id = ?
-          `).bind(String(pendingMessage.id)).run();
-          console.log(`[Processor Batch] Updated message ${pendingMessage.telegram_message_id} status to 'failed' (fallback) in DB`);
-        } catch (fallbackError) {
-          console.error(`[Critical] Even fallback DB update failed:`, fallbackError);
+          await releaseLease(env, pendingMessage.id, leaseOwner);
+        } catch (dbError) {
+          console.error(`[Critical] Failed to release message ${pendingMessage.telegram_message_id}:`, dbError);
         }
-      }
-      
-      // Check for FloodWaitError
-      if (error.message && error.message.includes('FloodWaitError')) {
-        const waitSeconds = error.message.match(/(\d+)s/) ? parseInt(error.message.match(/(\d+)s/)[1]) : 60;
+        const waitSeconds = floodWait || 60;
         console.error(`[Processor Batch] FloodWaitError detected, need to wait ${waitSeconds} seconds`);
         results.push({
           success: false,
@@ -565,6 +501,12 @@ async function processBatchMedia(c, syncService, batchSize, chatId) {
         throw new Error(`FloodWaitError: Need to wait ${waitSeconds}s`);
       }
       
+      try {
+        await failLease(env, pendingMessage.id, leaseOwner, error.message.substring(0, 255));
+      } catch (dbError) {
+        console.error(`[Critical] Failed to mark message ${pendingMessage.telegram_message_id} failed:`, dbError);
+      }
+      
       // Handle specific data stream errors
       const isDataStreamError = 
         error.message.includes('[Download Failed]') || 
@@ -586,10 +528,16 @@ async function processBatchMedia(c, syncService, batchSize, chatId) {
     }
   }
   
+  // Surface FloodWait to the caller like a thrown FloodWaitError (HTTP 429 / cron stop)
+  if (floodWaitSeconds) {
+    throw new Error(`FloodWaitError: Need to wait ${floodWaitSeconds}s`);
+  }
+  
   // Count remaining pending tasks, optionally scoped to chatId
   let remainingQuery = `
     SELECT COUNT(*) as count FROM messages 
     WHERE (media_status = 'pending' OR media_status = 'failed')
+      AND chat_id IN (SELECT chat_id FROM tracked_channels WHERE enabled = 1)
   `;
   const remainingParams = [];
   
@@ -598,7 +546,7 @@ async function processBatchMedia(c, syncService, batchSize, chatId) {
     remainingParams.push(String(chatId));
   }
   
-  const remainingCount = await c.env.DB.prepare(remainingQuery).bind(...remainingParams).first();
+  const remainingCount = await env.DB.prepare(remainingQuery).bind(...remainingParams).first();
   
   // 添加详细日志以追踪剩余项
   console.log(`[Processor] Remaining count query: ${remainingQuery} with params:`, remainingParams);
@@ -617,7 +565,7 @@ async function processBatchMedia(c, syncService, batchSize, chatId) {
       media_status: r.media_status
     }));
   
-  return c.json({
+  return {
     success: true,
     batchMode: true,
     batchSize: batchSize,
@@ -627,7 +575,7 @@ async function processBatchMedia(c, syncService, batchSize, chatId) {
     hasMore: remainingCount.count > 0,
     processedItems: processedItems, // For optimistic UI updates
     results: results // Keep full results for debugging
-  });
+  };
 }
 
 // Debug routes
@@ -650,8 +598,85 @@ app.get('/debug/credentials', async (c) => {
   }
 });
 
+// Cron entry point: bounded Phase B drain for every enabled tracked channel
+async function runScheduledDrain(env, event) {
+  const runId = await startSyncRun(env, { worker: 'processor', trigger: 'cron', cron: event.cron });
+  console.log(`[Scheduled] Media drain run ${runId} started (cron: ${event.cron})`);
+  
+  const details = [];
+  const perChannelLimit = Math.max(1, parseInt(env.SCHEDULED_MEDIA_DRAIN_LIMIT || '10', 10) || 10);
+  
+  try {
+    const syncService = new ProcessorSyncService(env);
+    await syncService.authService.getCredentials();
+    
+    const channels = await env.DB.prepare(
+      'SELECT chat_id, title FROM tracked_channels WHERE enabled = 1 ORDER BY created_at ASC'
+    ).all();
+    
+    let floodWaitError = null;
+    
+    for (const channel of channels.results || []) {
+      const chatId = String(channel.chat_id);
+      try {
+        const result = await drainPendingMedia(env, syncService, perChannelLimit, chatId);
+        details.push({
+          chat_id: chatId,
+          title: channel.title,
+          processed: result.processedCount,
+          skipped: result.skippedCount,
+          remaining: result.remaining,
+          errors: []
+        });
+      } catch (error) {
+        details.push({ chat_id: chatId, title: channel.title, processed: 0, skipped: 0, errors: [error.message] });
+        
+        // FloodWait applies to the whole account: stop draining other channels too
+        if (error.message && error.message.includes('FloodWaitError')) {
+          floodWaitError = error.message;
+          break;
+        }
+      }
+    }
+    
+    const failedChannels = details.filter(ch => ch.errors.length > 0).length;
+    const status = failedChannels === 0 ? 'success' : failedChannels < details.length ? 'partial' : 'failed';
+    
+    await finishSyncRun(env, runId, {
+      status,
+      channelsCount: details.length,
+      mediaCount: details.reduce((sum, ch) => sum + ch.processed, 0),
+      error: floodWaitError,
+      details
+    });
+    console.log(`[Scheduled] Media drain run ${runId} finished with status ${status}`);
+  } catch (error) {
+    console.error(`[Scheduled] Media drain run ${runId} failed:`, error);
+    await finishSyncRun(env, runId, {
+      status: 'failed',
+      channelsCount: details.length,
+      mediaCount: details.reduce((sum, ch) => sum + ch.processed, 0),
+      error: error.message,
+      details
+    });
+  }
+}
+
 // Safety Net: Wrap the entire fetch handler in a try-catch to prevent silent crashes
 export default {
+  scheduled(event, env, ctx) {
+    ctx.waitUntil(runScheduledDrain(env, event));
+  },
+
+  // Phase B jobs enqueued by the Scanner (see queue.js)
+  async queue(batch, env, ctx) {
+    if (batch.queue === MEDIA_DLQ_NAME) {
+      await consumeDeadLetters(batch, env);
+    } else {
+      await consumeMediaJobs(batch, env);
+    }
+  },
+
   async fetch(request, env, ctx) {
     try {
       // Call the original Hono app fetch handler
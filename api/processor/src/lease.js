@@ -0,0 +1,110 @@
+// Row-level leases for Phase B (messages.lease_owner / lease_expires)
+// Claims are single UPDATE statements, so two isolates can never hold the same row. Claimed rows
+// carry their lease_owner, and every final write (completion, skip, failure) is conditional on it:
+// a worker whose lease expired and was re-claimed can't overwrite the new holder's result.
+
+const DEFAULT_LEASE_SECONDS = 900;
+
+const MESSAGE_COLUMNS = 'id, telegram_message_id, chat_id, text, date, media_status, media_type, media_key, grouped_id, lease_owner';
+
+// A row is claimable when it needs work, or when a previous holder's lease ran out
+const CLAIMABLE = `(media_status IN ('pending', 'failed') OR (media_status = 'processing' AND lease_expires < ?))`;
+
+export function createLeaseOwner(worker) {
+  return `${worker}:${crypto.randomUUID()}`;
+}
+
+function leaseExpiry(env) {
+  const seconds = Number(env.MEDIA_LEASE_SECONDS);
+  return Date.now() + (seconds > 0 ? seconds : DEFAULT_LEASE_SECONDS) * 1000;
+}
+
+// Return rows whose lease has expired to 'pending' (their holder crashed or timed out)
+export async function releaseExpiredLeases(env) {
+  const result = await env.DB.prepare(`
+    UPDATE messages SET media_status = 'pending', lease_owner = NULL, lease_expires = NULL
+    WHERE media_status = 'processing' AND lease_expires < ?
+  `).bind(Date.now()).run();
+
+  if (result.meta.changes > 0) {
+    console.log(`[Lease] Released ${result.meta.changes} expired leases`);
+  }
+  return result.meta.changes;
+}
+
+// Claim the next row to process in enabled tracked channels, optionally scoped to chatId.
+// Returns the claimed row or null when nothing is left.
+export async function claimNextMedia(env, owner, chatId = null) {
+  const now = Date.now();
+  const scope = chatId ? 'AND chat_id = ?' : '';
+  const scopeParams = chatId ? [String(chatId)] : [];
+
+  const row = await env.DB.prepare(`
+    UPDATE messages SET media_status = 'processing', lease_owner = ?, lease_expires = ?
+    WHERE id = (
+      SELECT id FROM messages
+      WHERE ${CLAIMABLE}
+        AND chat_id IN (SELECT chat_id FROM tracked_channels WHERE enabled = 1)
+        ${scope}
+      ORDER BY 
+        CASE WHEN media_status = 'failed' THEN 2 ELSE 1 END,
+        telegram_message_id ASC
+      LIMIT 1
+    )
+    AND ${CLAIMABLE}
+    RETURNING ${MESSAGE_COLUMNS}
+  `).bind(owner, leaseExpiry(env), now, ...scopeParams, now).first();
+
+  return row || null;
+}
+
+// Claim one specific row (queue jobs, on-demand downloads). Returns null if it is
+// already leased by someone else or no longer needs work. With force, skipped rows and
+// rows of untracked channels are claimable too (an explicit user request).
+export async function claimMedia(env, owner, messageId, { force = false } = {}) {
+  const now = Date.now();
+  const condition = force
+    ? `media_status != 'completed' AND NOT (media_status = 'processing' AND lease_expires >= ?)`
+    : `${CLAIMABLE} AND chat_id IN (SELECT chat_id FROM tracked_channels WHERE enabled = 1)`;
+
+  const row = await env.DB.prepare(`
+    UPDATE messages SET media_status = 'processing', lease_owner = ?, lease_expires = ?
+    WHERE id = ? AND ${condition}
+    RETURNING ${MESSAGE_COLUMNS}
+  `).bind(owner, leaseExpiry(env), messageId, now).first();
+
+  return row || null;
+}
+
+// Give a row back without a final status (e.g. FloodWait), only if we still hold it
+export async function releaseLease(env, messageId, owner) {
+  await env.DB.prepare(`
+    UPDATE messages SET media_status = 'pending', lease_owner = NULL, lease_expires = NULL
+    WHERE id = ? AND lease_owner = ? AND media_status = 'processing'
+  `).bind(messageId, owner).run();
+}
+
+// Final failure for a claimed row; it goes to the back of the claim order. Returns false when
+// the lease was lost to another worker, whose result stands.
+export async function failLease(env, messageId, owner, error) {
+  const result = await env.DB.prepare(`
+    UPDATE messages SET media_status = 'failed', error_message = ?, lease_owner = NULL, lease_expires = NULL
+    WHERE id = ? AND lease_owner = ?
+  `).bind(String(error).substring(0, 500), messageId, owner).run();
+
+  if (result.meta.changes === 0) {
+    console.warn(`[Lease] Lost the lease on row ${messageId}, not marking it failed`);
+    return false;
+  }
+  return true;
+}
+
+// Failure recorded without holding a lease (dead-lettered queue jobs): only rows that are still
+// claimable, so a live lease or a result written since is left alone
+export async function failUnleased(env, messageId, error) {
+  const result = await env.DB.prepare(`
+    UPDATE messages SET media_status = 'failed', error_message = ?, lease_owner = NULL, lease_expires = NULL
+    WHERE id = ? AND ${CLAIMABLE}
+  `).bind(String(error).substring(0, 500), messageId, Date.now()).run();
+  return result.meta.changes > 0;
+}
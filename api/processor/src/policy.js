@@ -0,0 +1,105 @@
+// Per-channel media policies (media_policies table)
+
+// Default size ceiling when neither the policy nor MAX_MEDIA_BYTES sets one
+const DEFAULT_MAX_MEDIA_BYTES = 20 * 1024 * 1024;
+
+const DEFAULT_POLICY = {
+  allowed_mime_types: ['*/*'],
+  max_bytes: null,
+  thumbnails_only: false,
+  date_from: null,
+  date_to: null
+};
+
+const parseMimeGlobs = (raw) => {
+  try {
+    const globs = JSON.parse(raw);
+    return Array.isArray(globs) && globs.length > 0 ? globs : DEFAULT_POLICY.allowed_mime_types;
+  } catch {
+    return DEFAULT_POLICY.allowed_mime_types;
+  }
+};
+
+// "image/*" -> /^image\/.*$/i
+const mimeGlobToRegExp = (glob) => {
+  const escaped = glob.trim().replace(/[.+?^${}()|[\]\\/]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+};
+
+// Returns the channel's policy with defaults applied; max_bytes is always resolved to a number
+export async function loadMediaPolicy(env, chatId) {
+  const row = await env.DB.prepare(
+    'SELECT * FROM media_policies WHERE chat_id = ?'
+  ).bind(String(chatId)).first();
+
+  const envMaxBytes = Number(env.MAX_MEDIA_BYTES);
+  const fallbackMaxBytes = envMaxBytes > 0 ? envMaxBytes : DEFAULT_MAX_MEDIA_BYTES;
+
+  if (!row) {
+    return { ...DEFAULT_POLICY, max_bytes: fallbackMaxBytes };
+  }
+
+  return {
+    allowed_mime_types: parseMimeGlobs(row.allowed_mime_types),
+    max_bytes: Number(row.max_bytes) > 0 ? Number(row.max_bytes) : fallbackMaxBytes,
+    thumbnails_only: !!row.thumbnails_only,
+    date_from: row.date_from || null,
+    date_to: row.date_to || null
+  };
+}
+
+// Checks whatever is known so far (message date before connecting, file info after fetching the
+// message). Returns null when allowed, otherwise { rule, skipStatus, reason }.
+export function evaluateMediaPolicy(policy, { date, fileInfo } = {}) {
+  if (date) {
+    const messageTime = new Date(date).getTime();
+    if (policy.date_from && messageTime < new Date(policy.date_from).getTime()) {
+      return { rule: 'date_from', skipStatus: 'skipped', reason: `Message is older than ${policy.date_from}` };
+    }
+    if (policy.date_to && messageTime > new Date(policy.date_to).getTime()) {
+      return { rule: 'date_to', skipStatus: 'skipped', reason: `Message is newer than ${policy.date_to}` };
+    }
+  }
+
+  if (fileInfo) {
+    const allowed = policy.allowed_mime_types.some(glob => mimeGlobToRegExp(glob).test(fileInfo.mimeType));
+    if (!allowed) {
+      return {
+        rule: 'allowed_mime_types',
+        skipStatus: 'skipped_type',
+        reason: `${fileInfo.mimeType} is not in ${policy.allowed_mime_types.join(', ')}`
+      };
+    }
+
+    // Thumbnails are always small, so the ceiling only applies to full downloads
+    if (!policy.thumbnails_only && fileInfo.size > policy.max_bytes) {
+      return {
+        rule: 'max_bytes',
+        skipStatus: 'skipped_large',
+        reason: `File too large (${(fileInfo.size / 1048576).toFixed(1)}MB > ${(policy.max_bytes / 1048576).toFixed(1)}MB)`
+      };
+    }
+  }
+
+  return null;
+}
+
+// Persist a skip with the media policy rule that caused it, if the claimed row's lease
+// (pendingMessage.lease_owner, see lease.js) is still held
+export async function recordSkip(env, pendingMessage, result) {
+  const update = await env.DB.prepare(`
+    UPDATE messages SET media_status = ?, media_skip_rule = ?, media_skip_reason = ?,
+      lease_owner = NULL, lease_expires = NULL
+    WHERE id = ? AND lease_owner = ?
+  `).bind(
+    result.skipStatus || 'skipped',
+    result.skipRule || null,
+    result.reason || null,
+    String(pendingMessage.id),
+    pendingMessage.lease_owner
+  ).run();
+
+  if (update.meta.changes === 0) {
+    console.warn(`[Policy] Lost the lease on row ${pendingMessage.id}, not recording the skip`);
+  }
+}
@@ -0,0 +1,128 @@
+// Phase B queue consumer: one message per pending media row, produced by the Scanner.
+// Transient errors are retried with exponential backoff; after max_retries (wrangler.toml)
+// Cloudflare moves the message to the dead-letter queue. Permanent errors go there directly.
+import { ProcessorSyncService } from './sync.js';
+import { recordSkip } from './policy.js';
+import { createLeaseOwner, claimMedia, releaseLease, failLease, failUnleased } from './lease.js';
+
+// Must match dead_letter_queue in wrangler.toml
+export const MEDIA_DLQ_NAME = 'tg-media-jobs-dlq';
+
+const RETRY_BASE_SECONDS = 30;
+const RETRY_MAX_SECONDS = 3600;
+
+// Errors that will not go away by retrying the same job
+const PERMANENT_ERROR_PATTERNS = [
+  /Message \d+ not found/,
+  /CHANNEL_PRIVATE/,
+  /CHANNEL_INVALID/,
+  /MESSAGE_ID_INVALID/
+];
+
+const backoffSeconds = (attempts) =>
+  Math.min(RETRY_BASE_SECONDS * Math.pow(2, Math.max(0, attempts - 1)), RETRY_MAX_SECONDS);
+
+// The row is marked failed right away (while the lease is held); the dead letter keeps a record
+async function sendToDeadLetter(env, job, leaseOwner, error) {
+  await failLease(env, job.messageId, leaseOwner, error);
+  if (env.MEDIA_DLQ) {
+    await env.MEDIA_DLQ.send({ ...job, error }, { contentType: 'json' });
+  }
+}
+
+export async function consumeMediaJobs(batch, env) {
+  console.log(`[Queue] Received ${batch.messages.length} media jobs from ${batch.queue}`);
+  const syncService = new ProcessorSyncService(env);
+  const leaseOwner = createLeaseOwner('queue');
+
+  for (let i = 0; i < batch.messages.length; i++) {
+    const queueMessage = batch.messages[i];
+    const job = queueMessage.body || {};
+
+    if (!job.messageId) {
+      console.warn('[Queue] Dropping malformed media job:', job);
+      queueMessage.ack();
+      continue;
+    }
+
+    let pendingMessage = null;
+    try {
+      // Only rows that still need work, in channels that are still tracked and enabled.
+      // A row leased by another worker is left to it.
+      pendingMessage = await claimMedia(env, leaseOwner, job.messageId);
+
+      if (!pendingMessage) {
+        console.log(`[Queue] Job for message row ${job.messageId} is no longer claimable, acking`);
+        queueMessage.ack();
+        continue;
+      }
+
+      const result = await syncService.processMediaMessage(pendingMessage);
+
+      if (result.floodWait) {
+        // The whole account is rate limited: push this and every remaining job past the wait
+        console.warn(`[Queue] FloodWait ${result.floodWait}s, delaying ${batch.messages.length - i} jobs`);
+        await releaseLease(env, pendingMessage.id, leaseOwner);
+        for (const remaining of batch.messages.slice(i)) {
+          remaining.retry({ delaySeconds: result.floodWait + 5 });
+        }
+        return;
+      }
+
+      if (result.skipped) {
+        await recordSkip(env, pendingMessage, result);
+        queueMessage.ack();
+        continue;
+      }
+
+      if (result.success) {
+        console.log(`[Queue] Completed message ${pendingMessage.telegram_message_id}: ${result.mediaKey}`);
+        queueMessage.ack();
+        continue;
+      }
+
+      if (result.leaseLost) {
+        // Another worker re-claimed the row after our lease expired and owns it now
+        queueMessage.ack();
+        continue;
+      }
+
+      throw new Error(result.error || 'Unknown processing error');
+    } catch (error) {
+      if (PERMANENT_ERROR_PATTERNS.some(pattern => pattern.test(error.message))) {
+        console.error(`[Queue] Permanent failure for row ${job.messageId}: ${error.message}`);
+        await sendToDeadLetter(env, job, leaseOwner, error.message);
+        queueMessage.ack();
+        continue;
+      }
+
+      // Back to pending so the redelivered job can claim it again
+      if (pendingMessage) {
+        await releaseLease(env, pendingMessage.id, leaseOwner);
+      }
+
+      const delaySeconds = backoffSeconds(queueMessage.attempts);
+      console.error(`[Queue] Attempt ${queueMessage.attempts} failed for row ${job.messageId}, retrying in ${delaySeconds}s: ${error.message}`);
+      await env.DB.prepare(
+        'UPDATE messages SET error_message = ? WHERE id = ?'
+      ).bind(error.message.substring(0, 500), job.messageId).run();
+      queueMessage.retry({ delaySeconds });
+    }
+  }
+}
+
+// Dead letters: mark the rows failed so they show up in the UI and can be re-queued manually.
+// Rows leased or finished since are left alone.
+export async function consumeDeadLetters(batch, env) {
+  console.log(`[Queue] Received ${batch.messages.length} dead-lettered media jobs`);
+
+  for (const queueMessage of batch.messages) {
+    const job = queueMessage.body || {};
+    // Jobs moved here by Cloudflare after max_retries carry no error of their own
+    const error = job.error || 'Gave up after exhausting queue retries';
+    if (job.messageId) {
+      await failUnleased(env, job.messageId, error);
+    }
+    queueMessage.ack();
+  }
+}
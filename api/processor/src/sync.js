@@ -1,5 +1,32 @@
+import { createHash } from 'node:crypto';
 import { TelegramClient } from 'telegram';
 import { ProcessorAuthService } from './auth.js';
+import { getRemoteClient } from '../../shared/remoteClient.js';
+import { loadMediaPolicy, evaluateMediaPolicy } from './policy.js';
+import { METHOD_CLASSES, getCooldown, noteFloodWait } from '../../shared/rateLimits.js';
+import { putBlob, promotePartialBlob, partialBlobKey, referenceBlob } from '../../shared/blobs.js';
+
+// Telegram's maximum upload.getFile request size
+const DOWNLOAD_REQUEST_SIZE = 512 * 1024;
+// R2 multipart parts must be at least 5 MiB (except the last one)
+const MULTIPART_PART_SIZE = 5 * 1024 * 1024;
+
+const MIME_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4',
+  'video/quicktime': 'mov',
+  'video/webm': 'webm',
+  'audio/mpeg': 'mp3',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'm4a',
+  'application/pdf': 'pdf',
+  'application/zip': 'zip',
+  'application/x-tgsticker': 'tgs',
+  'text/plain': 'txt'
+};
 
 // BigInt helper function
 function toBigInt(val) {
@@ -30,21 +57,23 @@ export class ProcessorSyncService {
     this.lastProcessTime = Date.now();
   }
 
-  async getTargetChannel() {
+  // Returns the tracked_channels row for chatId, or null if it is not tracked
+  async getTrackedChannel(chatId) {
     try {
       const result = await this.env.DB.prepare(
-        'SELECT value FROM kv_store WHERE key = ?'
-      ).bind('target_channel_id').first();
+        'SELECT chat_id, enabled, settings FROM tracked_channels WHERE chat_id = ?'
+      ).bind(String(chatId)).first();
       
-      return result ? String(result.value) : null;
+      return result || null;
     } catch (error) {
-      console.error('Error getting target channel:', error);
+      console.error('Error getting tracked channel:', error);
       return null;
     }
   }
 
   async getClient() {
-    return await this.authService.getClient();
+    // Shared long-lived connection in the Scanner's Durable Object when bound
+    return getRemoteClient(this.env) || await this.authService.getClient();
   }
 
   async getR2PublicUrl() {
@@ -62,10 +91,28 @@ export class ProcessorSyncService {
     try {
       console.log(`[Processor] Starting media processing for message ${pendingMessage.telegram_message_id}`);
 
-      const targetChannelId = await this.getTargetChannel();
+      const trackedChannel = await this.getTrackedChannel(pendingMessage.chat_id);
 
-      if (!targetChannelId) {
-        throw new Error('No target channel selected');
+      if (!trackedChannel) {
+        throw new Error(`Channel ${pendingMessage.chat_id} is not tracked`);
+      }
+
+      // Date windows only need the stored message date, so check them before connecting
+      const policy = await loadMediaPolicy(this.env, pendingMessage.chat_id);
+      const dateViolation = evaluateMediaPolicy(policy, { date: pendingMessage.date });
+      if (dateViolation) {
+        console.log(`[Policy] Skipping message ${pendingMessage.telegram_message_id}: ${dateViolation.reason}`);
+        return this.policySkip(dateViolation);
+      }
+
+      // Shared FloodWait governor: stay off Telegram while a penalty recorded by any worker runs
+      const cooldown = Math.max(
+        await getCooldown(this.env, METHOD_CLASSES.MESSAGES),
+        await getCooldown(this.env, METHOD_CLASSES.DOWNLOAD)
+      );
+      if (cooldown > 0) {
+        console.log(`[Processor] Rate limit cooldown active (${cooldown}s left), not contacting Telegram`);
+        return this.rateLimited(cooldown);
       }
 
       // Connect to Telegram with robust initialization
@@ -151,125 +198,97 @@ export class ProcessorSyncService {
         ids: [msgIdNum]
       });
 
-      if (!messages || messages.length === 0) {
+      if (!messages || messages.length === 0 || !messages[0]) {
         throw new Error(`Message ${pendingMessage.telegram_message_id} not found`);
       }
 
       const message = messages[0];
       
-      // === STRICT LIGHTWEIGHT IMAGE FILTER (JPG/PNG < 300KB) ===
-      // This "Pre-Download Bouncer" prevents OOM crashes and timeouts
-      
+      // === PRE-DOWNLOAD CHECKS ===
+      // Inspect type and size against the channel's media policy before touching the file
+
       // 1. Safe Extraction - Check if media exists
       const media = message.media;
       if (!media) {
         console.log(`[Filter] No media in message ${message.id}`);
-        return {
-          success: true,
-          skipped: true,
-          reason: "No media",
-          mediaKey: null
-        };
+        return this.policySkip({ rule: 'no_media', skipStatus: 'skipped', reason: 'No media' });
       }
 
       console.log(`[Filter] Inspecting media for message ${message.id}, className: ${media.className}`);
 
-      // 2. Identify Type & Size using className
-      let mimeType = 'unknown';
-      let size = 0;
-
-      if (media.className === 'MessageMediaDocument' && media.document) {
-        // It's a file/document (video, PDF, GIF, etc.)
-        mimeType = media.document.mimeType || 'unknown';
-        size = media.document.size || 0;
-        console.log(`[Filter] Document detected: ${mimeType}, size: ${(size / 1024).toFixed(1)}KB`);
-      } else if (media.className === 'MessageMediaPhoto' && media.photo) {
-        // It's a compressed photo (Telegram photos are effectively JPEGs)
-        mimeType = 'image/jpeg';
-        // Find largest size variant (last is usually largest)
-        const sizes = media.photo.sizes || [];
-        const largest = sizes[sizes.length - 1];
-        size = largest && largest.size ? Number(largest.size) : 0;
-        console.log(`[Filter] Photo detected: ${mimeType}, size: ${(size / 1024).toFixed(1)}KB`);
-      } else {
+      // 2. Identify type, size and file name
+      const fileInfo = this.describeMedia(media);
+      if (!fileInfo) {
         // It's a GeoPoint, Contact, Game, Poll, etc. -> SKIP
         console.log(`[Filter] Unsupported media class: ${media.className}`);
-        return {
-          success: true,
-          skipped: true,
-          reason: "Unsupported media class",
-          mediaKey: null
-        };
+        return this.policySkip({
+          rule: 'unsupported',
+          skipStatus: 'skipped_type',
+          reason: `Unsupported media class ${media.className}`
+        });
       }
 
-      // 3. ENFORCE POLICY (Strict Whitelist: JPG/PNG < 300KB)
-      const MAX_SIZE = 300 * 1024; // 300KB strict limit
-      const isImage = /image\/(jpeg|jpg|png)/i.test(mimeType);
-      const isSmall = size <= MAX_SIZE;
+      console.log(`[Filter] ${fileInfo.type} detected: ${fileInfo.mimeType}, size: ${(fileInfo.size / 1024).toFixed(1)}KB, name: ${fileInfo.fileName || '-'}`);
 
-      if (!isImage) {
-        console.log(`[Filter] Skipping non-image: ${mimeType}`);
-        return {
-          success: true,
-          skipped: true,
-          reason: "Not an image",
-          mediaKey: null
-        };
+      // 3. Enforce mime globs and the size ceiling
+      const fileViolation = evaluateMediaPolicy(policy, { fileInfo });
+      if (fileViolation) {
+        console.log(`[Policy] Skipping message ${message.id} (${fileViolation.rule}): ${fileViolation.reason}`);
+        return this.policySkip(fileViolation);
       }
 
-      if (!isSmall) {
-        console.log(`[Filter] Skipping large file: ${(size / 1024).toFixed(1)}KB > 300KB`);
-        return {
-          success: true,
-          skipped: true,
-          reason: "File too large (>300KB)",
-          mediaKey: null
+      // 4. Thumbnails-only channels archive a ~320px preview instead of the file
+      let stored = fileInfo;
+      let thumbType = null;
+      if (policy.thumbnails_only) {
+        thumbType = this.pickThumbnailType(media);
+        if (!thumbType) {
+          return this.policySkip({
+            rule: 'thumbnails_only',
+            skipStatus: 'skipped',
+            reason: 'Thumbnails only, but the media has no thumbnail'
+          });
+        }
+        const thumbSize = this.pickThumbnailSize(media);
+        stored = {
+          ...fileInfo,
+          mimeType: 'image/jpeg',
+          extension: 'jpg',
+          width: thumbSize.w ?? null,
+          height: thumbSize.h ?? null,
+          duration: null
         };
       }
 
-      // 4. Safe Download - Filter passed
-      console.log(`[Filter Passed] Downloading ${mimeType} (${size} bytes)...`);
+      // 5. Download and upload - Policy passed. Stored content-addressed at blobs/<sha256>
+      const httpMetadata = { contentType: stored.mimeType };
+      if (stored.fileName && !thumbType) {
+        httpMetadata.contentDisposition = `inline; filename*=UTF-8''${encodeURIComponent(stored.fileName)}`;
+      }
 
-      // TURBO MODE: Fast photo download without artificial delays
-      const downloadPromise = client.downloadMedia(message, { workers: 1 });
-      const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Download timed out > 30s')), 30000)
-      );
+      console.log(`[Processor] Transferring ${stored.mimeType} (${thumbType ? `thumbnail ${thumbType}` : `${fileInfo.size} bytes`}) to R2 for message ${message.id}`);
 
-      let buffer;
+      let blob;
       try {
-        buffer = await Promise.race([downloadPromise, timeoutPromise]);
+        if (thumbType || fileInfo.type === 'photo') {
+          const buffer = await this.downloadBuffered(client, message, thumbType ? { thumb: thumbType } : {});
+          blob = await putBlob(this.env, buffer, httpMetadata);
+        } else {
+          blob = await this.uploadDocumentStream(client, media, httpMetadata);
+        }
       } catch (error) {
         console.error(`[Processor] Error/Timeout for message ${message.id}:`, error.message);
         
-        // Check for FloodWaitError
-        if (error.message && error.message.includes('FloodWaitError')) {
-          const waitSeconds = error.message.match(/(\d+)s/) ? parseInt(error.message.match(/(\d+)s/)[1]) : 60;
+        // FloodWait on upload.getFile: record it for every worker and give the row back
+        const waitSeconds = await noteFloodWait(this.env, METHOD_CLASSES.DOWNLOAD, error, 'processor');
+        if (waitSeconds !== null) {
           console.error(`[Processor] FloodWaitError detected: need to wait ${waitSeconds} seconds`);
-          
-          // Fast-fail: if wait time > 5 seconds, don't wait in the worker
-          if (waitSeconds > 5) {
-            console.log(`[Processor] Fast-fail: wait time ${waitSeconds}s > 5s, returning immediately`);
-            return {
-              success: false,
-              skipped: true,
-              reason: "RateLimit",
-              floodWait: waitSeconds,
-              error: `Rate limited: Need to wait ${waitSeconds} seconds`
-            };
-          }
-          
-          // For short waits (<= 5s), we can wait in the worker
-          console.log(`[Processor] Short wait time ${waitSeconds}s, waiting in worker`);
-          await new Promise(resolve => setTimeout(resolve, waitSeconds * 1000));
-          // Retry the operation after waiting
-          return {
-            success: false,
-            skipped: true,
-            reason: "RateLimit",
-            floodWait: waitSeconds,
-            error: `Rate limited: Need to wait ${waitSeconds} seconds`
-          };
+          return this.rateLimited(waitSeconds);
+        }
+        
+        // Critical download/R2 failures are re-thrown below; anything else fails this item only
+        if (error.message && (error.message.includes('[Download Failed]') || error.message.includes('[R2 Failed]'))) {
+          throw error;
         }
         
         return {
@@ -278,51 +297,11 @@ export class ProcessorSyncService {
           mediaKey: null
         };
       }
+      const key = blob.key;
+      const uploadedBytes = blob.size;
+      console.log(`[Processor] Stored message ${message.id} as ${key}${blob.deduplicated ? ' (already archived, deduplicated)' : ''}`);
       
-      // CRITICAL: Verify buffer before uploading
-      if (!buffer || buffer.length === 0) {
-        console.error(`[Processor] [Download Failed] Buffer is empty for MsgID ${message.id}`);
-        throw new Error(`[Download Failed] Buffer is empty for MsgID ${message.id}`);
-      }
-      
-      // Validate buffer size is reasonable (at least 100 bytes for a minimal image)
-      if (buffer.length < 100) {
-        console.error(`[Processor] [Download Failed] Buffer too small (${buffer.length} bytes) for MsgID ${message.id}`);
-        throw new Error(`[Download Failed] Buffer too small (${buffer.length} bytes) for MsgID ${message.id}`);
-      }
-      
-      console.log(`[Data Stream] Downloaded ${buffer.length} bytes for MsgID ${message.id}`);
-
-      // Generate R2 key
-      const r2ChatIdStr = String(targetChannelId);
-      const messageIdStr = message.id.toString();
-      const extension = this.getMediaExtension(message.media.className);
-      const key = `media/${r2ChatIdStr}_${messageIdStr}_${Date.now()}.${extension}`;
-
-      console.log(`[Processor] Uploading to R2: ${key}`);
-
-      // Upload to R2 with error handling and validation
-      try {
-        // Capture the result of the R2 put operation
-        const r2Object = await this.env.BUCKET.put(key, buffer, {
-          httpMetadata: {
-            contentType: this.getContentType(message.media.className)
-          }
-        });
-        
-        // Validate the R2 operation returned a valid object
-        if (!r2Object || !r2Object.key) {
-          console.error(`[Processor] [R2 Failed] Write operation returned null for ${key}`);
-          throw new Error(`[R2 Failed] Write operation returned null for ${key}`);
-        }
-        
-        console.log(`[R2 Success] Wrote ${buffer.length} bytes to ${r2Object.key}`);
-      } catch (uploadError) {
-        console.error(`[Processor] R2 upload failed for message ${message.id}:`, uploadError);
-        throw new Error('R2 upload failed: ' + uploadError.message);
-      }
-      
-      // Update database with media key and completed status
+      // Update database with media key, file metadata and completed status
       console.log(`[Processor] Updating DB for message ${pendingMessage.telegram_message_id} with key: ${key}`);
 
       // CRITICAL: Use telegram_message_id AND chat_id as unique key
@@ -334,6 +313,9 @@ export class ProcessorSyncService {
       console.log(`[Processor] DB UPDATE params:`, {
         media_key: key,
         media_status: 'completed',
+        media_mime_type: stored.mimeType,
+        media_file_name: stored.fileName,
+        media_size: uploadedBytes,
         telegram_message_id: msgIdStr,
         chat_id: chatIdStr,
         grouped_id: groupedIdStr,
@@ -342,31 +324,62 @@ export class ProcessorSyncService {
 
       const result = await this.env.DB.prepare(`
         UPDATE messages 
-        SET media_status = 'completed', media_key = ? 
-        WHERE telegram_message_id = ? AND chat_id = ?
-      `).bind(key, msgIdStr, chatIdStr).run();
+        SET media_status = 'completed', media_key = ?,
+            media_mime_type = ?, media_file_name = ?, media_extension = ?, media_size = ?,
+            media_skip_rule = NULL, media_skip_reason = NULL,
+            lease_owner = NULL, lease_expires = NULL
+        WHERE telegram_message_id = ? AND chat_id = ? AND lease_owner = ?
+      `).bind(
+        key,
+        stored.mimeType,
+        stored.fileName,
+        stored.extension,
+        uploadedBytes,
+        msgIdStr,
+        chatIdStr,
+        pendingMessage.lease_owner
+      ).run();
 
       console.log(`[Persistence] Updated Msg ${msgIdStr}: changes=${result.meta.changes}, grouped_id=${groupedIdStr}`);
 
-      // CRITICAL: If changes === 0, throw explicit error
+      // Our lease expired and another worker re-claimed the row: its result stands. The
+      // unreferenced blob is left to the R2 GC.
       if (result.meta.changes === 0) {
-        throw new Error(`DB UPDATE FAILED - No rows affected for message ${msgIdStr}`);
+        console.warn(`[Processor] Lost the lease on message ${msgIdStr}, discarding this download`);
+        return { success: false, leaseLost: true, error: `Lease lost for message ${msgIdStr}` };
       }
 
       console.log(`[Processor] SUCCESS: DB updated for message ${msgIdStr}`);
 
+      await referenceBlob(this.env, pendingMessage.id, blob, {
+        fileType: thumbType ? 'thumbnail' : fileInfo.type,
+        mimeType: stored.mimeType,
+        fileName: stored.fileName,
+        width: stored.width,
+        height: stored.height,
+        duration: stored.duration
+      });
+
+      // Grid preview; thumbnails_only rows already stored one as the media itself
+      const thumbKey = thumbType ? null : await this.storeThumbnail(client, message, pendingMessage);
+
       // Return success with media data
       const mediaData = {
-        type: this.getMediaType(message.media.className),
-        extension: this.getMediaExtension(message.media.className),
-        size: buffer.length,
-        mime_type: this.getContentType(message.media.className),
-        r2_key: key
+        type: fileInfo.type,
+        extension: stored.extension,
+        file_name: stored.fileName,
+        size: uploadedBytes,
+        mime_type: stored.mimeType,
+        width: stored.width,
+        height: stored.height,
+        duration: stored.duration,
+        thumbnail: !!thumbType,
+        r2_key: key,
+        sha256: blob.hash,
+        deduplicated: blob.deduplicated,
+        thumb_key: thumbKey
       };
 
-      // Free memory
-      buffer = null;
-
       console.log(`[Processor] Media processing completed for message ${pendingMessage.telegram_message_id}`);
 
       return {
@@ -378,6 +391,12 @@ export class ProcessorSyncService {
     } catch (error) {
       console.error(`[Processor] Error processing media for message ${pendingMessage.telegram_message_id}:`, error);
       
+      // FloodWait while resolving the channel or fetching the message
+      const waitSeconds = await noteFloodWait(this.env, METHOD_CLASSES.MESSAGES, error, 'processor');
+      if (waitSeconds !== null) {
+        return this.rateLimited(waitSeconds);
+      }
+      
       // Add detailed error information for debugging
       const errorDetails = {
         success: false,
@@ -405,56 +424,290 @@ export class ProcessorSyncService {
   }
 
   // Helper methods for media processing
-  getMediaExtension(mediaClassName) {
-    switch (mediaClassName) {
-      case 'MessageMediaPhoto':
-        return 'jpg';
-      case 'MessageMediaVideo':
-        return 'mp4';
-      case 'MessageMediaDocument':
-        return 'bin';
-      default:
-        return 'bin';
+
+  // Returns { type, mimeType, fileName, extension, size, width, height, duration } or null for
+  // non-file media (polls, geo, ...). Dimensions and duration are null when Telegram has none.
+  describeMedia(media) {
+    if (media.className === 'MessageMediaPhoto' && media.photo) {
+      // Compressed photos are always JPEGs; the last size variant is usually the largest
+      const sizes = media.photo.sizes || [];
+      const largest = sizes[sizes.length - 1];
+      // PhotoSizeProgressive (usually the largest) lists the byte size of each progressive scan
+      // in sizes[] instead of a size; the full image is the last, largest one
+      const bytes = largest?.className === 'PhotoSizeProgressive' && largest.sizes?.length
+        ? Math.max(...largest.sizes)
+        : Number(largest?.size || 0);
+      return {
+        type: 'photo',
+        mimeType: 'image/jpeg',
+        fileName: null,
+        extension: 'jpg',
+        size: bytes,
+        width: largest?.w ?? null,
+        height: largest?.h ?? null,
+        duration: null
+      };
     }
+
+    if (media.className === 'MessageMediaDocument' && media.document) {
+      const document = media.document;
+      const attributes = document.attributes || [];
+      const mimeType = document.mimeType || 'application/octet-stream';
+      const fileName = attributes.find(attr => attr.className === 'DocumentAttributeFilename')?.fileName || null;
+
+      let type = 'document';
+      if (attributes.some(attr => attr.className === 'DocumentAttributeVideo') || mimeType.startsWith('video/')) {
+        type = 'video';
+      } else if (attributes.some(attr => attr.className === 'DocumentAttributeAudio') || mimeType.startsWith('audio/')) {
+        type = 'audio';
+      } else if (mimeType.startsWith('image/')) {
+        type = 'image';
+      }
+
+      const video = attributes.find(attr => attr.className === 'DocumentAttributeVideo');
+      const imageSize = attributes.find(attr => attr.className === 'DocumentAttributeImageSize');
+      const audio = attributes.find(attr => attr.className === 'DocumentAttributeAudio');
+
+      return {
+        type,
+        mimeType,
+        fileName,
+        extension: this.getFileExtension(fileName, mimeType),
+        size: Number(document.size || 0),
+        width: video?.w ?? imageSize?.w ?? null,
+        height: video?.h ?? imageSize?.h ?? null,
+        duration: video?.duration ?? audio?.duration ?? null
+      };
+    }
+
+    return null;
   }
 
-  getMediaType(mediaClassName) {
-    switch (mediaClassName) {
-      case 'MessageMediaPhoto':
-        return 'photo';
-      case 'MessageMediaVideo':
-        return 'video';
-      case 'MessageMediaDocument':
-        return 'document';
-      default:
-        return 'unknown';
+  // Prefer the original file name's extension, then a known mime type, then "bin"
+  getFileExtension(fileName, mimeType) {
+    const match = fileName && fileName.match(/\.([A-Za-z0-9]{1,10})$/);
+    if (match) {
+      return match[1].toLowerCase();
     }
+    return MIME_EXTENSIONS[mimeType] || mimeType.split('/')[1]?.replace(/[^a-z0-9]/gi, '').substring(0, 10) || 'bin';
+  }
+
+  // Skip result shared by every policy rule; index.js persists skipStatus and skipRule
+  policySkip({ rule, skipStatus, reason }) {
+    return {
+      success: true,
+      skipped: true,
+      reason,
+      skipStatus,
+      skipRule: rule,
+      mediaKey: null
+    };
+  }
+
+  // FloodWait result (ours or one recorded in rate_limits); callers return the row to pending
+  rateLimited(seconds) {
+    return {
+      success: false,
+      skipped: true,
+      reason: 'RateLimit',
+      floodWait: seconds,
+      error: `Rate limited: Need to wait ${seconds} seconds`
+    };
   }
 
-  getContentType(mediaClassName) {
-    switch (mediaClassName) {
-      case 'MessageMediaPhoto':
-        return 'image/jpeg';
-      case 'MessageMediaVideo':
-        return 'video/mp4';
-      case 'MessageMediaDocument':
-        return 'application/octet-stream';
-      default:
-        return 'application/octet-stream';
+  // Prefer the 320px "m" size, falling back to the largest regular thumbnail
+  pickThumbnailSize(media) {
+    const sizes = media?.photo?.sizes || media?.document?.thumbs || [];
+    const thumbs = sizes.filter(size => size.className === 'PhotoSize' || size.className === 'PhotoSizeProgressive');
+    return thumbs.find(size => size.type === 'm') || thumbs[thumbs.length - 1] || null;
+  }
+
+  pickThumbnailType(media) {
+    return this.pickThumbnailSize(media)?.type || null;
+  }
+
+  // Telegram's own preview of the media for the gallery grid, stored as a blob like the file
+  // itself and recorded in `media` (file_type 'thumbnail'), so retries and backfills reuse the
+  // same object and row. Best effort: a missing thumbnail only means the gallery shows the full
+  // object, so failures are logged and return null.
+  async storeThumbnail(client, message, row) {
+    const size = this.pickThumbnailSize(message.media);
+    if (!size) {
+      return null;
+    }
+
+    try {
+      const buffer = await this.downloadBuffered(client, message, { thumb: size.type });
+      const blob = await putBlob(this.env, buffer, { contentType: 'image/jpeg' });
+      await referenceBlob(this.env, row.id, blob, {
+        fileType: 'thumbnail',
+        mimeType: 'image/jpeg',
+        width: size.w || null,
+        height: size.h || null
+      });
+      console.log(`[Thumbnail] Stored ${size.type} (${size.w}x${size.h}) for message ${message.id}: ${blob.key}`);
+      return blob.key;
+    } catch (error) {
+      await noteFloodWait(this.env, METHOD_CLASSES.DOWNLOAD, error, 'processor');
+      console.warn(`[Thumbnail] Skipped thumbnail for message ${message.id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Thumbnails for media archived before they were generated. Walks a channel's completed rows
+  // by messages.id; callers pass nextAfterId back until hasMore is false.
+  async backfillThumbnails(chatId, { limit = 20, afterId = 0 } = {}) {
+    const rows = await this.env.DB.prepare(`
+      SELECT m.id, m.telegram_message_id, m.chat_id
+      FROM messages m
+      WHERE m.chat_id = ? AND m.id > ? AND m.media_status = 'completed'
+        -- thumbnails_only rows have one too: the archived preview's own media row
+        AND NOT EXISTS (SELECT 1 FROM media WHERE media.message_id = m.id AND media.file_type = 'thumbnail')
+      ORDER BY m.id ASC
+      LIMIT ?
+    `).bind(String(chatId), afterId, limit).all();
+    const pending = rows.results || [];
+    if (pending.length === 0) {
+      return { success: true, checked: 0, stored: 0, nextAfterId: afterId, hasMore: false };
+    }
+
+    const cooldown = await getCooldown(this.env, METHOD_CLASSES.DOWNLOAD);
+    if (cooldown > 0) {
+      return { ...this.rateLimited(cooldown), nextAfterId: afterId };
+    }
+
+    const client = await this.getClient();
+    await client.connect();
+    const channel = await client.getEntity(toBigInt(chatId));
+    // ids-aligned: null where the message no longer exists upstream
+    const messages = await client.getMessages(channel, { ids: pending.map(row => Number(row.telegram_message_id)) });
+
+    let stored = 0;
+    for (const [index, row] of pending.entries()) {
+      const message = messages[index];
+      if (!message?.media) continue;
+      if (await this.storeThumbnail(client, message, row)) {
+        stored++;
+      }
+      await this.addDelay(1000);
+    }
+
+    console.log(`[Thumbnail] Backfill for ${chatId}: ${stored}/${pending.length} stored`);
+    return {
+      success: true,
+      checked: pending.length,
+      stored,
+      nextAfterId: pending[pending.length - 1].id,
+      hasMore: pending.length === limit
+    };
+  }
+
+  // Photos and thumbnails are small: download into memory
+  async downloadBuffered(client, message, downloadOptions = {}) {
+    const downloadPromise = client.downloadMedia(message, { workers: 1, ...downloadOptions });
+    const timeoutPromise = new Promise((_, reject) => 
+      setTimeout(() => reject(new Error('Download timed out > 30s')), 30000)
+    );
+
+    const buffer = await Promise.race([downloadPromise, timeoutPromise]);
+
+    // CRITICAL: Verify buffer before uploading
+    if (!buffer || buffer.length === 0) {
+      throw new Error(`[Download Failed] Buffer is empty for MsgID ${message.id}`);
+    }
+
+    // Validate buffer size is reasonable (at least 100 bytes for a minimal image)
+    if (buffer.length < 100) {
+      throw new Error(`[Download Failed] Buffer too small (${buffer.length} bytes) for MsgID ${message.id}`);
+    }
+
+    console.log(`[Data Stream] Downloaded ${buffer.length} bytes for MsgID ${message.id}`);
+    return buffer;
+  }
+
+  // Videos and documents: stream with iterDownload and write R2 multipart parts as they fill,
+  // so at most one part is held in memory, hashing as the chunks arrive. Multipart uploads go
+  // to a partial key and are moved to blobs/<sha256> at the end; files smaller than one part
+  // are stored directly. Returns the blob ({ key, hash, size, deduplicated }).
+  async uploadDocumentStream(client, media, httpMetadata) {
+    const partialKey = partialBlobKey();
+    const hasher = createHash('sha256');
+    let upload = null;
+    const parts = [];
+    let pending = [];
+    let pendingBytes = 0;
+    let totalBytes = 0;
+
+    try {
+      for await (const chunk of client.iterDownload({ file: media, requestSize: DOWNLOAD_REQUEST_SIZE })) {
+        hasher.update(chunk);
+        pending.push(chunk);
+        pendingBytes += chunk.length;
+        totalBytes += chunk.length;
+
+        // R2 requires every part except the last to have the same size
+        while (pendingBytes >= MULTIPART_PART_SIZE) {
+          const joined = Buffer.concat(pending, pendingBytes);
+          const rest = joined.subarray(MULTIPART_PART_SIZE);
+
+          if (!upload) {
+            upload = await this.env.BUCKET.createMultipartUpload(partialKey, { httpMetadata });
+            console.log(`[R2 Multipart] Started upload ${upload.uploadId} for ${partialKey}`);
+          }
+          parts.push(await upload.uploadPart(parts.length + 1, joined.subarray(0, MULTIPART_PART_SIZE)));
+          console.log(`[R2 Multipart] Uploaded part ${parts.length} (${totalBytes} bytes so far) for ${partialKey}`);
+
+          pending = rest.length > 0 ? [rest] : [];
+          pendingBytes = rest.length;
+        }
+      }
+
+      if (totalBytes === 0) {
+        throw new Error(`[Download Failed] No data received for ${partialKey}`);
+      }
+
+      const tail = Buffer.concat(pending, pendingBytes);
+
+      if (!upload) {
+        return await putBlob(this.env, tail, httpMetadata);
+      }
+
+      if (tail.length > 0) {
+        parts.push(await upload.uploadPart(parts.length + 1, tail));
+      }
+      await upload.complete(parts);
+      console.log(`[R2 Multipart] Completed ${partialKey}: ${parts.length} parts, ${totalBytes} bytes`);
+      upload = null;
+      return await promotePartialBlob(this.env, partialKey, hasher.digest('hex'), totalBytes, httpMetadata);
+    } catch (error) {
+      if (upload) {
+        try {
+          await upload.abort();
+          console.log(`[R2 Multipart] Aborted upload for ${partialKey}`);
+        } catch (abortError) {
+          console.warn(`[R2 Multipart] Abort failed for ${partialKey}:`, abortError.message);
+        }
+      }
+      throw error;
     }
   }
 
   async saveMediaRecord(messageId, mediaData) {
     try {
       await this.env.DB.prepare(`
-        INSERT INTO media (message_id, r2_key, file_type, file_size, mime_type)
-        VALUES (?, ?, ?, ?, ?)
+        INSERT INTO media (message_id, r2_key, file_type, file_size, mime_type, file_name, width, height, duration, sha256)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `).bind(
         messageId,
         mediaData.r2_key,
         mediaData.type,
         mediaData.size,
-        mediaData.mime_type
+        mediaData.mime_type,
+        mediaData.file_name ?? null,
+        mediaData.width ?? null,
+        mediaData.height ?? null,
+        mediaData.duration ?? null,
+        mediaData.sha256 ?? null
       ).run();
 
       console.log(`[Processor] Saved media record for message ${messageId}`);
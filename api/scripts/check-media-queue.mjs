@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+// Local check of the Phase B queue path (processor/src/queue.js) on Miniflare's in-memory queues
+// and D1: backoff on transient errors, retries exhausted into the dead-letter queue, permanent
+// errors sent there directly, and the DLQ consumer leaving live leases alone.
+//
+// Usage:
+//   npm run check:queue          (from api/)
+//
+// The real queue.js, lease.js and policy.js run in workerd; only sync.js is replaced, by a stand-in
+// whose result for a row is chosen by the row's text ('ok', 'transient', 'permanent', 'skip'), so
+// no Telegram session is needed. Retries are redelivered at once, but the delay the consumer asked
+// for is recorded and checked.
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Miniflare } from 'miniflare';
+
+const PROCESSOR_SRC = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'processor', 'src');
+
+// Must match processor/wrangler.toml, apart from the retry count and batch timeout (kept short)
+const MEDIA_QUEUE = 'tg-media-jobs';
+const MEDIA_DLQ = 'tg-media-jobs-dlq';
+const MAX_RETRIES = 2;
+
+const CHAT_ID = '-1001';
+const SETTLE_TIMEOUT_MS = 30000;
+
+const STUB_SYNC = `
+export class ProcessorSyncService {
+  constructor(env) {
+    this.env = env;
+  }
+
+  async processMediaMessage(row) {
+    switch (row.text) {
+      case 'ok': {
+        const mediaKey = 'blobs/' + row.id;
+        const update = await this.env.DB.prepare(
+          "UPDATE messages SET media_status = 'completed', media_key = ?, lease_owner = NULL, lease_expires = NULL WHERE id = ? AND lease_owner = ?"
+        ).bind(mediaKey, row.id, row.lease_owner).run();
+        return update.meta.changes > 0
+          ? { success: true, mediaKey }
+          : { success: false, leaseLost: true, error: 'Lease lost' };
+      }
+      case 'skip':
+        return { success: true, skipped: true, skipStatus: 'skipped_type', skipRule: 'mime', reason: 'Ignored type' };
+      case 'permanent':
+        return { success: false, error: 'Message ' + row.telegram_message_id + ' not found' };
+      default:
+        return { success: false, error: 'Connection timed out' };
+    }
+  }
+}
+`;
+
+// Wraps each batch so ack()/retry() calls are recorded; retries are redelivered immediately
+const HARNESS = `
+import { consumeMediaJobs, consumeDeadLetters, MEDIA_DLQ_NAME } from './queue.js';
+
+const events = [];
+
+function recording(batch) {
+  return {
+    queue: batch.queue,
+    messages: batch.messages.map(message => {
+      const record = (action, delaySeconds = null) => events.push({
+        queue: batch.queue, row: message.body.messageId, attempts: message.attempts, action, delaySeconds
+      });
+      return {
+        id: message.id,
+        body: message.body,
+        attempts: message.attempts,
+        timestamp: message.timestamp,
+        ack() { record('ack'); message.ack(); },
+        retry(options = {}) { record('retry', options.delaySeconds ?? 0); message.retry(); }
+      };
+    })
+  };
+}
+
+export default {
+  async fetch() {
+    return Response.json(events);
+  },
+  async queue(batch, env) {
+    if (batch.queue === MEDIA_DLQ_NAME) {
+      await consumeDeadLetters(recording(batch), env);
+    } else {
+      await consumeMediaJobs(recording(batch), env);
+    }
+  }
+};
+`;
+
+const SCHEMA = [
+  `CREATE TABLE tracked_channels (chat_id TEXT PRIMARY KEY, enabled INTEGER DEFAULT 1)`,
+  `CREATE TABLE messages (
+    id INTEGER PRIMARY KEY, telegram_message_id INTEGER, chat_id TEXT, text TEXT, date TEXT,
+    media_status TEXT DEFAULT 'none', media_type TEXT, media_key TEXT, grouped_id TEXT,
+    error_message TEXT, media_skip_rule TEXT, media_skip_reason TEXT,
+    lease_owner TEXT, lease_expires INTEGER
+  )`
+];
+
+// id -> [text, media_status, lease_owner, lease_expires]
+const ROWS = {
+  1: ['ok', 'pending', null, null],
+  2: ['transient', 'pending', null, null],
+  3: ['permanent', 'pending', null, null],
+  4: ['skip', 'pending', null, null],
+  5: ['ok', 'processing', 'other-worker', Date.now() + 3600 * 1000], // live lease elsewhere
+  6: ['ok', 'processing', 'crashed-worker', Date.now() - 1000] // expired lease
+};
+
+const backoffSeconds = (attempts) => Math.min(30 * Math.pow(2, Math.max(0, attempts - 1)), 3600);
+
+async function moduleSource(file) {
+  return { type: 'ESModule', path: path.join(PROCESSOR_SRC, file), contents: await readFile(path.join(PROCESSOR_SRC, file), 'utf8') };
+}
+
+async function main() {
+  const mf = new Miniflare({
+    modules: [
+      { type: 'ESModule', path: path.join(PROCESSOR_SRC, 'queue-check-harness.js'), contents: HARNESS },
+      await moduleSource('queue.js'),
+      await moduleSource('lease.js'),
+      await moduleSource('policy.js'),
+      { type: 'ESModule', path: path.join(PROCESSOR_SRC, 'sync.js'), contents: STUB_SYNC }
+    ],
+    compatibilityDate: '2024-09-23',
+    d1Databases: ['DB'],
+    queueProducers: { MEDIA_JOBS: MEDIA_QUEUE, MEDIA_DLQ },
+    queueConsumers: {
+      [MEDIA_QUEUE]: { maxBatchSize: 5, maxBatchTimeout: 1, maxRetries: MAX_RETRIES, deadLetterQueue: MEDIA_DLQ },
+      [MEDIA_DLQ]: { maxBatchSize: 10, maxBatchTimeout: 1 }
+    }
+  });
+
+  try {
+    const db = await mf.getD1Database('DB');
+    await db.batch([
+      ...SCHEMA.map(sql => db.prepare(sql)),
+      db.prepare('INSERT INTO tracked_channels (chat_id, enabled) VALUES (?, 1)').bind(CHAT_ID),
+      ...Object.entries(ROWS).map(([id, [text, status, owner, expires]]) => db.prepare(`
+        INSERT INTO messages (id, telegram_message_id, chat_id, text, media_status, media_type, lease_owner, lease_expires)
+        VALUES (?, ?, ?, ?, ?, 'photo', ?, ?)
+      `).bind(Number(id), 100 + Number(id), CHAT_ID, text, status, owner, expires))
+    ]);
+
+    const jobs = await mf.getQueueProducer('MEDIA_JOBS');
+    await jobs.sendBatch(Object.keys(ROWS).map(id => ({ body: { messageId: Number(id), chatId: CHAT_ID } })));
+    // A late dead letter for a row another worker holds must not fail it
+    const deadLetters = await mf.getQueueProducer('MEDIA_DLQ');
+    await deadLetters.send({ messageId: 5, chatId: CHAT_ID, error: 'Late dead letter' });
+
+    // Settled once the exhausted, permanent and late jobs have all gone through the DLQ consumer
+    const deadline = Date.now() + SETTLE_TIMEOUT_MS;
+    let events = [];
+    while (Date.now() < deadline) {
+      events = await (await mf.dispatchFetch('http://localhost/')).json();
+      const dlqRows = new Set(events.filter(e => e.queue === MEDIA_DLQ && e.action === 'ack').map(e => e.row));
+      if ([2, 3, 5].every(row => dlqRows.has(row))) break;
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+
+    const rows = Object.fromEntries(
+      ((await db.prepare('SELECT * FROM messages ORDER BY id').all()).results || []).map(row => [row.id, row])
+    );
+    const eventsFor = (row, queue = MEDIA_QUEUE) => events.filter(e => e.row === row && e.queue === queue);
+
+    assert.equal(rows[1].media_status, 'completed', 'row 1 completes');
+    assert.deepEqual(eventsFor(1).map(e => e.action), ['ack'], 'row 1 is acked once');
+    console.log('✓ successful job completes and is acked');
+
+    const retries = eventsFor(2).filter(e => e.action === 'retry');
+    assert.equal(retries.length, MAX_RETRIES + 1, `row 2 is delivered ${MAX_RETRIES + 1} times`);
+    for (const retry of retries) {
+      assert.equal(retry.delaySeconds, backoffSeconds(retry.attempts), `attempt ${retry.attempts} backs off ${backoffSeconds(retry.attempts)}s`);
+    }
+    assert.equal(rows[2].media_status, 'failed', 'row 2 ends up failed');
+    assert.equal(rows[2].error_message, 'Gave up after exhausting queue retries');
+    assert.ok(eventsFor(2, MEDIA_DLQ).length === 1, 'row 2 reaches the DLQ');
+    console.log(`✓ transient errors back off ${retries.map(r => r.delaySeconds + 's').join(', ')} and are dead-lettered after max_retries`);
+
+    assert.deepEqual(eventsFor(3).map(e => e.action), ['ack'], 'row 3 is not retried');
+    assert.equal(rows[3].media_status, 'failed', 'row 3 is failed');
+    assert.equal(rows[3].error_message, 'Message 103 not found');
+    assert.ok(eventsFor(3, MEDIA_DLQ).length === 1, 'row 3 reaches the DLQ');
+    console.log('✓ permanent errors go straight to the DLQ, which marks the row failed');
+
+    assert.equal(rows[4].media_status, 'skipped_type', 'row 4 is skipped');
+    console.log('✓ policy skips are recorded');
+
+    assert.equal(rows[5].media_status, 'processing', 'row 5 keeps its live lease');
+    assert.equal(rows[5].lease_owner, 'other-worker');
+    assert.deepEqual(eventsFor(5).map(e => e.action), ['ack'], 'row 5 job is acked without processing');
+    console.log('✓ live leases are left alone by the consumer and the DLQ consumer');
+
+    assert.equal(rows[6].media_status, 'completed', 'row 6 is re-claimed after its lease expired');
+    console.log('✓ expired leases are re-claimed');
+
+    console.log('Media queue check passed');
+  } finally {
+    await mf.dispose();
+  }
+}
+
+main().catch(error => {
+  console.error('Media queue check failed:', error.message);
+  process.exit(1);
+});
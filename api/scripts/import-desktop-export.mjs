@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+// Uploads a Telegram Desktop "Export chat history" folder (JSON format) to the Scanner's
+// POST /import/desktop, a slice of messages and their files per request.
+//
+// Usage:
+//   node scripts/import-desktop-export.mjs <export-dir> [--url https://telegram-archiver-api.<sub>.workers.dev]
+//        [--token <session token>] [--channel-id -100123...] [--batch-mb 40] [--batch-messages 200] [--dry-run]
+//
+// --url and --token default to the SCANNER_URL and ARCHIVER_TOKEN environment variables. The token
+// comes from POST /session on the Scanner and needs the operator role.
+// Re-running is safe: messages already in the archive are skipped by the Worker.
+import { readFile, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { exportedChatId, mediaPathOf, sameAlbum } from '../src/desktopImport.js';
+
+const MAX_ATTEMPTS = 3;
+
+function parseArgs(argv) {
+  const options = {
+    url: process.env.SCANNER_URL,
+    token: process.env.ARCHIVER_TOKEN,
+    channelId: null,
+    batchMb: 40,
+    batchMessages: 200,
+    dryRun: false
+  };
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--url': options.url = argv[++i]; break;
+      case '--token': options.token = argv[++i]; break;
+      case '--channel-id': options.channelId = argv[++i]; break;
+      case '--batch-mb': options.batchMb = Number(argv[++i]); break;
+      case '--batch-messages': options.batchMessages = Number(argv[++i]); break;
+      case '--dry-run': options.dryRun = true; break;
+      default: positional.push(arg);
+    }
+  }
+  options.dir = positional[0];
+  return options;
+}
+
+async function fileSize(file) {
+  try {
+    return (await stat(file)).size;
+  } catch {
+    return null;
+  }
+}
+
+// Slices of at most batchMessages entries / batchMb of files; an album is never split
+async function planBatches(dir, messages, options) {
+  const maxBytes = options.batchMb * 1024 * 1024;
+  const batches = [];
+  let current = { entries: [], files: [], bytes: 0 };
+  let previous = null;
+  let absent = 0;
+
+  for (const entry of messages) {
+    const relative = mediaPathOf(entry);
+    const size = relative ? await fileSize(path.join(dir, relative)) : null;
+    if (relative && size === null) absent++;
+
+    const full = current.entries.length >= options.batchMessages || current.bytes + (size || 0) > maxBytes;
+    if (full && current.entries.length > 0 && !sameAlbum(previous, entry)) {
+      batches.push(current);
+      current = { entries: [], files: [], bytes: 0 };
+    }
+
+    current.entries.push(entry);
+    if (size !== null) {
+      current.files.push(relative);
+      current.bytes += size;
+    }
+    previous = entry;
+  }
+  if (current.entries.length > 0) batches.push(current);
+  return { batches, absent };
+}
+
+async function sendBatch(dir, result, batch, options) {
+  const form = new FormData();
+  form.append('result', new Blob([JSON.stringify({ ...result, messages: batch.entries })], { type: 'application/json' }), 'result.json');
+  for (const relative of batch.files) {
+    form.append(relative, new Blob([await readFile(path.join(dir, relative))]), path.basename(relative));
+  }
+
+  const url = new URL('/import/desktop', options.url);
+  if (options.channelId) url.searchParams.set('channelId', options.channelId);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await fetch(url, { method: 'POST', headers: { Authorization: `Bearer ${options.token}` }, body: form });
+      const data = await response.json().catch(() => ({ success: false, error: `HTTP ${response.status}` }));
+      // 4xx won't get better by retrying
+      if (data.success || response.status < 500 || attempt === MAX_ATTEMPTS) return data;
+      console.warn(`  attempt ${attempt} failed: ${data.error}, retrying...`);
+    } catch (error) {
+      if (attempt === MAX_ATTEMPTS) return { success: false, error: error.message };
+      console.warn(`  attempt ${attempt} failed: ${error.message}, retrying...`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 2000 * attempt));
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.dir || (!options.dryRun && (!options.url || !options.token))) {
+    console.error('Usage: node scripts/import-desktop-export.mjs <export-dir> --url <scanner url> --token <session token> [--channel-id <id>] [--batch-mb 40] [--batch-messages 200] [--dry-run]');
+    process.exit(1);
+  }
+
+  const result = JSON.parse(await readFile(path.join(options.dir, 'result.json'), 'utf8'));
+  if (!Array.isArray(result.messages)) {
+    console.error('result.json has no messages array (single-chat JSON exports only)');
+    process.exit(1);
+  }
+
+  const { batches, absent } = await planBatches(options.dir, result.messages, options);
+  console.log(`${result.name || 'Chat'} -> ${options.channelId || exportedChatId(result)}: ${result.messages.length} messages in ${batches.length} requests`);
+  if (absent > 0) {
+    console.warn(`${absent} referenced files are not in the export folder; those messages stay pending`);
+  }
+  if (options.dryRun) return;
+
+  const totals = { imported: 0, skipped: 0, media_uploaded: 0, media_missing: 0 };
+  for (const [index, batch] of batches.entries()) {
+    const first = batch.entries[0].id;
+    const last = batch.entries[batch.entries.length - 1].id;
+    console.log(`[${index + 1}/${batches.length}] messages ${first}-${last}, ${batch.files.length} files (${(batch.bytes / 1048576).toFixed(1)} MB)`);
+
+    const data = await sendBatch(options.dir, result, batch, options);
+    if (!data.success) {
+      console.error(`Import stopped at message ${first}: ${data.error}`);
+      console.error('Run the same command again to continue; imported messages are skipped.');
+      process.exit(1);
+    }
+    for (const key of Object.keys(totals)) totals[key] += data[key] || 0;
+  }
+
+  console.log(`Done: ${totals.imported} imported, ${totals.skipped} already archived, ${totals.media_uploaded} files uploaded, ${totals.media_missing} media missing`);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,326 @@
+// Users, roles and sessions (0021_create_users.sql) and the Hono middleware every worker uses to
+// enforce them. Requests carry `Authorization: Bearer <session token>`; the Scanner issues tokens
+// (POST /session) and all workers validate them against the shared D1 tables. API tokens
+// (tga_..., 0022_create_channel_grants.sql) work the same way, and channel_grants limit
+// non-admins to some channels (channelForbidden, mediaForbidden). Worker-to-worker calls carry a
+// short-lived X-Service-Token (serviceHeaders) instead.
+// (Imported by all three workers from api/shared/; wrangler bundles it into each.)
+
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+const ROLE_RANK = { viewer: 1, operator: 2, admin: 3 };
+
+// 100000 is the most iterations Workers' WebCrypto PBKDF2 accepts
+const PBKDF2_ITERATIONS = 100000;
+
+const DEFAULT_SESSION_TTL_HOURS = 24 * 7;
+
+const API_TOKEN_PREFIX = 'tga_';
+
+// Worker-to-worker calls authenticated with X-Service-Token
+const SERVICE_USER = { id: null, username: 'service', role: 'admin', service: true };
+
+const SERVICE_TOKEN_TTL_SECONDS = 60;
+
+export const hasRole = (user, role) => Boolean(user) && (ROLE_RANK[user.role] || 0) >= ROLE_RANK[role];
+
+const toBase64Url = (bytes) => btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = (text) => Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), char => char.charCodeAt(0));
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+async function pbkdf2(password, salt, iterations) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+  return new Uint8Array(bits);
+}
+
+export async function hashPassword(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const hash = await pbkdf2(password, salt, PBKDF2_ITERATIONS);
+  return `pbkdf2-sha256$${PBKDF2_ITERATIONS}$${toBase64Url(salt)}$${toBase64Url(hash)}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, iterations, salt, expected] = String(stored || '').split('$');
+  if (scheme !== 'pbkdf2-sha256' || !salt || !expected) return false;
+  const actual = await pbkdf2(password, fromBase64Url(salt), Number(iterations));
+  return bytesEqual(actual, fromBase64Url(expected));
+}
+
+// Constant-time string comparison for shared secrets. Both sides are hashed first so their
+// lengths don't leak either.
+export async function secretsEqual(supplied, secret) {
+  const digest = async (text) =>
+    new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(String(text ?? ''))));
+  return bytesEqual(await digest(supplied), await digest(secret));
+}
+
+// Compare every byte so the time taken doesn't reveal the matching prefix
+function bytesEqual(actual, wanted) {
+  let difference = actual.length ^ wanted.length;
+  for (let i = 0; i < actual.length; i++) {
+    difference |= actual[i] ^ (wanted[i] ?? 0);
+  }
+  return difference === 0;
+}
+
+async function serviceSigningKey(env) {
+  const secret = (env.INTERNAL_SERVICE_KEY || '').trim();
+  if (!secret) return null;
+  return await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']
+  );
+}
+
+// The token covers the query string and a hash of the body, so it can't be replayed with other
+// parameters (chatId, size, batch, ...) while it is valid
+const servicePayload = (method, target, bodyHash, exp) => new TextEncoder().encode(`${method}\n${target}\n${bodyHash}\n${exp}`);
+
+// Path and query string as the receiving worker sees them (URL-normalized on both sides)
+const serviceTarget = (pathAndQuery) => {
+  const url = new URL(pathAndQuery, 'https://service');
+  return url.pathname + url.search;
+};
+
+// Headers for a call to another worker: an X-Service-Token (<exp>.<HMAC-SHA256 with
+// INTERNAL_SERVICE_KEY>) valid for one method, path, query and body for
+// SERVICE_TOKEN_TTL_SECONDS. path may carry a query string; body must be the string that is sent.
+// The key itself never goes over the wire.
+export async function serviceHeaders(env, method, path, body = '') {
+  const key = await serviceSigningKey(env);
+  if (!key) throw new Error('INTERNAL_SERVICE_KEY is not configured');
+  if (typeof body !== 'string') throw new Error('Service calls can only sign string bodies');
+  const exp = Math.floor(Date.now() / 1000) + SERVICE_TOKEN_TTL_SECONDS;
+  const payload = servicePayload(method, serviceTarget(path), await sha256Hex(body), exp);
+  const sig = new Uint8Array(await crypto.subtle.sign('HMAC', key, payload));
+  return { 'X-Service-Token': `${exp}.${toBase64Url(sig)}` };
+}
+
+async function verifyServiceToken(c, token) {
+  const key = await serviceSigningKey(c.env);
+  const [exp, sig] = token.split('.');
+  if (!key || !/^\d+$/.test(exp || '') || Number(exp) < Date.now() / 1000) return false;
+  const { method } = c.req;
+  const url = new URL(c.req.url);
+  // Hono caches the body, so routes can still read it afterwards
+  const body = method === 'GET' || method === 'HEAD' ? '' : await c.req.text();
+  try {
+    const payload = servicePayload(method, url.pathname + url.search, await sha256Hex(body), exp);
+    return await crypto.subtle.verify('HMAC', key, fromBase64Url(sig || ''), payload);
+  } catch {
+    return false;
+  }
+}
+
+// Browsers add Origin to cross-origin and non-GET requests and Sec-Fetch-* to all of them;
+// worker-to-worker fetches send neither
+const fromBrowser = (c) => Boolean(c.req.header('Origin') || c.req.header('Sec-Fetch-Site') || c.req.header('Sec-Fetch-Mode'));
+
+// New session for a user; the token is only ever returned here
+export async function createSession(env, userId, userAgent = null) {
+  const token = toBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+  const ttlHours = Number(env.SESSION_TTL_HOURS) || DEFAULT_SESSION_TTL_HOURS;
+  const expiresAt = Date.now() + ttlHours * 3600 * 1000;
+  await env.DB.prepare(`
+    INSERT INTO sessions (token_hash, user_id, expires_at, user_agent) VALUES (?, ?, ?, ?)
+  `).bind(await sha256Hex(token), userId, expiresAt, userAgent).run();
+  return { token, expires_at: new Date(expiresAt).toISOString() };
+}
+
+export async function revokeSession(env, token) {
+  await env.DB.prepare('DELETE FROM sessions WHERE token_hash = ?').bind(await sha256Hex(token)).run();
+}
+
+// { id, username, role } for a live session of an enabled user, else null
+export async function sessionUser(env, token) {
+  return await env.DB.prepare(`
+    SELECT u.id, u.username, u.role
+    FROM sessions s JOIN users u ON u.id = s.user_id
+    WHERE s.token_hash = ? AND s.expires_at > ? AND u.disabled = 0
+  `).bind(await sha256Hex(token), Date.now()).first() || null;
+}
+
+// New API token for a user; like session tokens, only returned here
+export async function createApiToken(env, userId, { name, role }) {
+  const token = API_TOKEN_PREFIX + toBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+  const row = await env.DB.prepare(`
+    INSERT INTO api_tokens (user_id, name, token_hash, role) VALUES (?, ?, ?, ?)
+    RETURNING id, name, role, created_at
+  `).bind(userId, name, await sha256Hex(token), role).first();
+  return { ...row, token };
+}
+
+// The token's owner with the lower of the token's and the owner's role
+async function apiTokenUser(env, token) {
+  const row = await env.DB.prepare(`
+    SELECT t.id as token_id, t.role as token_role, u.id, u.username, u.role
+    FROM api_tokens t JOIN users u ON u.id = t.user_id
+    WHERE t.token_hash = ? AND u.disabled = 0
+  `).bind(await sha256Hex(token)).first();
+  if (!row) return null;
+  const role = ROLE_RANK[row.token_role] < ROLE_RANK[row.role] ? row.token_role : row.role;
+  return { id: row.id, username: row.username, role, owner_role: row.role, token_id: row.token_id };
+}
+
+// chat_ids granted to a user (column 'user_id') or an API token ('api_token_id')
+async function grantedChatIds(env, column, id) {
+  const result = await env.DB.prepare(`SELECT chat_id FROM channel_grants WHERE ${column} = ?`).bind(id).all();
+  return (result.results || []).map(row => String(row.chat_id));
+}
+
+// Channels a user may see: null for every channel (admins, worker-to-worker calls and '*'
+// grants), otherwise a Set of chat_id strings. An API token with grants of its own only keeps
+// those of its owner's channels.
+export async function allowedChannels(env, user) {
+  if (!user) return new Set();
+  if (user.service) return null;
+
+  const ownerGrants = (user.owner_role || user.role) === 'admin' ? ['*'] : await grantedChatIds(env, 'user_id', user.id);
+  let channels = ownerGrants.includes('*') ? null : new Set(ownerGrants);
+  if (user.token_id) {
+    const tokenGrants = await grantedChatIds(env, 'api_token_id', user.token_id);
+    if (tokenGrants.length > 0 && !tokenGrants.includes('*')) {
+      channels = new Set(tokenGrants.filter(chatId => channels === null || channels.has(chatId)));
+    }
+  }
+  return channels;
+}
+
+// allowedChannels of the request's user, looked up once per request
+export async function requestChannels(c) {
+  if (c.get('allowedChannels') === undefined) {
+    c.set('allowedChannels', await allowedChannels(c.env, c.get('user')));
+  }
+  return c.get('allowedChannels');
+}
+
+// null when the request's user may use the channel, otherwise the 403 response to return.
+// Without a chatId (operations over every channel) only unrestricted users pass.
+export async function channelForbidden(c, chatId) {
+  const channels = await requestChannels(c);
+  if (channels === null || (chatId && channels.has(String(chatId)))) {
+    return null;
+  }
+  const user = c.get('user');
+  console.warn(`[Access] ${user?.username} denied ${c.req.method} ${c.req.path} for channel ${chatId || '(all)'}`);
+  return c.json({
+    success: false,
+    error: chatId ? `No access to channel ${chatId}` : 'channelId is required for users limited to some channels'
+  }, 403);
+}
+
+// Channels whose messages, media rows or exports reference an R2 key. Blobs are shared by
+// identical files, so one key can belong to several channels.
+export async function keyChannels(env, key) {
+  const result = await env.DB.prepare(`
+    SELECT chat_id FROM messages WHERE media_key = ?
+    UNION SELECT m.chat_id FROM media md JOIN messages m ON m.id = md.message_id WHERE md.r2_key = ?
+    UNION SELECT chat_id FROM exports WHERE r2_key = ?
+  `).bind(key, key, key).all();
+  return (result.results || []).map(row => String(row.chat_id));
+}
+
+// Like channelForbidden for an R2 key; answers 404 so other channels' keys aren't confirmed
+export async function mediaForbidden(c, key) {
+  const channels = await requestChannels(c);
+  if (channels === null) {
+    return null;
+  }
+  const owners = await keyChannels(c.env, key);
+  if (owners.some(chatId => channels.has(chatId))) {
+    return null;
+  }
+  console.warn(`[Access] ${c.get('user')?.username} denied media ${key}`);
+  return c.json({ success: false, error: 'Media not found' }, 404);
+}
+
+const matchesPath = (path, pattern) => (pattern.endsWith('/*')
+  ? path === pattern.slice(0, -2) || path.startsWith(pattern.slice(0, -1))
+  : path === pattern);
+
+// Minimum role for a request. rules are worker-specific exceptions, [method or '*', path
+// pattern ('/x' exact, '/x/*' prefix), role], first match wins. Otherwise /admin, /debug and
+// /users need admin, reads need viewer and everything else needs operator.
+export function requiredRole(method, path, rules = []) {
+  for (const [ruleMethod, pattern, role] of rules) {
+    if ((ruleMethod === '*' || ruleMethod === method) && matchesPath(path, pattern)) return role;
+  }
+  if (['/admin/*', '/debug/*', '/users/*'].some(pattern => matchesPath(path, pattern))) return 'admin';
+  return method === 'GET' || method === 'HEAD' ? 'viewer' : 'operator';
+}
+
+// EventSource can't send headers, so event streams may pass the token as ?token=. Media links
+// use signed URLs instead (mediaUrls.js), which keeps session tokens out of img src and history.
+function bearerToken(c) {
+  const match = (c.req.header('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  if (match) return match[1];
+  const isEventStream = (c.req.header('Accept') || '').includes('text/event-stream');
+  if (c.req.method === 'GET' && isEventStream) {
+    return c.req.query('token') || null;
+  }
+  return null;
+}
+
+// publicPaths: path patterns (optionally prefixed with a method, e.g. 'POST /session') that
+// need no credentials. signedPaths: GET path patterns whose requests may carry a ?sig= instead,
+// which the route verifies (mediaUrls.js). Internal credentials (X-Service-Token, or the retired
+// X-Internal-Key) are refused outright when a browser sends them. Sets c.get('user').
+export function accessControl({ publicPaths = [], signedPaths = [], rules = [] } = {}) {
+  return async (c, next) => {
+    const { method, path } = c.req;
+    if (method === 'OPTIONS') {
+      return next();
+    }
+    const isPublic = publicPaths.some(entry => {
+      const [entryMethod, pattern] = entry.includes(' ') ? entry.split(' ') : [null, entry];
+      return (!entryMethod || entryMethod === method) && matchesPath(path, pattern);
+    });
+    if (isPublic) {
+      return next();
+    }
+    if (method === 'GET' && c.req.query('sig') && signedPaths.some(pattern => matchesPath(path, pattern))) {
+      return next();
+    }
+
+    const serviceToken = (c.req.header('X-Service-Token') || '').trim();
+    const legacyKey = c.req.header('X-Internal-Key');
+    if ((serviceToken || legacyKey) && fromBrowser(c)) {
+      console.error(`[Access] Rejected internal credentials from a browser for ${method} ${path} (Origin: ${c.req.header('Origin') || '-'})`);
+      return c.json({ success: false, error: 'Internal credentials are not accepted from browsers' }, 403);
+    }
+
+    let user = null;
+    const token = bearerToken(c);
+    if (token) {
+      user = token.startsWith(API_TOKEN_PREFIX) ? await apiTokenUser(c.env, token) : await sessionUser(c.env, token);
+      if (!user) {
+        return c.json({ success: false, error: 'Session expired or invalid' }, 401);
+      }
+    } else if (serviceToken) {
+      if (!await verifyServiceToken(c, serviceToken)) {
+        console.error(`[Access] Invalid or expired service token for ${method} ${path}`);
+        return c.json({ success: false, error: 'Invalid or expired service token' }, 401);
+      }
+      user = SERVICE_USER;
+    } else if (legacyKey) {
+      console.error(`[Access] Retired X-Internal-Key sent for ${method} ${path}`);
+      return c.json({ success: false, error: 'X-Internal-Key is no longer accepted; use a service token' }, 401);
+    } else {
+      return c.json({ success: false, error: 'Authentication required' }, 401);
+    }
+
+    const role = requiredRole(method, path, rules);
+    if (!hasRole(user, role)) {
+      console.warn(`[Access] ${user.username} (${user.role}) denied ${method} ${path}, needs ${role}`);
+      return c.json({ success: false, error: `Forbidden - requires the ${role} role` }, 403);
+    }
+
+    c.set('user', user);
+    await next();
+  };
+}
@@ -0,0 +1,111 @@
+// Content-addressed media storage. Files are stored once at blobs/<sha256 hex>; each message
+// that uses one gets a `media` row carrying the hash, and blobs.refcount counts those rows, so
+// reposts, forwards and retried downloads of the same file share a single R2 object.
+// (Shared by the Scanner and the Processor, api/shared/.)
+
+export const blobKey = (hash) => `blobs/${hash}`;
+
+export const isBlobKey = (key) => typeof key === 'string' && key.startsWith('blobs/');
+
+// Streamed uploads are written here first, because the hash is only known at the end
+export const partialBlobKey = () => `blobs/partial/${crypto.randomUUID()}`;
+
+export async function sha256Hex(data) {
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Registers the blob once it is in R2 (refcount 0 until a media row references it)
+async function registerBlob(env, hash, size, mimeType) {
+  await env.DB.prepare(`
+    INSERT INTO blobs (hash, r2_key, size, mime_type, refcount)
+    VALUES (?, ?, ?, ?, 0)
+    ON CONFLICT(hash) DO NOTHING
+  `).bind(hash, blobKey(hash), size, mimeType || null).run();
+}
+
+// Known blob whose object is still in R2 (a row alone isn't trusted: the GC may be deleting it)
+async function existingBlob(env, hash) {
+  const row = await env.DB.prepare('SELECT hash FROM blobs WHERE hash = ?').bind(hash).first();
+  return Boolean(row) && Boolean(await env.BUCKET.head(blobKey(hash)));
+}
+
+// Stores in-memory bytes under their hash. Returns { key, hash, size, deduplicated }.
+export async function putBlob(env, bytes, httpMetadata = {}) {
+  const hash = await sha256Hex(bytes);
+  const key = blobKey(hash);
+  const size = bytes.byteLength;
+
+  if (await existingBlob(env, hash)) {
+    console.log(`[Blobs] ${key} already stored, skipping upload of ${size} bytes`);
+    return { key, hash, size, deduplicated: true };
+  }
+
+  const r2Object = await env.BUCKET.put(key, bytes, { httpMetadata, sha256: hash });
+  if (!r2Object || !r2Object.key) {
+    throw new Error(`[R2 Failed] Write operation returned null for ${key}`);
+  }
+  await registerBlob(env, hash, size, httpMetadata.contentType);
+  return { key, hash, size, deduplicated: false };
+}
+
+// Moves a finished partial upload to blobs/<hash>, or drops it when that blob already exists.
+// R2 has no rename, so the object is copied (R2 to R2, the Telegram download isn't repeated).
+export async function promotePartialBlob(env, partialKey, hash, size, httpMetadata = {}) {
+  const key = blobKey(hash);
+  try {
+    if (await existingBlob(env, hash)) {
+      console.log(`[Blobs] ${key} already stored, dropping ${partialKey}`);
+      return { key, hash, size, deduplicated: true };
+    }
+
+    const partial = await env.BUCKET.get(partialKey);
+    if (!partial) {
+      throw new Error(`[R2 Failed] Partial upload ${partialKey} disappeared`);
+    }
+    const r2Object = await env.BUCKET.put(key, partial.body, { httpMetadata, sha256: hash });
+    if (!r2Object || !r2Object.key) {
+      throw new Error(`[R2 Failed] Write operation returned null for ${key}`);
+    }
+    await registerBlob(env, hash, size, httpMetadata.contentType);
+    return { key, hash, size, deduplicated: false };
+  } finally {
+    await env.BUCKET.delete(partialKey).catch(error =>
+      console.warn(`[Blobs] Could not delete ${partialKey}: ${error.message}`)
+    );
+  }
+}
+
+// Records that a message uses a blob (one media row per message and hash) and recounts the
+// blob's references from `media`, so a retried call never counts twice. The last argument holds the
+// catalog fields: fileType, mimeType, fileName, width, height, duration (seconds).
+export async function referenceBlob(env, messageId, blob, { fileType, mimeType, fileName, width, height, duration }) {
+  await env.DB.batch([
+    env.DB.prepare(`
+      INSERT INTO media (message_id, r2_key, file_type, file_size, mime_type, file_name, width, height, duration, sha256)
+      SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
+      WHERE NOT EXISTS (SELECT 1 FROM media WHERE message_id = ? AND sha256 = ?)
+    `).bind(
+      messageId, blob.key, fileType, blob.size, mimeType || null, fileName || null,
+      width ?? null, height ?? null, duration ?? null, blob.hash,
+      messageId, blob.hash
+    ),
+    env.DB.prepare(`
+      UPDATE blobs SET refcount = (SELECT COUNT(*) FROM media WHERE media.sha256 = blobs.hash)
+      WHERE hash = ?
+    `).bind(blob.hash)
+  ]);
+}
+
+// Recounts blobs.refcount from `media` for the given hashes; call it after deleting media rows
+export async function recountBlobs(env, hashes) {
+  const unique = [...new Set(hashes.filter(Boolean))];
+  // D1 allows 100 bound parameters per statement
+  for (let i = 0; i < unique.length; i += 100) {
+    const chunk = unique.slice(i, i + 100);
+    await env.DB.prepare(`
+      UPDATE blobs SET refcount = (SELECT COUNT(*) FROM media WHERE media.sha256 = blobs.hash)
+      WHERE hash IN (${chunk.map(() => '?').join(', ')})
+    `).bind(...chunk).run();
+  }
+}
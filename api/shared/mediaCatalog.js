@@ -0,0 +1,45 @@
+// Per-message media catalog: the `media` rows (archived file, thumbnail, re-downloads) of a
+// page of messages, shaped for API responses.
+// (Shared by the Scanner and the Viewer, api/shared/.)
+
+// D1 allows 100 bound parameters per statement
+const ID_CHUNK = 100;
+
+// messages.id[] -> Map of message id -> media rows in insertion order
+export async function loadMediaCatalog(db, messageIds) {
+  const catalog = new Map();
+  const ids = [...new Set(messageIds)];
+  for (let i = 0; i < ids.length; i += ID_CHUNK) {
+    const chunk = ids.slice(i, i + ID_CHUNK);
+    const result = await db.prepare(`
+      SELECT id, message_id, r2_key, file_type, file_size, mime_type, file_name, width, height, duration, sha256
+      FROM media
+      WHERE message_id IN (${chunk.map(() => '?').join(', ')})
+      ORDER BY message_id, id
+    `).bind(...chunk).all();
+    for (const row of result.results || []) {
+      if (!catalog.has(row.message_id)) catalog.set(row.message_id, []);
+      catalog.get(row.message_id).push(row);
+    }
+  }
+  return catalog;
+}
+
+// Every R2 key in a catalog, for signing their URLs (mediaUrls.js)
+export function catalogKeys(catalog) {
+  return [...catalog.values()].flat().map(row => row.r2_key);
+}
+
+// The media[] array of a message: the archived file (messages.media_key) first, then other files,
+// then thumbnails. urls is the Map from mediaUrls(); entries without one get null URLs.
+export function mediaEntries(catalog, message, urls) {
+  const rank = (row) => (row.r2_key === message.media_key ? 0 : row.file_type === 'thumbnail' ? 2 : 1);
+  return (catalog.get(message.id) || [])
+    .slice()
+    .sort((a, b) => rank(a) - rank(b))
+    .map(({ message_id, ...row }) => ({
+      ...row,
+      url: urls?.get(row.r2_key)?.url || null,
+      public_url: urls?.get(row.r2_key)?.public_url || null
+    }));
+}
@@ -0,0 +1,83 @@
+// Signed, expiring /media/* URLs. /messages, exports and on-demand downloads hand out URLs carrying
+// ?exp=&sig= (HMAC-SHA256 with the MEDIA_SIGNING_KEY secret, which all three workers share) and
+// &ch= when they are scoped to a channel; /media/* serves those without a session token. The
+// signature doesn't cover the host, so a URL signed by one worker works on the others.
+// (Imported by all three workers from api/shared/.)
+import { keyChannels } from './accessControl.js';
+
+const DEFAULT_MEDIA_URL_TTL_SECONDS = 6 * 3600;
+
+// Expiry is rounded up to the hour, so fetching a page again gives the same URLs and the browser
+// cache keeps working
+const EXPIRY_STEP_SECONDS = 3600;
+
+const toBase64Url = (bytes) => btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = (text) => Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), char => char.charCodeAt(0));
+
+async function signingKey(env) {
+  if (!env.MEDIA_SIGNING_KEY) return null;
+  return await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(env.MEDIA_SIGNING_KEY), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']
+  );
+}
+
+const signedPayload = (key, exp, chatId) => new TextEncoder().encode(`${key}\n${exp}\n${chatId || ''}`);
+
+// The public bucket host (R2_PUBLIC_URL), or null when it is unset or DISABLE_PUBLIC_R2_URL is on
+export function publicR2Url(env, configured = env.R2_PUBLIC_URL) {
+  if (env.DISABLE_PUBLIC_R2_URL === 'true' || !configured) return null;
+  return configured.replace(/\/+$/, '');
+}
+
+// R2 key -> { url, public_url } for the keys of a response. url points at this worker's /media/*
+// (or origin's; '' gives a bare /media/... path) and is signed for chatId; without
+// MEDIA_SIGNING_KEY it is unsigned and needs a session token. public_url is the same object on
+// the public bucket (publicR2Url), or null.
+export async function mediaUrls(c, keys, { chatId = null, publicBase = null, origin = new URL(c.req.url).origin } = {}) {
+  const hmacKey = await signingKey(c.env);
+  if (!hmacKey) {
+    console.warn('[Media] MEDIA_SIGNING_KEY is not set - media URLs are unsigned');
+  }
+  const ttl = Number(c.env.MEDIA_URL_TTL_SECONDS) || DEFAULT_MEDIA_URL_TTL_SECONDS;
+  const exp = Math.ceil((Date.now() / 1000 + ttl) / EXPIRY_STEP_SECONDS) * EXPIRY_STEP_SECONDS;
+
+  const urls = new Map();
+  for (const key of new Set(keys.filter(Boolean))) {
+    let url = `${origin}/media/${key}`;
+    if (hmacKey) {
+      const sig = new Uint8Array(await crypto.subtle.sign('HMAC', hmacKey, signedPayload(key, exp, chatId)));
+      const params = new URLSearchParams({ exp: String(exp) });
+      if (chatId) params.set('ch', String(chatId));
+      params.set('sig', toBase64Url(sig));
+      url += `?${params}`;
+    }
+    urls.set(key, { url, public_url: publicBase ? `${publicBase}/${key}` : null });
+  }
+  return urls;
+}
+
+// null when the request's signature is valid for the key and not expired (and the key still
+// belongs to the channel it was scoped to), otherwise the 403 response to return
+export async function signatureForbidden(c, key) {
+  const hmacKey = await signingKey(c.env);
+  const exp = Number(c.req.query('exp'));
+  const chatId = c.req.query('ch') || null;
+
+  let valid = false;
+  if (hmacKey && Number.isInteger(exp) && exp > Date.now() / 1000) {
+    try {
+      valid = await crypto.subtle.verify('HMAC', hmacKey, fromBase64Url(c.req.query('sig') || ''), signedPayload(key, exp, chatId));
+    } catch {
+      valid = false;
+    }
+  }
+  if (valid && chatId) {
+    valid = (await keyChannels(c.env, key)).includes(String(chatId));
+  }
+  if (valid) {
+    return null;
+  }
+  console.warn(`[Media] Rejected signed URL for ${key}`);
+  return c.json({ success: false, error: 'Invalid or expired media URL' }, 403);
+}
@@ -0,0 +1,109 @@
+// FloodWait governor shared by every worker through the rate_limits table.
+// Before an MTProto call a worker checks the cooldown for its method class; when Telegram
+// answers with FLOOD_WAIT the penalty is recorded so no other request or worker hits it again.
+// (Shared by the Scanner and the Processor, api/shared/.)
+
+// Method classes: Telegram penalizes per method, so unrelated calls keep working
+export const METHOD_CLASSES = {
+  HISTORY: 'history',   // getEntity, getDialogs, messages.getHistory (Scanner)
+  MESSAGES: 'messages', // channels.getMessages for a single media row (Processor)
+  DOWNLOAD: 'download'  // upload.getFile (Processor)
+};
+
+// Every worker uses the same Telegram session, so one account unless configured otherwise
+const DEFAULT_ACCOUNT = 'default';
+
+const accountFor = (env) => env.RATE_LIMIT_ACCOUNT || DEFAULT_ACCOUNT;
+
+// Seconds to wait from a GramJS FloodWaitError / FloodPremiumWaitError or an error message
+// ("A wait of 30 seconds is required", "FLOOD_WAIT_30", "FloodWaitError: Need to wait 30s").
+// Returns null when the error is not a flood wait.
+export function parseFloodWait(error) {
+  if (!error) return null;
+
+  if (typeof error.seconds === 'number' && String(error.errorMessage || '').startsWith('FLOOD')) {
+    return error.seconds;
+  }
+
+  const message = String(error.message || error);
+  const match =
+    message.match(/FLOOD_(?:PREMIUM_)?WAIT_(\d+)/) ||
+    message.match(/wait of (\d+) seconds/i) ||
+    (message.includes('FloodWait') && message.match(/(\d+)\s*s/));
+
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// Seconds left before methodClass may be called again (0 when allowed)
+export async function getCooldown(env, methodClass) {
+  const row = await env.DB.prepare(
+    'SELECT next_allowed_at FROM rate_limits WHERE account = ? AND method_class = ?'
+  ).bind(accountFor(env), methodClass).first();
+
+  const remainingMs = (row?.next_allowed_at || 0) - Date.now();
+  return remainingMs > 0 ? Math.ceil(remainingMs / 1000) : 0;
+}
+
+// Record a FLOOD_WAIT. Never shortens a longer penalty another worker already recorded.
+export async function recordFloodWait(env, methodClass, seconds, { worker = null, error = null } = {}) {
+  const nextAllowedAt = Date.now() + seconds * 1000;
+
+  await env.DB.prepare(`
+    INSERT INTO rate_limits (account, method_class, next_allowed_at, last_wait_seconds, last_error, updated_by, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(account, method_class) DO UPDATE SET
+      next_allowed_at = MAX(rate_limits.next_allowed_at, excluded.next_allowed_at),
+      last_wait_seconds = excluded.last_wait_seconds,
+      last_error = excluded.last_error,
+      updated_by = excluded.updated_by,
+      updated_at = CURRENT_TIMESTAMP
+  `).bind(
+    accountFor(env),
+    methodClass,
+    nextAllowedAt,
+    seconds,
+    error ? String(error).substring(0, 255) : null,
+    worker
+  ).run();
+
+  console.warn(`[RateLimit] ${methodClass} cooling down for ${seconds}s (reported by ${worker || 'unknown'})`);
+}
+
+// If error is a flood wait, record it and return the seconds; otherwise null
+export async function noteFloodWait(env, methodClass, error, worker) {
+  const seconds = parseFloodWait(error);
+  if (seconds === null) return null;
+
+  try {
+    await recordFloodWait(env, methodClass, seconds, { worker, error: error.message || error });
+  } catch (dbError) {
+    console.error('[RateLimit] Failed to record FloodWait:', dbError);
+  }
+  return seconds;
+}
+
+// Cooldowns for /health: every method class of this account with the seconds still remaining
+export async function getRateLimitStatus(env) {
+  const result = await env.DB.prepare(`
+    SELECT method_class, next_allowed_at, last_wait_seconds, last_error, updated_by, updated_at
+    FROM rate_limits WHERE account = ?
+    ORDER BY method_class
+  `).bind(accountFor(env)).all();
+
+  const now = Date.now();
+  const limits = (result.results || []).map(row => ({
+    method_class: row.method_class,
+    cooldown_seconds: Math.max(0, Math.ceil((row.next_allowed_at - now) / 1000)),
+    next_allowed_at: new Date(row.next_allowed_at).toISOString(),
+    last_wait_seconds: row.last_wait_seconds,
+    last_error: row.last_error,
+    updated_by: row.updated_by,
+    updated_at: row.updated_at
+  }));
+
+  return {
+    account: accountFor(env),
+    cooldown_seconds: limits.reduce((max, limit) => Math.max(max, limit.cooldown_seconds), 0),
+    limits
+  };
+}
@@ -0,0 +1,94 @@
+// TelegramClient stand-in backed by the TelegramSessionObject Durable Object (src/telegramSession.js).
+// Implements the subset of the GramJS client the services use, so they keep their call sites;
+// entities and messages come back as plain objects with the same field names.
+// (Shared by the Scanner and the Processor, api/shared/.)
+
+// One object per Telegram session; every worker shares the same session
+const SESSION_OBJECT_NAME = 'default';
+
+// Returns a RemoteTelegramClient when the TELEGRAM_SESSION_DO binding exists, otherwise null
+export function getRemoteClient(env) {
+  return env.TELEGRAM_SESSION_DO ? new RemoteTelegramClient(env) : null;
+}
+
+export class RemoteTelegramClient {
+  constructor(env) {
+    const namespace = env.TELEGRAM_SESSION_DO;
+    this.stub = namespace.get(namespace.idFromName(SESSION_OBJECT_NAME));
+    // Plain entities/messages/media -> { peer, messageId } so the object can resolve them again
+    this.refs = new WeakMap();
+  }
+
+  // The Durable Object owns the connection; connect just makes sure it is up
+  async connect() {
+    return this.stub.connect();
+  }
+
+  async disconnect() {}
+
+  async getMe() {
+    return this.stub.getMe();
+  }
+
+  async getEntity(peer) {
+    const entity = await this.stub.getEntity(peer);
+    this.refs.set(entity, { peer: String(peer) });
+    return entity;
+  }
+
+  async getDialogs(params = {}) {
+    return this.stub.getDialogs(params);
+  }
+
+  // Entities from getEntity map back to the peer they were resolved from (its cache key)
+  peerOf(entity) {
+    if (typeof entity === 'object' && entity !== null) {
+      return this.refs.get(entity)?.peer || String(entity.id);
+    }
+    return String(entity);
+  }
+
+  async getMessages(entity, params = {}) {
+    const peer = this.peerOf(entity);
+    const messages = await this.stub.getMessages(peer, params);
+    for (const message of messages) {
+      // null entries: ids that don't exist (any more)
+      if (!message) continue;
+      const ref = { peer, messageId: message.id };
+      this.refs.set(message, ref);
+      if (message.media) {
+        this.refs.set(message.media, ref);
+      }
+    }
+    return messages;
+  }
+
+  // Fetched in one RPC call (limit-sized), then yielded like GramJS does
+  async *iterMessages(entity, params = {}) {
+    for (const message of await this.getMessages(entity, params)) {
+      if (message) yield message;
+    }
+  }
+
+  async downloadMedia(message, params = {}) {
+    const ref = this.refs.get(message);
+    if (!ref) {
+      throw new Error('[Download Failed] Message was not fetched through this client');
+    }
+    // Functions (progressCallback) can't cross RPC
+    const { thumb } = params;
+    const bytes = await this.stub.downloadMedia(ref.peer, ref.messageId, thumb !== undefined ? { thumb } : {});
+    return bytes ? Buffer.from(bytes) : null;
+  }
+
+  async *iterDownload({ file, requestSize }) {
+    const ref = this.refs.get(file);
+    if (!ref) {
+      throw new Error('[Download Failed] Media was not fetched through this client');
+    }
+    const stream = await this.stub.streamMedia(ref.peer, ref.messageId, { requestSize });
+    for await (const chunk of stream) {
+      yield Buffer.from(chunk);
+    }
+  }
+}
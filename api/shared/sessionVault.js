@@ -0,0 +1,59 @@
+// Telegram session strings at rest (kv_store.session_string, kv_store.partial_session_string,
+// app_config.TELEGRAM_SESSION) are sealed with envelope encryption: each seal gets a fresh
+// AES-256-GCM data key, which is stored wrapped (AES-KW) under SESSION_ENCRYPTION_KEY, a worker
+// secret. Sessions are only opened where a TelegramClient is built.
+// (Shared by the Scanner and the Processor, api/shared/.)
+
+const SEALED_PREFIX = 'sealed:v1:';
+
+// app_config keys whose values debug endpoints and logs must not show
+const SECRET_KEY_PATTERN = /SESSION|HASH|KEY|SECRET|TOKEN|PASSWORD/i;
+
+const toBase64Url = (bytes) => btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = (text) => Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), char => char.charCodeAt(0));
+
+export const isSealed = (value) => typeof value === 'string' && value.startsWith(SEALED_PREFIX);
+
+// SESSION_ENCRYPTION_KEY is 32 random bytes, base64 (e.g. `openssl rand -base64 32`)
+async function keyEncryptionKey(env) {
+  if (!env.SESSION_ENCRYPTION_KEY) {
+    throw new Error('SESSION_ENCRYPTION_KEY is not configured');
+  }
+  const raw = fromBase64Url(env.SESSION_ENCRYPTION_KEY.trim());
+  if (raw.length !== 32) {
+    throw new Error('SESSION_ENCRYPTION_KEY must be 32 bytes, base64 encoded');
+  }
+  return await crypto.subtle.importKey('raw', raw, 'AES-KW', false, ['wrapKey', 'unwrapKey']);
+}
+
+// sealed:v1:<wrapped data key>.<iv>.<ciphertext>, each base64url
+export async function sealSession(env, session) {
+  if (!session) return '';
+  const wrappingKey = await keyEncryptionKey(env);
+  const dataKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt']);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, dataKey, new TextEncoder().encode(session));
+  const wrappedKey = await crypto.subtle.wrapKey('raw', dataKey, wrappingKey, 'AES-KW');
+  return SEALED_PREFIX + [wrappedKey, iv, ciphertext].map(part => toBase64Url(new Uint8Array(part))).join('.');
+}
+
+// Plaintext of a sealed session. Sessions stored before sealing are returned as they are until
+// the Scanner's next config sync seals them (TelegramAuthService.getSealedSession).
+export async function openSession(env, stored) {
+  if (!stored) return '';
+  if (!isSealed(stored)) {
+    console.warn('[SessionVault] Using an unsealed session; it is sealed on the next config sync');
+    return stored;
+  }
+  const [wrappedKey, iv, ciphertext] = stored.slice(SEALED_PREFIX.length).split('.').map(fromBase64Url);
+  const wrappingKey = await keyEncryptionKey(env);
+  const dataKey = await crypto.subtle.unwrapKey('raw', wrappedKey, wrappingKey, 'AES-KW', { name: 'AES-GCM' }, false, ['decrypt']);
+  const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, dataKey, ciphertext);
+  return new TextDecoder().decode(plaintext);
+}
+
+// The value of an app_config entry as debug output may show it
+export const redactValue = (key, value) => (SECRET_KEY_PATTERN.test(key) && value ? '[redacted]' : value);
+
+export const redactConfig = (rows) => rows.map(row => ({ ...row, value: redactValue(row.key, row.value) }));
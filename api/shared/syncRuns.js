@@ -0,0 +1,35 @@
+// sync_runs bookkeeping: Phase A runs (Scanner cron and full rotations) and Phase B drains
+// (Processor cron) go into the same table, which the Viewer lists at GET /sync-runs.
+// (Shared by the Scanner and the Processor, api/shared/.)
+
+// Record the start of a sync run and return its id
+export async function startSyncRun(env, { worker, trigger, cron = null }) {
+  const result = await env.DB.prepare(`
+    INSERT INTO sync_runs (worker, trigger, cron, status, started_at)
+    VALUES (?, ?, ?, 'running', CURRENT_TIMESTAMP)
+  `).bind(worker, trigger, cron).run();
+
+  return result.meta.last_row_id;
+}
+
+export async function finishSyncRun(env, runId, { status, channelsCount = 0, syncedCount = 0, mediaCount = 0, error = null, details = [] }) {
+  await env.DB.prepare(`
+    UPDATE sync_runs SET
+      status = ?,
+      channels_count = ?,
+      synced_count = ?,
+      media_count = ?,
+      error_message = ?,
+      details = ?,
+      finished_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).bind(
+    status,
+    channelsCount,
+    syncedCount,
+    mediaCount,
+    error ? String(error).substring(0, 255) : null,
+    JSON.stringify(details),
+    runId
+  ).run();
+}
@@ -1,5 +1,7 @@
 import { TelegramClient } from 'telegram';
 import { StringSession } from 'telegram/sessions';
+import { publicR2Url } from '../shared/mediaUrls.js';
+import { sealSession, openSession, isSealed, redactValue } from '../shared/sessionVault.js';
 
 export class TelegramAuthService {
   constructor(env) {
@@ -18,24 +20,16 @@ export class TelegramAuthService {
     try {
       console.log('[Config Sync] Syncing environment variables to D1...');
       
-      // Get the actual session from kv_store (not environment variable)
-      let sessionString = '';
-      try {
-        const sessionResult = await this.env.DB.prepare(
-          'SELECT value FROM kv_store WHERE key = ?'
-        ).bind('session_string').first();
-        sessionString = sessionResult?.value || '';
-        console.log('[Config Sync] Found session in kv_store:', !!sessionString);
-      } catch (error) {
-        console.log('[Config Sync] Could not read session from kv_store:', error.message);
-      }
+      // Get the actual session from kv_store (not environment variable), sealed
+      const sessionString = await this.getSealedSession();
+      console.log('[Config Sync] Found session in kv_store:', !!sessionString);
       
       const configs = [
         { key: 'TELEGRAM_SESSION', value: sessionString },
         { key: 'TELEGRAM_API_ID', value: this.env.TELEGRAM_API_ID?.toString() || '' },
         { key: 'TELEGRAM_API_HASH', value: this.env.TELEGRAM_API_HASH || '' },
-        { key: 'R2_PUBLIC_URL', value: this.env.R2_PUBLIC_URL || '' },
-        { key: 'ACCESS_KEY', value: this.env.ACCESS_KEY || '' }
+        // Cleared when DISABLE_PUBLIC_R2_URL is on, so the other workers stop using it too
+        { key: 'R2_PUBLIC_URL', value: publicR2Url(this.env) || '' }
       ];
 
       for (const config of configs) {
@@ -47,7 +41,7 @@ export class TelegramAuthService {
             updated_at = CURRENT_TIMESTAMP
         `).bind(config.key, config.value).run();
         
-        console.log(`[Config Sync] Synced ${config.key}:`, config.key === 'TELEGRAM_SESSION' ? !!config.value : config.value);
+        console.log(`[Config Sync] Synced ${config.key}:`, redactValue(config.key, config.value));
       }
 
       console.log('[Config Sync] Successfully synced configuration to D1');
@@ -60,7 +54,7 @@ export class TelegramAuthService {
 
   async getClient() {
     const sessionString = await this.getSession();
-    const session = new StringSession(sessionString || '');
+    const session = new StringSession(await openSession(this.env, sessionString));
     
     return new TelegramClient(session, this.apiId, this.apiHash, {
       connectionRetries: 5,
@@ -84,8 +78,8 @@ export class TelegramAuthService {
         apiHash: this.apiHash,
       }, phoneNumber);
       
-      // Save the session string and phoneCodeHash to return to frontend
-      const sessionString = client.session.save();
+      // Save the session string (sealed) and phoneCodeHash to return to frontend
+      const sessionString = await sealSession(this.env, client.session.save());
       
       await client.disconnect();
       
@@ -106,8 +100,8 @@ export class TelegramAuthService {
 
   async verifyCode(phoneNumber, phoneCode, phoneCodeHash, sessionString) {
     try {
-      // Reconstruct the client using the session string from frontend
-      const session = new StringSession(sessionString);
+      // Reconstruct the client using the sealed session string from frontend
+      const session = new StringSession(await openSession(this.env, sessionString));
       const client = new TelegramClient(session, this.apiId, this.apiHash, {
         connectionRetries: 5,
         retryDelay: 2000,
@@ -128,7 +122,7 @@ export class TelegramAuthService {
       });
 
       if (result) {
-        const finalSessionString = client.session.save();
+        const finalSessionString = await sealSession(this.env, client.session.save());
         
         // Save final authenticated session to D1
         await this.env.DB.prepare(
@@ -151,7 +145,6 @@ export class TelegramAuthService {
 
         return {
           success: true,
-          sessionString: finalSessionString,
           message: 'Authentication successful'
         };
       }
@@ -161,7 +154,7 @@ export class TelegramAuthService {
       if (error.message.includes('PASSWORD_HASH')) {
         // Save the partial session for 2FA
         try {
-          const partialSessionString = client.session.save();
+          const partialSessionString = await sealSession(this.env, client.session.save());
           await this.env.DB.prepare(
             'INSERT OR REPLACE INTO kv_store (key, value) VALUES (?, ?)'
           ).bind('partial_session_string', partialSessionString).run();
@@ -190,7 +183,7 @@ export class TelegramAuthService {
         return { success: false, error: 'No partial session found' };
       }
 
-      const session = new StringSession(partialSessionString);
+      const session = new StringSession(await openSession(this.env, partialSessionString));
       const client = new TelegramClient(session, this.apiId, this.apiHash, {
         connectionRetries: 5,
         retryDelay: 2000,
@@ -205,7 +198,7 @@ export class TelegramAuthService {
         password,
       });
 
-      const finalSessionString = client.session.save();
+      const finalSessionString = await sealSession(this.env, client.session.save());
       
       // Update final session in D1
       await this.env.DB.prepare(
@@ -233,7 +226,6 @@ export class TelegramAuthService {
 
       return {
         success: true,
-        sessionString: finalSessionString,
         message: '2FA verification successful'
       };
     } catch (error) {
@@ -271,6 +263,20 @@ export class TelegramAuthService {
     }
   }
 
+  // kv_store session, sealed in place first if it was stored before sessions were sealed
+  async getSealedSession() {
+    const stored = await this.getSession();
+    if (!stored || isSealed(stored)) {
+      return stored || '';
+    }
+    const sealed = await sealSession(this.env, stored);
+    await this.env.DB.prepare(
+      'INSERT OR REPLACE INTO kv_store (key, value) VALUES (?, ?)'
+    ).bind('session_string', sealed).run();
+    console.log('[Config Sync] Sealed the plaintext session in kv_store');
+    return sealed;
+  }
+
   async isConnected() {
     try {
       const session = await this.getSession();
@@ -1,5 +1,18 @@
 import { TelegramClient } from 'telegram';
 import { StringSession } from 'telegram/sessions';
+import { getRemoteClient } from '../shared/remoteClient.js';
+import { openSession } from '../shared/sessionVault.js';
+import { METHOD_CLASSES, getCooldown, noteFloodWait } from '../shared/rateLimits.js';
+
+// Settings are stored as JSON text; tolerate empty or malformed values
+const parseSettings = (raw) => {
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return {};
+  }
+};
 
 export class ChannelsService {
   constructor(env) {
@@ -9,8 +22,12 @@ export class ChannelsService {
   }
 
   async getClient() {
+    // Shared long-lived connection when the Durable Object is bound
+    const remote = getRemoteClient(this.env);
+    if (remote) return remote;
+
     const sessionString = await this.getSession();
-    const session = new StringSession(sessionString || '');
+    const session = new StringSession(await openSession(this.env, sessionString));
     
     return new TelegramClient(session, this.apiId, this.apiHash, {
       connectionRetries: 5,
@@ -33,6 +50,11 @@ export class ChannelsService {
 
   async getChannels() {
     try {
+      const cooldown = await getCooldown(this.env, METHOD_CLASSES.HISTORY);
+      if (cooldown > 0) {
+        return { success: false, floodWait: cooldown, error: `Rate limited: Need to wait ${cooldown} seconds` };
+      }
+
       console.log('[Channels] Fetching channels with TURBO MODE (40 dialogs for stability)');
       const client = await this.getClient();
       await client.connect();
@@ -62,23 +84,37 @@ export class ChannelsService {
     } catch (error) {
       console.error('[Channels] Error getting channels:', error.message);
       console.error('[Channels] Stack:', error.stack);
+      const floodWait = await noteFloodWait(this.env, METHOD_CLASSES.HISTORY, error, 'scanner');
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        ...(floodWait !== null && { floodWait })
       };
     }
   }
 
-  async selectChannel(channelId) {
+  async selectChannel(channelId, info = {}) {
     try {
-      // Save target channel to D1
-      await this.env.DB.prepare(
-        'INSERT OR REPLACE INTO kv_store (key, value) VALUES (?, ?)'
-      ).bind('target_channel_id', channelId.toString()).run();
+      // Track channel in D1 (re-enables it if it was previously paused)
+      await this.env.DB.prepare(`
+        INSERT INTO tracked_channels (chat_id, title, username, type, enabled, updated_at)
+        VALUES (?, ?, ?, ?, 1, CURRENT_TIMESTAMP)
+        ON CONFLICT(chat_id) DO UPDATE SET
+          title = COALESCE(excluded.title, tracked_channels.title),
+          username = COALESCE(excluded.username, tracked_channels.username),
+          type = COALESCE(excluded.type, tracked_channels.type),
+          enabled = 1,
+          updated_at = CURRENT_TIMESTAMP
+      `).bind(
+        channelId.toString(),
+        info.title || null,
+        info.username || null,
+        info.type || null
+      ).run();
 
       return {
         success: true,
-        message: 'Channel selected successfully'
+        message: 'Channel tracked successfully'
       };
     } catch (error) {
       console.error('Error selecting channel:', error);
@@ -89,17 +125,152 @@ export class ChannelsService {
     }
   }
 
-  async getTargetChannel() {
+  async updateChannel(channelId, { enabled, settings } = {}) {
     try {
-      const result = await this.env.DB.prepare(
-        'SELECT value FROM kv_store WHERE key = ?'
-      ).bind('target_channel_id').first();
-      
-      // CRITICAL: Return as string to match DB column type and avoid BigInt issues
-      return result ? String(result.value) : null;
+      const existing = await this.env.DB.prepare(
+        'SELECT settings FROM tracked_channels WHERE chat_id = ?'
+      ).bind(String(channelId)).first();
+
+      if (!existing) {
+        return { success: false, error: 'Channel is not tracked' };
+      }
+
+      // Merge settings so callers can update a single key
+      let mergedSettings = null;
+      if (settings && typeof settings === 'object') {
+        mergedSettings = JSON.stringify({ ...parseSettings(existing.settings), ...settings });
+      }
+
+      await this.env.DB.prepare(`
+        UPDATE tracked_channels SET
+          enabled = COALESCE(?, enabled),
+          settings = COALESCE(?, settings),
+          updated_at = CURRENT_TIMESTAMP
+        WHERE chat_id = ?
+      `).bind(
+        typeof enabled === 'boolean' ? (enabled ? 1 : 0) : null,
+        mergedSettings,
+        String(channelId)
+      ).run();
+
+      return { success: true };
     } catch (error) {
-      console.error('Error getting target channel:', error);
-      return null;
+      console.error('Error updating channel:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async untrackChannel(channelId) {
+    try {
+      // Archived messages are kept; the channel is only removed from sync rotation
+      await this.env.DB.prepare(
+        'DELETE FROM tracked_channels WHERE chat_id = ?'
+      ).bind(String(channelId)).run();
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error untracking channel:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Media policy evaluated by the Processor; channels without a row get the defaults below
+  async getMediaPolicy(channelId) {
+    try {
+      const row = await this.env.DB.prepare(
+        'SELECT * FROM media_policies WHERE chat_id = ?'
+      ).bind(String(channelId)).first();
+
+      return {
+        success: true,
+        policy: {
+          chat_id: String(channelId),
+          allowed_mime_types: row ? parseSettings(row.allowed_mime_types) : ['*/*'],
+          max_bytes: row?.max_bytes ?? null,
+          thumbnails_only: !!row?.thumbnails_only,
+          date_from: row?.date_from || null,
+          date_to: row?.date_to || null,
+          updated_at: row?.updated_at || null
+        }
+      };
+    } catch (error) {
+      console.error('Error getting media policy:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async updateMediaPolicy(channelId, policy = {}) {
+    const globs = policy.allowed_mime_types;
+    if (!Array.isArray(globs) || globs.length === 0 ||
+        !globs.every(glob => typeof glob === 'string' && /^[\w.+\-*]+\/[\w.+\-*]+$|^\*$/.test(glob.trim()))) {
+      return { success: false, error: 'allowed_mime_types must be a non-empty array of mime globs like "image/*"' };
+    }
+
+    const maxBytes = policy.max_bytes === null || policy.max_bytes === undefined || policy.max_bytes === ''
+      ? null
+      : Number(policy.max_bytes);
+    if (maxBytes !== null && (!Number.isInteger(maxBytes) || maxBytes <= 0)) {
+      return { success: false, error: 'max_bytes must be a positive integer or null' };
+    }
+
+    const dateFrom = policy.date_from || null;
+    const dateTo = policy.date_to || null;
+    if ([dateFrom, dateTo].some(date => date && Number.isNaN(new Date(date).getTime()))) {
+      return { success: false, error: 'date_from and date_to must be ISO dates' };
+    }
+
+    try {
+      const channel = await this.env.DB.prepare(
+        'SELECT chat_id FROM tracked_channels WHERE chat_id = ?'
+      ).bind(String(channelId)).first();
+
+      if (!channel) {
+        return { success: false, error: 'Channel is not tracked' };
+      }
+
+      await this.env.DB.prepare(`
+        INSERT INTO media_policies (chat_id, allowed_mime_types, max_bytes, thumbnails_only, date_from, date_to)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(chat_id) DO UPDATE SET
+          allowed_mime_types = excluded.allowed_mime_types,
+          max_bytes = excluded.max_bytes,
+          thumbnails_only = excluded.thumbnails_only,
+          date_from = excluded.date_from,
+          date_to = excluded.date_to,
+          updated_at = CURRENT_TIMESTAMP
+      `).bind(
+        String(channelId),
+        JSON.stringify(globs.map(glob => glob.trim())),
+        maxBytes,
+        policy.thumbnails_only ? 1 : 0,
+        dateFrom,
+        dateTo
+      ).run();
+
+      return await this.getMediaPolicy(channelId);
+    } catch (error) {
+      console.error('Error updating media policy:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getTrackedChannels({ enabledOnly = false } = {}) {
+    try {
+      const query = enabledOnly
+        ? 'SELECT * FROM tracked_channels WHERE enabled = 1 ORDER BY created_at ASC'
+        : 'SELECT * FROM tracked_channels ORDER BY created_at ASC';
+      const result = await this.env.DB.prepare(query).all();
+
+      // CRITICAL: Keep chat_id as string to match DB column type and avoid BigInt issues
+      return (result.results || []).map(row => ({
+        ...row,
+        chat_id: String(row.chat_id),
+        enabled: !!row.enabled,
+        settings: parseSettings(row.settings)
+      }));
+    } catch (error) {
+      console.error('Error getting tracked channels:', error);
+      return [];
     }
   }
 
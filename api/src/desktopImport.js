@@ -0,0 +1,301 @@
+// Importer for Telegram Desktop "Export chat history" archives (JSON format: result.json plus
+// the photos/, files/, video_files/... folders next to it). Messages deleted upstream since the
+// export only exist there, so they are merged into `messages` and their files uploaded to R2.
+// No worker-only imports here: scripts/import-desktop-export.mjs reuses the helpers to batch uploads.
+import { putBlob, referenceBlob } from '../shared/blobs.js';
+
+// Desktop writes this instead of a path when the media type was excluded from the export
+const NOT_INCLUDED = /^\(File not included/;
+
+// Album parts can only be photos, videos, audio files or documents
+const ALBUM_MEDIA_TYPES = new Set([undefined, 'video_file', 'audio_file']);
+
+const MIME_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  mp4: 'video/mp4',
+  mov: 'video/quicktime',
+  webm: 'video/webm',
+  mp3: 'audio/mpeg',
+  ogg: 'audio/ogg',
+  m4a: 'audio/mp4',
+  pdf: 'application/pdf',
+  zip: 'application/zip',
+  tgs: 'application/x-tgsticker'
+};
+
+// D1 batches are kept well below the statement limit
+const STATEMENT_BATCH = 50;
+
+// Chat ids are stored the way GramJS reports dialog ids: -100 prefix for channels/supergroups
+export function exportedChatId(result) {
+  const id = String(result.id);
+  if (/_(channel|supergroup)$/.test(result.type || '')) return `-100${id}`;
+  if (result.type === 'private_group') return `-${id}`;
+  return id;
+}
+
+// `text` is a string or an array of strings and entity objects ({ type, text })
+export function flattenText(text) {
+  if (typeof text === 'string') return text;
+  if (Array.isArray(text)) {
+    return text.map(part => (typeof part === 'string' ? part : part?.text || '')).join('');
+  }
+  return '';
+}
+
+// text_entities ({ type, text, href?, ... }) -> entities with offsets, as messageMeta.js stores them.
+// Desktop already uses the same type names.
+export function desktopEntities(textEntities) {
+  if (!Array.isArray(textEntities)) return null;
+  const entities = [];
+  let offset = 0;
+  for (const part of textEntities) {
+    const length = (part.text || '').length;
+    if (part.type !== 'plain' && length > 0) {
+      const entity = { type: part.type, offset, length };
+      if (part.href) entity.url = part.href;
+      if (part.language) entity.language = part.language;
+      if (part.user_id !== undefined) entity.user_id = String(part.user_id);
+      if (part.document_id !== undefined) entity.document_id = String(part.document_id);
+      entities.push(entity);
+    }
+    offset += length;
+  }
+  return entities.length > 0 ? entities : null;
+}
+
+function desktopReactions(reactions) {
+  if (!Array.isArray(reactions) || reactions.length === 0) return null;
+  return reactions.map(reaction => {
+    if (reaction.type === 'emoji') return { emoji: reaction.emoji, count: reaction.count };
+    if (reaction.type === 'custom_emoji') return { custom_emoji_id: String(reaction.document_id), count: reaction.count };
+    return { paid: true, count: reaction.count };
+  });
+}
+
+const json = (value) => (value ? JSON.stringify(value) : null);
+
+export const hasMedia = (entry) => Boolean(entry.photo || entry.file);
+
+// Relative path of the entry's exported file; null when it has none or it wasn't exported
+export function mediaPathOf(entry) {
+  const path = entry.photo || entry.file;
+  return typeof path === 'string' && !NOT_INCLUDED.test(path) ? path : null;
+}
+
+// Exports made before date_unixtime existed only carry the exporting machine's local time,
+// which is read as UTC
+export function entryTimestamp(entry) {
+  if (entry.date_unixtime) return Number(entry.date_unixtime);
+  return Math.floor(new Date(`${entry.date}Z`).getTime() / 1000);
+}
+
+// The export has no grouped_id. Album parts are sent together, so consecutive media messages
+// with consecutive ids, the same sender and the same second are treated as one album.
+export function sameAlbum(previous, entry) {
+  return Boolean(previous)
+    && previous.type === 'message' && entry.type === 'message'
+    && hasMedia(previous) && hasMedia(entry)
+    && ALBUM_MEDIA_TYPES.has(previous.media_type) && ALBUM_MEDIA_TYPES.has(entry.media_type)
+    && entry.id === previous.id + 1
+    && entry.from_id === previous.from_id
+    && entryTimestamp(entry) === entryTimestamp(previous);
+}
+
+// Desktop media_type -> media.file_type as the Processor records it
+const FILE_TYPES = {
+  video_file: 'video',
+  animation: 'video',
+  video_message: 'video',
+  audio_file: 'audio',
+  voice_message: 'audio'
+};
+
+function describeFile(entry, path) {
+  const fileName = entry.photo ? null : (entry.file_name || path.split('/').pop());
+  const extension = (path.split('.').pop() || 'bin').toLowerCase();
+  const mimeType = entry.photo ? 'image/jpeg' : (entry.mime_type || MIME_TYPES[extension] || 'application/octet-stream');
+  const fileType = entry.photo ? 'photo' : (FILE_TYPES[entry.media_type] || (mimeType.startsWith('image/') ? 'image' : 'document'));
+  return { fileName, extension, mimeType, fileType };
+}
+
+// entries -> messages rows, with synthetic grouped_ids for inferred albums
+function toRows(chatId, entries) {
+  const rows = [];
+  let previous = null;
+  let albumId = null;
+
+  for (const entry of entries) {
+    if (typeof entry?.id !== 'number') continue;
+
+    if (sameAlbum(previous, entry)) {
+      albumId = albumId || `desktop_${chatId}_${previous.id}`;
+      rows[rows.length - 1].grouped_id = albumId;
+    } else {
+      albumId = null;
+    }
+    previous = entry;
+
+    const isService = entry.type !== 'message';
+    const media = !isService && hasMedia(entry);
+    rows.push({
+      entry,
+      telegram_message_id: String(entry.id),
+      chat_id: chatId,
+      // Same placeholder the Scanner saves for service messages
+      text: isService ? '[Service Message]' : flattenText(entry.text_entities || entry.text),
+      date: new Date(entryTimestamp(entry) * 1000).toISOString(),
+      grouped_id: albumId,
+      edit_date: entry.edited_unixtime ? new Date(Number(entry.edited_unixtime) * 1000).toISOString() : null,
+      media_status: media ? 'pending' : 'none',
+      media_type: media ? (entry.photo ? 'MessageMediaPhoto' : 'MessageMediaDocument') : null,
+      entities: isService ? null : json(desktopEntities(entry.text_entities)),
+      fwd_from: entry.forwarded_from ? json({ from_id: entry.forwarded_from_id || null, from_name: entry.forwarded_from, title: entry.forwarded_from }) : null,
+      reply_to_message_id: entry.reply_to_message_id && !entry.reply_to_peer_id ? entry.reply_to_message_id : null,
+      post_author: entry.author || null,
+      reactions: json(desktopReactions(entry.reactions)),
+      mediaPath: media ? mediaPathOf(entry) : null
+    });
+  }
+  return rows;
+}
+
+async function runBatched(db, statements) {
+  const results = [];
+  for (let i = 0; i < statements.length; i += STATEMENT_BATCH) {
+    results.push(...await db.batch(statements.slice(i, i + STATEMENT_BATCH)));
+  }
+  return results;
+}
+
+export class DesktopImportService {
+  constructor(env) {
+    this.env = env;
+  }
+
+  // result: parsed result.json (all of it, or a slice of its messages).
+  // getFile(path): the uploaded File for a path referenced by an entry, or null.
+  // Existing (telegram_message_id, chat_id) rows are never overwritten; they only receive the
+  // exported file when their own media isn't archived yet.
+  async importExport(result, getFile, options = {}) {
+    if (!result || !Array.isArray(result.messages)) {
+      return { success: false, error: 'result.json must contain a messages array' };
+    }
+    if (!options.chatId && result.id === undefined) {
+      return { success: false, error: 'result.json has no chat id; pass channelId' };
+    }
+
+    const db = this.env.DB;
+    const chatId = String(options.chatId || exportedChatId(result));
+    const rows = toRows(chatId, result.messages);
+    console.log(`[Import] Importing ${rows.length} messages into chat ${chatId}`);
+
+    // Imported channels show up in the tracked list, paused until someone enables live sync
+    await db.prepare(`
+      INSERT OR IGNORE INTO tracked_channels (chat_id, title, type, enabled)
+      VALUES (?, ?, ?, 0)
+    `).bind(chatId, result.name || null, /_channel$/.test(result.type || '') ? 'channel' : 'group').run();
+
+    // 1. Insert new rows; ON CONFLICT DO NOTHING dedupes against what is already archived
+    const inserts = await runBatched(db, rows.map(row => db.prepare(`
+      INSERT INTO messages (telegram_message_id, chat_id, text, date, grouped_id, media_status, media_type, edit_date,
+                            entities, fwd_from, reply_to_message_id, post_author, reactions)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(telegram_message_id, chat_id) DO NOTHING
+      RETURNING id
+    `).bind(
+      row.telegram_message_id, row.chat_id, row.text, row.date, row.grouped_id, row.media_status, row.media_type, row.edit_date,
+      row.entities, row.fwd_from, row.reply_to_message_id, row.post_author, row.reactions
+    )));
+
+    const inserted = [];
+    const existing = [];
+    rows.forEach((row, index) => {
+      const id = inserts[index].results?.[0]?.id;
+      if (id) {
+        row.id = id;
+        inserted.push(row);
+      } else {
+        existing.push(row);
+      }
+    });
+
+    // Same indexing as SyncService.indexMessageText
+    await runBatched(db, inserted
+      .filter(row => row.text && row.text !== '[Service Message]')
+      .map(row => db.prepare('INSERT INTO messages_fts (rowid, text) VALUES (?, ?)').bind(row.id, row.text)));
+
+    // 2. Existing rows can still take the exported file if their media never made it to R2
+    const uploads = inserted.filter(row => row.media_status === 'pending');
+    for (const row of existing) {
+      if (!row.mediaPath || !getFile(row.mediaPath)) continue;
+      const current = await db.prepare(`
+        SELECT id, media_status FROM messages WHERE telegram_message_id = ? AND chat_id = ?
+      `).bind(row.telegram_message_id, chatId).first();
+      if (current && current.media_status !== 'completed' && current.media_status !== 'processing') {
+        row.id = current.id;
+        uploads.push(row);
+      }
+    }
+
+    // 3. Upload exported files
+    let uploaded = 0;
+    let missing = 0;
+    for (const row of uploads) {
+      const file = row.mediaPath ? getFile(row.mediaPath) : null;
+      if (!file) {
+        // Left pending: the Processor can still fetch it if the message exists upstream
+        missing++;
+        continue;
+      }
+      if (await this.uploadFile(row, file)) {
+        uploaded++;
+      }
+    }
+
+    const summary = {
+      success: true,
+      chat_id: chatId,
+      imported: rows.length - existing.length,
+      skipped: existing.length,
+      media_uploaded: uploaded,
+      media_missing: missing
+    };
+    console.log('[Import] Done:', summary);
+    return summary;
+  }
+
+  async uploadFile(row, file) {
+    const { fileName, extension, mimeType, fileType } = describeFile(row.entry, row.mediaPath);
+    const httpMetadata = { contentType: mimeType };
+    if (fileName) {
+      httpMetadata.contentDisposition = `inline; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+    }
+
+    // Content-addressed: a file the archive already has (e.g. synced from a forward) isn't stored twice
+    const blob = await putBlob(this.env, await file.arrayBuffer(), httpMetadata);
+
+    // A Processor may have claimed the row meanwhile; its download wins
+    const result = await this.env.DB.prepare(`
+      UPDATE messages
+      SET media_status = 'completed', media_key = ?,
+          media_mime_type = ?, media_file_name = ?, media_extension = ?, media_size = ?,
+          media_skip_rule = NULL, media_skip_reason = NULL, error_message = NULL
+      WHERE id = ? AND media_status NOT IN ('completed', 'processing')
+    `).bind(blob.key, mimeType, fileName, extension, blob.size, row.id).run();
+
+    if (result.meta.changes === 0) {
+      // Blobs may be shared, so an unreferenced one is left to the R2 GC instead of deleted here
+      console.log(`[Import] Message ${row.telegram_message_id} was archived meanwhile, not referencing ${blob.key}`);
+      return false;
+    }
+
+    const { width, height, duration_seconds: duration } = row.entry;
+    await referenceBlob(this.env, row.id, blob, { fileType, mimeType, fileName, width, height, duration });
+    return true;
+  }
+}
@@ -6,56 +6,69 @@ import { StringSession } from 'telegram/sessions';
 import { TelegramAuthService } from './auth.js';
 import { ChannelsService } from './channels.js';
 import { SyncService } from './sync.js';
+import { runScheduledSync } from './scheduled.js';
+import { startSyncRun, finishSyncRun } from '../shared/syncRuns.js';
+import { enqueuePendingMedia } from './mediaQueue.js';
+import { getRateLimitStatus } from '../shared/rateLimits.js';
+import { DesktopImportService, exportedChatId } from './desktopImport.js';
+import { scanR2Objects, checkMediaReferences } from './r2gc.js';
+import { accessControl, channelForbidden, mediaForbidden, requestChannels, serviceHeaders } from '../shared/accessControl.js';
+import { UsersService } from './users.js';
+import { mediaUrls, publicR2Url, signatureForbidden } from '../shared/mediaUrls.js';
+import { sealSession, openSession, redactValue } from '../shared/sessionVault.js';
 
 const app = new Hono();
 
+// Calls the Processor over the PROCESSOR service binding, or PROCESSOR_URL without one (e.g. a
+// local `wrangler dev`), authenticated with a short-lived service token
+async function callProcessor(env, path, { method = 'GET', headers = {}, ...init } = {}) {
+  const options = {
+    ...init,
+    method,
+    headers: { 'Content-Type': 'application/json', ...await serviceHeaders(env, method, path, init.body || ''), ...headers }
+  };
+  if (env.PROCESSOR) {
+    return await env.PROCESSOR.fetch(`https://processor${path}`, options);
+  }
+  return await fetch(`${env.PROCESSOR_URL || 'http://localhost:8788'}${path}`, options);
+}
+
 // STEP 1: CORS Middleware (MUST BE FIRST)
 app.use('/*', cors({
   origin: '*', 
   allowMethods: ['POST', 'GET', 'OPTIONS', 'PUT', 'DELETE'],
   allowHeaders: ['Content-Type', 'Authorization', 'X-Access-Key'],
-  exposeHeaders: ['Content-Length'],
+  exposeHeaders: ['Content-Length', 'Retry-After'],
   maxAge: 600,
   credentials: true,
 }));
 
-// STEP 2: Access Key Middleware (AFTER CORS)
-app.use('/*', async (c, next) => {
-  // ALLOW PUBLIC ACCESS TO MEDIA
-  // Browser img tags cannot send headers, so media must be public.
-  if (c.req.path.startsWith('/media/') || c.req.path === '/media') {
-    return next();
-  }
-  
-  // Skip check for OPTIONS requests (Preflight)
-  if (c.req.method === 'OPTIONS') {
-    return next();
-  }
-  
-  // Skip access key check for health check
-  if (c.req.path === '/' && c.req.method === 'GET') {
-    await next();
-    return;
-  }
-  
-  const accessKey = c.req.header('X-Access-Key');
-  const expectedKey = c.env.ACCESS_KEY;
-  
-  if (!accessKey || accessKey !== expectedKey) {
-    return c.json({ 
-      success: false, 
-      error: 'Unauthorized - Invalid or missing access key' 
-    }, 401);
-  }
-  
-  await next();
-});
+// STEP 2: Users and roles (AFTER CORS), see accessControl.js
+app.use('/*', accessControl({
+  publicPaths: [
+    'GET /',
+    'GET /health',
+    'POST /session',
+    'POST /users/bootstrap'
+  ],
+  // Signed URLs from /messages (mediaUrls.js)
+  signedPaths: ['/media/*'],
+  rules: [
+    // Connecting the Telegram account
+    ['*', '/auth/*', 'admin'],
+    // Downloads media while streaming progress
+    ['GET', '/messages/batch-stream', 'operator'],
+    ['DELETE', '/session', 'viewer'],
+    ['PUT', '/session/password', 'viewer']
+  ]
+}));
 
 // Initialize services
 app.use('/*', async (c, next) => {
   c.set('authService', new TelegramAuthService(c.env));
   c.set('channelsService', new ChannelsService(c.env));
   c.set('syncService', new SyncService(c.env));
+  c.set('usersService', new UsersService(c.env));
   await next();
 });
 
@@ -64,6 +77,107 @@ app.get('/', (c) => {
   return c.json({ message: 'Telegram Archiver API', status: 'running' });
 });
 
+// Public liveness check; the governor state is only for signed-in users (/rate-limits)
+app.get('/health', (c) => {
+  return c.json({ status: 'healthy' });
+});
+
+// Remaining FloodWait cooldowns from the shared governor (rate_limits table)
+app.get('/rate-limits', async (c) => {
+  try {
+    return c.json({ success: true, rate_limits: await getRateLimitStatus(c.env) });
+  } catch (error) {
+    console.error('[Scanner] Failed to read rate limits:', error.message);
+    return c.json({ success: false, error: 'Failed to read rate limits' }, 500);
+  }
+});
+
+// Sessions: sign in with a username and password, then send Authorization: Bearer <token>
+app.post('/session', async (c) => {
+  const { username, password } = await c.req.json().catch(() => ({}));
+  const result = await c.get('usersService').signIn(
+    username, password, c.req.header('User-Agent') || null, c.req.header('CF-Connecting-IP') || null
+  );
+  if (result.retryAfter) {
+    return c.json(result, 429, { 'Retry-After': String(result.retryAfter) });
+  }
+  return c.json(result, result.success ? 200 : result.status || 401);
+});
+
+app.get('/session', (c) => {
+  return c.json({ success: true, user: c.get('user') });
+});
+
+app.delete('/session', async (c) => {
+  const token = (c.req.header('Authorization') || '').replace(/^Bearer\s+/i, '');
+  return c.json(await c.get('usersService').signOut(token));
+});
+
+app.put('/session/password', async (c) => {
+  const user = c.get('user');
+  if (user.service) {
+    return c.json({ success: false, error: 'Service credentials have no password' }, 400);
+  }
+  const { currentPassword, password } = await c.req.json().catch(() => ({}));
+  const result = await c.get('usersService').changeOwnPassword(user.id, currentPassword, password);
+  return c.json(result, result.success ? 200 : 400);
+});
+
+// User management (admin). The first admin is created with POST /users/bootstrap, which takes
+// the deployment's ACCESS_KEY (X-Access-Key) and only works while there are no users.
+app.post('/users/bootstrap', async (c) => {
+  const body = await c.req.json().catch(() => ({}));
+  const result = await c.get('usersService').bootstrap(c.req.header('X-Access-Key'), body);
+  return c.json(result, result.success ? 200 : result.status || 400);
+});
+
+app.get('/users', async (c) => {
+  return c.json(await c.get('usersService').listUsers());
+});
+
+app.post('/users', async (c) => {
+  const result = await c.get('usersService').createUser(await c.req.json().catch(() => ({})));
+  return c.json(result, result.success ? 200 : 400);
+});
+
+app.put('/users/:id', async (c) => {
+  const result = await c.get('usersService').updateUser(Number(c.req.param('id')), await c.req.json().catch(() => ({})));
+  return c.json(result, result.success ? 200 : 400);
+});
+
+app.delete('/users/:id', async (c) => {
+  const result = await c.get('usersService').deleteUser(Number(c.req.param('id')));
+  return c.json(result, result.success ? 200 : 400);
+});
+
+// Channel grants: viewers and operators only see these channels ('*' for all)
+app.put('/users/:id/channels', async (c) => {
+  const { chat_ids: chatIds } = await c.req.json().catch(() => ({}));
+  const result = await c.get('usersService').setUserChannels(Number(c.req.param('id')), chatIds);
+  return c.json(result, result.success ? 200 : 400);
+});
+
+// API tokens for scripts, sent like session tokens. The token is only shown once, on creation.
+app.get('/users/:id/tokens', async (c) => {
+  return c.json(await c.get('usersService').listTokens(Number(c.req.param('id'))));
+});
+
+app.post('/users/:id/tokens', async (c) => {
+  const result = await c.get('usersService').createToken(Number(c.req.param('id')), await c.req.json().catch(() => ({})));
+  return c.json(result, result.success ? 200 : 400);
+});
+
+app.put('/users/:id/tokens/:tokenId/channels', async (c) => {
+  const { chat_ids: chatIds } = await c.req.json().catch(() => ({}));
+  const result = await c.get('usersService').setTokenChannels(Number(c.req.param('id')), Number(c.req.param('tokenId')), chatIds);
+  return c.json(result, result.success ? 200 : 400);
+});
+
+app.delete('/users/:id/tokens/:tokenId', async (c) => {
+  const result = await c.get('usersService').revokeToken(Number(c.req.param('id')), Number(c.req.param('tokenId')));
+  return c.json(result, result.success ? 200 : 400);
+});
+
 // Auth routes
 app.post('/auth/login', async (c) => {
   const { phoneNumber } = await c.req.json();
@@ -89,8 +203,8 @@ app.post('/auth/verify', async (c) => {
 
   try {
     // 2. Reconstruct Client (STATELESS)
-    // We MUST use the session string from step 1 to resurrect the client
-    const stringSession = new StringSession(session || ""); 
+    // We MUST use the session string from step 1 (sealed, see sessionVault.js) to resurrect the client
+    const stringSession = new StringSession(await openSession(c.env, session)); 
     const client = new TelegramClient(stringSession, Number(c.env.TELEGRAM_API_ID), c.env.TELEGRAM_API_HASH, {
         connectionRetries: 5,
     });
@@ -116,9 +230,9 @@ app.post('/auth/verify', async (c) => {
     console.log('Debug: Raw SignIn successful. User:', result.user ? result.user.id : 'Unknown');
     
     if (result) {
-      const finalSessionString = client.session.save();
+      const finalSessionString = await sealSession(c.env, client.session.save());
       
-      // Save final authenticated session to D1
+      // Save final authenticated session to D1 (the browser never gets it)
       await c.env.DB.prepare(
         'INSERT OR REPLACE INTO kv_store (key, value) VALUES (?, ?)'
       ).bind('session_string', finalSessionString).run();
@@ -127,7 +241,6 @@ app.post('/auth/verify', async (c) => {
 
       return c.json({
         success: true,
-        sessionString: finalSessionString,
         message: 'Authentication successful'
       });
     }
@@ -146,18 +259,79 @@ app.post('/auth/verify', async (c) => {
 app.get('/channels', async (c) => {
   const channelsService = c.get('channelsService');
   const result = await channelsService.getChannels();
+  if (result.floodWait) {
+    return c.json(result, 429, { 'Retry-After': String(result.floodWait) });
+  }
+  const allowed = await requestChannels(c);
+  if (allowed && result.channels) {
+    result.channels = result.channels.filter(channel => allowed.has(String(channel.id)));
+  }
   return c.json(result);
 });
 
 app.post('/channels/select', async (c) => {
-  const { channelId } = await c.req.json();
+  const { channelId, title, username, type } = await c.req.json();
   const channelsService = c.get('channelsService');
   
   if (!channelId) {
     return c.json({ success: false, error: 'Channel ID is required' }, 400);
   }
+  const denied = await channelForbidden(c, channelId);
+  if (denied) return denied;
 
-  const result = await channelsService.selectChannel(channelId);
+  const result = await channelsService.selectChannel(channelId, { title, username, type });
+  return c.json(result);
+});
+
+app.get('/channels/tracked', async (c) => {
+  const channelsService = c.get('channelsService');
+  const channels = await channelsService.getTrackedChannels();
+  const allowed = await requestChannels(c);
+  return c.json({ success: true, channels: allowed ? channels.filter(channel => allowed.has(channel.chat_id)) : channels });
+});
+
+app.put('/channels/:channelId', async (c) => {
+  const channelId = c.req.param('channelId');
+  const denied = await channelForbidden(c, channelId);
+  if (denied) return denied;
+  const { enabled, settings } = await c.req.json();
+  const channelsService = c.get('channelsService');
+
+  const result = await channelsService.updateChannel(channelId, { enabled, settings });
+  return c.json(result, result.success ? 200 : 404);
+});
+
+app.get('/channels/:channelId/media-policy', async (c) => {
+  const channelId = c.req.param('channelId');
+  const denied = await channelForbidden(c, channelId);
+  if (denied) return denied;
+  const channelsService = c.get('channelsService');
+
+  const result = await channelsService.getMediaPolicy(channelId);
+  return c.json(result, result.success ? 200 : 500);
+});
+
+app.put('/channels/:channelId/media-policy', async (c) => {
+  const channelId = c.req.param('channelId');
+  const denied = await channelForbidden(c, channelId);
+  if (denied) return denied;
+  const policy = await c.req.json();
+  const channelsService = c.get('channelsService');
+
+  const result = await channelsService.updateMediaPolicy(channelId, policy);
+  if (!result.success) {
+    return c.json(result, result.error === 'Channel is not tracked' ? 404 : 400);
+  }
+  return c.json(result);
+});
+
+app.delete('/channels/:channelId', async (c) => {
+  const channelId = c.req.param('channelId');
+  const denied = await channelForbidden(c, channelId);
+  if (denied) return denied;
+  const channelsService = c.get('channelsService');
+
+  const result = await channelsService.untrackChannel(channelId);
   return c.json(result);
 });
 
@@ -173,6 +347,47 @@ app.post('/auth/verify2fa', async (c) => {
   return c.json(result);
 });
 
+// Telegram Desktop export import (multipart): `result` holds result.json, every other field is
+// an exported file named by its path in result.json (e.g. photos/photo_1@01-01-2020_12-00-00.jpg).
+// Large exports are sent in several requests, each with a slice of the messages and their files.
+app.post('/import/desktop', async (c) => {
+  let form;
+  try {
+    form = await c.req.formData();
+  } catch (error) {
+    return c.json({ success: false, error: 'Expected multipart/form-data' }, 400);
+  }
+
+  const resultField = form.get('result');
+  if (!resultField) {
+    return c.json({ success: false, error: 'result (result.json) is required' }, 400);
+  }
+
+  let result;
+  try {
+    result = JSON.parse(typeof resultField === 'string' ? resultField : await resultField.text());
+  } catch (error) {
+    return c.json({ success: false, error: `Invalid result.json: ${error.message}` }, 400);
+  }
+
+  const denied = await channelForbidden(c, c.req.query('channelId') || (result.id !== undefined ? exportedChatId(result) : null));
+  if (denied) return denied;
+
+  const getFile = (path) => {
+    const file = form.get(path);
+    return file && typeof file !== 'string' ? file : null;
+  };
+
+  try {
+    const importService = new DesktopImportService(c.env);
+    const summary = await importService.importExport(result, getFile, { chatId: c.req.query('channelId') });
+    return c.json(summary, summary.success ? 200 : 400);
+  } catch (error) {
+    console.error('Desktop import error:', error);
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
 // Messages routes
 app.get('/messages', async (c) => {
   const channelId = c.req.query('channelId');
@@ -185,6 +400,8 @@ app.get('/messages', async (c) => {
     console.log('Debug: Missing channelId parameter - returning empty array');
     return c.json({ success: false, error: 'channelId is required' }, 400);
   }
+  const denied = await channelForbidden(c, channelId);
+  if (denied) return denied;
   
   console.log(`Debug: Fetching messages for channel ${channelId}, limit: ${limit}, offset: ${offset}`);
   
@@ -196,38 +413,17 @@ app.get('/messages', async (c) => {
   
   console.log(`Debug: Total messages for channel ${channelId}: ${total}`);
   
-  const result = await syncService.getArchivedMessages(channelId, limit, offset);
-  
-  // Add R2 public URLs to messages with media
-  const r2PublicUrl = c.env.R2_PUBLIC_URL;
-  if (r2PublicUrl && result.messages.length > 0) {
-    result.messages = result.messages.map(message => {
-      if (message.media_key) {
-        return {
-          ...message,
-          media_url: `${r2PublicUrl}/${message.media_key}`
-        };
-      }
-      // Explicitly set media_url to null for consistency
-      return {
-        ...message,
-        media_url: null
-      };
-    });
-  } else if (result.messages.length > 0) {
-    // Ensure media_url field exists even if R2_PUBLIC_URL is not set
-    result.messages = result.messages.map(message => ({
-      ...message,
-      media_url: message.media_key ? null : null
-    }));
-  }
+  // media_url and media[].url are signed /media/* URLs scoped to the channel (mediaUrls.js)
+  const publicBase = publicR2Url(c.env);
+  const result = await syncService.getArchivedMessages(channelId, limit, offset,
+    (keys) => mediaUrls(c, keys, { chatId: channelId, publicBase }));
   
   // Debug: Log fetched data structure
   console.log(`Debug: Fetched ${result.messages.length} messages from DB for channel ${channelId}`);
   if (result.messages.length > 0) {
     console.log('Debug: Sample message structure:', JSON.stringify(result.messages[0], null, 2));
     console.log('Debug: First message keys:', Object.keys(result.messages[0]));
-    console.log('Debug: Sample media_key:', result.messages[0].r2_key);
+    console.log('Debug: Sample media_key:', result.messages[0].media_key);
     console.log('Debug: Sample grouped_id:', result.messages[0].grouped_id);
   }
   
@@ -244,10 +440,39 @@ app.get('/messages', async (c) => {
   });
 });
 
+// Phase B: queue a channel's pending media for the Processor's queue consumer
+app.post('/media/enqueue', async (c) => {
+  const channelId = c.req.query('channelId');
+  const includeFailed = c.req.query('includeFailed') === 'true';
+
+  if (!channelId) {
+    return c.json({ success: false, error: 'channelId is required' }, 400);
+  }
+  const denied = await channelForbidden(c, channelId);
+  if (denied) return denied;
+  if (!c.env.MEDIA_QUEUE) {
+    return c.json({ success: false, error: 'MEDIA_QUEUE binding is not configured' }, 501);
+  }
+
+  try {
+    const enqueued = await enqueuePendingMedia(c.env, channelId, { includeFailed });
+    return c.json({ success: true, enqueued });
+  } catch (error) {
+    console.error('Error enqueueing media jobs:', error);
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
 // Sync routes
 app.post('/sync', async (c) => {
   const syncService = c.get('syncService');
   const authService = c.get('authService');
+
+  // Sync one channel when channelId is given, otherwise every enabled tracked channel
+  const body = await c.req.json().catch(() => ({}));
+  const channelId = body.channelId || c.req.query('channelId');
+  const denied = await channelForbidden(c, channelId);
+  if (denied) return denied;
   
   // CRITICAL: Sync credentials to D1 before any sync operation
   console.log('[Sync] Syncing credentials to D1...');
@@ -257,7 +482,23 @@ app.post('/sync', async (c) => {
     return c.json({ success: false, error: 'Failed to sync credentials to D1' }, 500);
   }
   
-  const result = await syncService.syncMessages();
+  let result;
+  if (channelId) {
+    result = await syncService.syncMessages(channelId);
+  } else {
+    // Full rotations are recorded alongside cron runs so the UI shows them too
+    const runId = await startSyncRun(c.env, { worker: 'scanner', trigger: 'manual' });
+    result = await syncService.syncTrackedChannels();
+    const channels = result.channels || [];
+    const failedChannels = channels.filter(ch => !ch.success).length;
+    await finishSyncRun(c.env, runId, {
+      status: !result.success ? 'failed' : failedChannels > 0 ? 'partial' : 'success',
+      channelsCount: channels.length,
+      syncedCount: result.synced || 0,
+      error: result.error || null,
+      details: channels
+    });
+  }
   
   // Calculate dynamic cooldown to prevent Cloudflare 503 errors
   // Phase A is text-only, should be near-instant (max 200ms)
@@ -277,6 +518,45 @@ app.post('/sync', async (c) => {
   
   console.log(`Debug: Sync complete - synced: ${result.synced}, media: ${mediaCount}, suggestedCooldown: ${suggestedCooldown}ms`);
   
+  // Nothing was synced because of a FloodWait penalty: tell the client when to come back
+  if (result.floodWait && !result.success) {
+    return c.json(result, 429, { 'Retry-After': String(result.floodWait) });
+  }
+  
+  return c.json(result);
+});
+
+// Edit detection on demand; the cron runs it over the newest EDIT_RESCAN_WINDOW messages
+app.post('/sync/edits', async (c) => {
+  const syncService = c.get('syncService');
+  const channelId = c.req.query('channelId');
+  const window = parseInt(c.req.query('window') || c.env.EDIT_RESCAN_WINDOW || '100', 10);
+  const denied = await channelForbidden(c, channelId);
+  if (denied) return denied;
+
+  const result = channelId
+    ? await syncService.rescanEdits(channelId, { window })
+    : await syncService.rescanTrackedChannels({ window });
+  if (result.floodWait && !result.success) {
+    return c.json(result, 429, { 'Retry-After': String(result.floodWait) });
+  }
+  return c.json(result);
+});
+
+// Deletion check on demand; the cron checks the next RECONCILE_BATCH ids of every channel
+app.post('/sync/deletions', async (c) => {
+  const syncService = c.get('syncService');
+  const channelId = c.req.query('channelId');
+  const batchSize = parseInt(c.req.query('batchSize') || c.env.RECONCILE_BATCH || '200', 10);
+  const denied = await channelForbidden(c, channelId);
+  if (denied) return denied;
+
+  const result = channelId
+    ? await syncService.reconcileDeletions(channelId, { batchSize })
+    : await syncService.reconcileTrackedChannels({ batchSize });
+  if (result.floodWait && !result.success) {
+    return c.json(result, 429, { 'Retry-After': String(result.floodWait) });
+  }
   return c.json(result);
 });
 
@@ -288,6 +568,8 @@ app.get('/messages/batch-stream', async (c) => {
   if (!idsParam || !chatId) {
     return c.json({ error: 'ids and chatId parameters required' }, 400);
   }
+  const denied = await channelForbidden(c, chatId);
+  if (denied) return denied;
   
   const messageIds = idsParam.split(',').map(id => id.trim()).filter(Boolean);
   
@@ -297,6 +579,9 @@ app.get('/messages/batch-stream', async (c) => {
   
   console.log(`[SSE] Starting batch stream for ${messageIds.length} messages in chat ${chatId}`);
   
+  // Events carry a signed URL on this worker's /media/* next to the key (mediaUrls.js)
+  const signedUrl = async (key) => (key ? (await mediaUrls(c, [key], { chatId })).get(key).url : null);
+  
   return streamSSE(c, async (stream) => {
     const startTime = Date.now();
     const TIME_BUDGET = 25000; // 25 seconds max
@@ -361,6 +646,7 @@ app.get('/messages/batch-stream', async (c) => {
                 messageId,
                 reason: 'Already completed',
                 mediaKey: message.media_key,
+                mediaUrl: await signedUrl(message.media_key),
                 timestamp: Date.now()
               })
             });
@@ -381,14 +667,8 @@ app.get('/messages/batch-stream', async (c) => {
           });
           
           // Process the media using Processor service
-          // Note: We need to call the Processor worker here
-          const processorUrl = c.env.PROCESSOR_URL || 'http://localhost:8788';
-          const response = await fetch(`${processorUrl}/download-media`, {
+          const response = await callProcessor(c.env, '/download-media', {
             method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'X-Access-Key': c.env.ACCESS_KEY || ''
-            },
             body: JSON.stringify({
               messageId: message.telegram_message_id,
               chatId: message.chat_id
@@ -398,11 +678,13 @@ app.get('/messages/batch-stream', async (c) => {
           const result = await response.json();
           
           if (result.success) {
+            const mediaKey = result.results?.find(r => String(r.messageId) === String(message.telegram_message_id))?.mediaKey || null;
             await stream.writeSSE({
               data: JSON.stringify({
                 type: 'completed',
                 messageId,
-                mediaKey: result.mediaKey,
+                mediaKey,
+                mediaUrl: await signedUrl(mediaKey),
                 progress: processedCount + 1,
                 total: messageIds.length,
                 timestamp: Date.now()
@@ -469,66 +751,17 @@ app.get('/messages/batch-stream', async (c) => {
 });
 
 // Media processing routes
+// Downloads only happen in the Processor (leases, media policies, channel scoping), so this is a
+// pass-through kept for existing callers; it takes the Processor's chatId, batch and size params.
 app.post('/process-media', async (c) => {
-  const syncService = c.get('syncService');
-  
-  try {
-    // Step 1: Fetch pending task with retry logic
-    // Prioritize pending, then retry failed items
-    const pendingMessage = await c.env.DB.prepare(`
-      SELECT * FROM messages 
-      WHERE media_status = 'pending' 
-      OR media_status = 'failed'
-      ORDER BY 
-        CASE WHEN media_status = 'pending' THEN 1 ELSE 2 END,
-        id DESC
-      LIMIT 1
-    `).first();
-
-    if (!pendingMessage) {
-      return c.json({ success: true, remaining: 0, message: 'No pending media to process' });
-    }
-
-    console.log(`Debug: Processing media for message ${pendingMessage.telegram_message_id}, type: ${pendingMessage.media_type}, status: ${pendingMessage.media_status}`);
-
-    // Step 2: Process the media
-    const result = await syncService.processMediaMessage(pendingMessage);
-
-    // CRITICAL FIX: Update DB status for skipped items to prevent infinite loops
-    if (result.skipped) {
-      console.log(`[Phase B] Updating DB status for skipped message ${pendingMessage.telegram_message_id}: ${result.reason}`);
-      
-      let skipStatus;
-      if (result.reason && result.reason.includes('Non-photo media type')) {
-        skipStatus = 'skipped_type'; // Non-photo media
-      } else if (result.reason && result.reason.includes('exceeds 20MB limit')) {
-        skipStatus = 'skipped_large'; // Too large photos
-      } else {
-        skipStatus = 'skipped'; // Generic skip
-      }
-      
-      await c.env.DB.prepare(`
-        UPDATE messages SET media_status = ? WHERE id = ?
-      `).bind(skipStatus, pendingMessage.id).run();
-    }
-
-    // Step 3: Count remaining pending tasks (including failed for retry)
-    const remainingCount = await c.env.DB.prepare(`
-      SELECT COUNT(*) as count FROM messages 
-      WHERE media_status = 'pending' OR media_status = 'failed'
-    `).first();
-
-    return c.json({
-      success: true,
-      processedId: pendingMessage.id,
-      messageId: pendingMessage.telegram_message_id,
-      mediaType: pendingMessage.media_type,
-      remaining: remainingCount.count,
-      skipped: result.skipped || false,
-      skipReason: result.reason || null,
-      result: result
-    });
+  // Without chatId the Processor picks the next pending row of any channel
+  const denied = await channelForbidden(c, c.req.query('chatId') || null);
+  if (denied) return denied;
 
+  try {
+    const query = new URL(c.req.url).search;
+    const response = await callProcessor(c.env, `/process-media${query}`, { method: 'POST' });
+    return new Response(response.body, { status: response.status, headers: response.headers });
   } catch (error) {
     console.error('Process media error:', error);
     return c.json({ 
@@ -568,22 +801,11 @@ app.get('/debug/seed-config', async (c) => {
     const configs = [
       { key: 'TELEGRAM_API_ID', value: c.env.TELEGRAM_API_ID?.toString() || '' },
       { key: 'TELEGRAM_API_HASH', value: c.env.TELEGRAM_API_HASH || '' },
-      { key: 'R2_PUBLIC_URL', value: c.env.R2_PUBLIC_URL || '' },
-      { key: 'ACCESS_KEY', value: c.env.ACCESS_KEY || '' }
+      { key: 'R2_PUBLIC_URL', value: publicR2Url(c.env) || '' }
     ];
     
-    // Get session from kv_store
-    let sessionString = '';
-    try {
-      const sessionResult = await c.env.DB.prepare(
-        'SELECT value FROM kv_store WHERE key = ?'
-      ).bind('session_string').first();
-      sessionString = sessionResult?.value || '';
-      configs.push({ key: 'TELEGRAM_SESSION', value: sessionString });
-    } catch (error) {
-      console.log('[Debug] Could not read session from kv_store:', error.message);
-      configs.push({ key: 'TELEGRAM_SESSION', value: '' });
-    }
+    // Get session from kv_store (sealed)
+    configs.push({ key: 'TELEGRAM_SESSION', value: await authService.getSealedSession() });
     
     const seededKeys = [];
     
@@ -599,7 +821,7 @@ app.get('/debug/seed-config', async (c) => {
       
       if (config.value) {
         seededKeys.push(config.key);
-        console.log(`[Debug] Seeded ${config.key}:`, config.key === 'TELEGRAM_SESSION' ? '***SESSION***' : config.value);
+        console.log(`[Debug] Seeded ${config.key}:`, redactValue(config.key, config.value));
       } else {
         console.log(`[Debug] Skipped ${config.key}: empty value`);
       }
@@ -620,30 +842,25 @@ app.get('/debug/seed-config', async (c) => {
 
 // Temporary admin cleanup endpoint
 app.post('/admin/clear-r2', async (c) => {
+  // Wipes the whole bucket, one list page per call; pass the returned cursor until done
+  if (c.req.query('confirm') !== 'delete-everything') {
+    return c.json({ success: false, error: 'Pass confirm=delete-everything to wipe the bucket' }, 400);
+  }
+
   try {
-    console.log('Debug: Starting R2 bucket cleanup...');
-    
-    // List all objects in the bucket
-    const listResult = await c.env.BUCKET.list();
-    console.log(`Debug: Found ${listResult.objects.length} objects in R2`);
-    
-    let deletedCount = 0;
-    
-    // Delete each object
-    for (const object of listResult.objects) {
-      await c.env.BUCKET.delete(object.key);
-      console.log(`Debug: Deleted R2 object: ${object.key}`);
-      deletedCount++;
+    const listResult = await c.env.BUCKET.list({ cursor: c.req.query('cursor') || undefined, limit: 1000 });
+    const keys = listResult.objects.map(object => object.key);
+    if (keys.length > 0) {
+      await c.env.BUCKET.delete(keys);
     }
-    
-    console.log(`Debug: R2 cleanup complete. Deleted ${deletedCount} objects`);
-    
+    console.log(`Debug: R2 cleanup deleted ${keys.length} objects${listResult.truncated ? ', more to go' : ', bucket empty'}`);
+
     return c.json({
       success: true,
-      deleted: deletedCount,
-      message: `Successfully deleted ${deletedCount} objects from R2`
+      deleted: keys.length,
+      nextCursor: listResult.truncated ? listResult.cursor : null,
+      done: !listResult.truncated
     });
-    
   } catch (error) {
     console.error('Error clearing R2 bucket:', error);
     return c.json({ 
@@ -653,6 +870,75 @@ app.post('/admin/clear-r2', async (c) => {
   }
 });
 
+// R2 GC, pass 1: one bucket page diffed against messages/media/exports keys.
+// deleteOlderThanDays=N deletes the orphans uploaded at least N days ago (N >= 1).
+app.post('/admin/r2-gc/objects', async (c) => {
+  const days = c.req.query('deleteOlderThanDays');
+  if (days !== undefined && !(Number(days) >= 0)) {
+    return c.json({ success: false, error: 'deleteOlderThanDays must be a number of days' }, 400);
+  }
+
+  try {
+    return c.json(await scanR2Objects(c.env, {
+      cursor: c.req.query('cursor') || null,
+      limit: parseInt(c.req.query('limit') || '1000'),
+      prefix: c.req.query('prefix') || undefined,
+      deleteOlderThanDays: days === undefined ? null : Number(days)
+    }));
+  } catch (error) {
+    console.error('[R2 GC] Object scan error:', error);
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+// R2 GC, pass 2: completed rows whose media_key object is missing.
+// requeue=1 resets them to pending and hands them back to the media queue.
+app.post('/admin/r2-gc/references', async (c) => {
+  try {
+    return c.json(await checkMediaReferences(c.env, {
+      afterId: parseInt(c.req.query('afterId') || '0'),
+      limit: parseInt(c.req.query('limit') || '50'),
+      chatId: c.req.query('chatId') || null,
+      requeue: c.req.query('requeue') === '1' || c.req.query('requeue') === 'true'
+    }));
+  } catch (error) {
+    console.error('[R2 GC] Reference check error:', error);
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+// Content-addressed storage report: how much R2 the shared blobs/<sha256> objects save
+app.get('/admin/storage', async (c) => {
+  try {
+    // References are counted from `media` here rather than read from blobs.refcount, so the
+    // report is right even if a deletion path forgot to recount
+    const stats = await c.env.DB.prepare(`
+      WITH refs AS (
+        SELECT b.size, (SELECT COUNT(*) FROM media m WHERE m.sha256 = b.hash) as refcount
+        FROM blobs b
+      )
+      SELECT COUNT(*) as blobs,
+             COALESCE(SUM(size), 0) as stored_bytes,
+             COALESCE(SUM(size * refcount), 0) as referenced_bytes,
+             COALESCE(SUM(refcount), 0) as references_count,
+             COALESCE(SUM(CASE WHEN refcount > 1 THEN 1 ELSE 0 END), 0) as shared_blobs,
+             COALESCE(SUM(CASE WHEN refcount = 0 THEN 1 ELSE 0 END), 0) as unreferenced_blobs,
+             COALESCE(SUM(CASE WHEN refcount = 0 THEN size ELSE 0 END), 0) as unreferenced_bytes
+      FROM refs
+    `).first();
+
+    return c.json({
+      success: true,
+      ...stats,
+      // Bytes that per-message copies would have taken on top of what is stored
+      saved_bytes: Math.max(0, stats.referenced_bytes - (stats.stored_bytes - stats.unreferenced_bytes))
+    });
+  } catch (error) {
+    console.error('[Admin] Storage stats error:', error);
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
 // Media routes - Allow keys with slashes
 app.get('/media/*', async (c) => {
   // Extract key: remove the leading '/media/' route prefix
@@ -663,6 +949,10 @@ app.get('/media/*', async (c) => {
   console.log(`Debug: Media request - Full path: "${c.req.path}"`);
   
   try {
+    // Signed URLs stand on their own; otherwise the user's channel grants decide
+    const denied = c.req.query('sig') ? await signatureForbidden(c, key) : await mediaForbidden(c, key);
+    if (denied) return denied;
+
     const object = await c.env.BUCKET.get(key);
     
     console.log(`Debug: R2 object found: ${!!object}`);
@@ -675,8 +965,8 @@ app.get('/media/*', async (c) => {
     const headers = new Headers();
     object.writeHttpMetadata(headers);
     headers.set('etag', object.httpEtag);
-    // Important: Cache content to make images load fast
-    headers.set('Cache-Control', 'public, max-age=31536000');
+    // Important: Cache content to make images load fast (privately: access depends on the user)
+    headers.set('Cache-Control', 'private, max-age=31536000');
 
     console.log(`Debug: Serving media with headers:`, Object.fromEntries(headers.entries()));
     return new Response(object.body, { headers });
@@ -686,6 +976,13 @@ app.get('/media/*', async (c) => {
   }
 });
 
+// Durable Object holding the shared Telegram connection (also used by the Processor)
+export { TelegramSessionObject } from './telegramSession.js';
+
 export default {
   fetch: app.fetch,
+  // Cron Trigger: background Phase A sync of every tracked channel
+  scheduled(event, env, ctx) {
+    ctx.waitUntil(runScheduledSync(env, event));
+  },
 };
@@ -2,6 +2,9 @@ import { Hono } from 'hono';
 import { cors } from 'hono/cors';
 import { TelegramAuthService } from './auth.js';
 import { SyncService } from './sync.js';
+import { runScheduledSync } from './scheduled.js';
+import { getRateLimitStatus } from '../shared/rateLimits.js';
+import { redactConfig } from '../shared/sessionVault.js';
 
 const app = new Hono();
 
@@ -10,7 +13,7 @@ app.use('/*', cors({
   origin: '*', 
   allowMethods: ['POST', 'GET', 'OPTIONS', 'PUT', 'DELETE'],
   allowHeaders: ['Content-Type', 'Authorization', 'X-Access-Key'],
-  exposeHeaders: ['Content-Length'],
+  exposeHeaders: ['Content-Length', 'Retry-After'],
   maxAge: 600,
   credentials: true,
 }));
@@ -68,8 +71,15 @@ app.get('/', (c) => {
   });
 });
 
-app.get('/health', (c) => {
-  return c.json({ status: 'healthy' });
+app.get('/health', async (c) => {
+  // Remaining FloodWait cooldowns from the shared governor (rate_limits table)
+  let rateLimits = null;
+  try {
+    rateLimits = await getRateLimitStatus(c.env);
+  } catch (error) {
+    console.error('[Scanner] Failed to read rate limits:', error.message);
+  }
+  return c.json({ status: 'healthy', rate_limits: rateLimits });
 });
 
 // Auth routes
@@ -133,7 +143,12 @@ app.post('/sync', async (c) => {
     // CRITICAL: Ensure config is synced before Phase A
     await authService.syncEnvToDb();
     
-    const result = await syncService.syncMessages();
+    // Sync one channel when channelId is given, otherwise every enabled tracked channel
+    const body = await c.req.json().catch(() => ({}));
+    const channelId = body.channelId || c.req.query('channelId');
+    const result = channelId
+      ? await syncService.syncMessages(channelId)
+      : await syncService.syncTrackedChannels();
     
     // Calculate dynamic cooldown for Phase A (text-only, should be near-instant)
     const mediaCount = result.media || 0;
@@ -144,6 +159,11 @@ app.post('/sync', async (c) => {
       suggestedCooldown = 200; // Still keep it fast
     }
     
+    // Nothing was synced because of a FloodWait penalty: tell the client when to come back
+    if (result.floodWait && !result.success) {
+      return c.json(result, 429, { 'Retry-After': String(result.floodWait) });
+    }
+    
     return c.json({
       ...result,
       suggestedCooldown
@@ -178,13 +198,21 @@ app.post('/config/sync', async (c) => {
 app.get('/debug/config', async (c) => {
   try {
     const configs = await c.env.DB.prepare('SELECT key, value, updated_at FROM app_config').all();
-    return c.json({ success: true, configs: configs.results || [] });
+    // The session, API hash and other secrets only show whether they are set
+    return c.json({ success: true, configs: redactConfig(configs.results || []) });
   } catch (error) {
     console.error('Debug config error:', error);
     return c.json({ success: false, error: error.message }, 500);
   }
 });
 
+// Durable Object holding the shared Telegram connection (also used by the Processor)
+export { TelegramSessionObject } from './telegramSession.js';
+
 export default {
   fetch: app.fetch,
+  // Cron Trigger: background Phase A sync of every tracked channel
+  scheduled(event, env, ctx) {
+    ctx.waitUntil(runScheduledSync(env, event));
+  },
 };
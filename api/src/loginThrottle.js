@@ -0,0 +1,58 @@
+// Sign-in throttling through the login_attempts table (0023_create_login_attempts.sql), in the
+// same shape as the FloodWait governor in rateLimits.js: before checking a password the Scanner
+// looks up the lockout of the username and of the client IP, and every failure pushes the count
+// (and, past the limit, locked_until) forward. A successful sign-in clears the username's count.
+
+// Failures allowed per window before the subject is locked out
+const MAX_FAILURES = { username: 5, ip: 20 };
+
+const WINDOW_MS = 15 * 60 * 1000;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+// (scope, subject) pairs for an attempt; the IP is missing outside Cloudflare (e.g. local dev)
+function subjects(username, ip) {
+  const pairs = [['username', String(username || '').toLowerCase()]];
+  if (ip) pairs.push(['ip', ip]);
+  return pairs;
+}
+
+// Seconds until username and IP may try again (0 when allowed)
+export async function signInLockout(env, username, ip) {
+  const now = Date.now();
+  let remainingMs = 0;
+  for (const [scope, subject] of subjects(username, ip)) {
+    const row = await env.DB.prepare(
+      'SELECT locked_until FROM login_attempts WHERE scope = ? AND subject = ?'
+    ).bind(scope, subject).first();
+    remainingMs = Math.max(remainingMs, (row?.locked_until || 0) - now);
+  }
+  return remainingMs > 0 ? Math.ceil(remainingMs / 1000) : 0;
+}
+
+// Count a failed attempt; the count starts over once the window has passed
+export async function recordSignInFailure(env, username, ip) {
+  const now = Date.now();
+  const windowStart = now - WINDOW_MS;
+  const statements = subjects(username, ip).map(([scope, subject]) => env.DB.prepare(`
+    INSERT INTO login_attempts (scope, subject, failures, window_started_at, locked_until, updated_at)
+    VALUES (?, ?, 1, ?, CASE WHEN 1 >= ? THEN ? ELSE 0 END, CURRENT_TIMESTAMP)
+    ON CONFLICT(scope, subject) DO UPDATE SET
+      failures = CASE WHEN login_attempts.window_started_at < ? THEN 1 ELSE login_attempts.failures + 1 END,
+      window_started_at = CASE WHEN login_attempts.window_started_at < ? THEN excluded.window_started_at ELSE login_attempts.window_started_at END,
+      locked_until = CASE
+        WHEN (CASE WHEN login_attempts.window_started_at < ? THEN 1 ELSE login_attempts.failures + 1 END) >= ? THEN ?
+        ELSE login_attempts.locked_until
+      END,
+      updated_at = CURRENT_TIMESTAMP
+  `).bind(
+    scope, subject, now, MAX_FAILURES[scope], now + LOCKOUT_MS,
+    windowStart, windowStart, windowStart, MAX_FAILURES[scope], now + LOCKOUT_MS
+  ));
+  await env.DB.batch(statements);
+}
+
+export async function clearSignInFailures(env, username) {
+  await env.DB.prepare(
+    "DELETE FROM login_attempts WHERE scope = 'username' AND subject = ?"
+  ).bind(String(username || '').toLowerCase()).run();
+}
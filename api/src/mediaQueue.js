@@ -0,0 +1,47 @@
+// Phase B job producer: one Queue message per pending media row, consumed by the Processor.
+// Without a MEDIA_QUEUE binding these are no-ops and Phase B falls back to HTTP/cron draining.
+
+// Cloudflare Queues accepts at most 100 messages per sendBatch call
+const SEND_BATCH_LIMIT = 100;
+
+// jobs: [{ messageId, chatId, telegramMessageId }] where messageId is messages.id
+export async function enqueueMediaJobs(env, jobs) {
+  if (!env.MEDIA_QUEUE || jobs.length === 0) {
+    return 0;
+  }
+
+  for (let i = 0; i < jobs.length; i += SEND_BATCH_LIMIT) {
+    const chunk = jobs.slice(i, i + SEND_BATCH_LIMIT);
+    await env.MEDIA_QUEUE.sendBatch(chunk.map(job => ({
+      body: {
+        messageId: job.messageId,
+        chatId: String(job.chatId),
+        telegramMessageId: String(job.telegramMessageId)
+      },
+      contentType: 'json'
+    })));
+  }
+
+  console.log(`[MediaQueue] Enqueued ${jobs.length} media jobs`);
+  return jobs.length;
+}
+
+// Enqueue media rows that are still pending (or failed) for one channel, e.g. rows archived
+// before the queue existed. The consumer skips rows that were completed in the meantime.
+export async function enqueuePendingMedia(env, chatId, { limit = 500, includeFailed = false } = {}) {
+  const statuses = includeFailed ? ['pending', 'failed'] : ['pending'];
+  const result = await env.DB.prepare(`
+    SELECT id, chat_id, telegram_message_id FROM messages
+    WHERE chat_id = ? AND media_status IN (${statuses.map(() => '?').join(', ')})
+    ORDER BY date DESC
+    LIMIT ?
+  `).bind(String(chatId), ...statuses, limit).all();
+
+  const jobs = (result.results || []).map(row => ({
+    messageId: row.id,
+    chatId: row.chat_id,
+    telegramMessageId: row.telegram_message_id
+  }));
+
+  return enqueueMediaJobs(env, jobs);
+}
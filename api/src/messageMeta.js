@@ -0,0 +1,99 @@
+// Rich message metadata (formatting entities, forward header, reply, counters, reactions) as
+// stored in the messages columns added by 0016_add_message_metadata.sql. Works on GramJS
+// messages and on the plain snapshots the TelegramSessionObject returns over RPC.
+
+// Entity types use Telegram Desktop's export names, so imported and synced rows look the same
+const ENTITY_TYPES = {
+  MessageEntityBold: 'bold',
+  MessageEntityItalic: 'italic',
+  MessageEntityUnderline: 'underline',
+  MessageEntityStrike: 'strikethrough',
+  MessageEntitySpoiler: 'spoiler',
+  MessageEntityCode: 'code',
+  MessageEntityPre: 'pre',
+  MessageEntityBlockquote: 'blockquote',
+  MessageEntityUrl: 'link',
+  MessageEntityTextUrl: 'text_link',
+  MessageEntityEmail: 'email',
+  MessageEntityPhone: 'phone',
+  MessageEntityMention: 'mention',
+  MessageEntityMentionName: 'mention_name',
+  MessageEntityHashtag: 'hashtag',
+  MessageEntityCashtag: 'cashtag',
+  MessageEntityBotCommand: 'bot_command',
+  MessageEntityBankCard: 'bank_card',
+  MessageEntityCustomEmoji: 'custom_emoji'
+};
+
+const toIso = (seconds) => (seconds ? new Date(Number(seconds) * 1000).toISOString() : null);
+
+const json = (value) => (value === null || value === undefined ? null : JSON.stringify(value));
+
+// PeerChannel/PeerChat/PeerUser -> 'channel123' / 'chat123' / 'user123' (Desktop export style)
+function peerKey(peer) {
+  if (!peer) return null;
+  if (peer.channelId !== undefined) return `channel${peer.channelId}`;
+  if (peer.chatId !== undefined) return `chat${peer.chatId}`;
+  if (peer.userId !== undefined) return `user${peer.userId}`;
+  return null;
+}
+
+// Title of the forwarded-from chat or sender. GramJS resolves it from the entities that came
+// with the history response (message.forward); RPC snapshots carry it as forwardTitle.
+export function forwardTitle(message) {
+  const forward = message.forward;
+  const entity = forward?.chat || forward?.sender;
+  if (entity) {
+    return entity.title || [entity.firstName, entity.lastName].filter(Boolean).join(' ') || null;
+  }
+  return message.forwardTitle || null;
+}
+
+export function serializeEntities(entities) {
+  if (!Array.isArray(entities) || entities.length === 0) return null;
+  return entities
+    .filter(entity => ENTITY_TYPES[entity.className])
+    .map(entity => {
+      const plain = { type: ENTITY_TYPES[entity.className], offset: entity.offset, length: entity.length };
+      if (entity.url) plain.url = entity.url;
+      if (entity.language) plain.language = entity.language;
+      if (entity.userId !== undefined) plain.user_id = String(entity.userId);
+      if (entity.documentId !== undefined) plain.document_id = String(entity.documentId);
+      return plain;
+    });
+}
+
+export function serializeReactions(reactions) {
+  const results = reactions?.results;
+  if (!Array.isArray(results) || results.length === 0) return null;
+  return results.map(({ reaction, count }) => {
+    if (reaction?.emoticon) return { emoji: reaction.emoticon, count };
+    if (reaction?.documentId !== undefined) return { custom_emoji_id: String(reaction.documentId), count };
+    return { paid: true, count };
+  });
+}
+
+// The metadata columns of a messages row for a GramJS message (JSON columns as strings)
+export function extractMetadata(message) {
+  const fwd = message.fwdFrom;
+  const reply = message.replyTo;
+  return {
+    entities: json(serializeEntities(message.entities)),
+    fwd_from: fwd ? json({
+      from_id: peerKey(fwd.fromId),
+      from_name: fwd.fromName || null,
+      title: forwardTitle(message),
+      date: toIso(fwd.date),
+      channel_post: fwd.channelPost ?? null,
+      post_author: fwd.postAuthor || null
+    }) : null,
+    // Replies to other chats (replyToPeerId) can't be resolved inside the archive
+    reply_to_message_id: reply?.replyToMsgId && !reply.replyToPeerId ? Number(reply.replyToMsgId) : null,
+    views: message.views ?? null,
+    forwards: message.forwards ?? null,
+    post_author: message.postAuthor || null,
+    reactions: json(serializeReactions(message.reactions))
+  };
+}
+
+export const METADATA_COLUMNS = ['entities', 'fwd_from', 'reply_to_message_id', 'views', 'forwards', 'post_author', 'reactions'];
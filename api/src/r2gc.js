@@ -0,0 +1,186 @@
+// R2 garbage collector and consistency checker. Both passes work one page per call and hand
+// back a cursor, so a whole bucket is covered by calling them until `done`:
+// - scanR2Objects lists the bucket and reports objects nothing in D1 references (orphans),
+//   optionally deleting the ones older than N days.
+// - checkMediaReferences walks completed messages and reports rows whose media_key points at a
+//   missing object (dangling), optionally re-queueing them as pending.
+import { enqueueMediaJobs } from './mediaQueue.js';
+import { recountBlobs } from '../shared/blobs.js';
+
+// D1 allows 100 bound parameters per statement; the reference lookup binds each key three times
+const KEY_CHUNK = 30;
+
+// Orphans younger than this are never deleted: blobs are written before they are referenced
+// and streamed uploads sit under blobs/partial/ until they finish
+const MIN_ORPHAN_AGE_DAYS = 1;
+
+const MAX_LIST_LIMIT = 1000;
+const MAX_REFERENCE_LIMIT = 100;
+
+// Keys (out of `keys`) that a messages, media or exports row points at
+async function referencedKeys(env, keys) {
+  const referenced = new Set();
+  for (let i = 0; i < keys.length; i += KEY_CHUNK) {
+    const chunk = keys.slice(i, i + KEY_CHUNK);
+    const placeholders = chunk.map(() => '?').join(', ');
+    const result = await env.DB.prepare(`
+      SELECT media_key as key FROM messages WHERE media_key IN (${placeholders})
+      UNION SELECT r2_key FROM media WHERE r2_key IN (${placeholders})
+      UNION SELECT r2_key FROM exports WHERE r2_key IN (${placeholders})
+    `).bind(...chunk, ...chunk, ...chunk).all();
+    for (const row of result.results || []) {
+      referenced.add(row.key);
+    }
+  }
+  return referenced;
+}
+
+// One page of the bucket. deleteOlderThanDays: null only reports; a number deletes orphans
+// uploaded at least that many days ago (never fewer than MIN_ORPHAN_AGE_DAYS).
+export async function scanR2Objects(env, { cursor = null, limit = MAX_LIST_LIMIT, prefix, deleteOlderThanDays = null } = {}) {
+  const listed = await env.BUCKET.list({
+    cursor: cursor || undefined,
+    limit: Math.max(1, Math.min(limit, MAX_LIST_LIMIT)),
+    prefix: prefix || undefined
+  });
+  const objects = listed.objects || [];
+  const referenced = await referencedKeys(env, objects.map(object => object.key));
+
+  const deleteBefore = deleteOlderThanDays === null
+    ? null
+    : Date.now() - Math.max(deleteOlderThanDays, MIN_ORPHAN_AGE_DAYS) * 86400000;
+
+  const orphans = [];
+  const deleteKeys = [];
+  for (const object of objects) {
+    if (referenced.has(object.key)) continue;
+    const uploaded = object.uploaded ? new Date(object.uploaded) : null;
+    const deletable = deleteBefore !== null && uploaded !== null && uploaded.getTime() < deleteBefore;
+    orphans.push({ key: object.key, size: object.size, uploaded: uploaded?.toISOString() || null, deleted: deletable });
+    if (deletable) deleteKeys.push(object.key);
+  }
+
+  if (deleteKeys.length > 0) {
+    // R2 deletes up to 1000 keys per call
+    await env.BUCKET.delete(deleteKeys);
+    const blobHashes = deleteKeys.filter(key => /^blobs\/[0-9a-f]{64}$/.test(key)).map(key => key.slice('blobs/'.length));
+    for (let i = 0; i < blobHashes.length; i += KEY_CHUNK) {
+      const chunk = blobHashes.slice(i, i + KEY_CHUNK);
+      await env.DB.prepare(`DELETE FROM blobs WHERE hash IN (${chunk.map(() => '?').join(', ')})`).bind(...chunk).run();
+    }
+    console.log(`[R2 GC] Deleted ${deleteKeys.length} orphaned objects`);
+  }
+
+  console.log(`[R2 GC] Scanned ${objects.length} objects, ${orphans.length} orphans${listed.truncated ? '' : ' (end of bucket)'}`);
+  return {
+    success: true,
+    scanned: objects.length,
+    orphans,
+    orphan_bytes: orphans.reduce((sum, orphan) => sum + (orphan.size || 0), 0),
+    deleted: deleteKeys.length,
+    nextCursor: listed.truncated ? listed.cursor : null,
+    done: !listed.truncated
+  };
+}
+
+// Puts dangling rows back in the media pipeline: the key, its media row and the blob reference
+// are dropped and the row goes back to pending (and to the media queue when it is bound)
+async function requeueDangling(env, rows) {
+  // Blobs the deleted media rows pointed at, recounted once the rows are gone
+  const placeholders = rows.map(() => '?').join(', ');
+  const referenced = rows.length > 0
+    ? await env.DB.prepare(`SELECT DISTINCT sha256 FROM media WHERE message_id IN (${placeholders}) AND sha256 IS NOT NULL`)
+      .bind(...rows.map(row => row.id)).all()
+    : { results: [] };
+
+  const statements = [];
+  for (const row of rows) {
+    statements.push(env.DB.prepare(`
+      UPDATE messages
+      SET media_status = 'pending', media_key = NULL, error_message = 'R2 object missing, re-queued',
+          lease_owner = NULL, lease_expires = NULL
+      WHERE id = ? AND media_key = ?
+    `).bind(row.id, row.media_key));
+    statements.push(env.DB.prepare('DELETE FROM media WHERE message_id = ? AND r2_key = ?').bind(row.id, row.media_key));
+    if (/^blobs\/[0-9a-f]{64}$/.test(row.media_key)) {
+      // The object is gone, so the blob row goes too; the next download stores it again
+      statements.push(env.DB.prepare('DELETE FROM blobs WHERE hash = ?').bind(row.media_key.slice('blobs/'.length)));
+    }
+  }
+  await env.DB.batch(statements);
+  await recountBlobs(env, (referenced.results || []).map(row => row.sha256));
+
+  await enqueueMediaJobs(env, rows.map(row => ({
+    messageId: row.id,
+    chatId: row.chat_id,
+    telegramMessageId: row.telegram_message_id
+  })));
+}
+
+// One page of completed messages (by messages.id), each key checked with a HEAD request.
+// Thumbnail media rows of those messages whose object is missing are removed as well, so the
+// Processor's thumbnail backfill can regenerate them.
+export async function checkMediaReferences(env, { afterId = 0, limit = 50, chatId = null, requeue = false } = {}) {
+  const conditions = ["media_status = 'completed'", 'media_key IS NOT NULL', 'id > ?'];
+  const bindings = [afterId];
+  if (chatId) {
+    conditions.push('chat_id = ?');
+    bindings.push(String(chatId));
+  }
+  const pageSize = Math.max(1, Math.min(limit, MAX_REFERENCE_LIMIT));
+  const result = await env.DB.prepare(`
+    SELECT id, chat_id, telegram_message_id, media_key FROM messages
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY id ASC
+    LIMIT ?
+  `).bind(...bindings, pageSize).all();
+  const rows = result.results || [];
+
+  // Rows sharing a blob share one HEAD
+  const present = new Map();
+  const exists = async (key) => {
+    if (!present.has(key)) {
+      present.set(key, Boolean(await env.BUCKET.head(key)));
+    }
+    return present.get(key);
+  };
+
+  const dangling = [];
+  for (const row of rows) {
+    if (!await exists(row.media_key)) {
+      dangling.push(row);
+    }
+  }
+
+  let danglingThumbnails = 0;
+  if (rows.length > 0) {
+    const thumbs = await env.DB.prepare(`
+      SELECT id, r2_key, sha256 FROM media
+      WHERE file_type = 'thumbnail' AND message_id IN (${rows.map(() => '?').join(', ')})
+    `).bind(...rows.map(row => row.id)).all();
+    const missing = [];
+    for (const thumb of thumbs.results || []) {
+      if (!await exists(thumb.r2_key)) missing.push(thumb);
+    }
+    if (missing.length > 0 && requeue) {
+      await env.DB.prepare(`DELETE FROM media WHERE id IN (${missing.map(() => '?').join(', ')})`).bind(...missing.map(thumb => thumb.id)).run();
+      await recountBlobs(env, missing.map(thumb => thumb.sha256));
+    }
+    danglingThumbnails = missing.length;
+  }
+
+  if (dangling.length > 0 && requeue) {
+    await requeueDangling(env, dangling);
+    console.log(`[R2 GC] Re-queued ${dangling.length} messages with missing media`);
+  }
+
+  console.log(`[R2 GC] Checked ${rows.length} media references, ${dangling.length} dangling, ${danglingThumbnails} missing thumbnails`);
+  return {
+    success: true,
+    checked: rows.length,
+    dangling: dangling.map(row => ({ ...row, requeued: requeue })),
+    dangling_thumbnails: danglingThumbnails,
+    nextAfterId: rows.length > 0 ? rows[rows.length - 1].id : afterId,
+    done: rows.length < pageSize
+  };
+}
@@ -0,0 +1,92 @@
+import { TelegramAuthService } from './auth.js';
+import { SyncService } from './sync.js';
+import { startSyncRun, finishSyncRun } from '../shared/syncRuns.js';
+
+// Cron entry point: one forward pass, an edit re-scan of the newest EDIT_RESCAN_WINDOW messages,
+// a deletion check of the next RECONCILE_BATCH archived ids, then up to SCHEDULED_BACKFILL_PASSES
+// backfill passes over every enabled tracked channel. Nothing is recorded while no channel is
+// enabled, so idle deployments don't fill sync_runs with failures.
+export async function runScheduledSync(env, event) {
+  const syncService = new SyncService(env);
+  const enabled = await syncService.channelsService.getTrackedChannels({ enabledOnly: true });
+  if (enabled.length === 0) {
+    console.log(`[Scheduled] No tracked channels enabled, skipping run (cron: ${event.cron})`);
+    return;
+  }
+
+  const runId = await startSyncRun(env, { worker: 'scanner', trigger: 'cron', cron: event.cron });
+  console.log(`[Scheduled] Sync run ${runId} started (cron: ${event.cron})`);
+
+  const perChannel = {};
+  // field: the per-channel count the pass reports (synced messages, edits, deletions)
+  const collect = (passName, result, field = 'synced') => {
+    for (const channel of result.channels || []) {
+      const entry = perChannel[channel.chat_id] || {
+        chat_id: channel.chat_id,
+        title: channel.title,
+        forward: 0,
+        backfill: 0,
+        edits: 0,
+        deleted: 0,
+        pending_media: 0,
+        errors: []
+      };
+      entry[passName] += channel[field] || 0;
+      entry.pending_media += channel.media || 0;
+      if (!channel.success && channel.error) {
+        entry.errors.push(`${passName}: ${channel.error}`);
+      }
+      perChannel[channel.chat_id] = entry;
+    }
+  };
+
+  try {
+    // Keep app_config fresh for the Processor before touching Telegram
+    await new TelegramAuthService(env).syncEnvToDb();
+
+    const forward = await syncService.syncTrackedChannels({ mode: 'forward' });
+    if (!forward.channels) {
+      throw new Error(forward.error || 'Forward pass failed');
+    }
+    collect('forward', forward);
+
+    const editWindow = parseInt(env.EDIT_RESCAN_WINDOW || '100', 10) || 0;
+    if (editWindow > 0 && !forward.floodWait) {
+      collect('edits', await syncService.rescanTrackedChannels({ window: editWindow }), 'edits');
+    }
+
+    const reconcileBatch = parseInt(env.RECONCILE_BATCH || '200', 10) || 0;
+    if (reconcileBatch > 0 && !forward.floodWait) {
+      collect('deleted', await syncService.reconcileTrackedChannels({ batchSize: reconcileBatch }), 'deleted');
+    }
+
+    const backfillPasses = Math.max(0, parseInt(env.SCHEDULED_BACKFILL_PASSES || '1', 10) || 0);
+    for (let pass = 0; pass < backfillPasses; pass++) {
+      const backfill = await syncService.syncTrackedChannels({ mode: 'backfill' });
+      collect('backfill', backfill);
+      // Stop early once every channel has reached the start of its history
+      if (!backfill.hasNewMessages) break;
+    }
+
+    const details = Object.values(perChannel);
+    const failedChannels = details.filter(ch => ch.errors.length > 0).length;
+    const status = failedChannels === 0 ? 'success' : failedChannels < details.length ? 'partial' : 'failed';
+
+    await finishSyncRun(env, runId, {
+      status,
+      channelsCount: details.length,
+      syncedCount: details.reduce((sum, ch) => sum + ch.forward + ch.backfill, 0),
+      mediaCount: 0,
+      details
+    });
+    console.log(`[Scheduled] Sync run ${runId} finished with status ${status}`);
+  } catch (error) {
+    console.error(`[Scheduled] Sync run ${runId} failed:`, error);
+    await finishSyncRun(env, runId, {
+      status: 'failed',
+      channelsCount: Object.keys(perChannel).length,
+      error: error.message,
+      details: Object.values(perChannel)
+    });
+  }
+}
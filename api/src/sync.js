@@ -1,5 +1,12 @@
 import { TelegramClient, Api } from 'telegram';
 import { StringSession } from 'telegram/sessions';
+import { getRemoteClient } from '../shared/remoteClient.js';
+import { openSession } from '../shared/sessionVault.js';
+import { ChannelsService } from './channels.js';
+import { enqueueMediaJobs } from './mediaQueue.js';
+import { METHOD_CLASSES, getCooldown, noteFloodWait } from '../shared/rateLimits.js';
+import { extractMetadata } from './messageMeta.js';
+import { loadMediaCatalog, mediaEntries, catalogKeys } from '../shared/mediaCatalog.js';
 
 // Polyfill to allow JSON.stringify() to handle BigInts
 BigInt.prototype.toJSON = function() { return this.toString(); };
@@ -23,6 +30,16 @@ const bigIntMax = (...args) => {
   return args.reduce((m, e) => toBigInt(e) > toBigInt(m) ? toBigInt(e) : toBigInt(m), 0n);
 };
 
+// channels.getMessages accepts at most 100 ids per call
+const RECONCILE_CHUNK = 100;
+
+// Telegram's edit timestamp (seconds) as ISO string, or null for never-edited messages
+const toEditDate = (message) => (message.editDate ? new Date(Number(message.editDate) * 1000).toISOString() : null);
+
+// Raw message text; entity offsets point into it. message.text is GramJS's markdown rendering,
+// which is what rows archived before entities were stored contain.
+const rawText = (message) => message.message ?? message.text ?? '';
+
 // REPLACEMENT for Math.min - Strictly for BigInts
 const bigIntMin = (...args) => {
   if (args.length === 0) return 0n;
@@ -38,11 +55,16 @@ export class SyncService {
     this.env = env;
     this.apiId = parseInt(env.TELEGRAM_API_ID);
     this.apiHash = env.TELEGRAM_API_HASH;
+    this.channelsService = new ChannelsService(env);
   }
 
   async getClient() {
+    // Shared long-lived connection when the Durable Object is bound
+    const remote = getRemoteClient(this.env);
+    if (remote) return remote;
+
     const sessionString = await this.getSession();
-    const session = new StringSession(sessionString || '');
+    const session = new StringSession(await openSession(this.env, sessionString));
     
     return new TelegramClient(session, this.apiId, this.apiHash, {
       connectionRetries: 5,
@@ -50,25 +72,98 @@ export class SyncService {
     });
   }
 
-  async syncMessages() {
+  // Sync every enabled tracked channel, sharing one Telegram connection
+  async syncTrackedChannels({ mode = 'auto' } = {}) {
+    const session = await this.getSession();
+    if (!session) {
+      return { success: false, error: 'No active session found' };
+    }
+
+    const channels = await this.channelsService.getTrackedChannels({ enabledOnly: true });
+    if (channels.length === 0) {
+      return { success: false, error: 'No tracked channels enabled' };
+    }
+
+    const cooldown = await getCooldown(this.env, METHOD_CLASSES.HISTORY);
+    if (cooldown > 0) {
+      return this.rateLimited(cooldown);
+    }
+
+    const client = await this.getClient();
+    await client.connect();
+
+    const results = [];
+    let floodWait = null;
+    try {
+      for (const channel of channels) {
+        // One failing channel must not block the rest of the rotation
+        const result = await this.syncMessages(channel.chat_id, { client, settings: channel.settings, mode });
+        results.push({
+          chat_id: channel.chat_id,
+          title: channel.title,
+          success: result.success,
+          synced: result.synced || 0,
+          media: result.media || 0,
+          hasNewMessages: result.hasNewMessages || false,
+          error: result.error || null
+        });
+        // The rest of the rotation would hit the same penalty
+        if (result.floodWait) {
+          floodWait = result.floodWait;
+          break;
+        }
+      }
+    } finally {
+      await client.disconnect();
+    }
+
+    return {
+      success: results.some(r => r.success),
+      synced: results.reduce((sum, r) => sum + r.synced, 0),
+      media: results.reduce((sum, r) => sum + r.media, 0),
+      hasNewMessages: results.some(r => r.hasNewMessages),
+      channels: results,
+      ...(floodWait && { floodWait }),
+      message: `Synced ${results.length} tracked channels`
+    };
+  }
+
+  // Sync a single channel. Pass options.client to reuse an open connection.
+  async syncMessages(channelId, options = {}) {
+    const ownsClient = !options.client;
+    let client = options.client || null;
+
     try {
       const session = await this.getSession();
-      const targetChannelId = await this.getTargetChannel();
 
       if (!session) {
         return { success: false, error: 'No active session found' };
       }
 
-      if (!targetChannelId) {
-        return { success: false, error: 'No target channel selected' };
+      if (!channelId) {
+        return { success: false, error: 'No channel specified' };
       }
 
       // CRITICAL: Ensure channelId is string and log type for debugging
-      const channelIdStr = String(targetChannelId);
+      const channelIdStr = String(channelId);
       console.log(`Debug: Starting sync for channel ${channelIdStr} (Type: ${typeof channelIdStr})`);
 
-      const client = await this.getClient();
-      await client.connect();
+      const settings = options.settings || await this.getChannelSettings(channelIdStr);
+      if (!settings) {
+        return { success: false, error: `Channel ${channelIdStr} is not tracked` };
+      }
+
+      // Shared FloodWait governor: skip Telegram while a recorded penalty is running
+      const cooldown = await getCooldown(this.env, METHOD_CLASSES.HISTORY);
+      if (cooldown > 0) {
+        console.log(`Debug: Rate limit cooldown active (${cooldown}s left), skipping sync of ${channelIdStr}`);
+        return this.rateLimited(cooldown);
+      }
+
+      if (ownsClient) {
+        client = await this.getClient();
+        await client.connect();
+      }
 
       // Get channel entity - CRITICAL: Use BigInt for GramJS
       const channelBigInt = toBigInt(channelIdStr);
@@ -90,36 +185,43 @@ export class SyncService {
       console.log(`Debug: Channel range - Earliest: ${earliestId}, Latest: ${latestId}, Count: ${totalCount}`);
       
       // SMART AUTO-BACKFILL STRATEGY: Phase 1 (Updates) -> Phase 2 (History)
+      // options.mode: 'auto' (default) | 'forward' (Phase 1 only) | 'backfill' (Phase 2 only)
+      const mode = options.mode || 'auto';
       let messages = [];
       // Dynamic batch size: smaller for backfill to be safer
-      let isBackfillMode = earliestId > 1n && totalCount < Number(latestId - earliestId + 1n);
+      let isBackfillMode = mode === 'backfill' ||
+        (earliestId > 1n && totalCount < Number(latestId - earliestId + 1n));
       // TURBO MODE: Increased batch size for paid plan performance
-      const limitNum = isBackfillMode ? 50 : 100; // Doubled from 25/50 to 50/100
+      // Per-channel batchSize setting overrides the forward batch; backfill stays at half
+      const forwardLimit = Number(settings.batchSize) > 0 ? Number(settings.batchSize) : 100;
+      const limitNum = isBackfillMode ? Math.max(1, Math.floor(forwardLimit / 2)) : forwardLimit;
       
       try {
         // Phase 1: Try fetching updates from Top (Newest messages)
-        console.log(`Debug: Phase 1: Fetching updates from Top (max_id: ${latestId})`);
-        
-        for await (const message of client.iterMessages(channelBigInt, {
-          limit: limitNum,
-          reverse: false,         // Fetch from Top (Newest -> Oldest)
-          min_id: Number(latestId),     // Convert BigInt to Number for API
-          // NO offset_id - Start from top of channel naturally
-        })) {
-          // Double-check to ensure API respected minId
-          if (toBigInt(message.id) <= latestId) {
-            console.log(`Debug: Phase 1: Stopping at message ${message.id} (Reached min_id: ${latestId})`);
-            break; // Stop iterator when we hit known history
+        if (mode !== 'backfill') {
+          console.log(`Debug: Phase 1: Fetching updates from Top (max_id: ${latestId})`);
+          
+          for await (const message of client.iterMessages(channelBigInt, {
+            limit: limitNum,
+            reverse: false,         // Fetch from Top (Newest -> Oldest)
+            min_id: Number(latestId),     // Convert BigInt to Number for API
+            // NO offset_id - Start from top of channel naturally
+          })) {
+            // Double-check to ensure API respected minId
+            if (toBigInt(message.id) <= latestId) {
+              console.log(`Debug: Phase 1: Stopping at message ${message.id} (Reached min_id: ${latestId})`);
+              break; // Stop iterator when we hit known history
+            }
+            messages.push(message);
           }
-          messages.push(message);
         }
         
         // Filter actual new messages (those newer than our latest)
         const newMessages = messages.filter(m => toBigInt(m.id) > latestId);
         console.log(`Debug: Phase 1: Found ${messages.length} total, ${newMessages.length} truly new messages`);
         
-        // Phase 2: Auto-Switch to Backfill if no new messages
-        if (newMessages.length === 0 && earliestId > 1n) {
+        // Phase 2: Auto-Switch to Backfill if no new messages (never in forward-only mode)
+        if (mode !== 'forward' && newMessages.length === 0 && earliestId > 1n) {
           console.log(`Debug: Phase 1 returned 0 new messages, switching to Backfill mode`);
           console.log(`Debug: Phase 2: Starting History Backfill from ${earliestId} backwards`);
           
@@ -145,7 +247,10 @@ export class SyncService {
         
       } catch (e) {
         console.error('Sync error:', e);
-        await client.disconnect();
+        const floodWait = await noteFloodWait(this.env, METHOD_CLASSES.HISTORY, e, 'scanner');
+        if (floodWait !== null) {
+          return this.rateLimited(floodWait);
+        }
         return { success: false, error: 'Sync error: ' + e.message };
       }
 
@@ -153,6 +258,7 @@ export class SyncService {
 
       let syncedCount = 0;
       let mediaCount = 0;
+      const mediaJobs = []; // Queue messages for rows saved with pending media
       let maxIdInBatch = isBackfillMode ? 0n : latestId; // Track max ID based on strategy
       let oldestIdInBatch = 0n; // Track oldest ID for backfill next offset
 
@@ -176,9 +282,12 @@ export class SyncService {
           const messageData = {
             telegram_message_id: message.id.toString(), // Convert BigInt to string
             chat_id: channelIdStr, // CRITICAL: Use the string channelId consistently
-            text: message.text || '',
+            text: rawText(message),
+            legacy_text: message.text || '',
             date: new Date(Number(message.date) * 1000).toISOString(),
             grouped_id: message.groupedId ? message.groupedId.toString() : null, // Add grouped_id for album support
+            edit_date: toEditDate(message),
+            ...extractMetadata(message),
             media_status: 'none', // Default status
             media_type: null // Default type
           };
@@ -200,6 +309,13 @@ export class SyncService {
           const result = await this.saveMessage(messageData);
           if (result.success) {
             syncedCount++;
+            if (messageData.media_status === 'pending') {
+              mediaJobs.push({
+                messageId: result.messageId,
+                chatId: channelIdStr,
+                telegramMessageId: messageData.telegram_message_id
+              });
+            }
           }
         } else {
           // CRITICAL: Save service messages as placeholders to ensure forward progress
@@ -222,7 +338,17 @@ export class SyncService {
         }
       }
 
-      await client.disconnect();
+      await this.env.DB.prepare(`
+        UPDATE tracked_channels SET last_synced_at = CURRENT_TIMESTAMP WHERE chat_id = ?
+      `).bind(channelIdStr).run();
+
+      // Hand pending media to the Processor's queue consumer (Phase B)
+      try {
+        await enqueueMediaJobs(this.env, mediaJobs);
+      } catch (queueError) {
+        // Rows stay pending, so the cron drain or a later enqueue still picks them up
+        console.error('Failed to enqueue media jobs:', queueError);
+      }
 
       console.log(`Debug: Successfully synced ${syncedCount} messages with ${mediaCount} media files`);
 
@@ -234,8 +360,8 @@ export class SyncService {
         return {
           id: msg.id,
           telegram_message_id: msg.id.toString(),
-          chat_id: String(targetChannelId),
-          text: msg.text || '',
+          chat_id: channelIdStr,
+          text: rawText(msg),
           date: new Date(Number(msg.date) * 1000).toISOString(),
           grouped_id: msg.groupedId ? msg.groupedId.toString() : null,
           media_status: msg.media ? 'pending' : 'none',
@@ -246,6 +372,7 @@ export class SyncService {
 
       return {
         success: true,
+        chat_id: channelIdStr,
         synced: syncedCount,
         media: mediaCount,
         hasNewMessages: messages.length > 0,  // Indicate if there are more Messages
@@ -254,34 +381,297 @@ export class SyncService {
       };
     } catch (error) {
       console.error('Sync error:', error);
+      // e.g. FloodWait on getEntity
+      const floodWait = await noteFloodWait(this.env, METHOD_CLASSES.HISTORY, error, 'scanner');
+      if (floodWait !== null) {
+        return this.rateLimited(floodWait);
+      }
       return {
         success: false,
         error: error.message
       };
+    } finally {
+      if (ownsClient && client) {
+        await client.disconnect();
+      }
+    }
+  }
+
+  // Result for a running FloodWait penalty (see rateLimits.js)
+  rateLimited(seconds) {
+    return {
+      success: false,
+      floodWait: seconds,
+      error: `Rate limited: Need to wait ${seconds} seconds`
+    };
+  }
+
+  // Edit detection for every enabled tracked channel, sharing one Telegram connection
+  async rescanTrackedChannels({ window } = {}) {
+    return this.runTrackedPass('edits', (chatId, client) => this.rescanEdits(chatId, { client, window }));
+  }
+
+  // Deletion check for every enabled tracked channel, sharing one Telegram connection
+  async reconcileTrackedChannels({ batchSize } = {}) {
+    return this.runTrackedPass('deleted', (chatId, client) => this.reconcileDeletions(chatId, { client, batchSize }));
+  }
+
+  // Runs pass(chatId, client) over the enabled tracked channels and sums result[field];
+  // the rotation stops at the first FloodWait
+  async runTrackedPass(field, pass) {
+    const channels = await this.channelsService.getTrackedChannels({ enabledOnly: true });
+    if (channels.length === 0) {
+      return { success: false, error: 'No tracked channels enabled' };
+    }
+
+    const cooldown = await getCooldown(this.env, METHOD_CLASSES.HISTORY);
+    if (cooldown > 0) {
+      return this.rateLimited(cooldown);
+    }
+
+    const client = await this.getClient();
+    await client.connect();
+
+    const results = [];
+    let floodWait = null;
+    try {
+      for (const channel of channels) {
+        const result = await pass(channel.chat_id, client);
+        results.push({
+          chat_id: channel.chat_id,
+          title: channel.title,
+          success: result.success,
+          [field]: result[field] || 0,
+          error: result.error || null
+        });
+        if (result.floodWait) {
+          floodWait = result.floodWait;
+          break;
+        }
+      }
+    } finally {
+      await client.disconnect();
+    }
+
+    return {
+      success: results.some(r => r.success),
+      [field]: results.reduce((sum, r) => sum + r[field], 0),
+      channels: results,
+      ...(floodWait && { floodWait })
+    };
+  }
+
+  // Phase 1 only asks for ids above the newest archived one, so edits of older messages are
+  // never seen. Re-fetch the newest `window` archived messages and apply text/edit_date changes.
+  async rescanEdits(channelId, options = {}) {
+    const ownsClient = !options.client;
+    let client = options.client || null;
+    const channelIdStr = String(channelId);
+    const window = Number(options.window) > 0 ? Number(options.window) : 100;
+
+    try {
+      const cooldown = await getCooldown(this.env, METHOD_CLASSES.HISTORY);
+      if (cooldown > 0) {
+        return this.rateLimited(cooldown);
+      }
+
+      const archived = await this.env.DB.prepare(`
+        SELECT id, telegram_message_id, text, edit_date, views, forwards, reactions FROM messages
+        WHERE chat_id = ?
+        ORDER BY CAST(telegram_message_id AS INTEGER) DESC
+        LIMIT ?
+      `).bind(channelIdStr, window).all();
+      const rows = archived.results || [];
+      if (rows.length === 0) {
+        return { success: true, edits: 0 };
+      }
+      const byId = new Map(rows.map(row => [String(row.telegram_message_id), row]));
+
+      if (ownsClient) {
+        client = await this.getClient();
+        await client.connect();
+      }
+
+      const channelBigInt = toBigInt(channelIdStr);
+      await client.getEntity(channelBigInt);
+
+      let edits = 0;
+      for await (const message of client.iterMessages(channelBigInt, {
+        limit: window,
+        offsetId: Number(rows[0].telegram_message_id) + 1 // Newest archived message and older
+      })) {
+        const row = byId.get(message.id.toString());
+        // Service messages keep their placeholder
+        if (!row || !(message.text || message.media)) continue;
+
+        const text = rawText(message);
+        const legacyText = message.text || '';
+        const editDate = toEditDate(message);
+        const metadata = extractMetadata(message);
+        // A row still holding the markdown rendering is rewritten to the raw text, not an edit
+        const edited = (row.text !== text && row.text !== legacyText) || (editDate && editDate !== row.edit_date);
+        const countersChanged = metadata.views !== row.views || metadata.forwards !== row.forwards ||
+          metadata.reactions !== row.reactions;
+        if (!edited && !countersChanged && row.text === text) continue;
+
+        const messageData = {
+          telegram_message_id: message.id.toString(),
+          chat_id: channelIdStr,
+          text,
+          legacy_text: legacyText,
+          edit_date: editDate
+        };
+        await this.env.DB.batch([
+          this.revisionStatement(messageData),
+          this.env.DB.prepare(`
+            UPDATE messages SET text = ?, edit_date = COALESCE(?, edit_date), entities = ?,
+                   views = ?, forwards = ?, reactions = ?
+            WHERE id = ?
+          `).bind(text, editDate, metadata.entities, metadata.views, metadata.forwards, metadata.reactions, row.id)
+        ]);
+        if (text !== row.text) {
+          await this.indexMessageText(row.id, text);
+        }
+        if (edited) {
+          console.log(`[Edits] Message ${message.id} in ${channelIdStr} edited at ${editDate || 'unknown time'}`);
+          edits++;
+        }
+      }
+
+      return { success: true, edits };
+    } catch (error) {
+      console.error(`[Edits] Rescan of ${channelIdStr} failed:`, error);
+      const floodWait = await noteFloodWait(this.env, METHOD_CLASSES.HISTORY, error, 'scanner');
+      if (floodWait !== null) {
+        return this.rateLimited(floodWait);
+      }
+      return { success: false, error: error.message };
+    } finally {
+      if (ownsClient && client) {
+        await client.disconnect();
+      }
+    }
+  }
+
+  // Re-fetches up to batchSize archived ids (newest first, continuing from the channel's
+  // reconcile_cursor) and sets deleted_at on the ones Telegram no longer returns.
+  // Once the oldest message is reached the cursor wraps around to the newest again.
+  async reconcileDeletions(channelId, options = {}) {
+    const ownsClient = !options.client;
+    let client = options.client || null;
+    const channelIdStr = String(channelId);
+    const batchSize = Number(options.batchSize) > 0 ? Number(options.batchSize) : 200;
+
+    try {
+      const cooldown = await getCooldown(this.env, METHOD_CLASSES.HISTORY);
+      if (cooldown > 0) {
+        return this.rateLimited(cooldown);
+      }
+
+      const tracked = await this.env.DB.prepare(
+        'SELECT reconcile_cursor FROM tracked_channels WHERE chat_id = ?'
+      ).bind(channelIdStr).first();
+      const cursor = tracked?.reconcile_cursor ?? null;
+
+      const archived = await this.env.DB.prepare(`
+        SELECT id, telegram_message_id FROM messages
+        WHERE chat_id = ? AND deleted_at IS NULL
+          ${cursor !== null ? 'AND CAST(telegram_message_id AS INTEGER) < ?' : ''}
+        ORDER BY CAST(telegram_message_id AS INTEGER) DESC
+        LIMIT ?
+      `).bind(...(cursor !== null ? [channelIdStr, cursor, batchSize] : [channelIdStr, batchSize])).all();
+      const rows = archived.results || [];
+
+      if (rows.length > 0 && ownsClient) {
+        client = await this.getClient();
+        await client.connect();
+      }
+      const channel = rows.length > 0 ? await client.getEntity(toBigInt(channelIdStr)) : null;
+
+      const deletedIds = [];
+      for (let i = 0; i < rows.length; i += RECONCILE_CHUNK) {
+        const chunk = rows.slice(i, i + RECONCILE_CHUNK);
+        // Aligned with ids; missing (deleted) messages come back empty
+        const found = await client.getMessages(channel, { ids: chunk.map(row => Number(row.telegram_message_id)) });
+        chunk.forEach((row, index) => {
+          const message = found[index];
+          if (!message || message.className === 'MessageEmpty') {
+            deletedIds.push(row.id);
+          }
+        });
+      }
+
+      const statements = deletedIds.map(id => this.env.DB.prepare(
+        'UPDATE messages SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL'
+      ).bind(id));
+      // A short page means the walk reached the oldest message: start over from the newest
+      const nextCursor = rows.length < batchSize ? null : Number(rows[rows.length - 1].telegram_message_id);
+      statements.push(this.env.DB.prepare(`
+        UPDATE tracked_channels SET reconcile_cursor = ?, last_reconciled_at = CURRENT_TIMESTAMP WHERE chat_id = ?
+      `).bind(nextCursor, channelIdStr));
+      await this.env.DB.batch(statements);
+
+      if (deletedIds.length > 0) {
+        console.log(`[Reconcile] ${deletedIds.length} of ${rows.length} checked messages in ${channelIdStr} were deleted upstream`);
+      }
+      return { success: true, checked: rows.length, deleted: deletedIds.length, cursor: nextCursor };
+    } catch (error) {
+      console.error(`[Reconcile] Deletion check of ${channelIdStr} failed:`, error);
+      const floodWait = await noteFloodWait(this.env, METHOD_CLASSES.HISTORY, error, 'scanner');
+      if (floodWait !== null) {
+        return this.rateLimited(floodWait);
+      }
+      return { success: false, error: error.message };
+    } finally {
+      if (ownsClient && client) {
+        await client.disconnect();
+      }
     }
   }
 
   async saveMessage(messageData) {
     try {
       // UPSERT message into D1 (update existing records with new media info)
-      const result = await this.env.DB.prepare(`
-        INSERT INTO messages (telegram_message_id, chat_id, text, date, grouped_id, media_status, media_type)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
-        ON CONFLICT(telegram_message_id, chat_id) DO UPDATE SET
-          text = excluded.text,
-          grouped_id = excluded.grouped_id,
-          date = excluded.date,
-          media_status = excluded.media_status,
-          media_type = excluded.media_type
-      `).bind(
-        messageData.telegram_message_id,
-        messageData.chat_id,
-        messageData.text,
-        messageData.date,
-        messageData.grouped_id,
-        messageData.media_status,
-        messageData.media_type
-      ).run(); // CRITICAL: Ensure database write is fully awaited
+      // Same transaction: keep the prior text as a revision when the upsert replaces it
+      const [, result] = await this.env.DB.batch([
+        this.revisionStatement(messageData),
+        this.env.DB.prepare(`
+          INSERT INTO messages (telegram_message_id, chat_id, text, date, grouped_id, media_status, media_type, edit_date,
+                                entities, fwd_from, reply_to_message_id, views, forwards, post_author, reactions)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          ON CONFLICT(telegram_message_id, chat_id) DO UPDATE SET
+            text = excluded.text,
+            grouped_id = excluded.grouped_id,
+            date = excluded.date,
+            -- Rows leased by a Processor keep their status; the lease owner finishes them
+            media_status = CASE WHEN messages.media_status = 'processing' THEN messages.media_status ELSE excluded.media_status END,
+            media_type = excluded.media_type,
+            edit_date = COALESCE(excluded.edit_date, messages.edit_date),
+            entities = excluded.entities,
+            fwd_from = excluded.fwd_from,
+            reply_to_message_id = excluded.reply_to_message_id,
+            views = excluded.views,
+            forwards = excluded.forwards,
+            post_author = excluded.post_author,
+            reactions = excluded.reactions
+        `).bind(
+          messageData.telegram_message_id,
+          messageData.chat_id,
+          messageData.text,
+          messageData.date,
+          messageData.grouped_id,
+          messageData.media_status,
+          messageData.media_type,
+          messageData.edit_date || null,
+          messageData.entities || null,
+          messageData.fwd_from || null,
+          messageData.reply_to_message_id || null,
+          messageData.views ?? null,
+          messageData.forwards ?? null,
+          messageData.post_author || null,
+          messageData.reactions || null
+        )
+      ]); // CRITICAL: Ensure database write is fully awaited
 
       // Debug: Log database write with media status
       if (messageData.media_status === 'pending') {
@@ -305,13 +695,46 @@ export class SyncService {
         messageId = existingMessage.id;
       }
 
-      return { success: true, messageId: result.meta.last_row_id };
+      await this.indexMessageText(messageId, messageData.text);
+
+      return { success: true, messageId };
     } catch (error) {
       console.error('Error saving message:', error);
       return { success: false, error: error.message };
     }
   }
 
+  // Copies the archived text into message_revisions if messageData.text differs from it
+  // (and from messageData.legacy_text, the markdown form older rows hold).
+  // Must run before the statement that overwrites the text.
+  revisionStatement(messageData) {
+    return this.env.DB.prepare(`
+      INSERT INTO message_revisions (message_id, chat_id, telegram_message_id, text, edit_date, replaced_at)
+      SELECT id, chat_id, telegram_message_id, text, edit_date, ?
+      FROM messages
+      WHERE telegram_message_id = ? AND chat_id = ? AND text IS NOT ? AND text IS NOT ?
+    `).bind(
+      messageData.edit_date || null,
+      messageData.telegram_message_id,
+      messageData.chat_id,
+      messageData.text,
+      messageData.legacy_text ?? messageData.text
+    );
+  }
+
+  // Keep messages_fts in step with the upsert above (rowid = messages.id)
+  async indexMessageText(messageId, text) {
+    const statements = [
+      this.env.DB.prepare('DELETE FROM messages_fts WHERE rowid = ?').bind(messageId)
+    ];
+    if (text && text !== '[Service Message]') {
+      statements.push(
+        this.env.DB.prepare('INSERT INTO messages_fts (rowid, text) VALUES (?, ?)').bind(messageId, text)
+      );
+    }
+    await this.env.DB.batch(statements);
+  }
+
   async getSession() {
     try {
       const result = await this.env.DB.prepare(
@@ -325,37 +748,41 @@ export class SyncService {
     }
   }
 
-  async getTargetChannel() {
-    try {
-      const result = await this.env.DB.prepare(
-        'SELECT value FROM kv_store WHERE key = ?'
-      ).bind('target_channel_id').first();
-      
-      // CRITICAL: Ensure channelId is always a string to match DB column type
-      return result ? String(result.value) : null;
-    } catch (error) {
-      console.error('Error getting target channel:', error);
-      return null;
-    }
+  // Returns the channel's settings object, or null if the channel is not tracked
+  async getChannelSettings(channelId) {
+    const channels = await this.channelsService.getTrackedChannels();
+    const channel = channels.find(ch => ch.chat_id === String(channelId));
+    return channel ? channel.settings : null;
   }
 
-  async getArchivedMessages(channelId, limit = 50, offset = 0) {
+  // signUrls: async (keys) -> Map of key -> { url, public_url } (mediaUrls.js); without it the
+  // media URLs are null
+  async getArchivedMessages(channelId, limit = 50, offset = 0, signUrls = null) {
     try {
       const messages = await this.env.DB.prepare(`
         SELECT m.id, m.telegram_message_id, m.chat_id, m.text, m.date, m.created_at, 
-               m.grouped_id, m.media_status, m.media_type, m.media_key,
-               md.r2_key, md.file_type, md.mime_type
+               m.grouped_id, m.media_status, m.media_type, m.media_key
         FROM messages m
-        LEFT JOIN media md ON m.id = md.message_id
         WHERE m.chat_id = ?
         ORDER BY m.date DESC
         LIMIT ? OFFSET ?
       `).bind(channelId, limit, offset).all();
 
-      console.log(`[Scanner/Viewer] Fetched ${messages.results?.length || 0} messages for channel ${channelId}`);
+      // media is one row per archived file, so it is loaded separately instead of joined
+      const catalog = await loadMediaCatalog(this.env.DB, (messages.results || []).map(row => row.id));
+      const urls = signUrls
+        ? await signUrls([...catalogKeys(catalog), ...(messages.results || []).map(row => row.media_key)])
+        : null;
+      messages.results = (messages.results || []).map(row => ({
+        ...row,
+        media_url: urls?.get(row.media_key)?.url || null,
+        media: mediaEntries(catalog, row, urls)
+      }));
+
+      console.log(`[Scanner/Viewer] Fetched ${messages.results.length} messages for channel ${channelId}`);
       
       // Log first message to verify data structure
-      if (messages.results && messages.results.length > 0) {
+      if (messages.results.length > 0) {
         const firstMsg = messages.results[0];
         console.log(`[Scanner/Viewer] Sample message data:`, {
           id: firstMsg.id,
@@ -364,8 +791,7 @@ export class SyncService {
           grouped_id_type: typeof firstMsg.grouped_id,
           media_status: firstMsg.media_status,
           media_key: firstMsg.media_key,
-          r2_key: firstMsg.r2_key,
-          has_media_key: !!(firstMsg.media_key || firstMsg.r2_key)
+          media_count: firstMsg.media.length
         });
       }
 
@@ -382,273 +808,4 @@ export class SyncService {
       };
     }
   }
-
-  async processMediaMessage(pendingMessage) {
-    try {
-      console.log(`Debug: Starting media processing for message ${pendingMessage.telegram_message_id}`);
-
-      // Get session and target channel
-      const session = await this.getSession();
-      const targetChannelId = await this.getTargetChannel();
-
-      if (!session) {
-        throw new Error('No active session found');
-      }
-
-      if (!targetChannelId) {
-        throw new Error('No target channel selected');
-      }
-
-      // Connect to Telegram
-      const client = await this.getClient();
-      await client.connect();
-
-      // Get channel entity
-      const channelBigInt = toBigInt(pendingMessage.chat_id);
-      console.log(`Debug: Resolving channel entity for chat_id: ${pendingMessage.chat_id} -> ${channelBigInt}`);
-      
-      const channel = await client.getEntity(channelBigInt);
-      console.log(`Debug: Successfully resolved channel entity`);
-
-      // Fetch the specific message
-      const messageBigInt = toBigInt(pendingMessage.telegram_message_id);
-      console.log(`Debug: Fetching message ID: ${pendingMessage.telegram_message_id} -> ${messageBigInt}`);
-      
-      // CRITICAL: GramJS requires Number for message IDs, not BigInt
-      // Convert BigInt to Number for GramJS (Safe for msg IDs < 2^53)
-      const msgIdNum = Number(pendingMessage.telegram_message_id);
-      console.log(`Debug: Converted to Number for GramJS: ${msgIdNum}`);
-      
-      const messages = await client.getMessages(channel, {
-        ids: [msgIdNum]
-      });
-
-      if (!messages || messages.length === 0) {
-        throw new Error(`Message ${pendingMessage.telegram_message_id} not found`);
-      }
-
-      const message = messages[0];
-      if (!message.media) {
-        throw new Error(`Message ${pendingMessage.telegram_message_id} has no media`);
-      }
-
-      console.log(`Debug: Downloading media for message ${message.id}, type: ${message.media.className}`);
-
-      // TURBO MODE: Photo-only processing with 20MB limit for high-res photos
-      if (!message.media.photo) {
-        console.log(`[Phase B] Skipping non-photo media: ${message.media.className}`);
-        return {
-          success: true,
-          skipped: true,
-          reason: `Non-photo media type: ${message.media.className}`,
-          mediaKey: null
-        };
-      }
-
-      const MAX_SIZE = 20 * 1024 * 1024; // 20MB for high-res photos
-      let fileSize = 0;
-      
-      // Only process photos, calculate max size from available variants
-      if (message.media.photo && message.media.photo.sizes) {
-        let maxSize = 0;
-        for (const size of message.media.photo.sizes) {
-          if (size.size) {
-            const sizeNum = Number(size.size);
-            if (sizeNum > maxSize) maxSize = sizeNum;
-          }
-        }
-        fileSize = maxSize;
-        console.log(`[Phase B] Photo max size: ${(fileSize / 1024 / 1024).toFixed(2)}MB`);
-      }
-      
-      if (fileSize > MAX_SIZE) {
-        console.log(`[Phase B] Skipping photo ${message.id}: Size ${(fileSize / 1024 / 1024).toFixed(2)}MB > 20MB limit.`);
-        
-        // Update DB to mark as skipped due to size
-        await this.env.DB.prepare(`
-          UPDATE messages SET media_status = 'skipped_large' WHERE id = ?
-        `).bind(pendingMessage.id).run();
-        
-        return {
-          success: true,
-          skipped: true,
-          reason: `Photo size ${(fileSize / 1024 / 1024).toFixed(2)}MB exceeds 20MB limit`,
-          mediaKey: null
-        };
-      }
-      
-      console.log(`[Phase B] Photo size check passed (${fileSize} bytes <= 20MB), proceeding with download`);
-
-      // TURBO MODE: Fast photo download without artificial delays
-      const downloadPromise = client.downloadMedia(message, { workers: 1 });
-      const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Download timed out > 30s')), 30000)
-      );
-
-      let buffer;
-      try {
-        buffer = await Promise.race([downloadPromise, timeoutPromise]);
-      } catch (error) {
-        console.error(`[Phase B] Error/Timeout for message ${message.id}:`, error.message);
-        
-        // Mark as failed so we can retry later
-        await this.env.DB.prepare(`
-          UPDATE messages SET media_status = 'failed' WHERE id = ?
-        `).bind(pendingMessage.id).run();
-        
-        return {
-          success: false,
-          error: error.message,
-          mediaKey: null
-        };
-      }
-      
-      // CRITICAL: Verify buffer before uploading
-      if (!buffer || buffer.length === 0) {
-        console.error(`Debug: Downloaded empty buffer for message ${message.id}`);
-        await this.env.DB.prepare(`
-          UPDATE messages SET media_status = 'failed' WHERE id = ?
-        `).bind(pendingMessage.id).run();
-        return {
-          success: false,
-          error: 'Downloaded empty buffer',
-          mediaKey: null
-        };
-      }
-      
-      console.log(`Debug: Successfully downloaded media (${buffer.length} bytes)`);
-
-      // Generate R2 key
-      const chatIdStr = String(targetChannelId);
-      const messageIdStr = message.id.toString();
-      const extension = this.getMediaExtension(message.media.className);
-      const key = `media/${chatIdStr}_${messageIdStr}_${Date.now()}.${extension}`;
-
-      console.log(`Debug: Uploading to R2: ${key}`);
-
-      // Upload to R2 with error handling
-      try {
-        await this.env.BUCKET.put(key, buffer, {
-          httpMetadata: {
-            contentType: this.getContentType(message.media.className)
-          }
-        });
-        console.log(`Debug: Successfully uploaded to R2: ${key}`);
-      } catch (uploadError) {
-        console.error(`Debug: R2 upload failed for message ${message.id}:`, uploadError);
-        await this.env.DB.prepare(`
-          UPDATE messages SET media_status = 'failed' WHERE id = ?
-        `).bind(pendingMessage.id).run();
-        return {
-          success: false,
-          error: 'R2 upload failed: ' + uploadError.message,
-          mediaKey: null
-        };
-      }
-
-      // Update database with media key and completed status
-      await this.env.DB.prepare(`
-        UPDATE messages SET media_key = ?, media_status = 'completed' WHERE id = ?
-      `).bind(key, pendingMessage.id).run();
-
-      // Also save to media table for compatibility
-      const mediaData = {
-        type: this.getMediaType(message.media.className),
-        extension: extension,
-        size: buffer.length,
-        mime_type: this.getContentType(message.media.className),
-        r2_key: key
-      };
-
-      await this.saveMediaRecord(pendingMessage.id, mediaData);
-
-      // Free memory
-      buffer = null;
-
-      console.log(`Debug: Media processing completed for message ${pendingMessage.telegram_message_id}`);
-
-      return {
-        success: true,
-        mediaKey: key,
-        mediaData: mediaData
-      };
-
-    } catch (error) {
-      console.error(`Error processing media for message ${pendingMessage.telegram_message_id}:`, error);
-      
-      // Update status to failed
-      try {
-        await this.env.DB.prepare(`
-          UPDATE messages SET media_status = 'failed' WHERE id = ?
-        `).bind(pendingMessage.id).run();
-      } catch (dbError) {
-        console.error('Error updating failed status:', dbError);
-      }
-
-      return {
-        success: false,
-        error: error.message
-      };
-    }
-  }
-
-  // Helper methods for media processing
-  getMediaExtension(mediaClassName) {
-    switch (mediaClassName) {
-      case 'MessageMediaPhoto':
-        return 'jpg';
-      case 'MessageMediaVideo':
-        return 'mp4';
-      case 'MessageMediaDocument':
-        return 'bin';
-      default:
-        return 'bin';
-    }
-  }
-
-  getMediaType(mediaClassName) {
-    switch (mediaClassName) {
-      case 'MessageMediaPhoto':
-        return 'photo';
-      case 'MessageMediaVideo':
-        return 'video';
-      case 'MessageMediaDocument':
-        return 'document';
-      default:
-        return 'unknown';
-    }
-  }
-
-  getContentType(mediaClassName) {
-    switch (mediaClassName) {
-      case 'MessageMediaPhoto':
-        return 'image/jpeg';
-      case 'MessageMediaVideo':
-        return 'video/mp4';
-      case 'MessageMediaDocument':
-        return 'application/octet-stream';
-      default:
-        return 'application/octet-stream';
-    }
-  }
-
-  async saveMediaRecord(messageId, mediaData) {
-    try {
-      await this.env.DB.prepare(`
-        INSERT INTO media (message_id, r2_key, file_type, file_size, mime_type)
-        VALUES (?, ?, ?, ?, ?)
-      `).bind(
-        messageId,
-        mediaData.r2_key,
-        mediaData.type,
-        mediaData.size,
-        mediaData.mime_type
-      ).run();
-
-      console.log(`Debug: Saved media record for message ${messageId}`);
-    } catch (error) {
-      console.error('Error saving media record:', error);
-      throw error;
-    }
-  }
 }
@@ -0,0 +1,320 @@
+// Durable Object hosting one long-lived GramJS client per Telegram session.
+// Scanner and Processor reach it over RPC (RemoteTelegramClient in remoteClient.js) instead of
+// building a TelegramClient and doing connect/getMe/disconnect on every request. The object owns
+// reconnects, the entity cache and persisting the session when GramJS migrates to another DC.
+import { DurableObject } from 'cloudflare:workers';
+import { TelegramClient } from 'telegram';
+import { StringSession } from 'telegram/sessions';
+import { forwardTitle } from './messageMeta.js';
+import { sealSession, openSession } from '../shared/sessionVault.js';
+
+const CONNECT_TIMEOUT_MS = 15000;
+// Disconnect after this long without calls so an idle object doesn't hold a socket open
+const IDLE_DISCONNECT_MS = 10 * 60 * 1000;
+const ENTITY_CACHE_LIMIT = 200;
+// Messages fetched by getMessages, kept so a following download doesn't fetch them again
+const MESSAGE_CACHE_LIMIT = 50;
+
+// GramJS bookkeeping that must not cross the RPC boundary
+const TL_META_KEYS = new Set(['CONSTRUCTOR_ID', 'SUBCLASS_OF_ID', 'classType', 'originalArgs']);
+
+// Errors after which the connection is rebuilt and the call retried once
+const CONNECTION_ERROR_PATTERNS = [/Not connected/i, /disconnected/i, /TIMEOUT/, /Connection/i, /AUTH_KEY_UNREGISTERED/];
+
+// GramJS objects carry prototypes, client back-references and big-integer ids, none of which
+// survive structured clone. Keep public TL fields only; big integers become strings.
+function toPlain(value, depth = 0) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'bigint') return value.toString();
+  if (typeof value === 'function') return undefined;
+  if (typeof value !== 'object') return value;
+  if (depth > 8) return null;
+  if (value instanceof Uint8Array) return new Uint8Array(value);
+  if (value instanceof Date) return value;
+  // big-integer instances (ids, sizes, access hashes)
+  if (typeof value.isSmall === 'boolean' && typeof value.toJSNumber === 'function') return value.toString();
+  if (Array.isArray(value)) return value.map(item => toPlain(item, depth + 1));
+
+  const plain = {};
+  if (value.className) plain.className = value.className;
+  for (const [key, field] of Object.entries(value)) {
+    if (key.startsWith('_') || TL_META_KEYS.has(key)) continue;
+    const converted = toPlain(field, depth + 1);
+    if (converted !== undefined) plain[key] = converted;
+  }
+  return plain;
+}
+
+// Message.text and the resolved forward sender are getters on the custom Message class,
+// so add them explicitly
+const toPlainMessage = (message) => ({
+  ...toPlain(message),
+  text: message.text ?? message.message ?? '',
+  forwardTitle: message.fwdFrom ? forwardTitle(message) : null
+});
+
+// Bounded Map: drop the oldest entry once the limit is reached
+function remember(map, key, value, limit) {
+  map.delete(key);
+  map.set(key, value);
+  if (map.size > limit) {
+    map.delete(map.keys().next().value);
+  }
+}
+
+export class TelegramSessionObject extends DurableObject {
+  constructor(ctx, env) {
+    super(ctx, env);
+    this.client = null;
+    // The session as stored (sealed) and its plaintext, for the client currently built
+    this.storedSession = null;
+    this.sessionString = null;
+    this.me = null;
+    this.entities = new Map();
+    this.messages = new Map();
+    this.lastUsed = 0;
+  }
+
+  // Sealed session from kv_store (written on login), falling back to the copy in app_config
+  async loadCredentials() {
+    const [sessionRow, configRows] = await Promise.all([
+      this.env.DB.prepare('SELECT value FROM kv_store WHERE key = ?').bind('session_string').first(),
+      this.env.DB.prepare(
+        "SELECT key, value FROM app_config WHERE key IN ('TELEGRAM_SESSION', 'TELEGRAM_API_ID', 'TELEGRAM_API_HASH')"
+      ).all()
+    ]);
+    const config = Object.fromEntries((configRows.results || []).map(row => [row.key, row.value]));
+
+    return {
+      session: sessionRow?.value || config.TELEGRAM_SESSION || '',
+      apiId: parseInt(this.env.TELEGRAM_API_ID || config.TELEGRAM_API_ID),
+      apiHash: this.env.TELEGRAM_API_HASH || config.TELEGRAM_API_HASH
+    };
+  }
+
+  // Returns a connected client, rebuilding it when the stored session changed (re-login)
+  async ensureClient() {
+    this.lastUsed = Date.now();
+    await this.ctx.storage.setAlarm(this.lastUsed + IDLE_DISCONNECT_MS);
+
+    const credentials = await this.loadCredentials();
+    if (!credentials.session) {
+      throw new Error('No active session found');
+    }
+    if (!credentials.apiId || !credentials.apiHash) {
+      throw new Error('TELEGRAM_API_ID and TELEGRAM_API_HASH must be configured');
+    }
+
+    if (this.client && credentials.session !== this.storedSession) {
+      console.log('[TelegramSession] Session changed, rebuilding client');
+      await this.dropClient();
+    }
+
+    if (!this.client) {
+      this.storedSession = credentials.session;
+      this.sessionString = await openSession(this.env, credentials.session);
+      this.client = new TelegramClient(new StringSession(this.sessionString), credentials.apiId, credentials.apiHash, {
+        connectionRetries: 5,
+        retryDelay: 2000,
+        autoReconnect: true
+      });
+    }
+
+    if (!this.client.connected) {
+      console.log('[TelegramSession] Connecting...');
+      const timeout = new Promise((_, reject) =>
+        setTimeout(() => reject(new Error(`Connection timeout after ${CONNECT_TIMEOUT_MS / 1000}s`)), CONNECT_TIMEOUT_MS)
+      );
+      await Promise.race([this.client.connect(), timeout]);
+      console.log('[TelegramSession] Connected');
+      await this.persistSession();
+    }
+
+    return this.client;
+  }
+
+  // GramJS updates the session when it migrates to another DC; share that with every worker
+  async persistSession() {
+    const saved = this.client.session.save();
+    if (!saved || saved === this.sessionString) return;
+
+    console.log('[TelegramSession] Session changed (DC migration), saving to D1');
+    const sealed = await sealSession(this.env, saved);
+    await this.env.DB.batch([
+      this.env.DB.prepare('INSERT OR REPLACE INTO kv_store (key, value) VALUES (?, ?)').bind('session_string', sealed),
+      this.env.DB.prepare(`
+        INSERT INTO app_config (key, value, updated_at) VALUES ('TELEGRAM_SESSION', ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+      `).bind(sealed)
+    ]);
+    this.storedSession = sealed;
+    this.sessionString = saved;
+  }
+
+  async dropClient() {
+    const client = this.client;
+    this.client = null;
+    this.me = null;
+    this.entities.clear();
+    this.messages.clear();
+    if (client) {
+      try {
+        await client.disconnect();
+      } catch (error) {
+        console.warn('[TelegramSession] Disconnect error (can be ignored):', error.message);
+      }
+    }
+  }
+
+  // Run fn with a connected client; a dropped connection is rebuilt and the call retried once
+  async withClient(fn) {
+    try {
+      const result = await fn(await this.ensureClient());
+      await this.persistSession();
+      return result;
+    } catch (error) {
+      if (!CONNECTION_ERROR_PATTERNS.some(pattern => pattern.test(error.message || ''))) {
+        throw error;
+      }
+      console.warn(`[TelegramSession] Connection error, reconnecting: ${error.message}`);
+      await this.dropClient();
+      const result = await fn(await this.ensureClient());
+      await this.persistSession();
+      return result;
+    }
+  }
+
+  async resolveEntity(client, peer) {
+    const key = String(peer);
+    if (this.entities.has(key)) {
+      return this.entities.get(key);
+    }
+    const entity = await client.getEntity(typeof peer === 'string' && /^-?\d+$/.test(peer) ? BigInt(peer) : peer);
+    remember(this.entities, key, entity, ENTITY_CACHE_LIMIT);
+    return entity;
+  }
+
+  async fetchMessage(client, peer, messageId) {
+    const key = `${peer}:${messageId}`;
+    if (this.messages.has(key)) {
+      return this.messages.get(key);
+    }
+    const entity = await this.resolveEntity(client, peer);
+    const [message] = await client.getMessages(entity, { ids: [Number(messageId)] });
+    if (!message) {
+      throw new Error(`Message ${messageId} not found`);
+    }
+    remember(this.messages, key, message, MESSAGE_CACHE_LIMIT);
+    return message;
+  }
+
+  // Idle timeout
+  async alarm() {
+    if (this.client && Date.now() - this.lastUsed >= IDLE_DISCONNECT_MS) {
+      console.log('[TelegramSession] Idle, disconnecting');
+      await this.dropClient();
+    }
+  }
+
+  // === RPC methods ===
+
+  async connect() {
+    await this.withClient(async () => {});
+    return true;
+  }
+
+  async getMe() {
+    return this.withClient(async (client) => {
+      if (!this.me) {
+        this.me = toPlain(await client.getMe());
+      }
+      return this.me;
+    });
+  }
+
+  async getEntity(peer) {
+    return this.withClient(async (client) => toPlain(await this.resolveEntity(client, peer)));
+  }
+
+  async getDialogs(params = {}) {
+    return this.withClient(async (client) => {
+      const dialogs = await client.getDialogs(params);
+      return dialogs.map(dialog => {
+        if (dialog.entity) {
+          remember(this.entities, String(dialog.id), dialog.entity, ENTITY_CACHE_LIMIT);
+        }
+        return {
+          id: dialog.id?.toString(),
+          title: dialog.title,
+          name: dialog.name,
+          username: dialog.entity?.username || null,
+          isChannel: dialog.isChannel,
+          isGroup: dialog.isGroup,
+          isUser: dialog.isUser,
+          participantsCount: dialog.entity?.participantsCount || 0
+        };
+      });
+    });
+  }
+
+  // Same parameters as client.iterMessages / client.getMessages; returns plain messages.
+  // With params.ids the result is aligned with ids: null where the message doesn't exist (deleted).
+  async getMessages(peer, params = {}) {
+    return this.withClient(async (client) => {
+      const entity = await this.resolveEntity(client, peer);
+      if (params.ids) {
+        const found = await client.getMessages(entity, params);
+        return found.map(message => {
+          if (!message || message.className === 'MessageEmpty') return null;
+          remember(this.messages, `${peer}:${message.id}`, message, MESSAGE_CACHE_LIMIT);
+          return toPlainMessage(message);
+        });
+      }
+      const messages = [];
+      for await (const message of client.iterMessages(entity, params)) {
+        if (!message) continue;
+        remember(this.messages, `${peer}:${message.id}`, message, MESSAGE_CACHE_LIMIT);
+        messages.push(toPlainMessage(message));
+      }
+      return messages;
+    });
+  }
+
+  // Whole file (or a thumbnail with { thumb }) in memory; for photos and thumbnails
+  async downloadMedia(peer, messageId, params = {}) {
+    return this.withClient(async (client) => {
+      const message = await this.fetchMessage(client, peer, messageId);
+      const buffer = await client.downloadMedia(message, { workers: 1, ...params });
+      return buffer ? new Uint8Array(buffer) : null;
+    });
+  }
+
+  // Byte stream of the file for videos and documents; chunks arrive as GramJS downloads them
+  async streamMedia(peer, messageId, { requestSize } = {}) {
+    const client = await this.ensureClient();
+    const message = await this.fetchMessage(client, peer, messageId);
+    const entity = await this.resolveEntity(client, peer);
+
+    const { readable, writable } = new IdentityTransformStream();
+    const writer = writable.getWriter();
+
+    this.ctx.waitUntil((async () => {
+      try {
+        for await (const chunk of client.iterDownload({
+          file: message.media,
+          requestSize,
+          msgData: [entity, message.id]
+        })) {
+          this.lastUsed = Date.now();
+          await writer.write(new Uint8Array(chunk));
+        }
+        await writer.close();
+      } catch (error) {
+        console.error(`[TelegramSession] Stream for message ${messageId} failed:`, error.message);
+        await writer.abort(error);
+      }
+    })());
+
+    return readable;
+  }
+}
@@ -0,0 +1,268 @@
+// Accounts behind the session tokens accessControl.js checks: sign-in, sign-out and the
+// admin-only user management routes of the Scanner, including channel grants and API tokens.
+import { ROLES, hashPassword, verifyPassword, createSession, revokeSession, createApiToken, secretsEqual } from '../shared/accessControl.js';
+import { signInLockout, recordSignInFailure, clearSignInFailures } from './loginThrottle.js';
+
+const MIN_PASSWORD_LENGTH = 10;
+
+const USER_COLUMNS = 'id, username, role, disabled, created_at, updated_at, last_login_at';
+
+function validateUsername(username) {
+  return typeof username === 'string' && /^[A-Za-z0-9._-]{2,64}$/.test(username)
+    ? null
+    : 'username must be 2-64 letters, digits, dots, dashes or underscores';
+}
+
+function validatePassword(password) {
+  return typeof password === 'string' && password.length >= MIN_PASSWORD_LENGTH
+    ? null
+    : `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+}
+
+function validateRole(role) {
+  return ROLES.includes(role) ? null : `role must be one of ${ROLES.join(', ')}`;
+}
+
+function validateChatIds(chatIds) {
+  return Array.isArray(chatIds) && chatIds.every(chatId => /^(-?\d+|\*)$/.test(String(chatId)))
+    ? null
+    : "chat_ids must be an array of chat ids (or '*' for every channel)";
+}
+
+// Grant rows grouped by user or token id (column), e.g. 1 -> ['-100123', '*']
+function groupGrants(rows, column) {
+  const grants = new Map();
+  for (const row of rows) {
+    if (!grants.has(row[column])) grants.set(row[column], []);
+    grants.get(row[column]).push(String(row.chat_id));
+  }
+  return grants;
+}
+
+export class UsersService {
+  constructor(env) {
+    this.env = env;
+  }
+
+  // Returns { success, token, expires_at, user } or { success: false, status, error }. Usernames
+  // and IPs with too many recent failures get 429 with retryAfter (loginThrottle.js) before
+  // the password is checked.
+  async signIn(username, password, userAgent = null, ip = null) {
+    const retryAfter = await signInLockout(this.env, username, ip);
+    if (retryAfter > 0) {
+      console.warn(`[Users] Sign-in for "${username}" from ${ip || 'unknown IP'} locked out for ${retryAfter}s`);
+      return { success: false, status: 429, retryAfter, error: 'Too many failed sign-ins, try again later' };
+    }
+
+    const user = await this.env.DB.prepare(
+      'SELECT id, username, role, disabled, password_hash FROM users WHERE username = ?'
+    ).bind(String(username || '')).first();
+
+    // Unknown users get the same answer (and roughly the same time) as wrong passwords
+    const valid = await verifyPassword(String(password || ''), user?.password_hash || 'pbkdf2-sha256$100000$AAAAAAAAAAAAAAAAAAAAAA$AA');
+    if (!user || !valid || user.disabled) {
+      console.warn(`[Users] Failed sign-in for "${username}" from ${ip || 'unknown IP'}`);
+      await recordSignInFailure(this.env, username, ip);
+      return { success: false, status: 401, error: 'Invalid username or password' };
+    }
+
+    await this.env.DB.batch([
+      this.env.DB.prepare('DELETE FROM sessions WHERE expires_at <= ?').bind(Date.now()),
+      this.env.DB.prepare('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?').bind(user.id)
+    ]);
+    await clearSignInFailures(this.env, username);
+    const session = await createSession(this.env, user.id, userAgent);
+    console.log(`[Users] ${user.username} signed in (${user.role})`);
+    return { success: true, ...session, user: { id: user.id, username: user.username, role: user.role } };
+  }
+
+  async signOut(token) {
+    await revokeSession(this.env, token);
+    return { success: true };
+  }
+
+  async changeOwnPassword(userId, currentPassword, newPassword) {
+    const invalid = validatePassword(newPassword);
+    if (invalid) return { success: false, error: invalid };
+
+    const user = await this.env.DB.prepare('SELECT password_hash FROM users WHERE id = ?').bind(userId).first();
+    if (!user || !await verifyPassword(String(currentPassword || ''), user.password_hash)) {
+      return { success: false, error: 'Current password is incorrect' };
+    }
+    await this.env.DB.prepare(
+      'UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'
+    ).bind(await hashPassword(newPassword), userId).run();
+    return { success: true };
+  }
+
+  async listUsers() {
+    const [users, grants] = await this.env.DB.batch([
+      this.env.DB.prepare(`SELECT ${USER_COLUMNS} FROM users ORDER BY username`),
+      this.env.DB.prepare('SELECT user_id, chat_id FROM channel_grants WHERE user_id IS NOT NULL ORDER BY chat_id')
+    ]);
+    const channels = groupGrants(grants.results || [], 'user_id');
+    return {
+      success: true,
+      users: (users.results || []).map(user => ({ ...user, channels: channels.get(user.id) || [] }))
+    };
+  }
+
+  async createUser({ username, password, role = 'viewer' } = {}) {
+    const invalid = validateUsername(username) || validatePassword(password) || validateRole(role);
+    if (invalid) return { success: false, error: invalid };
+
+    const user = await this.env.DB.prepare(`
+      INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)
+      ON CONFLICT(username) DO NOTHING
+      RETURNING ${USER_COLUMNS}
+    `).bind(username, await hashPassword(password), role).first();
+    if (!user) return { success: false, error: `User ${username} already exists` };
+
+    console.log(`[Users] Created ${username} (${role})`);
+    return { success: true, user };
+  }
+
+  // updates: { role, password, disabled }. Changing the password or disabling the user ends
+  // their sessions.
+  async updateUser(id, { role, password, disabled } = {}) {
+    const assignments = [];
+    const bindings = [];
+    if (role !== undefined) {
+      const invalid = validateRole(role);
+      if (invalid) return { success: false, error: invalid };
+      assignments.push('role = ?');
+      bindings.push(role);
+    }
+    if (password !== undefined) {
+      const invalid = validatePassword(password);
+      if (invalid) return { success: false, error: invalid };
+      assignments.push('password_hash = ?');
+      bindings.push(await hashPassword(password));
+    }
+    if (disabled !== undefined) {
+      assignments.push('disabled = ?');
+      bindings.push(disabled ? 1 : 0);
+    }
+    if (assignments.length === 0) return { success: false, error: 'Nothing to update' };
+
+    if ((role !== undefined && role !== 'admin') || disabled) {
+      const lastAdmin = await this.isLastAdmin(id);
+      if (lastAdmin) return { success: false, error: 'Cannot demote or disable the last admin' };
+    }
+
+    const user = await this.env.DB.prepare(`
+      UPDATE users SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      RETURNING ${USER_COLUMNS}
+    `).bind(...bindings, id).first();
+    if (!user) return { success: false, error: 'User not found' };
+
+    if (password !== undefined || disabled) {
+      await this.env.DB.prepare('DELETE FROM sessions WHERE user_id = ?').bind(id).run();
+    }
+    return { success: true, user };
+  }
+
+  async deleteUser(id) {
+    if (await this.isLastAdmin(id)) return { success: false, error: 'Cannot delete the last admin' };
+    await this.env.DB.batch([
+      this.env.DB.prepare('DELETE FROM sessions WHERE user_id = ?').bind(id),
+      this.env.DB.prepare('DELETE FROM channel_grants WHERE user_id = ? OR api_token_id IN (SELECT id FROM api_tokens WHERE user_id = ?)').bind(id, id),
+      this.env.DB.prepare('DELETE FROM api_tokens WHERE user_id = ?').bind(id),
+      this.env.DB.prepare('DELETE FROM users WHERE id = ?').bind(id)
+    ]);
+    return { success: true };
+  }
+
+  // Replaces the channels a user may see. Admins see every channel regardless.
+  async setUserChannels(id, chatIds) {
+    const invalid = validateChatIds(chatIds);
+    if (invalid) return { success: false, error: invalid };
+    const user = await this.env.DB.prepare('SELECT id FROM users WHERE id = ?').bind(id).first();
+    if (!user) return { success: false, error: 'User not found' };
+
+    await this.replaceGrants('user_id', user.id, chatIds);
+    return { success: true, channels: [...new Set(chatIds.map(String))] };
+  }
+
+  async listTokens(userId) {
+    const [tokens, grants] = await this.env.DB.batch([
+      this.env.DB.prepare('SELECT id, name, role, created_at FROM api_tokens WHERE user_id = ? ORDER BY id').bind(userId),
+      this.env.DB.prepare(`
+        SELECT api_token_id, chat_id FROM channel_grants
+        WHERE api_token_id IN (SELECT id FROM api_tokens WHERE user_id = ?)
+        ORDER BY chat_id
+      `).bind(userId)
+    ]);
+    const channels = groupGrants(grants.results || [], 'api_token_id');
+    return {
+      success: true,
+      tokens: (tokens.results || []).map(token => ({ ...token, channels: channels.get(token.id) || [] }))
+    };
+  }
+
+  // The token is only returned here. chat_ids narrows it to some of the owner's channels.
+  async createToken(userId, { name, role = 'viewer', chat_ids: chatIds = [] } = {}) {
+    if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+      return { success: false, error: 'name is required (at most 100 characters)' };
+    }
+    const invalid = validateRole(role) || validateChatIds(chatIds);
+    if (invalid) return { success: false, error: invalid };
+    const user = await this.env.DB.prepare('SELECT id, username FROM users WHERE id = ?').bind(userId).first();
+    if (!user) return { success: false, error: 'User not found' };
+
+    const token = await createApiToken(this.env, user.id, { name: name.trim(), role });
+    await this.replaceGrants('api_token_id', token.id, chatIds);
+    console.log(`[Users] Created API token "${token.name}" for ${user.username} (${role})`);
+    return { success: true, token: { ...token, channels: [...new Set(chatIds.map(String))] } };
+  }
+
+  async setTokenChannels(userId, tokenId, chatIds) {
+    const invalid = validateChatIds(chatIds);
+    if (invalid) return { success: false, error: invalid };
+    const token = await this.env.DB.prepare('SELECT id FROM api_tokens WHERE id = ? AND user_id = ?').bind(tokenId, userId).first();
+    if (!token) return { success: false, error: 'Token not found' };
+
+    await this.replaceGrants('api_token_id', token.id, chatIds);
+    return { success: true, channels: [...new Set(chatIds.map(String))] };
+  }
+
+  async revokeToken(userId, tokenId) {
+    const token = await this.env.DB.prepare('SELECT id FROM api_tokens WHERE id = ? AND user_id = ?').bind(tokenId, userId).first();
+    if (!token) return { success: false, error: 'Token not found' };
+    await this.env.DB.batch([
+      this.env.DB.prepare('DELETE FROM channel_grants WHERE api_token_id = ?').bind(token.id),
+      this.env.DB.prepare('DELETE FROM api_tokens WHERE id = ?').bind(token.id)
+    ]);
+    return { success: true };
+  }
+
+  // column is 'user_id' or 'api_token_id'
+  async replaceGrants(column, id, chatIds) {
+    const statements = [this.env.DB.prepare(`DELETE FROM channel_grants WHERE ${column} = ?`).bind(id)];
+    for (const chatId of new Set(chatIds.map(String))) {
+      statements.push(this.env.DB.prepare(`INSERT INTO channel_grants (${column}, chat_id) VALUES (?, ?)`).bind(id, chatId));
+    }
+    await this.env.DB.batch(statements);
+  }
+
+  async isLastAdmin(id) {
+    const row = await this.env.DB.prepare(`
+      SELECT COUNT(*) as admins, SUM(CASE WHEN id = ? THEN 1 ELSE 0 END) as is_target
+      FROM users WHERE role = 'admin' AND disabled = 0
+    `).bind(id).first();
+    return row.is_target > 0 && row.admins <= 1;
+  }
+
+  // First admin of a fresh deployment. Only works while no user exists, and only with the
+  // deployment's legacy ACCESS_KEY secret as proof of ownership.
+  async bootstrap(accessKey, { username, password } = {}) {
+    if (!this.env.ACCESS_KEY || !await secretsEqual(accessKey, this.env.ACCESS_KEY)) {
+      return { success: false, status: 401, error: 'Bootstrap requires the deployment ACCESS_KEY' };
+    }
+    const existing = await this.env.DB.prepare('SELECT COUNT(*) as count FROM users').first();
+    if (existing.count > 0) {
+      return { success: false, status: 409, error: 'Users already exist; sign in as an admin instead' };
+    }
+    return await this.createUser({ username, password, role: 'admin' });
+  }
+}
@@ -0,0 +1,615 @@
+// Channel exports: a self-contained ZIP with the archived media, messages.json and a static
+// index.html, written to R2 under exports/. Large channels don't fit in one request, so an export
+// runs in slices: each slice appends to an R2 multipart upload and checkpoints its position in the
+// exports row (plus the unflushed tail in R2), and the next slice continues from there.
+
+// R2 multipart parts must all have the same size except the last one
+const PART_SIZE = 5 * 1024 * 1024;
+// A slice stops starting new work after this long
+const SLICE_MS = 20000;
+// A slice that has not checkpointed for this long is considered dead and may be taken over
+const SLICE_STALE_MS = 120000;
+// Message rows per step of messages.json / index.html
+const PAGE_SIZE = 200;
+// Media objects per step
+const MEDIA_PAGE_SIZE = 20;
+
+// No ZIP64: offsets and sizes are 32-bit, entries 16-bit. Exceeding them fails the export.
+const ZIP32_MAX_BYTES = 0xFFFFFFFF;
+const ZIP32_MAX_ENTRIES = 0xFFFF;
+// General purpose flags: sizes/CRC in a trailing data descriptor (bit 3), UTF-8 names (bit 11)
+const ZIP_FLAGS = 0x0808;
+
+const encoder = new TextEncoder();
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+// Incremental CRC-32: crc32(b, crc32(a)) === crc32(a + b)
+function crc32(bytes, previous = 0) {
+  let crc = (previous ^ 0xFFFFFFFF) >>> 0;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function concatBytes(chunks, length) {
+  const joined = new Uint8Array(length);
+  let position = 0;
+  for (const chunk of chunks) {
+    joined.set(chunk, position);
+    position += chunk.length;
+  }
+  return joined;
+}
+
+// MS-DOS time and date of the export's creation, shared by every entry
+function dosTimestamp(date) {
+  return {
+    time: (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | Math.floor(date.getUTCSeconds() / 2),
+    date: ((date.getUTCFullYear() - 1980) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate()
+  };
+}
+
+function localFileHeader(nameBytes, stamp) {
+  const header = new DataView(new ArrayBuffer(30));
+  header.setUint32(0, 0x04034b50, true);
+  header.setUint16(4, 20, true);          // version needed
+  header.setUint16(6, ZIP_FLAGS, true);
+  header.setUint16(8, 0, true);           // stored
+  header.setUint16(10, stamp.time, true);
+  header.setUint16(12, stamp.date, true);
+  // CRC and sizes (offsets 14-25) follow in the data descriptor
+  header.setUint16(26, nameBytes.length, true);
+  header.setUint16(28, 0, true);
+  return concatBytes([new Uint8Array(header.buffer), nameBytes], 30 + nameBytes.length);
+}
+
+function dataDescriptor(entry) {
+  const descriptor = new DataView(new ArrayBuffer(16));
+  descriptor.setUint32(0, 0x08074b50, true);
+  descriptor.setUint32(4, entry.crc, true);
+  descriptor.setUint32(8, entry.size, true);
+  descriptor.setUint32(12, entry.size, true);
+  return new Uint8Array(descriptor.buffer);
+}
+
+function centralDirectoryHeader(entry, stamp) {
+  const nameBytes = encoder.encode(entry.name);
+  const header = new DataView(new ArrayBuffer(46));
+  header.setUint32(0, 0x02014b50, true);
+  header.setUint16(4, 20, true);          // version made by
+  header.setUint16(6, 20, true);          // version needed
+  header.setUint16(8, ZIP_FLAGS, true);
+  header.setUint16(10, 0, true);          // stored
+  header.setUint16(12, stamp.time, true);
+  header.setUint16(14, stamp.date, true);
+  header.setUint32(16, entry.crc, true);
+  header.setUint32(20, entry.size, true);
+  header.setUint32(24, entry.size, true);
+  header.setUint16(28, nameBytes.length, true);
+  // extra, comment, disk number, attributes stay 0
+  header.setUint32(42, entry.local_offset, true);
+  return concatBytes([new Uint8Array(header.buffer), nameBytes], 46 + nameBytes.length);
+}
+
+function endOfCentralDirectory(entryCount, directorySize, directoryOffset) {
+  const record = new DataView(new ArrayBuffer(22));
+  record.setUint32(0, 0x06054b50, true);
+  record.setUint16(8, entryCount, true);
+  record.setUint16(10, entryCount, true);
+  record.setUint32(12, directorySize, true);
+  record.setUint32(16, directoryOffset, true);
+  return new Uint8Array(record.buffer);
+}
+
+const tailKey = (job) => `exports/.work/${job.id}.tail`;
+
+// Permanent: retrying the slice would hit the same limit
+class ZipLimitError extends Error {}
+
+// Appends ZIP bytes to the export's multipart upload, one PART_SIZE part at a time
+class ExportWriter {
+  constructor(env, job, upload, tail) {
+    this.env = env;
+    this.job = job;
+    this.upload = upload;
+    this.parts = JSON.parse(job.parts || '[]');
+    this.pending = tail && tail.length > 0 ? [tail] : [];
+    this.pendingBytes = tail ? tail.length : 0;
+    this.offset = job.bytes_written;
+    this.stamp = dosTimestamp(new Date(`${String(job.created_at).replace(' ', 'T')}Z`));
+  }
+
+  static async open(env, job) {
+    const upload = env.BUCKET.resumeMultipartUpload(job.r2_key, job.upload_id);
+    const tailObject = await env.BUCKET.get(tailKey(job));
+    const tail = tailObject ? new Uint8Array(await tailObject.arrayBuffer()) : null;
+
+    // Entries recorded by a slice that died before its checkpoint will be written again
+    await env.DB.prepare(
+      'DELETE FROM export_entries WHERE export_id = ? AND local_offset >= ?'
+    ).bind(job.id, job.bytes_written).run();
+
+    const countRow = await env.DB.prepare(
+      'SELECT COUNT(*) as count FROM export_entries WHERE export_id = ?'
+    ).bind(job.id).first();
+
+    const writer = new ExportWriter(env, job, upload, tail);
+    writer.entryCount = countRow?.count || 0;
+    return writer;
+  }
+
+  async write(bytes) {
+    if (this.offset + bytes.length > ZIP32_MAX_BYTES) {
+      throw new ZipLimitError('Export exceeds the 4 GiB ZIP limit');
+    }
+    this.pending.push(bytes);
+    this.pendingBytes += bytes.length;
+    this.offset += bytes.length;
+
+    while (this.pendingBytes >= PART_SIZE) {
+      const joined = concatBytes(this.pending, this.pendingBytes);
+      const part = await this.upload.uploadPart(this.parts.length + 1, joined.subarray(0, PART_SIZE));
+      this.parts.push({ partNumber: part.partNumber, etag: part.etag });
+      const rest = joined.subarray(PART_SIZE);
+      this.pending = rest.length > 0 ? [rest] : [];
+      this.pendingBytes = rest.length;
+    }
+  }
+
+  async beginEntry(name) {
+    if (this.entryCount >= ZIP32_MAX_ENTRIES) {
+      throw new ZipLimitError(`Export exceeds ${ZIP32_MAX_ENTRIES} ZIP entries`);
+    }
+    const entry = { name, offset: this.offset, crc: 0, size: 0 };
+    await this.write(localFileHeader(encoder.encode(name), this.stamp));
+    return entry;
+  }
+
+  async writeEntry(entry, bytes) {
+    entry.crc = crc32(bytes, entry.crc);
+    entry.size += bytes.length;
+    await this.write(bytes);
+  }
+
+  async endEntry(entry) {
+    await this.write(dataDescriptor(entry));
+    await this.env.DB.prepare(`
+      INSERT OR REPLACE INTO export_entries (export_id, local_offset, name, crc, size)
+      VALUES (?, ?, ?, ?, ?)
+    `).bind(this.job.id, entry.offset, entry.name, entry.crc, entry.size).run();
+    this.entryCount++;
+  }
+
+  // Keep the unflushed tail in R2 until the next slice; returns the columns to save
+  async checkpoint() {
+    await this.env.BUCKET.put(tailKey(this.job), concatBytes(this.pending, this.pendingBytes));
+    return { parts: JSON.stringify(this.parts), bytesWritten: this.offset };
+  }
+
+  // Central directory, end record, last part, then complete the upload
+  async finish() {
+    const entries = await this.env.DB.prepare(`
+      SELECT local_offset, name, crc, size FROM export_entries
+      WHERE export_id = ? ORDER BY local_offset
+    `).bind(this.job.id).all();
+    const records = entries.results || [];
+
+    const directoryOffset = this.offset;
+    for (const entry of records) {
+      await this.write(centralDirectoryHeader(entry, this.stamp));
+    }
+    await this.write(endOfCentralDirectory(records.length, this.offset - directoryOffset, directoryOffset));
+
+    const tail = concatBytes(this.pending, this.pendingBytes);
+    if (tail.length > 0 || this.parts.length === 0) {
+      const part = await this.upload.uploadPart(this.parts.length + 1, tail);
+      this.parts.push({ partNumber: part.partNumber, etag: part.etag });
+    }
+    await this.upload.complete(this.parts);
+    await this.env.BUCKET.delete(tailKey(this.job));
+    return this.offset;
+  }
+}
+
+// === Content ===
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const HTML_HEAD = (title) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 760px; margin: 0 auto; padding: 24px; background: #f5f5f5; color: #111; }
+.post { background: #fff; border-radius: 10px; padding: 12px; margin-bottom: 16px; box-shadow: 0 1px 2px rgba(0,0,0,.08); }
+.post time { font-size: 12px; color: #666; }
+.post .deleted { margin-left: 8px; font-size: 12px; color: #b91c1c; }
+.album { display: grid; gap: 4px; margin: 8px 0; }
+.album.cols-1 { grid-template-columns: 1fr; }
+.album.cols-2 { grid-template-columns: repeat(2, 1fr); }
+.album.cols-3 { grid-template-columns: repeat(3, 1fr); }
+.album img, .album video { width: 100%; border-radius: 6px; object-fit: cover; }
+.album .file, .album .missing { padding: 12px; border: 1px dashed #ccc; border-radius: 6px; font-size: 14px; }
+.album .missing { color: #888; }
+.text { white-space: pre-wrap; word-wrap: break-word; margin: 8px 0 0; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+`;
+
+const HTML_FOOT = '</body>\n</html>\n';
+
+// Media path inside the ZIP: the R2 key itself (e.g. media/123_45_1700000000.jpg), plus the
+// file's extension for content-addressed blobs/<sha256> keys. Messages sharing a blob share the entry.
+const mediaPath = (message) => {
+  if (message.media_status !== 'completed' || !message.media_key) return null;
+  return message.media_key.startsWith('blobs/') && message.media_extension
+    ? `${message.media_key}.${message.media_extension}`
+    : message.media_key;
+};
+
+function renderMedia(message) {
+  const path = mediaPath(message);
+  if (!path) {
+    return `<div class="missing">Media not archived (${escapeHtml(message.media_status)})</div>`;
+  }
+  const href = escapeHtml(path);
+  const mime = message.media_mime_type || 'image/jpeg';
+  if (mime.startsWith('image/')) {
+    return `<a href="${href}"><img src="${href}" loading="lazy" alt=""></a>`;
+  }
+  if (mime.startsWith('video/')) {
+    return `<video src="${href}" controls preload="none"></video>`;
+  }
+  if (mime.startsWith('audio/')) {
+    return `<audio src="${href}" controls preload="none"></audio>`;
+  }
+  return `<a class="file" href="${href}">📄 ${escapeHtml(message.media_file_name || path.split('/').pop())}</a>`;
+}
+
+// One card per message, or per album (consecutive rows sharing grouped_id) like MessageGallery
+function renderPosts(rows) {
+  const posts = [];
+  for (const row of rows) {
+    const last = posts[posts.length - 1];
+    if (row.grouped_id && last && last.groupedId === String(row.grouped_id)) {
+      last.messages.push(row);
+    } else {
+      posts.push({ groupedId: row.grouped_id ? String(row.grouped_id) : null, messages: [row] });
+    }
+  }
+
+  return posts.map(({ messages }) => {
+    messages.sort((a, b) => Number(a.telegram_message_id) - Number(b.telegram_message_id));
+    const withMedia = messages.filter(m => m.media_status && m.media_status !== 'none');
+    const text = messages.map(m => m.text).find(t => t && t !== '[Service Message]') || '';
+    const columns = Math.min(withMedia.length, 3);
+
+    return `<article class="post" id="m${escapeHtml(messages[0].telegram_message_id)}">
+<time datetime="${escapeHtml(messages[0].date)}">${escapeHtml(new Date(messages[0].date).toUTCString())}</time>${messages.some(m => m.deleted_at) ? '<span class="deleted">Deleted upstream</span>' : ''}
+${withMedia.length > 0 ? `<div class="album cols-${columns}">${withMedia.map(renderMedia).join('')}</div>` : ''}
+${text ? `<p class="text">${escapeHtml(text)}</p>` : ''}
+</article>
+`;
+  }).join('');
+}
+
+// Rows after the (date, id) cursor in gallery order
+async function fetchMessagePage(env, chatId, cursor, limit) {
+  const after = cursor ? 'AND (date > ? OR (date = ? AND id > ?))' : '';
+  const params = cursor ? [cursor.date, cursor.date, cursor.id] : [];
+  const result = await env.DB.prepare(`
+    SELECT * FROM messages
+    WHERE chat_id = ? ${after}
+    ORDER BY date ASC, id ASC
+    LIMIT ?
+  `).bind(chatId, ...params, limit).all();
+  return result.results || [];
+}
+
+// Processor bookkeeping is not part of the archive
+const parseJson = (raw) => {
+  try {
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+};
+
+const exportableRow = (row) => {
+  const message = {
+    ...row,
+    grouped_id: row.grouped_id ? String(row.grouped_id) : null,
+    entities: parseJson(row.entities),
+    fwd_from: parseJson(row.fwd_from),
+    reactions: parseJson(row.reactions),
+    media_path: mediaPath(row)
+  };
+  delete message.lease_owner;
+  delete message.lease_expires;
+  return message;
+};
+
+// === Phases: one step writes one page and reports whether the phase is finished ===
+
+async function stepMedia(env, job, writer, state) {
+  // Each key once: reposts in the same channel share one blob
+  const result = await env.DB.prepare(`
+    SELECT m.id, m.media_key, m.media_status, m.media_extension FROM messages m
+    WHERE m.chat_id = ? AND m.media_status = 'completed' AND m.media_key IS NOT NULL AND m.id > ?
+      AND NOT EXISTS (
+        SELECT 1 FROM messages d
+        WHERE d.media_key = m.media_key AND d.chat_id = m.chat_id AND d.media_status = 'completed' AND d.id < m.id
+      )
+    ORDER BY m.id ASC
+    LIMIT ?
+  `).bind(job.chat_id, state.cursor?.id || 0, MEDIA_PAGE_SIZE).all();
+  const rows = result.results || [];
+
+  for (const row of rows) {
+    const object = await env.BUCKET.get(row.media_key);
+    if (!object) {
+      console.warn(`[Export ${job.id}] Media ${row.media_key} missing in R2, skipping`);
+      state.missingMedia++;
+    } else {
+      const entry = await writer.beginEntry(mediaPath(row));
+      for await (const chunk of object.body) {
+        await writer.writeEntry(entry, chunk);
+      }
+      await writer.endEntry(entry);
+      state.mediaCount++;
+    }
+    state.cursor = { id: row.id };
+    if (state.outOfTime()) return false;
+  }
+
+  return rows.length < MEDIA_PAGE_SIZE;
+}
+
+async function stepMessages(env, job, writer, state) {
+  if (!state.entry) {
+    state.entry = await writer.beginEntry('messages.json');
+    state.entry.items = 0;
+    await writer.writeEntry(state.entry, encoder.encode('[\n'));
+  }
+
+  const rows = await fetchMessagePage(env, job.chat_id, state.cursor, PAGE_SIZE);
+  if (rows.length > 0) {
+    const json = rows
+      .map((row, i) => `${state.entry.items + i > 0 ? ',\n' : ''}${JSON.stringify(exportableRow(row))}`)
+      .join('');
+    await writer.writeEntry(state.entry, encoder.encode(json));
+    state.entry.items += rows.length;
+    state.messageCount += rows.length;
+    const last = rows[rows.length - 1];
+    state.cursor = { date: last.date, id: last.id };
+  }
+
+  if (rows.length < PAGE_SIZE) {
+    await writer.writeEntry(state.entry, encoder.encode('\n]\n'));
+    await writer.endEntry(state.entry);
+    state.entry = null;
+    return true;
+  }
+  return false;
+}
+
+async function stepHtml(env, job, writer, state) {
+  if (!state.entry) {
+    const channel = await env.DB.prepare(
+      'SELECT title FROM tracked_channels WHERE chat_id = ?'
+    ).bind(job.chat_id).first();
+    state.entry = await writer.beginEntry('index.html');
+    await writer.writeEntry(state.entry, encoder.encode(HTML_HEAD(channel?.title || `Channel ${job.chat_id}`)));
+  }
+
+  let rows = await fetchMessagePage(env, job.chat_id, state.cursor, PAGE_SIZE);
+  const done = rows.length < PAGE_SIZE;
+
+  // Keep an album that may continue on the next page together for the next step
+  const lastGroup = rows.length > 0 ? rows[rows.length - 1].grouped_id : null;
+  if (!done && lastGroup) {
+    const firstOfGroup = rows.findIndex(row => String(row.grouped_id) === String(lastGroup));
+    if (firstOfGroup > 0) rows = rows.slice(0, firstOfGroup);
+  }
+
+  if (rows.length > 0) {
+    await writer.writeEntry(state.entry, encoder.encode(renderPosts(rows)));
+    const last = rows[rows.length - 1];
+    state.cursor = { date: last.date, id: last.id };
+  }
+
+  if (done) {
+    await writer.writeEntry(state.entry, encoder.encode(HTML_FOOT));
+    await writer.endEntry(state.entry);
+    state.entry = null;
+    return true;
+  }
+  return false;
+}
+
+const PHASES = [
+  { name: 'media', step: stepMedia },
+  { name: 'messages', step: stepMessages },
+  { name: 'html', step: stepHtml }
+];
+
+// === Jobs ===
+
+export function serializeExport(job) {
+  return {
+    id: job.id,
+    chat_id: job.chat_id,
+    status: job.status,
+    phase: job.phase,
+    bytes_written: job.bytes_written,
+    message_count: job.message_count,
+    media_count: job.media_count,
+    missing_media: job.missing_media,
+    error_message: job.error_message,
+    created_at: job.created_at,
+    completed_at: job.completed_at,
+    r2_key: job.r2_key,
+    // Served by the Viewer's /media/* route
+    download_path: job.status === 'completed' ? `/media/${job.r2_key}` : null
+  };
+}
+
+export async function getExport(env, exportId) {
+  return env.DB.prepare('SELECT * FROM exports WHERE id = ?').bind(exportId).first();
+}
+
+// Latest exports of one channel, or the latest export of every channel
+export async function listExports(env, chatId = null, limit = 10) {
+  const result = chatId
+    ? await env.DB.prepare(
+      'SELECT * FROM exports WHERE chat_id = ? ORDER BY id DESC LIMIT ?'
+    ).bind(String(chatId), limit).all()
+    : await env.DB.prepare(
+      'SELECT * FROM exports WHERE id IN (SELECT MAX(id) FROM exports GROUP BY chat_id) ORDER BY id DESC'
+    ).all();
+  return result.results || [];
+}
+
+// The channel's unfinished export, or a new one
+export async function findOrCreateExport(env, chatId) {
+  const running = await env.DB.prepare(
+    "SELECT * FROM exports WHERE chat_id = ? AND status = 'running' ORDER BY id DESC LIMIT 1"
+  ).bind(String(chatId)).first();
+  if (running) return running;
+
+  const inserted = await env.DB.prepare(`
+    INSERT INTO exports (chat_id, r2_key) VALUES (?, '') RETURNING id, created_at
+  `).bind(String(chatId)).first();
+
+  const r2Key = `exports/${chatId}/${inserted.id}.zip`;
+  const fileName = `channel-${chatId}-${String(inserted.created_at).substring(0, 10)}.zip`;
+  const upload = await env.BUCKET.createMultipartUpload(r2Key, {
+    httpMetadata: {
+      contentType: 'application/zip',
+      contentDisposition: `attachment; filename="${fileName}"`
+    }
+  });
+
+  await env.DB.prepare(
+    'UPDATE exports SET r2_key = ?, upload_id = ? WHERE id = ?'
+  ).bind(r2Key, upload.uploadId, inserted.id).run();
+
+  console.log(`[Export ${inserted.id}] Started export of channel ${chatId} to ${r2Key}`);
+  return getExport(env, inserted.id);
+}
+
+// Runs one slice of the export. Returns the updated row, or null when another slice is running.
+// Throws on transient errors; the export stays 'running' and the next call resumes it.
+export async function runExportSlice(env, exportId) {
+  const now = Date.now();
+  const claimed = await env.DB.prepare(`
+    UPDATE exports SET slice_started_at = ?
+    WHERE id = ? AND status = 'running' AND (slice_started_at IS NULL OR slice_started_at < ?)
+    RETURNING *
+  `).bind(now, exportId, now - SLICE_STALE_MS).first();
+
+  if (!claimed) {
+    const job = await getExport(env, exportId);
+    return job && job.status !== 'running' ? job : null;
+  }
+
+  const job = claimed;
+  const state = {
+    cursor: job.cursor ? JSON.parse(job.cursor) : null,
+    entry: job.open_entry ? JSON.parse(job.open_entry) : null,
+    messageCount: job.message_count,
+    mediaCount: job.media_count,
+    missingMedia: job.missing_media,
+    outOfTime: () => Date.now() - now > SLICE_MS
+  };
+  let phase = job.phase;
+
+  try {
+    const writer = await ExportWriter.open(env, job);
+
+    while (phase !== 'finalize' && !state.outOfTime()) {
+      const current = PHASES.findIndex(p => p.name === phase);
+      const finished = await PHASES[current].step(env, job, writer, state);
+      if (finished) {
+        phase = current + 1 < PHASES.length ? PHASES[current + 1].name : 'finalize';
+        state.cursor = null;
+        console.log(`[Export ${job.id}] Entering phase ${phase}`);
+      }
+    }
+
+    if (phase === 'finalize') {
+      const totalBytes = await writer.finish();
+      await env.DB.prepare(`
+        UPDATE exports SET status = 'completed', phase = 'finalize', cursor = NULL, open_entry = NULL,
+          parts = ?, bytes_written = ?, message_count = ?, media_count = ?, missing_media = ?,
+          slice_started_at = NULL, updated_at = CURRENT_TIMESTAMP, completed_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).bind(
+        JSON.stringify(writer.parts), totalBytes, state.messageCount, state.mediaCount, state.missingMedia, job.id
+      ).run();
+      console.log(`[Export ${job.id}] Completed: ${totalBytes} bytes, ${state.mediaCount} media files`);
+    } else {
+      const { parts, bytesWritten } = await writer.checkpoint();
+      await env.DB.prepare(`
+        UPDATE exports SET phase = ?, cursor = ?, open_entry = ?, parts = ?, bytes_written = ?,
+          message_count = ?, media_count = ?, missing_media = ?,
+          slice_started_at = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).bind(
+        phase,
+        state.cursor ? JSON.stringify(state.cursor) : null,
+        state.entry ? JSON.stringify(state.entry) : null,
+        parts,
+        bytesWritten,
+        state.messageCount,
+        state.mediaCount,
+        state.missingMedia,
+        job.id
+      ).run();
+      console.log(`[Export ${job.id}] Checkpoint in phase ${phase} at ${bytesWritten} bytes`);
+    }
+  } catch (error) {
+    if (!(error instanceof ZipLimitError)) {
+      // Nothing past the last checkpoint is kept, so the next slice simply redoes this one
+      console.error(`[Export ${job.id}] Slice failed, will resume from the last checkpoint:`, error);
+      await env.DB.prepare(`
+        UPDATE exports SET error_message = ?, slice_started_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).bind(String(error.message).substring(0, 255), job.id).run();
+      throw error;
+    }
+
+    console.error(`[Export ${job.id}] Failed:`, error);
+    await env.DB.prepare(`
+      UPDATE exports SET status = 'failed', error_message = ?, slice_started_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).bind(String(error.message).substring(0, 255), job.id).run();
+    try {
+      await env.BUCKET.resumeMultipartUpload(job.r2_key, job.upload_id).abort();
+      await env.BUCKET.delete(tailKey(job));
+    } catch (cleanupError) {
+      console.warn(`[Export ${job.id}] Cleanup failed:`, cleanupError.message);
+    }
+  }
+
+  return getExport(env, job.id);
+}
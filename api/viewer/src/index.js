@@ -1,5 +1,9 @@
 import { Hono } from 'hono';
 import { cors } from 'hono/cors';
+import { findOrCreateExport, runExportSlice, getExport, listExports, serializeExport } from './exports.js';
+import { loadMediaCatalog, mediaEntries, catalogKeys } from '../../shared/mediaCatalog.js';
+import { accessControl, channelForbidden, mediaForbidden, requestChannels } from '../../shared/accessControl.js';
+import { mediaUrls, publicR2Url, signatureForbidden } from '../../shared/mediaUrls.js';
 
 const app = new Hono();
 
@@ -7,73 +11,14 @@ const app = new Hono();
 app.use('/*', cors({
   origin: '*', 
   allowMethods: ['POST', 'GET', 'OPTIONS'],
-  allowHeaders: ['Content-Type', 'X-Access-Key', 'X-Internal-Key'],
+  allowHeaders: ['Content-Type', 'Authorization'],
   exposeHeaders: ['Content-Length'],
   maxAge: 600,
   credentials: true,
 }));
 
-// STEP 2: Internal Service Auth Middleware
-app.use('/*', async (c, next) => {
-  // Skip check for OPTIONS requests
-  if (c.req.method === 'OPTIONS') {
-    return next();
-  }
-  
-  // Public endpoints
-  const publicPaths = ['/', '/health', '/media/*'];
-  if (publicPaths.some(path => {
-    if (path === '/media/*') {
-      return c.req.path.startsWith('/media/');
-    }
-    return c.req.path === path;
-  })) {
-    return next();
-  }
-  
-  const internalKey = c.req.header('X-Internal-Key');
-  const accessKey = c.req.header('X-Access-Key');
-  
-  // Allow either internal key (for microservice communication) or access key (for frontend)
-  if (!internalKey && !accessKey) {
-    return c.json({ error: 'Authentication required' }, 401);
-  }
-  
-  // Check internal key first (for microservice communication)
-  if (internalKey) {
-    const INTERNAL_SERVICE_KEY = c.env.INTERNAL_SERVICE_KEY;
-    if (!INTERNAL_SERVICE_KEY) {
-      console.error('[Viewer Auth] INTERNAL_SERVICE_KEY not configured');
-      return c.json({ error: 'Service configuration error' }, 500);
-    }
-    if (internalKey !== INTERNAL_SERVICE_KEY) {
-      console.error('[Viewer Auth] Invalid internal key provided');
-      return c.json({ error: 'Invalid internal key' }, 401);
-    }
-    console.log('[Viewer Auth] Internal key validated successfully');
-    await next();
-    return;
-  }
-  
-  // Check access key (for frontend communication)
-  if (accessKey) {
-    // First try environment variable (from GitHub Actions secrets)
-    const envAccessKey = c.env.ACCESS_KEY;
-    if (envAccessKey && envAccessKey === accessKey) {
-      console.log('[Viewer Auth] Access key validated from environment');
-    } else {
-      // Fallback to D1 database
-      const storedKey = await c.env.DB.prepare("SELECT value FROM app_config WHERE key = 'ACCESS_KEY'").first();
-      if (!storedKey || !storedKey.value || storedKey.value !== accessKey) {
-        console.error('[Viewer Auth] Invalid access key provided');
-        return c.json({ error: 'Invalid access key' }, 401);
-      }
-      console.log('[Viewer Auth] Access key validated from D1');
-    }
-  }
-  
-  await next();
-});
+// STEP 2: Users and roles (X-Service-Token for worker-to-worker calls), see accessControl.js
+app.use('/*', accessControl({ publicPaths: ['/', '/health'], signedPaths: ['/media/*'] }));
 
 // Health check
 app.get('/', (c) => {
@@ -88,30 +33,62 @@ app.get('/health', (c) => {
   return c.json({ status: 'healthy' });
 });
 
+// JSON metadata columns (entities, fwd_from, reactions); null when empty or malformed
+const parseJsonColumn = (raw) => {
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+};
+
 // Channels endpoint (Read-only)
 app.get('/channels', async (c) => {
   try {
-    console.log('[Viewer] Fetching channels from D1 (no Telegram connection)');
+    console.log('[Viewer] Fetching tracked channels from D1 (no Telegram connection)');
     
-    // Get target channel from D1
-    const targetChannelResult = await c.env.DB.prepare(
-      'SELECT value FROM kv_store WHERE key = ?'
-    ).bind('target_channel_id').first();
+    // Tracked channels with per-channel archive progress
+    const result = await c.env.DB.prepare(`
+      SELECT 
+        tc.chat_id, tc.title, tc.username, tc.type, tc.enabled, tc.settings,
+        tc.last_synced_at, tc.created_at,
+        COUNT(m.id) as message_count,
+        COUNT(CASE WHEN m.media_status = 'completed' THEN 1 END) as completed_media,
+        COUNT(CASE WHEN m.media_status = 'pending' THEN 1 END) as pending_media,
+        COUNT(CASE WHEN m.media_status = 'failed' THEN 1 END) as failed_media,
+        MAX(m.date) as latest_message_date
+      FROM tracked_channels tc
+      LEFT JOIN messages m ON m.chat_id = tc.chat_id
+      GROUP BY tc.chat_id
+      ORDER BY tc.created_at ASC
+    `).all();
 
-    const targetChannelId = targetChannelResult ? targetChannelResult.value : null;
-    
-    // For now, return a simple response with the selected channel
-    // In a full implementation, you might cache channel info in D1
-    const channels = targetChannelId ? [{
-      id: targetChannelId,
-      title: `Channel ${targetChannelId}`,
-      selected: true
-    }] : [];
+    // Only the channels granted to the caller (accessControl.js)
+    const allowed = await requestChannels(c);
+    const rows = (result.results || []).filter(row => !allowed || allowed.has(String(row.chat_id)));
+
+    // CRITICAL: Return chat_id as string to prevent BigInt precision loss
+    const channels = rows.map(row => {
+      let settings = {};
+      try {
+        settings = row.settings ? JSON.parse(row.settings) : {};
+      } catch {
+        settings = {};
+      }
+      return {
+        ...row,
+        id: String(row.chat_id),
+        chat_id: String(row.chat_id),
+        title: row.title || `Channel ${row.chat_id}`,
+        enabled: !!row.enabled,
+        settings
+      };
+    });
 
     return c.json({
       success: true,
-      channels,
-      selectedChannel: targetChannelId
+      channels
     });
   } catch (error) {
     console.error('[Viewer] Error getting channels:', error);
@@ -123,60 +100,265 @@ app.get('/channels', async (c) => {
   }
 });
 
-// Messages endpoint (Read-only with pagination)
+// Sync runs endpoint (Read-only) - scheduled and manual runs from Scanner and Processor
+app.get('/sync-runs', async (c) => {
+  const limit = Math.min(parseInt(c.req.query('limit') || '20') || 20, 100);
+  const worker = c.req.query('worker');
+  
+  try {
+    let query = `
+      SELECT id, worker, trigger, cron, status, channels_count, synced_count, media_count,
+             error_message, details, started_at, finished_at
+      FROM sync_runs
+    `;
+    const params = [];
+    
+    if (worker) {
+      query += ` WHERE worker = ?`;
+      params.push(worker);
+    }
+    
+    query += ` ORDER BY id DESC LIMIT ?`;
+    params.push(limit);
+    
+    const runs = await c.env.DB.prepare(query).bind(...params).all();
+    // Per-channel details name chats, so restricted callers only see their own channels
+    const allowed = await requestChannels(c);
+    
+    return c.json({
+      success: true,
+      runs: (runs.results || []).map(run => {
+        let details = [];
+        try {
+          details = run.details ? JSON.parse(run.details) : [];
+        } catch {
+          details = [];
+        }
+        if (allowed) {
+          details = details.filter(entry => allowed.has(String(entry.chat_id)));
+        }
+        return { ...run, details };
+      })
+    });
+  } catch (error) {
+    console.error('[Viewer] Error fetching sync runs:', error);
+    return c.json({ success: false, error: error.message, runs: [] }, 500);
+  }
+});
+
+// Keyset cursors are opaque "date|id" tokens. /messages breaks ties within a date by
+// telegram_message_id, /search by messages.id.
+const encodeCursor = (date, id) => btoa(`${date}|${id}`);
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = atob(cursor);
+    const separator = decoded.lastIndexOf('|');
+    const id = parseInt(decoded.substring(separator + 1), 10);
+    if (separator <= 0 || Number.isNaN(id)) return null;
+    return { date: decoded.substring(0, separator), id };
+  } catch {
+    return null;
+  }
+};
+
+// (m.date, m.telegram_message_id) compared with a cursor position; op is '<', '<=', '>' or '>='
+const keysetCondition = (op, position) => ({
+  sql: `(m.date ${op[0]} ? OR (m.date = ? AND m.telegram_message_id ${op} ?))`,
+  bindings: [position.date, position.date, position.id]
+});
+
+// Columns of a /messages row, with the replied-to message and the revision count. The media
+// files come from the media catalog (mediaCatalog.js); media_key only picks media_url among them.
+const MESSAGE_SELECT = `
+  SELECT m.id, m.telegram_message_id, m.chat_id, m.text, m.date, m.created_at, m.grouped_id,
+         m.media_status, m.media_type, m.media_key,
+         m.media_mime_type, m.media_file_name, m.media_extension, m.media_size,
+         m.media_skip_rule, m.media_skip_reason, m.edit_date, m.deleted_at,
+         m.entities, m.fwd_from, m.reply_to_message_id, m.views, m.forwards, m.post_author, m.reactions,
+         reply.text as reply_to_text, reply.media_type as reply_to_media_type,
+         (SELECT COUNT(*) FROM message_revisions r WHERE r.message_id = m.id) as revision_count
+  FROM messages m
+  LEFT JOIN messages reply ON reply.chat_id = m.chat_id AND reply.telegram_message_id = m.reply_to_message_id`;
+
+// grouped_id -> { master, size } for the albums in a page of rows (in date order). The master
+// message carries the album's caption: the first member with non-empty text, else the first member.
+const albumMasters = (rows) => {
+  const albums = new Map();
+  for (const row of rows) {
+    if (!row.grouped_id) continue;
+    const album = albums.get(row.grouped_id);
+    if (!album) {
+      albums.set(row.grouped_id, { master: row, size: 1, hasText: Boolean(row.text?.trim()) });
+      continue;
+    }
+    album.size++;
+    if (!album.hasText && row.text?.trim()) {
+      album.master = row;
+      album.hasText = true;
+    }
+  }
+  return albums;
+};
+
+const albumFields = (albums, row) => {
+  const album = row.grouped_id ? albums.get(row.grouped_id) : null;
+  if (!album) return { album_master_id: null, album_size: null };
+  return { album_master_id: album.master.telegram_message_id, album_size: album.size };
+};
+
+// Messages endpoint (read-only, keyset pagination)
+// Pages run oldest to newest: no cursor starts at the oldest message, after=<cursor> continues
+// forward, before=<cursor> loads the page preceding it and date=<ISO date> jumps to the first
+// message at or after that time. Cursors come from pagination.nextCursor / prevCursor.
 app.get('/messages', async (c) => {
   const channelId = c.req.query('channelId');
-  const limit = parseInt(c.req.query('limit') || '50');
-  const offset = parseInt(c.req.query('offset') || '0');
+  const limit = Math.min(Math.max(parseInt(c.req.query('limit') || '50') || 50, 1), 200);
+  const before = c.req.query('before');
+  const after = c.req.query('after');
+  const date = c.req.query('date');
+  // deleted=only: just messages deleted upstream; deleted=exclude: hide them
+  const deleted = c.req.query('deleted') || 'all';
+  const deletedFilter = deleted === 'only' ? 'm.deleted_at IS NOT NULL'
+    : deleted === 'exclude' ? 'm.deleted_at IS NULL'
+    : null;
   
   // CRITICAL: Validate channelId to prevent data leakage
   if (!channelId) {
     console.log('[Viewer] Missing channelId parameter - returning empty array');
     return c.json({ success: false, error: 'channelId is required' }, 400);
   }
+  const denied = await channelForbidden(c, channelId);
+  if (denied) return denied;
+  if ([before, after, date].filter(Boolean).length > 1) {
+    return c.json({ success: false, error: 'Use only one of before, after or date' }, 400);
+  }
+
+  let position = null;
+  if (before || after) {
+    position = decodeCursor(before || after);
+    if (!position) {
+      return c.json({ success: false, error: 'Invalid cursor' }, 400);
+    }
+  } else if (date) {
+    const time = new Date(date);
+    if (Number.isNaN(time.getTime())) {
+      return c.json({ success: false, error: 'Invalid date' }, 400);
+    }
+    // Message ids start at 1, so (date, 0) sorts before every message sent at that time
+    position = { date: time.toISOString(), id: 0 };
+  }
+  const backward = Boolean(before);
   
-  console.log(`[Viewer] Fetching messages for channel ${channelId}, limit: ${limit}, offset: ${offset}`);
+  console.log(`[Viewer] Fetching messages for channel ${channelId}, limit: ${limit}, ${before ? `before: ${before}` : after ? `after: ${after}` : date ? `date: ${date}` : 'from the start'}`);
+
+  const baseConditions = ['m.chat_id = ?'];
+  if (deletedFilter) baseConditions.push(deletedFilter);
+
+  // Whether the channel has any message on the far side of the given keyset condition
+  const existsBeyond = async (condition) => {
+    const row = await c.env.DB.prepare(`
+      SELECT 1 as found FROM messages m WHERE ${[...baseConditions, condition.sql].join(' AND ')} LIMIT 1
+    `).bind(channelId, ...condition.bindings).first();
+    return Boolean(row);
+  };
   
   try {
-    // CRITICAL FIX: Count total messages for pagination
-    const totalResult = await c.env.DB.prepare(`
-      SELECT COUNT(*) as count FROM messages WHERE chat_id = ?
-    `).bind(channelId).first();
-    const total = totalResult?.count || 0;
-    
-    console.log(`[Viewer] Total messages for channel ${channelId}: ${total}`);
-    
-    // Fetch messages with media info
-    const messages = await c.env.DB.prepare(`
-      SELECT m.id, m.telegram_message_id, m.chat_id, m.text, m.date, m.created_at, m.grouped_id,
-             m.media_status, m.media_type, m.media_key,
-             m.media_key as r2_key  -- Add alias for frontend compatibility
-      FROM messages m
-      WHERE m.chat_id = ?
-      ORDER BY m.date ASC
-      LIMIT ? OFFSET ?
-    `).bind(channelId, limit, offset).all();
-
-    // Add R2 public URLs to messages with media
+    const conditions = [...baseConditions];
+    const bindings = [channelId];
+    if (position) {
+      const keyset = keysetCondition(backward ? '<' : '>', position);
+      conditions.push(keyset.sql);
+      bindings.push(...keyset.bindings);
+    }
+    const order = backward ? 'DESC' : 'ASC';
+
+    const page = await c.env.DB.prepare(`
+      ${MESSAGE_SELECT}
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY m.date ${order}, m.telegram_message_id ${order}
+      LIMIT ?
+    `).bind(...bindings, limit).all();
+
+    const messages = { results: page.results || [] };
+    if (backward) messages.results.reverse();
+
+    // Albums cut by either edge of the page are completed, so a grouped_id never spans two pages.
+    // The cursors below are taken from the completed page, so the next page starts after the album.
+    const edgeGroups = [...new Set([
+      messages.results[0]?.grouped_id,
+      messages.results[messages.results.length - 1]?.grouped_id
+    ].filter(Boolean))];
+    if (edgeGroups.length > 0) {
+      const members = await c.env.DB.prepare(`
+        ${MESSAGE_SELECT}
+        WHERE ${baseConditions.join(' AND ')} AND m.grouped_id IN (${edgeGroups.map(() => '?').join(', ')})
+      `).bind(channelId, ...edgeGroups).all();
+      const loaded = new Set(messages.results.map(row => row.id));
+      const missing = (members.results || []).filter(row => !loaded.has(row.id));
+      if (missing.length > 0) {
+        messages.results = [...messages.results, ...missing].sort((a, b) =>
+          a.date < b.date ? -1 : a.date > b.date ? 1 : a.telegram_message_id - b.telegram_message_id
+        );
+        console.log(`[Viewer] Completed ${edgeGroups.length} album(s) at the page edges with ${missing.length} messages`);
+      }
+    }
+    const albums = albumMasters(messages.results);
+
+    const first = messages.results[0];
+    const last = messages.results[messages.results.length - 1];
+    const positionOf = (row) => ({ date: row.date, id: row.telegram_message_id });
+
+    // Album completion can swallow what lies past the LIMIT, so both sides are probed
+    const hasMore = last
+      ? await existsBeyond(keysetCondition('>', positionOf(last)))
+      : backward && await existsBeyond(keysetCondition('>=', position));
+    const hasPrevious = position
+      ? await existsBeyond(first ? keysetCondition('<', positionOf(first)) : keysetCondition('<=', position))
+      : false;
+
+    // Media URLs are signed /media/* URLs scoped to the channel (mediaUrls.js); the public bucket
+    // URL synced by the Scanner only shows up as public_url
     const r2PublicUrl = await c.env.DB.prepare(
       'SELECT value FROM app_config WHERE key = ?'
     ).bind('R2_PUBLIC_URL').first();
     
-    const r2Url = r2PublicUrl?.value || '';
+    const catalog = await loadMediaCatalog(c.env.DB, messages.results.map(row => row.id));
+    const urls = await mediaUrls(c, [...catalogKeys(catalog), ...messages.results.map(row => row.media_key)], {
+      chatId: channelId,
+      publicBase: publicR2Url(c.env, r2PublicUrl?.value)
+    });
     
     // CRITICAL FIX: Convert grouped_id to string to prevent BigInt precision loss
     if (messages.results && messages.results.length > 0) {
-      messages.results = messages.results.map(message => {
+      messages.results = messages.results.map(({ reply_to_text, reply_to_media_type, media_key, ...message }) => {
+        const media = mediaEntries(catalog, { id: message.id, media_key }, urls);
+        const thumbnails = media.filter(entry => entry.file_type === 'thumbnail');
         const processedMessage = {
           ...message,
           // Convert BigInt grouped_id to string to prevent precision loss
           grouped_id: message.grouped_id ? String(message.grouped_id) : null,
-          // Ensure both fields are available for frontend compatibility
-          r2_key: message.media_key
+          // Every archived file of the message, the one in media_url first
+          media,
+          ...albumFields(albums, message),
+          entities: parseJsonColumn(message.entities),
+          fwd_from: parseJsonColumn(message.fwd_from),
+          reactions: parseJsonColumn(message.reactions),
+          // Quote of the replied-to message when it is archived too
+          reply_to: message.reply_to_message_id ? {
+            telegram_message_id: message.reply_to_message_id,
+            text: reply_to_text ?? null,
+            media_type: reply_to_media_type ?? null,
+            archived: reply_to_text !== null && reply_to_text !== undefined
+          } : null
         };
         
-        if (message.media_key) {
-          processedMessage.media_url = `${r2Url}/${message.media_key}`;
+        if (media_key) {
+          processedMessage.media_url = urls.get(media_key)?.url || null;
+        }
+        // Small preview for grids (the newest thumbnail); media_url stays the full object
+        if (thumbnails.length > 0) {
+          processedMessage.thumb_url = thumbnails.reduce((newest, entry) => (entry.id > newest.id ? entry : newest)).url;
         }
         
         return processedMessage;
@@ -193,28 +375,23 @@ app.get('/messages', async (c) => {
         telegram_message_id: firstMessage.telegram_message_id,
         media_status: firstMessage.media_status,
         media_type: firstMessage.media_type,
-        media_key: firstMessage.media_key,
+        media_count: firstMessage.media.length,
         media_url: firstMessage.media_url,
         grouped_id: firstMessage.grouped_id,
         allKeys: Object.keys(firstMessage)
       });
-      
-      // Log if media_key exists but media_url is missing
-      if (firstMessage.media_key && !firstMessage.media_url) {
-        console.warn("[Viewer] media_key exists but media_url is null - R2_PUBLIC_URL may not be configured");
-      }
     }
     
-    // CRITICAL FIX: Return pagination data
-    const page = Math.floor(offset / limit) + 1;
     return c.json({
       success: true,
-      messages: messages.results || [],
+      messages: messages.results,
       pagination: {
-        total,
-        page,
         limit,
-        hasMore: offset + limit < total
+        hasMore,
+        hasPrevious,
+        // Present whenever the page has rows, so clients can also poll for newly synced messages
+        nextCursor: last ? encodeCursor(last.date, last.telegram_message_id) : null,
+        prevCursor: first ? encodeCursor(first.date, first.telegram_message_id) : null
       }
     });
   } catch (error) {
@@ -227,6 +404,194 @@ app.get('/messages', async (c) => {
   }
 });
 
+// Prior versions of an edited message (messages.id), oldest first
+app.get('/messages/:id/revisions', async (c) => {
+  try {
+    const message = await c.env.DB.prepare(
+      'SELECT id, chat_id, text, edit_date FROM messages WHERE id = ?'
+    ).bind(c.req.param('id')).first();
+    if (!message) {
+      return c.json({ success: false, error: 'Message not found' }, 404);
+    }
+    const denied = await channelForbidden(c, message.chat_id);
+    if (denied) return denied;
+
+    const revisions = await c.env.DB.prepare(`
+      SELECT id, text, edit_date, replaced_at, recorded_at
+      FROM message_revisions
+      WHERE message_id = ?
+      ORDER BY id ASC
+    `).bind(message.id).all();
+
+    return c.json({ success: true, current: message, revisions: revisions.results || [] });
+  } catch (error) {
+    console.error('[Viewer] Error fetching revisions:', error);
+    return c.json({ success: false, error: error.message, revisions: [] }, 500);
+  }
+});
+
+// Full-text search over archived messages (messages_fts, trigram tokenizer)
+// Results are newest first; the cursor is an opaque "date|id" token of the last hit.
+const SNIPPET_START = '\u0002';
+const SNIPPET_END = '\u0003';
+
+app.get('/search', async (c) => {
+  const q = (c.req.query('q') || '').trim();
+  const channelId = c.req.query('channelId');
+  const from = c.req.query('from');
+  const to = c.req.query('to');
+  const cursor = c.req.query('cursor');
+  const limit = Math.min(Math.max(parseInt(c.req.query('limit') || '20') || 20, 1), 100);
+
+  // The trigram tokenizer cannot match anything shorter than three characters
+  if ([...q].length < 3) {
+    return c.json({ success: false, error: 'Query must be at least 3 characters' }, 400);
+  }
+
+  const conditions = ['messages_fts MATCH ?'];
+  // Quote the whole query as one phrase so FTS5 operators in user input are treated literally
+  const bindings = [`"${q.replace(/"/g, '""')}"`];
+
+  const allowed = await requestChannels(c);
+  if (channelId) {
+    const denied = await channelForbidden(c, channelId);
+    if (denied) return denied;
+    conditions.push('m.chat_id = ?');
+    bindings.push(channelId);
+  } else if (allowed) {
+    // One bound parameter however many channels are granted
+    conditions.push('m.chat_id IN (SELECT value FROM json_each(?))');
+    bindings.push(JSON.stringify([...allowed]));
+  }
+  if (from) {
+    conditions.push('m.date >= ?');
+    bindings.push(from);
+  }
+  if (to) {
+    conditions.push('m.date <= ?');
+    bindings.push(to);
+  }
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    if (!position) {
+      return c.json({ success: false, error: 'Invalid cursor' }, 400);
+    }
+    conditions.push('(m.date < ? OR (m.date = ? AND m.id < ?))');
+    bindings.push(position.date, position.date, position.id);
+  }
+
+  console.log(`[Viewer] Searching messages for "${q}" (channel: ${channelId || 'all'}, cursor: ${cursor || 'none'})`);
+
+  try {
+    const result = await c.env.DB.prepare(`
+      SELECT m.id, m.telegram_message_id, m.chat_id, m.date, m.grouped_id, m.media_status, m.media_type, m.deleted_at,
+             snippet(messages_fts, 0, '${SNIPPET_START}', '${SNIPPET_END}', '…', 24) as snippet
+      FROM messages_fts
+      JOIN messages m ON m.id = messages_fts.rowid
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY m.date DESC, m.id DESC
+      LIMIT ?
+    `).bind(...bindings, limit + 1).all();
+
+    const rows = result.results || [];
+    const hasMore = rows.length > limit;
+    const hits = rows.slice(0, limit).map(row => ({
+      ...row,
+      chat_id: String(row.chat_id),
+      grouped_id: row.grouped_id ? String(row.grouped_id) : null
+    }));
+
+    return c.json({
+      success: true,
+      query: q,
+      results: hits,
+      highlight: { start: SNIPPET_START, end: SNIPPET_END },
+      nextCursor: hasMore ? encodeCursor(hits[hits.length - 1].date, hits[hits.length - 1].id) : null
+    });
+  } catch (error) {
+    console.error('[Viewer] Error searching messages:', error);
+    return c.json({ success: false, error: error.message, results: [] }, 500);
+  }
+});
+
+// Channel exports (ZIP in R2 under exports/). Each POST runs one slice of the job; clients
+// call POST /exports/:id/resume until status is 'completed', then download via download_url
+// (download_path signed for the channel, see mediaUrls.js).
+async function exportsWithDownloadUrls(c, jobs) {
+  const serialized = jobs.map(serializeExport);
+  for (const job of serialized) {
+    job.download_url = job.download_path
+      ? (await mediaUrls(c, [job.r2_key], { chatId: job.chat_id })).get(job.r2_key).url
+      : null;
+  }
+  return serialized;
+}
+
+app.post('/exports', async (c) => {
+  const channelId = c.req.query('channelId');
+  if (!channelId) {
+    return c.json({ success: false, error: 'channelId is required' }, 400);
+  }
+  const denied = await channelForbidden(c, channelId);
+  if (denied) return denied;
+
+  try {
+    const hasMessages = await c.env.DB.prepare(
+      'SELECT 1 FROM messages WHERE chat_id = ? LIMIT 1'
+    ).bind(String(channelId)).first();
+    if (!hasMessages) {
+      return c.json({ success: false, error: 'No archived messages for this channel' }, 404);
+    }
+
+    const job = await findOrCreateExport(c.env, channelId);
+    const updated = await runExportSlice(c.env, job.id);
+    const [serialized] = await exportsWithDownloadUrls(c, [updated || job]);
+    return c.json({ success: true, export: serialized, busy: !updated });
+  } catch (error) {
+    console.error('[Viewer] Export error:', error);
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+app.post('/exports/:id/resume', async (c) => {
+  try {
+    const job = await getExport(c.env, c.req.param('id'));
+    if (!job) {
+      return c.json({ success: false, error: 'Export not found' }, 404);
+    }
+    const denied = await channelForbidden(c, job.chat_id);
+    if (denied) return denied;
+
+    const updated = await runExportSlice(c.env, job.id);
+    if (!updated) {
+      // Another request is running a slice of this export right now
+      return c.json({ success: true, export: (await exportsWithDownloadUrls(c, [job]))[0], busy: true }, 409);
+    }
+    return c.json({ success: true, export: (await exportsWithDownloadUrls(c, [updated]))[0] });
+  } catch (error) {
+    console.error('[Viewer] Export resume error:', error);
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+// Without channelId: the latest export of every channel
+app.get('/exports', async (c) => {
+  const channelId = c.req.query('channelId') || null;
+  if (channelId) {
+    const denied = await channelForbidden(c, channelId);
+    if (denied) return denied;
+  }
+
+  try {
+    const allowed = await requestChannels(c);
+    const exports = (await listExports(c.env, channelId)).filter(job => !allowed || allowed.has(String(job.chat_id)));
+    return c.json({ success: true, exports: await exportsWithDownloadUrls(c, exports) });
+  } catch (error) {
+    console.error('[Viewer] Error listing exports:', error);
+    return c.json({ success: false, error: error.message, exports: [] }, 500);
+  }
+});
+
 // Media routes - Serve from R2 (Read-only)
 app.get('/media/*', async (c) => {
   // Extract key: remove the leading '/media/' route prefix
@@ -237,6 +602,10 @@ app.get('/media/*', async (c) => {
   }
   
   try {
+    // Signed URLs stand on their own; otherwise the user's channel grants decide
+    const denied = c.req.query('sig') ? await signatureForbidden(c, key) : await mediaForbidden(c, key);
+    if (denied) return denied;
+
     console.log(`[Viewer] Serving media from R2: ${key}`);
     
     const object = await c.env.BUCKET.get(key);
@@ -259,7 +628,7 @@ app.get('/media/*', async (c) => {
   }
 });
 
-// Debug routes
+// Debug routes (admin only, they cover every channel)
 app.get('/debug/stats', async (c) => {
   try {
     const messageStats = await c.env.DB.prepare(`
@@ -83,45 +83,13 @@ echo "  Viewer:    $VIEWER_URL"
 echo ""
 echo ">>> Updating UI Configuration..."
 
-# Create new api.js with real URLs
-cat > ui/src/utils/api.js << EOF
-// Auto-generated by deploy_all.sh
-// Microservice URLs for deployment
-const SCANNER_URL = "${SCANNER_URL}";
-const PROCESSOR_URL = "${PROCESSOR_URL}";
-const VIEWER_URL = "${VIEWER_URL}";
-
-// Legacy fallback for backward compatibility
-const API_BASE = SCANNER_URL;
-
-// Create a fetch function that adds the access key to all requests
-export const createAuthenticatedFetch = () => {
-  return async (url, options = {}) => {
-    // Get access key from localStorage (since we can't use hooks in utils)
-    const accessKey = localStorage.getItem('access-key-storage');
-    const parsedAccessKey = accessKey ? JSON.parse(accessKey).state?.accessKey : null;
-    
-    const headers = {
-      'Content-Type': 'application/json',
-      ...options.headers,
-    };
-    
-    if (parsedAccessKey) {
-      headers['X-Access-Key'] = parsedAccessKey;
-    }
-    
-    return fetch(url, {
-      ...options,
-      headers,
-    });
-  };
-};
-
-export const authenticatedFetch = createAuthenticatedFetch();
-
-// Export microservice URLs for stores to use
-export { API_BASE, SCANNER_URL, PROCESSOR_URL, VIEWER_URL };
-EOF
+# Point api.js at the real URLs (only the URL constants are rewritten; the fetch helpers stay)
+sed -i.bak \
+  -e "s|^const SCANNER_URL = .*|const SCANNER_URL = \"${SCANNER_URL}\";|" \
+  -e "s|^const PROCESSOR_URL = .*|const PROCESSOR_URL = \"${PROCESSOR_URL}\";|" \
+  -e "s|^const VIEWER_URL = .*|const VIEWER_URL = \"${VIEWER_URL}\";|" \
+  ui/src/utils/api.js
+rm -f ui/src/utils/api.js.bak
 
 echo "✅ UI configuration updated with real URLs"
 
@@ -1,17 +1,20 @@
 import React, { useEffect } from "react";
 import { useAuthStore } from "./store/authStore";
+import { useSessionStore, hasRole } from "./store/sessionStore";
 import { LoginPage } from "./components/LoginPage";
 import { Dashboard } from "./components/Dashboard";
 import AccessGatekeeper from "./components/AccessGatekeeper";
 import "./index.css";
 
 function App() {
-  const { isLoggedIn, sessionString } = useAuthStore();
+  const { isLoggedIn } = useAuthStore();
+  const { user } = useSessionStore();
 
+  // Only admins connect the Telegram account; everyone else goes straight to the archive
   return (
     <AccessGatekeeper>
       <div className="min-h-screen bg-background">
-        {isLoggedIn ? <Dashboard /> : <LoginPage />}
+        {isLoggedIn || !hasRole(user, 'admin') ? <Dashboard /> : <LoginPage />}
       </div>
     </AccessGatekeeper>
   );
@@ -1,5 +1,6 @@
 import React, { useEffect } from 'react';
 import { useChannelStore } from '../store/channelStore';
+import { useSessionStore, hasRole } from '../store/sessionStore';
 import { Button } from './ui/button';
 import { Card, CardHeader, CardTitle, CardContent } from './ui/card';
 import { Loader2, Check, Users, Hash } from 'lucide-react';
@@ -7,17 +8,22 @@ import { Loader2, Check, Users, Hash } from 'lucide-react';
 export const ChannelSelector = () => {
   const { 
     channels, 
+    trackedChannels,
     selectedChannel, 
     isLoading, 
     error, 
     fetchChannels, 
     selectChannel 
   } = useChannelStore();
+  const { user } = useSessionStore();
   
   useEffect(() => {
     fetchChannels();
   }, [fetchChannels]);
   
+  const isTracked = (channelId) =>
+    trackedChannels.some(ch => String(ch.chat_id) === String(channelId));
+  
   const handleSelectChannel = async (channelId) => {
     await selectChannel(channelId);
   };
@@ -36,7 +42,7 @@ export const ChannelSelector = () => {
         <CardHeader>
           <CardTitle className="flex items-center gap-2">
             <Hash className="w-5 h-5" />
-            Select Channel to Archive
+            Select Channels to Archive
           </CardTitle>
         </CardHeader>
         <CardContent>
@@ -51,7 +57,9 @@ export const ChannelSelector = () => {
               <Hash className="w-12 h-12 text-muted-foreground mx-auto mb-4" />
               <h3 className="text-lg font-semibold mb-2">No Channels Found</h3>
               <p className="text-muted-foreground">
-                Make sure you're logged in and have joined at least one channel or group.
+                {hasRole(user, 'admin')
+                  ? "Make sure you're logged in and have joined at least one channel or group."
+                  : 'No channels have been shared with your account yet. Ask an admin for access.'}
               </p>
               <Button onClick={fetchChannels} className="mt-4" variant="outline">
                 Refresh
@@ -101,9 +109,11 @@ export const ChannelSelector = () => {
                           <Check className="w-5 h-5" />
                           <span className="text-sm font-medium">Selected</span>
                         </div>
+                      ) : isTracked(channel.id) ? (
+                        <span className="text-sm text-muted-foreground">Tracked</span>
                       ) : (
                         <Button size="sm" variant="outline">
-                          Select
+                          Track
                         </Button>
                       )}
                     </div>
@@ -1,9 +1,12 @@
 import React, { useEffect, useState } from 'react';
 import { useAuthStore } from '../store/authStore';
+import { useSessionStore } from '../store/sessionStore';
 import { useChannelStore } from '../store/channelStore';
 import { useMessageStore } from '../store/messageStore';
 import { useArchiver } from '../hooks/useArchiver';
 import { ChannelSelector } from './ChannelSelector';
+import { TrackedChannels } from './TrackedChannels';
+import { SyncRuns } from './SyncRuns';
 import MessageGallery from './MessageGallery';
 import { Button } from './ui/button';
 import { Card, CardHeader, CardTitle, CardContent } from './ui/card';
@@ -11,6 +14,7 @@ import { LogOut, RefreshCw, Loader2, Hash, Archive, Image } from 'lucide-react';
 
 export const Dashboard = () => {
   const { logout, isLoggedIn } = useAuthStore();
+  const { user, signOut } = useSessionStore();
   const { 
     channels, 
     selectedChannel, 
@@ -27,10 +31,7 @@ export const Dashboard = () => {
     isLoading: messagesLoading 
   } = useMessageStore();
   
-  const { 
-    phaseBMediaProcessing,
-    isProcessing 
-  } = useArchiver();
+  const { isProcessing } = useArchiver();
   
   const [activeTab, setActiveTab] = useState('channels');
   const [hasInitialSynced, setHasInitialSynced] = useState(false);
@@ -103,9 +104,19 @@ export const Dashboard = () => {
             </div>
             
             <div className="flex items-center gap-4">
-              <Button onClick={handleLogout} variant="ghost">
-                <LogOut className="w-4 h-4 mr-2" />
-                Logout
+              {user && (
+                <span className="text-sm text-muted-foreground">
+                  {user.username} <span className="px-1.5 py-0.5 rounded bg-muted text-xs">{user.role}</span>
+                </span>
+              )}
+              {isLoggedIn && (
+                <Button onClick={handleLogout} variant="ghost">
+                  <LogOut className="w-4 h-4 mr-2" />
+                  Logout
+                </Button>
+              )}
+              <Button onClick={signOut} variant="ghost">
+                Sign out
               </Button>
             </div>
           </div>
@@ -151,7 +162,11 @@ export const Dashboard = () => {
       {/* Main Content */}
       <main className="container mx-auto px-4 py-8">
         {activeTab === 'channels' && (
-          <ChannelSelector />
+          <div className="space-y-6">
+            <TrackedChannels onView={() => setActiveTab('archive')} />
+            <SyncRuns />
+            <ChannelSelector />
+          </div>
         )}
         
         {activeTab === 'archive' && selectedChannel && (
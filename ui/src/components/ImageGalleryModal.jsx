@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { VIEWER_URL } from '../utils/api';
+import { mediaKeyOf } from '../utils/media';
 
 const ImageGalleryModal = ({ isOpen, onClose, images, initialIndex = 0 }) => {
   const [currentIndex, setCurrentIndex] = useState(initialIndex);
@@ -64,12 +65,12 @@ const ImageGalleryModal = ({ isOpen, onClose, images, initialIndex = 0 }) => {
   const currentImage = images[currentIndex];
   
   // Defensive field mapping: handle flat or nested keys with consistent priority
-  const r2Key = currentImage.media_key || currentImage.r2_key || currentImage.media?.r2_key || currentImage.media?.media_key;
+  const r2Key = mediaKeyOf(currentImage);
   
   console.log('[ImageGalleryModal] Current image field mapping:', {
     imageIndex: currentIndex,
     r2_key: currentImage.r2_key,
-    media_r2_key: currentImage.media?.r2_key,
+    media_r2_key: currentImage.media?.[0]?.r2_key,
     media_key: currentImage.media_key,
     finalR2Key: r2Key,
     media_url: currentImage.media_url
@@ -80,7 +81,8 @@ const ImageGalleryModal = ({ isOpen, onClose, images, initialIndex = 0 }) => {
     return null;
   }
   
-  const imageUrl = r2Key ? `${VIEWER_URL}/media/${r2Key}` : currentImage.media_url;
+  // The signed media_url from /messages when there is one
+  const imageUrl = currentImage.media_url || `${VIEWER_URL}/media/${r2Key}`;
 
   return (
     <div 
@@ -0,0 +1,120 @@
+import React, { useEffect, useState } from 'react';
+import { useChannelStore } from '../store/channelStore';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Loader2, Save } from 'lucide-react';
+
+const MB = 1024 * 1024;
+
+// Dates are stored as ISO timestamps; <input type="date"> wants YYYY-MM-DD
+const toDateInput = (value) => (value ? value.substring(0, 10) : '');
+
+export const MediaPolicySettings = ({ channelId }) => {
+  const { fetchMediaPolicy, saveMediaPolicy } = useChannelStore();
+  const [form, setForm] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [status, setStatus] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchMediaPolicy(channelId).then((result) => {
+      if (cancelled) return;
+      if (!result.success) {
+        setStatus(result.error);
+        return;
+      }
+      const { policy } = result;
+      setForm({
+        mimeTypes: policy.allowed_mime_types.join(', '),
+        maxMegabytes: policy.max_bytes ? String(Math.round((policy.max_bytes / MB) * 10) / 10) : '',
+        thumbnailsOnly: policy.thumbnails_only,
+        dateFrom: toDateInput(policy.date_from),
+        dateTo: toDateInput(policy.date_to)
+      });
+    });
+    return () => { cancelled = true; };
+  }, [channelId, fetchMediaPolicy]);
+
+  const update = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setStatus('');
+
+    const result = await saveMediaPolicy(channelId, {
+      allowed_mime_types: form.mimeTypes.split(',').map(glob => glob.trim()).filter(Boolean),
+      max_bytes: form.maxMegabytes ? Math.round(parseFloat(form.maxMegabytes) * MB) : null,
+      thumbnails_only: form.thumbnailsOnly,
+      date_from: form.dateFrom ? new Date(`${form.dateFrom}T00:00:00Z`).toISOString() : null,
+      date_to: form.dateTo ? new Date(`${form.dateTo}T23:59:59Z`).toISOString() : null
+    });
+
+    setIsSaving(false);
+    setStatus(result.success ? 'Saved. Applies to media processed from now on.' : result.error);
+  };
+
+  if (!form) {
+    return (
+      <p className="text-sm text-muted-foreground py-2">
+        {status || 'Loading media policy...'}
+      </p>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSave} className="grid gap-3 pt-3 mt-3 border-t text-sm">
+      <label className="grid gap-1">
+        <span className="font-medium">Allowed mime types</span>
+        <Input
+          value={form.mimeTypes}
+          onChange={update('mimeTypes')}
+          placeholder="image/*, video/mp4"
+        />
+        <span className="text-xs text-muted-foreground">Comma-separated globs. Use */* to allow everything.</span>
+      </label>
+
+      <div className="grid gap-3 sm:grid-cols-3">
+        <label className="grid gap-1">
+          <span className="font-medium">Max size (MB)</span>
+          <Input
+            type="number"
+            min="0"
+            step="0.1"
+            value={form.maxMegabytes}
+            onChange={update('maxMegabytes')}
+            placeholder="Default (20)"
+          />
+        </label>
+        <label className="grid gap-1">
+          <span className="font-medium">From</span>
+          <Input type="date" value={form.dateFrom} onChange={update('dateFrom')} />
+        </label>
+        <label className="grid gap-1">
+          <span className="font-medium">To</span>
+          <Input type="date" value={form.dateTo} onChange={update('dateTo')} />
+        </label>
+      </div>
+
+      <label className="flex items-center gap-2">
+        <input type="checkbox" checked={form.thumbnailsOnly} onChange={update('thumbnailsOnly')} />
+        <span>Keep thumbnails only (archive a small preview instead of the full file)</span>
+      </label>
+
+      <div className="flex items-center gap-3">
+        <Button type="submit" size="sm" disabled={isSaving}>
+          {isSaving ? (
+            <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+          ) : (
+            <Save className="w-4 h-4 mr-2" />
+          )}
+          Save Policy
+        </Button>
+        {status && <span className="text-muted-foreground">{status}</span>}
+      </div>
+    </form>
+  );
+};
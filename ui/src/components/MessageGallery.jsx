@@ -4,13 +4,27 @@ import { useMessageStore } from '../store/messageStore';
 import { useChannelStore } from '../store/channelStore';
 import { useArchiver } from '../hooks/useArchiver';
 import ImageGalleryModal from './ImageGalleryModal';
-import { VIEWER_URL, PROCESSOR_URL, internalFetch } from '../utils/api';
+import { MessageText, ForwardHeader, ReplyQuote, MessageStats } from './MessageText';
+import { VIEWER_URL, PROCESSOR_URL, processorFetch } from '../utils/api';
+import { mediaKeyOf, primaryMedia, describeMedia } from '../utils/media';
 
 const MessageGallery = () => {
   const { 
     isLoading, 
     hasMore, 
-    fetchMessages 
+    hasPrevious,
+    fetchMessages,
+    fetchPreviousMessages,
+    jumpToDate,
+    searchResults,
+    searchCursor,
+    isSearching,
+    searchMessages,
+    clearSearch,
+    jumpToMessage,
+    fetchRevisions,
+    deletedFilter,
+    setDeletedFilter
   } = useMessageStore();
   const { selectedChannel, channels } = useChannelStore();
   const { 
@@ -18,9 +32,7 @@ const MessageGallery = () => {
     isProcessing, 
     isSyncing, 
     syncStatus, 
-    startSync, 
-    triggerPendingMedia, 
-    triggerTargetedProcessing 
+    startSync 
   } = useArchiver();
   
   // CRITICAL FIX: Get raw messages for gallery modal search (not grouped ones)
@@ -30,6 +42,12 @@ const MessageGallery = () => {
   const [galleryModal, setGalleryModal] = useState({ isOpen: false, images: [], initialIndex: 0 });
   const [loadingMore, setLoadingMore] = useState(false);
   const [downloadingMedia, setDownloadingMedia] = useState({}); // Track downloading state per message
+  const [searchInput, setSearchInput] = useState('');
+  const [searchFrom, setSearchFrom] = useState('');
+  const [searchTo, setSearchTo] = useState('');
+  const [highlightedHit, setHighlightedHit] = useState(null); // Search hit currently shown in context
+  const [history, setHistory] = useState(null); // { messageId, loading, current, revisions, error } of the open edit history
+  const [jumpDate, setJumpDate] = useState(''); // YYYY-MM-DD from the jump-to-date picker
 
   // Helper to get channel name by ID
   const getChannelName = (id) => {
@@ -61,12 +79,70 @@ const MessageGallery = () => {
     return () => window.removeEventListener('keydown', handleEsc);
   }, []);
 
+  // Scroll the jumped-to search hit into view once its page has loaded
+  useEffect(() => {
+    if (!highlightedHit || isLoading) return;
+    const row = document.getElementById(`message-row-${highlightedHit.id}`);
+    if (row) row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [highlightedHit, isLoading, messages]);
+
+  // Search is scoped to the channel currently shown in the gallery
+  const runSearch = async (append = false) => {
+    if (!selectedChannel || searchInput.trim().length < 3) return;
+    await searchMessages(searchInput.trim(), {
+      channelId: selectedChannel.id,
+      from: searchFrom ? new Date(searchFrom).toISOString() : null,
+      // Include the whole "to" day
+      to: searchTo ? new Date(`${searchTo}T23:59:59.999`).toISOString() : null,
+      append
+    });
+  };
+
+  const handleSearchSubmit = (e) => {
+    e.preventDefault();
+    setHighlightedHit(null);
+    runSearch(false);
+  };
+
+  const handleClearSearch = () => {
+    setSearchInput('');
+    setSearchFrom('');
+    setSearchTo('');
+    setHighlightedHit(null);
+    clearSearch();
+  };
+
+  const handleJumpToHit = async (hit) => {
+    setHighlightedHit(hit);
+    await jumpToMessage(hit);
+  };
+
+  // Snippets mark matches with control characters so no HTML is injected from message text
+  const renderSnippet = (snippet) => {
+    const parts = (snippet || '').split(/(\u0002[^\u0003]*\u0003)/);
+    return parts.map((part, index) => part.startsWith('\u0002') ? (
+      <mark key={index} className="bg-yellow-200 dark:bg-yellow-700 rounded px-0.5">
+        {part.slice(1, -1)}
+      </mark>
+    ) : (
+      <React.Fragment key={index}>{part}</React.Fragment>
+    ));
+  };
+
+  const isHighlightedRow = (msg) => {
+    if (!highlightedHit) return false;
+    if (String(msg.id) === String(highlightedHit.id)) return true;
+    // Albums are rendered as a single row for the whole group
+    return !!(msg.isGroup && msg.media_group?.some(m => String(m.id) === String(highlightedHit.id)));
+  };
+
   // REMOVED: Auto-trigger processing (ON-DEMAND architecture)
   // Users must click "📥 点击下载" to download specific images
   // No automatic batch processing to prevent FloodWait errors
 
   // Helper to render media status
-  const renderMediaStatus = (status) => {
+  // reason: media_skip_reason recorded by the Processor's media policy, shown on hover
+  const renderMediaStatus = (status, reason = null) => {
     switch (status) {
       case 'pending':
         return (
@@ -99,7 +175,7 @@ const MessageGallery = () => {
         return (
           <span 
             className="text-orange-600 dark:text-orange-400 text-sm" 
-            title="File too large (>300KB)"
+            title={reason || "File exceeds this channel's media size limit"}
           >
             🚫 Too Large
           </span>
@@ -108,16 +184,16 @@ const MessageGallery = () => {
         return (
           <span 
             className="text-purple-600 dark:text-purple-400 text-sm" 
-            title="Not an image (video, document, etc.)"
+            title={reason || "Media type not allowed by this channel's media policy"}
           >
-            🚫 Not Image
+            🚫 Type Filtered
           </span>
         );
       case 'skipped':
         return (
           <span 
             className="text-gray-600 dark:text-gray-400 text-sm" 
-            title="Skipped (no media or unsupported)"
+            title={reason || "Skipped (no media or unsupported)"}
           >
             🚫 Skipped
           </span>
@@ -160,11 +236,28 @@ const MessageGallery = () => {
     }
   };
   
-  // Handle pagination - Previous page
-  const handlePreviousPage = () => {
-    // For now, we'll just show a message that previous page is not supported
-    // In a real implementation, you'd need to track page state
-    console.log('[MessageGallery] Previous page not implemented yet');
+  // Handle pagination - Previous page (prepends the messages before the first loaded one)
+  const handlePreviousPage = async () => {
+    if (!selectedChannel || loadingMore || isLoading || !hasPrevious) return;
+    
+    console.log('[MessageGallery] Loading previous page for channel:', selectedChannel.id);
+    
+    try {
+      setLoadingMore(true);
+      await fetchPreviousMessages(10, selectedChannel.id);
+    } catch (error) {
+      console.error('[MessageGallery] Error loading previous page:', error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // Reload the list from the first message of the picked day (local midnight)
+  const handleJumpToDate = async (value) => {
+    setJumpDate(value);
+    if (!selectedChannel || !value) return;
+    setHighlightedHit(null);
+    await jumpToDate(new Date(`${value}T00:00:00`).toISOString(), 50, selectedChannel.id);
   };
 
   // ON-DEMAND: Download media for a specific message (handles grouped messages)
@@ -182,7 +275,7 @@ const MessageGallery = () => {
     try {
       console.log(`[ON-DEMAND] Downloading media for message ${message.telegram_message_id}`);
       
-      const response = await internalFetch(`${PROCESSOR_URL}/download-media`, {
+      const response = await processorFetch(`${PROCESSOR_URL}/download-media`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -215,7 +308,8 @@ const MessageGallery = () => {
                 ...msg,
                 media_status: 'completed',
                 media_key: result.mediaKey,
-                media_url: `${VIEWER_URL}/media/${result.mediaKey}`
+                // Signed /media/... path, served by the Viewer
+                media_url: `${VIEWER_URL}${result.mediaPath}`
               };
             }
             return msg;
@@ -230,12 +324,11 @@ const MessageGallery = () => {
             if (String(msg.telegram_message_id) === String(message.telegram_message_id) &&
                 String(msg.chat_id) === String(message.chat_id)) {
               const result = data.results?.[0];
-              const mediaKey = result?.mediaKey || data.mediaKey;
               return {
                 ...msg,
                 media_status: 'completed',
-                media_key: mediaKey,
-                media_url: `${VIEWER_URL}/media/${mediaKey}`
+                media_key: result?.mediaKey,
+                media_url: result?.mediaPath ? `${VIEWER_URL}${result.mediaPath}` : msg.media_url
               };
             }
             return msg;
@@ -290,12 +383,12 @@ const MessageGallery = () => {
     
     allMessages.forEach((msg, idx) => {
       if (msg.grouped_id) dataValidation.messagesWithGroupId++;
-      if (msg.media_key || msg.r2_key) dataValidation.messagesWithMediaKey++;
+      if (mediaKeyOf(msg)) dataValidation.messagesWithMediaKey++;
       if (msg.media_status === 'completed') dataValidation.messagesCompleted++;
       if (msg.media_status === 'pending') dataValidation.messagesPending++;
       
       // Alert on missing critical fields
-      if (idx < 5 && msg.grouped_id && msg.media_status === 'completed' && !msg.media_key && !msg.r2_key) {
+      if (idx < 5 && msg.grouped_id && msg.media_status === 'completed' && !mediaKeyOf(msg)) {
         console.warn(`[Data Alert] Msg ${msg.telegram_message_id} marked completed but NO media_key!`, {
           media_status: msg.media_status,
           media_key: msg.media_key,
@@ -335,7 +428,7 @@ const MessageGallery = () => {
         statuses: allSiblings.map(s => ({
           id: s.telegram_message_id,
           status: s.media_status,
-          has_media_key: !!(s.media_key || s.r2_key),
+          has_media_key: !!mediaKeyOf(s),
           media_key: s.media_key,
           r2_key: s.r2_key
         }))
@@ -344,9 +437,7 @@ const MessageGallery = () => {
       const groupMessages = allSiblings.filter(m => {
         // CRITICAL: Trust media_key existence, not status
         // If media_key exists, the image IS in R2
-        const hasValidMedia = (m.media_key && m.media_key.length > 0) || 
-                             (m.r2_key && m.r2_key.length > 0) || 
-                             (m.media_url && m.media_url.length > 0);
+        const hasValidMedia = Boolean(mediaKeyOf(m)) || (m.media_url && m.media_url.length > 0);
         
         return hasValidMedia;
       });
@@ -361,7 +452,7 @@ const MessageGallery = () => {
         totalInGroup: groupMessages.length,
         allMessagesWithGroupId: allMessages.filter(m => String(m.grouped_id || '') === targetGroupId).length,
         messagesWithMedia: allMessages.filter(m => 
-          String(m.grouped_id || '') === targetGroupId && (m.media_key || m.r2_key || m.media_url)
+          String(m.grouped_id || '') === targetGroupId && (mediaKeyOf(m) || m.media_url)
         ).length,
         completedMessages: allMessages.filter(m => 
           String(m.grouped_id || '') === targetGroupId && m.media_status === 'completed'
@@ -372,7 +463,7 @@ const MessageGallery = () => {
           media_key: m.media_key,
           r2_key: m.r2_key,
           media_url: m.media_url,
-          fileKey: m.r2_key || m.media_key || m.media?.r2_key
+          fileKey: mediaKeyOf(m)
         }))
       });
       
@@ -399,7 +490,7 @@ const MessageGallery = () => {
           targetGroupId,
           totalMessagesInGroup: allMessages.filter(m => String(m.grouped_id || '') === targetGroupId).length,
           messagesWithMedia: allMessages.filter(m => 
-            String(m.grouped_id || '') === targetGroupId && (m.media_key || m.r2_key || m.media_url)
+            String(m.grouped_id || '') === targetGroupId && (mediaKeyOf(m) || m.media_url)
           ).length,
           completedMessages: allMessages.filter(m => 
             String(m.grouped_id || '') === targetGroupId && m.media_status === 'completed'
@@ -408,14 +499,14 @@ const MessageGallery = () => {
           sampleMessages: allMessages.filter(m => String(m.grouped_id || '') === targetGroupId).slice(0, 3).map(m => ({
             id: m.telegram_message_id,
             media_status: m.media_status,
-            hasMedia: !!(m.media_key || m.r2_key || m.media_url),
+            hasMedia: !!(mediaKeyOf(m) || m.media_url),
             grouped_id: m.grouped_id,
             grouped_id_type: typeof m.grouped_id
           }))
         });
       }
     } else {
-      const fileKey = message.r2_key || message.media_key || message.media?.r2_key;
+      const fileKey = mediaKeyOf(message);
       if (fileKey || message.media_url) {
         // Single image
         console.log('[MessageGallery] Opening single image modal:', {
@@ -444,9 +535,127 @@ const MessageGallery = () => {
   };
 
   // Render media column content
+  // Scrolls to the replied-to message when it is on the current page
+  const replyJumpHandler = (replyTo) => {
+    if (!replyTo) return null;
+    const target = rawMessages.find(m => String(m.telegram_message_id) === String(replyTo.telegram_message_id));
+    if (!target) return null;
+    return () => document.getElementById(`message-row-${target.id}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  };
+
+  const renderDeletedBadge = (msg) => (
+    <span
+      className="ml-2 inline-block px-1.5 py-0.5 text-xs rounded bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300"
+      title={`Deletion detected ${formatDate(msg.deleted_at)}`}
+    >
+      deleted upstream
+    </span>
+  );
+
+  // "edited" marker with a popover listing the archived prior versions
+  const toggleHistory = async (msg) => {
+    if (history?.messageId === msg.id) {
+      setHistory(null);
+      return;
+    }
+    setHistory({ messageId: msg.id, loading: true });
+    const result = await fetchRevisions(msg.id);
+    setHistory(current => current?.messageId === msg.id ? { messageId: msg.id, loading: false, ...result } : current);
+  };
+
+  const renderEditHistory = (msg) => (
+    <div className="relative">
+      <button
+        onClick={() => toggleHistory(msg)}
+        className="text-xs text-blue-600 dark:text-blue-400 hover:underline"
+        title={msg.edit_date ? `Edited ${formatDate(msg.edit_date)}` : 'Edited'}
+      >
+        edited{msg.revision_count > 0 ? ` · ${msg.revision_count} earlier` : ''}
+      </button>
+      {history?.messageId === msg.id && (
+        <div className="absolute left-0 top-6 z-20 w-80 max-h-96 overflow-y-auto whitespace-normal rounded border bg-white dark:bg-zinc-900 dark:border-zinc-700 p-3 shadow-lg text-left">
+          <div className="flex items-center justify-between mb-2">
+            <span className="text-xs font-semibold text-gray-700 dark:text-gray-200">Edit history</span>
+            <button onClick={() => setHistory(null)} className="text-xs text-gray-400 hover:text-gray-600">✕</button>
+          </div>
+          {history.loading ? (
+            <p className="text-xs text-gray-500">Loading...</p>
+          ) : history.error ? (
+            <p className="text-xs text-red-500">{history.error}</p>
+          ) : (
+            <ol className="space-y-2">
+              {history.revisions.length === 0 && (
+                <li className="text-xs text-gray-500 italic">No earlier text archived, only the edit time is known.</li>
+              )}
+              {history.revisions.map(revision => (
+                <li key={revision.id} className="text-xs">
+                  <div className="text-gray-400">
+                    {revision.edit_date ? `Edited ${formatDate(revision.edit_date)}` : 'Original'}
+                  </div>
+                  <div className="whitespace-pre-wrap break-words text-gray-700 dark:text-gray-300">
+                    {revision.text || '(No text)'}
+                  </div>
+                </li>
+              ))}
+              <li className="text-xs">
+                <div className="text-gray-400">
+                  Current{history.current?.edit_date ? ` · edited ${formatDate(history.current.edit_date)}` : ''}
+                </div>
+                <div className="whitespace-pre-wrap break-words text-gray-900 dark:text-gray-100">
+                  {history.current?.text || '(No text)'}
+                </div>
+              </li>
+            </ol>
+          )}
+        </div>
+      )}
+    </div>
+  );
+
+  // Grid previews use the thumb/ objects (thumb_url); the modal and the preview load the full object
+  const renderThumbnail = (item, onOpen) => (
+    <button
+      key={item.id}
+      type="button"
+      onClick={onOpen}
+      title="View full size"
+      className="shrink-0 rounded overflow-hidden border border-gray-200 dark:border-zinc-700 hover:opacity-80 transition-opacity"
+    >
+      <img src={item.thumb_url} alt="" loading="lazy" className="h-16 w-16 object-cover" />
+    </button>
+  );
+
   const renderMediaColumn = (msg) => {
+    // 0. Archived videos/documents -> Open the file instead of the image viewer
+    const fileKey = mediaKeyOf(msg);
+    if (!msg.isGroup && (msg.media_url || fileKey) && msg.media_mime_type && !msg.media_mime_type.startsWith('image/')) {
+      const isVideo = msg.media_mime_type.startsWith('video/');
+      const fileUrl = msg.media_url || `${VIEWER_URL}/media/${fileKey}`;
+      return (
+        <div className="flex flex-col items-start gap-1">
+          {msg.thumb_url && (
+            <a href={fileUrl} target="_blank" rel="noopener noreferrer" className="rounded overflow-hidden hover:opacity-80">
+              <img src={msg.thumb_url} alt="" loading="lazy" className="h-16 w-16 object-cover" />
+            </a>
+          )}
+          <a
+            href={fileUrl}
+            target="_blank"
+            rel="noopener noreferrer"
+            title={`${msg.media_file_name || fileKey} (${[msg.media_mime_type, describeMedia(primaryMedia(msg))].filter(Boolean).join(', ')})`}
+            className="inline-block max-w-[12rem] truncate px-3 py-1 text-sm text-white bg-green-600 rounded hover:bg-green-700 transition-colors"
+          >
+            {isVideo ? '🎬 Play Video' : `📄 ${msg.media_file_name || msg.media_extension || 'File'}`}
+          </a>
+        </div>
+      );
+    }
+
     // 1. Success with URL -> Show button (legacy support)
-    if (msg.media_url) {
+    if (msg.media_url && !msg.isGroup) {
+      if (msg.thumb_url) {
+        return renderThumbnail(msg, () => setSelectedImage(msg.media_url));
+      }
       return (
         <button
           onClick={() => setSelectedImage(msg.media_url)}
@@ -484,14 +693,14 @@ const MessageGallery = () => {
           totalMediaCount += sibling.media_group.length;
           // ROBUST: Trust media_key existence over status
           const completedInSibling = sibling.media_group.filter(m => {
-            const fileKey = m.media_key || m.r2_key || m.media?.r2_key || m.media?.media_key;
+            const fileKey = mediaKeyOf(m);
             return fileKey && fileKey.length > 0;
           });
           totalCompletedCount += completedInSibling.length;
         } else if (sibling.media_status !== 'none' && sibling.media_status !== null) {
           totalMediaCount += 1;
           // ROBUST: Trust media_key existence over status
-          const fileKey = sibling.media_key || sibling.r2_key || sibling.media?.r2_key || sibling.media?.media_key;
+          const fileKey = mediaKeyOf(sibling);
           if (fileKey && fileKey.length > 0) {
             totalCompletedCount += 1;
           }
@@ -507,13 +716,25 @@ const MessageGallery = () => {
       });
       
       if (totalCompletedCount > 0) {
+        // The modal opens on the clicked member (it looks the message up among the album's images)
+        const previews = siblingMessages
+          .filter(sibling => sibling.thumb_url)
+          .sort((a, b) => Number(a.telegram_message_id) - Number(b.telegram_message_id))
+          .slice(0, 4);
         return (
-          <button
-            onClick={() => openGalleryModal(msg, 0)}
-            className="px-3 py-1 text-sm text-white bg-green-600 rounded hover:bg-green-700 transition-colors"
-          >
-            🖼️ {totalCompletedCount}/{totalMediaCount} Images
-          </button>
+          <div className="flex flex-col items-start gap-1">
+            {previews.length > 0 && (
+              <div className="flex gap-1">
+                {previews.map(member => renderThumbnail(member, () => openGalleryModal(member)))}
+              </div>
+            )}
+            <button
+              onClick={() => openGalleryModal(msg, 0)}
+              className="px-3 py-1 text-sm text-white bg-green-600 rounded hover:bg-green-700 transition-colors"
+            >
+              🖼️ {totalCompletedCount}/{totalMediaCount} Images
+            </button>
+          </div>
         );
       } else {
         // Show download button for pending group - check any sibling for status
@@ -586,7 +807,7 @@ const MessageGallery = () => {
         });
         
         // If expected fields are missing, log all keys to find the correct one
-        const fileKey = msg.media_key || msg.r2_key || msg.media?.r2_key || msg.media?.media_key;
+        const fileKey = mediaKeyOf(msg);
         
         if (!fileKey && !msg.media_url) {
           // 只在非 pending 状态时警告，因为 pending 状态下缺少 media_key 是正常的
@@ -605,6 +826,9 @@ const MessageGallery = () => {
             media_key: msg.media_key
           });
           
+          if (msg.thumb_url) {
+            return renderThumbnail(msg, () => openGalleryModal(msg, 0));
+          }
           return (
             <button
               onClick={() => openGalleryModal(msg, 0)}
@@ -640,7 +864,9 @@ const MessageGallery = () => {
       case 'processing':
         return renderMediaStatus('processing');
       case 'skipped_large':
-        return renderMediaStatus('skipped_large');
+      case 'skipped_type':
+      case 'skipped':
+        return renderMediaStatus(msg.media_status, msg.media_skip_reason);
       case 'failed':
         return renderMediaStatus('failed');
       case 'none':
@@ -677,6 +903,102 @@ const MessageGallery = () => {
 
   return (
     <div className="overflow-x-auto bg-white dark:bg-zinc-900 shadow rounded-lg">
+      {/* Search Bar */}
+      <div className="p-4 border-b border-gray-200 dark:border-zinc-800">
+        <form onSubmit={handleSearchSubmit} className="flex flex-wrap items-center gap-2">
+          <input
+            type="search"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder="搜索消息 (至少3个字符)"
+            className="flex-1 min-w-[12rem] px-3 py-2 text-sm border rounded dark:bg-zinc-800 dark:border-zinc-700"
+          />
+          <input
+            type="date"
+            value={searchFrom}
+            onChange={(e) => setSearchFrom(e.target.value)}
+            title="From"
+            className="px-2 py-2 text-sm border rounded dark:bg-zinc-800 dark:border-zinc-700"
+          />
+          <input
+            type="date"
+            value={searchTo}
+            onChange={(e) => setSearchTo(e.target.value)}
+            title="To"
+            className="px-2 py-2 text-sm border rounded dark:bg-zinc-800 dark:border-zinc-700"
+          />
+          <button
+            type="submit"
+            disabled={!selectedChannel || isSearching || searchInput.trim().length < 3}
+            className="px-4 py-2 text-sm text-white bg-blue-600 rounded hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+          >
+            {isSearching ? '⏳ 搜索中...' : '🔍 搜索'}
+          </button>
+          {(searchResults.length > 0 || highlightedHit) && (
+            <button
+              type="button"
+              onClick={handleClearSearch}
+              className="px-3 py-2 text-sm text-gray-600 dark:text-gray-300 rounded hover:bg-gray-100 dark:hover:bg-zinc-800"
+            >
+              清除
+            </button>
+          )}
+          <select
+            value={deletedFilter}
+            onChange={(e) => setDeletedFilter(e.target.value)}
+            disabled={!selectedChannel}
+            title="Messages deleted upstream"
+            className="ml-auto px-2 py-2 text-sm border rounded dark:bg-zinc-800 dark:border-zinc-700"
+          >
+            <option value="all">全部消息</option>
+            <option value="only">仅已删除</option>
+            <option value="exclude">隐藏已删除</option>
+          </select>
+          <input
+            type="date"
+            value={jumpDate}
+            onChange={(e) => handleJumpToDate(e.target.value)}
+            disabled={!selectedChannel}
+            title="跳转到日期"
+            className="px-2 py-2 text-sm border rounded dark:bg-zinc-800 dark:border-zinc-700"
+          />
+        </form>
+
+        {searchResults.length > 0 && (
+          <ul className="mt-3 max-h-64 overflow-y-auto divide-y divide-gray-200 dark:divide-zinc-800 border rounded dark:border-zinc-700">
+            {searchResults.map((hit) => (
+              <li key={hit.id}>
+                <button
+                  type="button"
+                  onClick={() => handleJumpToHit(hit)}
+                  className={`w-full text-left px-3 py-2 text-sm hover:bg-gray-50 dark:hover:bg-zinc-800 ${
+                    highlightedHit?.id === hit.id ? 'bg-blue-50 dark:bg-zinc-800' : ''
+                  }`}
+                >
+                  <span className="mr-2 text-xs text-gray-500 dark:text-gray-400">
+                    #{hit.telegram_message_id} · {formatDate(hit.date)}
+                  </span>
+                  {hit.deleted_at && renderDeletedBadge(hit)}
+                  <span className="text-gray-900 dark:text-gray-100">{renderSnippet(hit.snippet)}</span>
+                </button>
+              </li>
+            ))}
+            {searchCursor && (
+              <li>
+                <button
+                  type="button"
+                  onClick={() => runSearch(true)}
+                  disabled={isSearching}
+                  className="w-full px-3 py-2 text-sm text-blue-600 dark:text-blue-400 hover:bg-gray-50 dark:hover:bg-zinc-800"
+                >
+                  {isSearching ? '加载中...' : '加载更多结果'}
+                </button>
+              </li>
+            )}
+          </ul>
+        )}
+      </div>
+
       <table className="min-w-full divide-y divide-gray-200 dark:divide-zinc-800">
         <thead className="bg-gray-50 dark:bg-zinc-800">
           <tr>
@@ -723,7 +1045,13 @@ const MessageGallery = () => {
               }
               
               return (
-                <tr key={msg.id} className="hover:bg-gray-50 dark:hover:bg-zinc-800 transition-colors">
+                <tr
+                  key={msg.id}
+                  id={`message-row-${msg.id}`}
+                  className={`hover:bg-gray-50 dark:hover:bg-zinc-800 transition-colors ${
+                    isHighlightedRow(msg) ? 'bg-yellow-50 dark:bg-yellow-900/30' : ''
+                  }`}
+                >
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
                     {msg.telegram_message_id}
                   </td>
@@ -732,15 +1060,18 @@ const MessageGallery = () => {
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
                     {formatDate(msg.date)}
+                    {(msg.edit_date || msg.revision_count > 0) && renderEditHistory(msg)}
                   </td>
                   <td className="px-6 py-4 text-sm text-gray-900 dark:text-gray-100 max-w-xl break-words">
+                    <ForwardHeader fwdFrom={msg.fwd_from} />
+                    <ReplyQuote replyTo={msg.reply_to} onJump={replyJumpHandler(msg.reply_to)} />
                     {msg.isGroup ? (
                       <div>
                         {/* CRITICAL: Show actual text first, then album badge */}
                         {msg.text ? (
                           <div>
                             <span className="text-gray-900 dark:text-gray-100">
-                              {msg.text}
+                              <MessageText text={msg.text} entities={msg.entities} />
                             </span>
                             {msg.isAlbum && (
                               <span className="ml-2 text-gray-400 dark:text-gray-500 italic text-sm">
@@ -755,8 +1086,12 @@ const MessageGallery = () => {
                         )}
                       </div>
                     ) : (
-                      msg.text || <span className="text-gray-400 dark:text-gray-500 italic">(No text)</span>
+                      msg.text
+                        ? <MessageText text={msg.text} entities={msg.entities} />
+                        : <span className="text-gray-400 dark:text-gray-500 italic">(No text)</span>
                     )}
+                    {msg.deleted_at && renderDeletedBadge(msg)}
+                    <MessageStats message={msg} />
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
                     {renderMediaColumn(msg)}
@@ -772,6 +1107,13 @@ const MessageGallery = () => {
       {validMessages.length > 0 && (
         <div className="p-4 text-center border-t">
           <div className="flex items-center justify-center gap-4">
+            <button
+              onClick={handlePreviousPage}
+              disabled={loadingMore || isLoading || !hasPrevious}
+              className="px-4 py-2 text-sm text-white bg-blue-600 rounded hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+            >
+              ← 上一页 (10条)
+            </button>
             <button
               onClick={handleNextPage}
               disabled={loadingMore || isLoading || !hasMore}
@@ -790,7 +1132,7 @@ const MessageGallery = () => {
             </button>
           </div>
           <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
-            当前显示 {validMessages.length} 条消息 {hasMore ? '· 点击下一页加载更多' : '· 已全部加载'}
+            当前显示 {validMessages.length} 条消息 {hasPrevious ? '· 上一页可加载更早的消息' : ''} {hasMore ? '· 点击下一页加载更多' : '· 已全部加载'}
           </p>
         </div>
       )}
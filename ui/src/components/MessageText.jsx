@@ -0,0 +1,133 @@
+// src/components/MessageText.jsx
+// Message text with its formatting entities, plus the forward header, reply quote and
+// counters the Viewer returns with /messages (see api/src/messageMeta.js).
+import React from 'react';
+
+// Only hand web-safe schemes to href; anything else is treated as a bare domain
+const safeUrl = (url) => (/^(https?:|tg:|mailto:)/i.test(url) ? url : `https://${url}`);
+
+const LINK_CLASS = 'text-blue-600 dark:text-blue-400 hover:underline';
+
+// Wraps one segment of text in the element for a single entity
+const wrapEntity = (entity, children, key, entityText) => {
+  switch (entity.type) {
+    case 'bold':
+      return <strong key={key}>{children}</strong>;
+    case 'italic':
+      return <em key={key}>{children}</em>;
+    case 'underline':
+      return <u key={key}>{children}</u>;
+    case 'strikethrough':
+      return <s key={key}>{children}</s>;
+    case 'spoiler':
+      return (
+        <span key={key} className="rounded bg-gray-300 text-transparent hover:text-inherit dark:bg-zinc-600 transition-colors">
+          {children}
+        </span>
+      );
+    case 'code':
+      return <code key={key} className="px-1 rounded bg-gray-100 dark:bg-zinc-800 font-mono text-xs">{children}</code>;
+    case 'pre':
+      return (
+        <code key={key} className="block my-1 p-2 rounded bg-gray-100 dark:bg-zinc-800 font-mono text-xs whitespace-pre overflow-x-auto">
+          {children}
+        </code>
+      );
+    case 'blockquote':
+      return <span key={key} className="block border-l-2 border-gray-300 dark:border-zinc-600 pl-2 text-gray-600 dark:text-gray-300">{children}</span>;
+    case 'link':
+      return <a key={key} href={safeUrl(entityText)} target="_blank" rel="noopener noreferrer" className={LINK_CLASS}>{children}</a>;
+    case 'text_link':
+      return <a key={key} href={safeUrl(entity.url || '')} target="_blank" rel="noopener noreferrer" className={LINK_CLASS}>{children}</a>;
+    case 'email':
+      return <a key={key} href={`mailto:${entityText}`} className={LINK_CLASS}>{children}</a>;
+    case 'mention':
+      return <a key={key} href={`https://t.me/${entityText.replace(/^@/, '')}`} target="_blank" rel="noopener noreferrer" className={LINK_CLASS}>{children}</a>;
+    case 'mention_name':
+    case 'hashtag':
+    case 'cashtag':
+    case 'bot_command':
+      return <span key={key} className="text-blue-600 dark:text-blue-400">{children}</span>;
+    default:
+      return children;
+  }
+};
+
+// Entities can nest and overlap, so the text is cut at every entity boundary and each piece
+// is wrapped in all entities covering it. Offsets are UTF-16 units, like JS string indices.
+export const MessageText = ({ text, entities }) => {
+  if (!text) return null;
+  if (!Array.isArray(entities) || entities.length === 0) {
+    return <span className="whitespace-pre-wrap">{text}</span>;
+  }
+
+  const bounds = new Set([0, text.length]);
+  for (const entity of entities) {
+    bounds.add(Math.min(entity.offset, text.length));
+    bounds.add(Math.min(entity.offset + entity.length, text.length));
+  }
+  const points = [...bounds].sort((a, b) => a - b);
+
+  const pieces = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const start = points[i];
+    const end = points[i + 1];
+    let node = text.slice(start, end);
+    entities
+      .filter(entity => entity.offset <= start && entity.offset + entity.length >= end)
+      .forEach((entity, index) => {
+        node = wrapEntity(entity, node, `${start}-${index}`, text.slice(entity.offset, entity.offset + entity.length));
+      });
+    pieces.push(<React.Fragment key={start}>{node}</React.Fragment>);
+  }
+
+  return <span className="whitespace-pre-wrap">{pieces}</span>;
+};
+
+export const ForwardHeader = ({ fwdFrom }) => {
+  if (!fwdFrom) return null;
+  const source = fwdFrom.title || fwdFrom.from_name || fwdFrom.from_id || 'unknown';
+  return (
+    <div className="mb-1 text-xs text-gray-500 dark:text-gray-400">
+      ↪ Forwarded from <span className="font-medium text-gray-700 dark:text-gray-200">{source}</span>
+      {fwdFrom.post_author && <span> ({fwdFrom.post_author})</span>}
+    </div>
+  );
+};
+
+export const ReplyQuote = ({ replyTo, onJump }) => {
+  if (!replyTo) return null;
+  const quote = replyTo.text && replyTo.text !== '[Service Message]'
+    ? replyTo.text
+    : replyTo.media_type ? '(media)' : replyTo.archived ? '(no text)' : '(not archived)';
+  return (
+    <button
+      type="button"
+      onClick={onJump}
+      disabled={!onJump}
+      className="mb-1 block max-w-md truncate border-l-2 border-blue-400 pl-2 text-left text-xs text-gray-500 dark:text-gray-400 hover:text-gray-700 disabled:hover:text-gray-500"
+      title={replyTo.text || ''}
+    >
+      Reply to #{replyTo.telegram_message_id}: {quote}
+    </button>
+  );
+};
+
+export const MessageStats = ({ message }) => {
+  const { views, forwards, post_author: postAuthor, reactions } = message;
+  const hasReactions = Array.isArray(reactions) && reactions.length > 0;
+  if (views == null && forwards == null && !postAuthor && !hasReactions) return null;
+
+  return (
+    <div className="mt-1 flex flex-wrap items-center gap-2 text-xs text-gray-400 dark:text-gray-500">
+      {postAuthor && <span>✍️ {postAuthor}</span>}
+      {views != null && <span>👁 {views.toLocaleString()}</span>}
+      {forwards != null && forwards > 0 && <span>↗ {forwards.toLocaleString()}</span>}
+      {hasReactions && reactions.map((reaction, index) => (
+        <span key={index} className="px-1.5 rounded-full bg-gray-100 dark:bg-zinc-800 text-gray-600 dark:text-gray-300">
+          {reaction.emoji || (reaction.paid ? '⭐' : '🙂')} {reaction.count}
+        </span>
+      ))}
+    </div>
+  );
+};
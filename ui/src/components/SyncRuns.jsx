@@ -0,0 +1,77 @@
+import React, { useEffect } from 'react';
+import { useChannelStore } from '../store/channelStore';
+import { Button } from './ui/button';
+import { Card, CardHeader, CardTitle, CardContent } from './ui/card';
+import { Clock, RefreshCw } from 'lucide-react';
+
+const STATUS_STYLES = {
+  running: 'text-blue-600 dark:text-blue-400',
+  success: 'text-green-600 dark:text-green-400',
+  partial: 'text-orange-600 dark:text-orange-400',
+  failed: 'text-red-600 dark:text-red-400',
+};
+
+export const SyncRuns = () => {
+  const { syncRuns, fetchSyncRuns } = useChannelStore();
+
+  useEffect(() => {
+    fetchSyncRuns();
+  }, [fetchSyncRuns]);
+
+  const formatDate = (dateString) => {
+    if (!dateString) return '-';
+    // D1 CURRENT_TIMESTAMP is UTC without a zone suffix
+    return new Date(`${dateString.replace(' ', 'T')}Z`).toLocaleString('zh-CN');
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle className="flex items-center gap-2 text-lg">
+            <Clock className="w-5 h-5" />
+            Background Sync Runs
+          </CardTitle>
+          <Button onClick={() => fetchSyncRuns()} variant="ghost" size="sm">
+            <RefreshCw className="w-4 h-4" />
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {syncRuns.length === 0 ? (
+          <p className="text-sm text-muted-foreground text-center py-4">
+            No sync runs recorded yet.
+          </p>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs uppercase text-muted-foreground">
+                <th className="py-2 pr-4">Started</th>
+                <th className="py-2 pr-4">Worker</th>
+                <th className="py-2 pr-4">Status</th>
+                <th className="py-2 pr-4">Channels</th>
+                <th className="py-2 pr-4">Messages</th>
+                <th className="py-2 pr-4">Media</th>
+              </tr>
+            </thead>
+            <tbody>
+              {syncRuns.map((run) => (
+                <tr key={run.id} className="border-t" title={run.error_message || ''}>
+                  <td className="py-2 pr-4 whitespace-nowrap">{formatDate(run.started_at)}</td>
+                  <td className="py-2 pr-4 capitalize">
+                    {run.worker}
+                    {run.trigger === 'cron' && <span className="ml-1 text-xs text-muted-foreground">(cron)</span>}
+                  </td>
+                  <td className={`py-2 pr-4 capitalize ${STATUS_STYLES[run.status] || ''}`}>{run.status}</td>
+                  <td className="py-2 pr-4">{run.channels_count}</td>
+                  <td className="py-2 pr-4">{run.synced_count}</td>
+                  <td className="py-2 pr-4">{run.media_count}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
@@ -0,0 +1,213 @@
+import React, { useEffect, useState } from 'react';
+import { useChannelStore } from '../store/channelStore';
+import { useMessageStore } from '../store/messageStore';
+import { Button } from './ui/button';
+import { Card, CardHeader, CardTitle, CardContent } from './ui/card';
+import { MediaPolicySettings } from './MediaPolicySettings';
+import { Loader2, RefreshCw, Radio, Eye, Trash2, Settings, Download, FileArchive } from 'lucide-react';
+
+export const TrackedChannels = ({ onView }) => {
+  const {
+    trackedChannels,
+    channels,
+    fetchTrackedChannels,
+    setChannelEnabled,
+    untrackChannel,
+    enqueuePendingMedia,
+    exportsByChannel,
+    fetchExports,
+    exportChannel,
+    setSelectedChannel
+  } = useChannelStore();
+  const { syncAllChannels, isSyncing, syncStatus } = useMessageStore();
+  const [settingsOpenFor, setSettingsOpenFor] = useState(null); // chat_id whose media policy is shown
+  const [queueStatus, setQueueStatus] = useState({}); // chat_id -> last enqueue result message
+  const [exportStatus, setExportStatus] = useState({}); // chat_id -> progress of a running export
+
+  useEffect(() => {
+    fetchTrackedChannels();
+    fetchExports();
+  }, [fetchTrackedChannels, fetchExports]);
+
+  const formatDate = (dateString) => {
+    if (!dateString) return 'Never';
+    return new Date(dateString).toLocaleString('zh-CN');
+  };
+
+  const handleView = (tracked) => {
+    // Prefer the live dialog entry (has title/type), fall back to the tracked row
+    const live = channels.find(ch => String(ch.id) === String(tracked.chat_id));
+    setSelectedChannel(live || { ...tracked, id: tracked.chat_id });
+    if (onView) onView();
+  };
+
+  const handleEnqueueMedia = async (channel) => {
+    setQueueStatus(prev => ({ ...prev, [channel.chat_id]: 'Queueing...' }));
+    const result = await enqueuePendingMedia(channel.chat_id, channel.failed_media > 0);
+    setQueueStatus(prev => ({
+      ...prev,
+      [channel.chat_id]: result.success ? `${result.enqueued} media jobs queued` : result.error
+    }));
+  };
+
+  const handleExport = async (channel) => {
+    setExportStatus(prev => ({ ...prev, [channel.chat_id]: 'Starting export...' }));
+    const result = await exportChannel(channel.chat_id, (job) => {
+      setExportStatus(prev => ({
+        ...prev,
+        [channel.chat_id]: `Exporting ${job.phase}: ${job.media_count} media, ${(job.bytes_written / 1048576).toFixed(1)} MB`
+      }));
+    });
+    setExportStatus(prev => ({
+      ...prev,
+      [channel.chat_id]: result.success ? null : `Export stopped: ${result.error}. Export again to resume.`
+    }));
+  };
+
+  const handleSyncAll = async () => {
+    await syncAllChannels();
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle className="flex items-center gap-2">
+            <Radio className="w-5 h-5" />
+            Tracked Channels ({trackedChannels.length})
+          </CardTitle>
+          <div className="flex items-center gap-2">
+            <Button onClick={fetchTrackedChannels} variant="ghost" size="sm">
+              <RefreshCw className="w-4 h-4" />
+            </Button>
+            <Button
+              onClick={handleSyncAll}
+              disabled={isSyncing || !trackedChannels.some(ch => ch.enabled)}
+              size="sm"
+            >
+              {isSyncing ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <RefreshCw className="w-4 h-4 mr-2" />
+              )}
+              Sync All
+            </Button>
+          </div>
+        </div>
+        {syncStatus && (
+          <p className="text-sm text-muted-foreground">{syncStatus}</p>
+        )}
+      </CardHeader>
+      <CardContent>
+        {trackedChannels.length === 0 ? (
+          <p className="text-sm text-muted-foreground text-center py-4">
+            No channels tracked yet. Select a channel below to start archiving it.
+          </p>
+        ) : (
+          <div className="grid gap-3">
+            {trackedChannels.map((channel) => {
+              const totalMedia = channel.completed_media + channel.pending_media + channel.failed_media;
+              const percent = totalMedia > 0 ? Math.round((channel.completed_media / totalMedia) * 100) : 0;
+              const latestExport = exportsByChannel[channel.chat_id];
+              const isExporting = !!exportStatus[channel.chat_id] && !exportStatus[channel.chat_id].startsWith('Export stopped');
+
+              return (
+                <div
+                  key={channel.chat_id}
+                  className={`border rounded-lg p-4 ${channel.enabled ? 'border-border' : 'border-dashed opacity-60'}`}
+                >
+                  <div className="flex items-center justify-between gap-4">
+                    <div className="flex-1 min-w-0">
+                      <h4 className="font-semibold truncate">{channel.title}</h4>
+                      <div className="flex flex-wrap items-center gap-4 text-sm text-muted-foreground">
+                        <span>{channel.message_count.toLocaleString()} messages</span>
+                        <span>
+                          Media {channel.completed_media}/{totalMedia}
+                          {channel.failed_media > 0 && ` · ${channel.failed_media} failed`}
+                        </span>
+                        <span>Last sync: {formatDate(channel.last_synced_at)}</span>
+                        {queueStatus[channel.chat_id] && <span>{queueStatus[channel.chat_id]}</span>}
+                        {exportStatus[channel.chat_id] && <span>{exportStatus[channel.chat_id]}</span>}
+                        {!exportStatus[channel.chat_id] && latestExport?.download_url && (
+                          <a
+                            href={latestExport.download_url}
+                            className="text-primary hover:underline"
+                            title={`${latestExport.message_count} messages, ${latestExport.media_count} media files`}
+                          >
+                            Download ZIP ({(latestExport.bytes_written / 1048576).toFixed(1)} MB)
+                          </a>
+                        )}
+                      </div>
+                      <div className="mt-2 h-1.5 w-full rounded-full bg-muted overflow-hidden">
+                        <div
+                          className="h-full bg-primary transition-all"
+                          style={{ width: `${percent}%` }}
+                        />
+                      </div>
+                    </div>
+
+                    <div className="flex items-center gap-2">
+                      <Button onClick={() => handleView(channel)} variant="outline" size="sm">
+                        <Eye className="w-4 h-4 mr-1" />
+                        View
+                      </Button>
+                      <Button
+                        onClick={() => setChannelEnabled(channel.chat_id, !channel.enabled)}
+                        variant="outline"
+                        size="sm"
+                      >
+                        {channel.enabled ? 'Pause' : 'Resume'}
+                      </Button>
+                      <Button
+                        onClick={() => handleEnqueueMedia(channel)}
+                        variant="ghost"
+                        size="sm"
+                        disabled={channel.pending_media + channel.failed_media === 0}
+                        title="Queue pending media for background download"
+                      >
+                        <Download className="w-4 h-4" />
+                      </Button>
+                      <Button
+                        onClick={() => handleExport(channel)}
+                        variant="ghost"
+                        size="sm"
+                        disabled={isExporting || channel.message_count === 0}
+                        title="Export as ZIP (messages.json, media, index.html)"
+                      >
+                        {isExporting ? (
+                          <Loader2 className="w-4 h-4 animate-spin" />
+                        ) : (
+                          <FileArchive className="w-4 h-4" />
+                        )}
+                      </Button>
+                      <Button
+                        onClick={() => setSettingsOpenFor(settingsOpenFor === channel.chat_id ? null : channel.chat_id)}
+                        variant={settingsOpenFor === channel.chat_id ? 'secondary' : 'ghost'}
+                        size="sm"
+                        title="Media policy"
+                      >
+                        <Settings className="w-4 h-4" />
+                      </Button>
+                      <Button
+                        onClick={() => untrackChannel(channel.chat_id)}
+                        variant="ghost"
+                        size="sm"
+                        title="Stop tracking (archived messages are kept)"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </Button>
+                    </div>
+                  </div>
+
+                  {settingsOpenFor === channel.chat_id && (
+                    <MediaPolicySettings channelId={channel.chat_id} />
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
@@ -1,7 +1,9 @@
-import { useEffect, useMemo, useCallback, useRef } from 'react';
+import { useEffect, useMemo, useCallback } from 'react';
 import { useMessageStore } from '../store/messageStore';
 import { useChannelStore } from '../store/channelStore';
-import { internalFetch, PROCESSOR_URL, VIEWER_URL, SCANNER_URL } from '../utils/api';
+import { useSessionStore } from '../store/sessionStore';
+import { SCANNER_URL } from '../utils/api';
+import { mediaKeyOf } from '../utils/media';
 
 // Group messages by grouped_id for album display
 const groupMessages = (messages) => {
@@ -24,9 +26,10 @@ const groupMessages = (messages) => {
   let groupCount = 0;
   let individualCount = 0;
   
-  // First pass: collect all messages by group
+  // First pass: collect all messages by group, remembering where each group first appears.
+  // The Viewer never splits an album across pages, so every group here is complete.
   const groupMessages = {};
-  const individualMessages = [];
+  const order = [];
   
   for (const message of messages) {
     const groupId = message.grouped_id;
@@ -34,29 +37,36 @@ const groupMessages = (messages) => {
     if (groupId) {
       if (!groupMessages[groupId]) {
         groupMessages[groupId] = [];
+        order.push({ groupId });
       }
       groupMessages[groupId].push(message);
     } else {
-      individualMessages.push(message);
+      order.push({ message });
     }
   }
   
-  // Second pass: create group objects with Master Message logic
-  for (const [groupId, groupMsgs] of Object.entries(groupMessages)) {
-    // CRITICAL: Find the "Master Message" - first message with non-empty text
-    let masterMessage = null;
-    
-    // First, try to find a message with text
-    for (const msg of groupMsgs) {
-      if (msg.text && msg.text.trim()) {
-        masterMessage = msg;
-        break;
-      }
+  // Second pass: build the list in message order, one entry per album
+  for (const { groupId, message } of order) {
+    if (!groupId) {
+      result.push({
+        ...message,
+        isGroup: false,
+        isAlbum: false,
+        media_group: []
+      });
+      individualCount++;
+      continue;
     }
+
+    const groupMsgs = groupMessages[groupId];
+    // The Viewer picks the Master Message (album_master_id); the same rule is the fallback
+    // for messages persisted before it did: first message with non-empty text, else the first
+    let masterMessage = groupMsgs.find(msg =>
+      msg.album_master_id != null && String(msg.telegram_message_id) === String(msg.album_master_id)
+    ) || null;
     
-    // If no message has text, use the first message as fallback
     if (!masterMessage) {
-      masterMessage = groupMsgs[0];
+      masterMessage = groupMsgs.find(msg => msg.text && msg.text.trim()) || groupMsgs[0];
     }
     
     // Create group object with Master Message as base
@@ -71,8 +81,8 @@ const groupMessages = (messages) => {
       hasText: !!(masterMessage.text && masterMessage.text.trim()),
       // CRITICAL: Propagate media status and keys from all group members
       media_status: masterMessage.media_status || 'none',
-      media_key: masterMessage.media_key || null,
-      r2_key: masterMessage.r2_key || masterMessage.media_key || null,
+      media_key: mediaKeyOf(masterMessage),
+      r2_key: mediaKeyOf(masterMessage),
       media_url: masterMessage.media_url || null
     };
     
@@ -90,17 +100,6 @@ const groupMessages = (messages) => {
     groupCount++;
   }
   
-  // Add individual messages
-  for (const message of individualMessages) {
-    result.push({
-      ...message,
-      isGroup: false,
-      isAlbum: false,
-      media_group: []
-    });
-    individualCount++;
-  }
-  
   console.log(`[useArchiver] Grouping complete: ${groupCount} groups, ${individualCount} individual messages`);
   
   return result;
@@ -113,9 +112,10 @@ export const useArchiver = () => {
     isSyncing, 
     syncStatus, 
     error,
+    mediaQueued,
     startPolling,
-    phaseASync,
-    phaseBMediaProcessing,
+    syncMessages,
+    enqueueMediaProcessing,
     fetchMessages,
     setMessages, // For instant UI updates
     setLoading,
@@ -125,161 +125,6 @@ export const useArchiver = () => {
   } = useMessageStore();
   const { selectedChannel } = useChannelStore();
 
-  // Refs for debouncing/throttling
-  const pendingTimeoutRef = useRef(null);
-  const isTriggeringRef = useRef(false);
-
-  // Identify pending media messages
-  const identifyPendingMessages = useCallback((messages) => {
-    if (!messages || !Array.isArray(messages)) return [];
-    return messages.filter(msg => msg.media_status === 'pending' && msg.media_type && msg.media_type !== '');
-  }, []);
-
-  // Throttled/debounced trigger for pending media
-  const triggerPendingMedia = useCallback(async (messages) => {
-    if (!messages || isProcessing || isSyncing || isTriggeringRef.current) {
-      console.log('[useArchiver] Skipping trigger - processing in progress or already triggering');
-      return;
-    }
-
-    const pendingMessages = identifyPendingMessages(messages);
-    if (pendingMessages.length === 0) {
-      console.log('[useArchiver] No pending media to process');
-      return;
-    }
-
-    console.log(`[useArchiver] Triggering auto-processing for ${pendingMessages.length} pending media items`);
-
-    // Clear any existing timeout
-    if (pendingTimeoutRef.current) {
-      clearTimeout(pendingTimeoutRef.current);
-    }
-
-    // Debounce: wait 500ms before triggering to batch rapid changes
-    pendingTimeoutRef.current = setTimeout(async () => {
-      isTriggeringRef.current = true;
-      try {
-        // Use the existing phaseBMediaProcessing but in auto mode
-        await phaseBMediaProcessing();
-      } catch (error) {
-        console.error('[useArchiver] Auto-processing failed:', error);
-      } finally {
-        isTriggeringRef.current = false;
-        pendingTimeoutRef.current = null;
-      }
-    }, 500);
-  }, [isProcessing, isSyncing, identifyPendingMessages, phaseBMediaProcessing]);
-
-  // Targeted processing with chatId and live UI updates
-  const triggerTargetedProcessing = useCallback(async (chatId) => {
-    if (isProcessing || isSyncing || isTriggeringRef.current) {
-      console.log('[useArchiver] Skipping targeted processing - already processing');
-      return;
-    }
-
-    console.log(`[useArchiver] Starting targeted processing for chatId: ${chatId}`);
-    isTriggeringRef.current = true;
-
-    try {
-      let processedCount = 0;
-      let batchCount = 0;
-      const BATCH_SIZE = 1; // FORCED: Strict serial processing
-      const maxBatches = 1000; // Increased for infinite endurance
-
-      while (batchCount < maxBatches) {
-        batchCount++;
-
-        setSyncing(`Phase B: Processing media... (Batch ${batchCount})`);
-        setProcessing(true);
-
-        try {
-          const response = await internalFetch(`${PROCESSOR_URL}/process-media?batch=true&size=${BATCH_SIZE}&chatId=${chatId}`, {
-            method: 'POST'
-          });
-
-          if (response.status === 401) {
-            console.error('[useArchiver] HTTP 401 Unauthorized');
-            setError('Error: Telegram credentials missing. Please refresh the page.');
-            break;
-          }
-
-          if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-          }
-
-          const data = await response.json();
-          console.log(`[useArchiver] Batch ${batchCount} response:`, data);
-
-          if (!data || !data.success) {
-            throw new Error(data?.error || 'Batch processing failed');
-          }
-
-          // Handle FloodWaitError
-          if (data.floodWait) {
-            console.log(`[useArchiver] FloodWait detected, waiting ${data.floodWait}s`);
-            setSyncing(`Rate limited. Waiting ${data.floodWait} seconds...`);
-            await new Promise(resolve => setTimeout(resolve, data.floodWait * 1000));
-            continue;
-          }
-
-          // Live UI updates - immediately update messages state
-          if (data.results && data.results.length > 0) {
-            const { messages: currentMessages, setMessages: storeSetMessages } = useMessageStore.getState();
-            // CRITICAL: Create new array reference for React re-render detection
-            const updatedMessages = currentMessages.map(msg => {
-              const result = data.results.find(r => r.messageId === msg.telegram_message_id);
-              if (result && result.success && !result.skipped && result.mediaKey) {
-                console.log(`[useArchiver] Live update: Message ${msg.telegram_message_id} completed`);
-                return {
-                  ...msg,
-                  media_status: 'completed',
-                  media_key: result.mediaKey,
-                  r2_key: result.mediaKey,
-                  media_url: `${VIEWER_URL}/media/${result.mediaKey}`
-                };
-              } else if (result && result.skipped) {
-                return {
-                  ...msg,
-                  media_status: result.skipReason?.includes('Non-photo') ? 'skipped_type' :
-                               result.skipReason?.includes('large') ? 'skipped_large' : 'skipped'
-                };
-              }
-              return msg;
-            });
-            storeSetMessages(updatedMessages);
-            
-            // CRITICAL: Pet the watchdog - update activity timestamp
-            useMessageStore.setState({ lastActivityTimestamp: Date.now() });
-          }
-
-          processedCount += Number(data.processedCount || 0);
-          const remaining = Number(data.remaining || 0);
-          const hasMore = remaining > 0;
-
-          if (!hasMore) {
-            setSyncing(`Phase B: All media processing complete! Processed ${processedCount} items.`);
-            break;
-          }
-
-          setSyncing(`Phase B: Processing media... ${remaining} remaining (Processed: ${processedCount})`);
-
-          // Yield to UI thread
-          await new Promise(resolve => setTimeout(resolve, 500));
-
-        } catch (error) {
-          console.error(`[useArchiver] Batch ${batchCount} error:`, error);
-          setError(`Error: Batch ${batchCount} failed - ${error.message}`);
-          break;
-        }
-      }
-
-    } finally {
-      isTriggeringRef.current = false;
-      setProcessing(false);
-      setLoading(false);
-    }
-  }, [isProcessing, isSyncing, setMessages, setError, setProcessing, setLoading, setSyncing, internalFetch, PROCESSOR_URL, VIEWER_URL]);
-
   // SSE: Streaming Batch Processing for real-time feedback
   const processBatchStream = useCallback(async (messageIds, chatId) => {
     if (!messageIds || messageIds.length === 0) {
@@ -292,7 +137,9 @@ export const useArchiver = () => {
     setSyncing(`Starting batch download of ${messageIds.length} images...`);
 
     const idsParam = messageIds.join(',');
-    const url = `${SCANNER_URL}/messages/batch-stream?ids=${idsParam}&chatId=${chatId}`;
+    // EventSource can't send headers, so the session token goes in the query string
+    const token = encodeURIComponent(useSessionStore.getState().token || '');
+    const url = `${SCANNER_URL}/messages/batch-stream?ids=${idsParam}&chatId=${chatId}&token=${token}`;
 
     try {
       const eventSource = new EventSource(url);
@@ -325,7 +172,7 @@ export const useArchiver = () => {
                     media_status: 'completed',
                     media_key: data.mediaKey,
                     r2_key: data.mediaKey,
-                    media_url: `${VIEWER_URL.replace('/api', '')}/r2/${data.mediaKey}`
+                    media_url: data.mediaUrl || msg.media_url
                   };
                 }
                 return msg;
@@ -382,7 +229,7 @@ export const useArchiver = () => {
       setError(`Stream error: ${error.message}`);
       setProcessing(false);
     }
-  }, [setProcessing, setSyncing, setError, fetchMessages, SCANNER_URL, VIEWER_URL]);
+  }, [setProcessing, setSyncing, setError, fetchMessages, SCANNER_URL]);
 
   // Hook lifecycle logging
   console.log("[useArchiver] Hook initialized. ChannelId:", selectedChannel?.id, "Messages length:", messages.length);
@@ -433,21 +280,13 @@ export const useArchiver = () => {
     // CRITICAL: Only depend on selectedChannel?.id, NOT on sync states
   }, [selectedChannel?.id, fetchMessages]);
 
-  // Auto-polling effect
+  // Follow queued media until it is downloaded
   useEffect(() => {
-    let pollCleanup;
-
-    if (isProcessing || isSyncing) {
-      console.log('[useArchiver] Starting polling for real-time updates...');
-      pollCleanup = startPolling();
+    if (mediaQueued) {
+      console.log('[useArchiver] Watching the media queue via /messages and /sync-runs...');
+      return startPolling();
     }
-
-    return () => {
-      if (pollCleanup) {
-        pollCleanup();
-      }
-    };
-  }, [isProcessing, isSyncing, startPolling]);
+  }, [mediaQueued, startPolling]);
 
   // CRITICAL: Activity-based watchdog for isProcessing state
   useEffect(() => {
@@ -476,10 +315,10 @@ export const useArchiver = () => {
   const startSync = async () => {
     try {
       // Phase A: Sync messages
-      await phaseASync();
+      await syncMessages();
       
-      // Phase B: Process media
-      await phaseBMediaProcessing();
+      // Phase B: Queue the media for the Processor
+      await enqueueMediaProcessing();
     } catch (error) {
       console.error('[useArchiver] Sync failed:', error);
     }
@@ -492,13 +331,11 @@ export const useArchiver = () => {
     isSyncing,
     syncStatus,
     error,
+    mediaQueued,
     
     // Actions
     startSync,
-    phaseASync,
-    phaseBMediaProcessing,
-    processBatchStream, // SSE: Streaming batch processing
-    triggerPendingMedia, // Expose for auto-trigger from components
-    triggerTargetedProcessing // Expose for targeted processing with chatId
+    enqueueMediaProcessing,
+    processBatchStream // SSE: Streaming batch processing
   };
 };
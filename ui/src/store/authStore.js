@@ -7,10 +7,9 @@ export const useAuthStore = create(persist((set, get) => ({
   isLoggedIn: false,
   isLoading: false,
   error: null,
-  sessionString: null,
   phoneCodeHash: null,
   requires2FA: false,
-  tempSessionString: null, // Store session from send-code
+  tempSessionString: null, // Sealed partial session from send-code (the final session never leaves the Scanner)
   phoneNumber: null, // Store phone number for verification
   
   // Actions
@@ -18,9 +17,8 @@ export const useAuthStore = create(persist((set, get) => ({
   setError: (error) => set({ error }),
   clearError: () => set({ error: null }),
   
-  login: (sessionString) => set({ 
+  login: () => set({ 
     isLoggedIn: true, 
-    sessionString,
     error: null,
     requires2FA: false,
     phoneCodeHash: null,
@@ -29,7 +27,6 @@ export const useAuthStore = create(persist((set, get) => ({
   
   logout: () => set({ 
     isLoggedIn: false, 
-    sessionString: null,
     error: null,
     requires2FA: false,
     phoneCodeHash: null,
@@ -119,7 +116,6 @@ export const useAuthStore = create(persist((set, get) => ({
       if (data.success) {
         set({ 
           isLoggedIn: true,
-          sessionString: data.sessionString,
           phoneCodeHash: null,
           tempSessionString: null,
           phoneNumber: null, // Clear phone number after successful verification
@@ -172,7 +168,6 @@ export const useAuthStore = create(persist((set, get) => ({
       if (data.success) {
         set({ 
           isLoggedIn: true,
-          sessionString: data.sessionString,
           requires2FA: false,
           tempSessionString: null,
           isLoading: false 
@@ -196,4 +191,7 @@ export const useAuthStore = create(persist((set, get) => ({
 }), {
   name: 'tg-auth-storage',
   storage: createJSONStorage(() => localStorage),
+  // Version 0 kept the plaintext Telegram session in localStorage
+  version: 1,
+  migrate: ({ sessionString, ...state }) => state,
 }));
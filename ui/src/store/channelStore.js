@@ -1,12 +1,15 @@
 import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
-import { API_BASE, authenticatedFetch } from '../utils/api';
+import { API_BASE, VIEWER_URL, authenticatedFetch } from '../utils/api';
 
 export const useChannelStore = create(
   persist(
     (set, get) => ({
       // State
       channels: [],
+      trackedChannels: [], // Channels archived by the backend, with per-channel progress
+      syncRuns: [], // Recent scheduled/manual sync runs
+      exportsByChannel: {}, // chat_id -> latest ZIP export
       selectedChannel: null,
       isLoading: false,
       error: null,
@@ -66,13 +69,215 @@ export const useChannelStore = create(
     }
   },
   
+  fetchTrackedChannels: async () => {
+    try {
+      const response = await authenticatedFetch(`${VIEWER_URL}/channels`);
+      
+      if (!response || !response.ok) {
+        throw new Error(`HTTP ${response?.status || 'unknown'}: ${response?.statusText || 'Network error'}`);
+      }
+      
+      const data = await response.json();
+      
+      if (data?.success) {
+        set({ trackedChannels: data.channels || [] });
+        return { success: true, channels: data.channels || [] };
+      }
+      return { success: false, error: data?.error };
+    } catch (error) {
+      console.error('[ChannelStore] Failed to fetch tracked channels:', error);
+      return { success: false, error: 'Network error' };
+    }
+  },
+  
+  fetchSyncRuns: async (limit = 10) => {
+    try {
+      const response = await authenticatedFetch(`${VIEWER_URL}/sync-runs?limit=${limit}`);
+      
+      if (!response || !response.ok) {
+        throw new Error(`HTTP ${response?.status || 'unknown'}: ${response?.statusText || 'Network error'}`);
+      }
+      
+      const data = await response.json();
+      
+      if (data?.success) {
+        set({ syncRuns: data.runs || [] });
+        return { success: true, runs: data.runs || [] };
+      }
+      return { success: false, error: data?.error };
+    } catch (error) {
+      console.error('[ChannelStore] Failed to fetch sync runs:', error);
+      return { success: false, error: 'Network error' };
+    }
+  },
+  
+  setChannelEnabled: async (channelId, enabled) => {
+    try {
+      const response = await authenticatedFetch(`${API_BASE}/channels/${channelId}`, {
+        method: 'PUT',
+        body: JSON.stringify({ enabled })
+      });
+      const data = await response.json();
+      
+      if (data?.success) {
+        // Optimistic update, then refresh progress from the viewer
+        set(state => ({
+          trackedChannels: state.trackedChannels.map(ch =>
+            String(ch.chat_id) === String(channelId) ? { ...ch, enabled } : ch
+          )
+        }));
+        await get().fetchTrackedChannels();
+        return { success: true };
+      }
+      set({ error: data?.error || 'Failed to update channel' });
+      return { success: false, error: data?.error };
+    } catch (error) {
+      set({ error: 'Failed to update channel' });
+      return { success: false, error: 'Network error' };
+    }
+  },
+  
+  // Hand a channel's pending media to the Processor's background queue
+  enqueuePendingMedia: async (channelId, includeFailed = false) => {
+    try {
+      const response = await authenticatedFetch(
+        `${API_BASE}/media/enqueue?channelId=${channelId}&includeFailed=${includeFailed}`,
+        { method: 'POST' }
+      );
+      const data = await response.json();
+      
+      if (data?.success) {
+        return { success: true, enqueued: data.enqueued };
+      }
+      return { success: false, error: data?.error || 'Failed to queue media' };
+    } catch (error) {
+      console.error('[ChannelStore] Failed to enqueue media:', error);
+      return { success: false, error: 'Network error' };
+    }
+  },
+  
+  fetchMediaPolicy: async (channelId) => {
+    try {
+      const response = await authenticatedFetch(`${API_BASE}/channels/${channelId}/media-policy`);
+      const data = await response.json();
+      
+      if (data?.success) {
+        return { success: true, policy: data.policy };
+      }
+      return { success: false, error: data?.error || 'Failed to load media policy' };
+    } catch (error) {
+      console.error('[ChannelStore] Failed to fetch media policy:', error);
+      return { success: false, error: 'Network error' };
+    }
+  },
+  
+  saveMediaPolicy: async (channelId, policy) => {
+    try {
+      const response = await authenticatedFetch(`${API_BASE}/channels/${channelId}/media-policy`, {
+        method: 'PUT',
+        body: JSON.stringify(policy)
+      });
+      const data = await response.json();
+      
+      if (data?.success) {
+        return { success: true, policy: data.policy };
+      }
+      return { success: false, error: data?.error || 'Failed to save media policy' };
+    } catch (error) {
+      console.error('[ChannelStore] Failed to save media policy:', error);
+      return { success: false, error: 'Network error' };
+    }
+  },
+  
+  fetchExports: async () => {
+    try {
+      const response = await authenticatedFetch(`${VIEWER_URL}/exports`);
+      const data = await response.json();
+      
+      if (data?.success) {
+        const exportsByChannel = {};
+        for (const job of data.exports) {
+          exportsByChannel[job.chat_id] = job;
+        }
+        set({ exportsByChannel });
+        return { success: true, exports: data.exports };
+      }
+      return { success: false, error: data?.error };
+    } catch (error) {
+      console.error('[ChannelStore] Failed to fetch exports:', error);
+      return { success: false, error: 'Network error' };
+    }
+  },
+  
+  // Starts (or continues) the channel's export and runs slices until it completes.
+  // onProgress receives the export after every slice.
+  exportChannel: async (channelId, onProgress) => {
+    const remember = (job) => {
+      set(state => ({ exportsByChannel: { ...state.exportsByChannel, [job.chat_id]: job } }));
+      if (onProgress) onProgress(job);
+    };
+    
+    try {
+      let response = await authenticatedFetch(`${VIEWER_URL}/exports?channelId=${channelId}`, { method: 'POST' });
+      let data = await response.json();
+      
+      while (data?.success && data.export.status === 'running') {
+        remember(data.export);
+        // Another tab is running a slice: give it a moment
+        if (data.busy) {
+          await new Promise(resolve => setTimeout(resolve, 3000));
+        }
+        response = await authenticatedFetch(`${VIEWER_URL}/exports/${data.export.id}/resume`, { method: 'POST' });
+        data = await response.json();
+      }
+      
+      if (!data?.success) {
+        return { success: false, error: data?.error || 'Export failed' };
+      }
+      remember(data.export);
+      return data.export.status === 'completed'
+        ? { success: true, export: data.export }
+        : { success: false, error: data.export.error_message || 'Export failed', export: data.export };
+    } catch (error) {
+      console.error('[ChannelStore] Export failed:', error);
+      return { success: false, error: 'Network error' };
+    }
+  },
+  
+  untrackChannel: async (channelId) => {
+    try {
+      const response = await authenticatedFetch(`${API_BASE}/channels/${channelId}`, {
+        method: 'DELETE'
+      });
+      const data = await response.json();
+      
+      if (data?.success) {
+        set(state => ({
+          trackedChannels: state.trackedChannels.filter(ch => String(ch.chat_id) !== String(channelId))
+        }));
+        return { success: true };
+      }
+      return { success: false, error: data?.error };
+    } catch (error) {
+      set({ error: 'Failed to untrack channel' });
+      return { success: false, error: 'Network error' };
+    }
+  },
+  
   selectChannel: async (channelId) => {
     set({ isLoading: true, error: null });
     
     try {
+      // Send channel info along so the tracked list can show titles without Telegram
+      const info = get().channels.find(ch => ch.id === channelId) || {};
       const response = await authenticatedFetch(`${API_BASE}/channels/select`, {
         method: 'POST',
-        body: JSON.stringify({ channelId })
+        body: JSON.stringify({
+          channelId,
+          title: info.title,
+          username: info.username,
+          type: info.type
+        })
       });
       
       // Check if response exists and is ok
@@ -94,6 +299,7 @@ export const useChannelStore = create(
           selectedChannel: selected,
           isLoading: false 
         });
+        await get().fetchTrackedChannels();
         return { success: true };
       } else {
         set({ 
@@ -1,6 +1,6 @@
 import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
-import { SCANNER_URL, PROCESSOR_URL, VIEWER_URL, authenticatedFetch, internalFetch } from '../utils/api';
+import { SCANNER_URL, VIEWER_URL, authenticatedFetch } from '../utils/api';
 import { useChannelStore } from './channelStore';
 
 export const useMessageStore = create(
@@ -11,13 +11,20 @@ export const useMessageStore = create(
   isLoading: false,
   isSyncing: false,
   isProcessing: false, // Add processing state for polling
+  mediaQueued: false, // Media queued for the Processor is still downloading (see startPolling)
   lastActivityTimestamp: null, // Track last successful activity for watchdog
   syncProgress: 0,  // Add sync progress tracking
   syncStatus: '',   // Add sync status message
   error: null,
   hasMore: true,
-  offset: 0,
-  total: null, // Add total count for pagination
+  hasPrevious: false, // Older messages exist before the first loaded one
+  nextCursor: null, // Keyset cursors from /messages pagination
+  prevCursor: null,
+  searchQuery: '',
+  searchResults: [],
+  searchCursor: null, // nextCursor from /search, null when there are no more hits
+  isSearching: false,
+  deletedFilter: 'all', // 'all' | 'only' (deleted upstream) | 'exclude'
   
   // Actions
   setLoading: (loading) => {
@@ -36,8 +43,11 @@ export const useMessageStore = create(
   })),
   
   // API Actions
-  fetchMessages: async (limit = 50, reset = false, channelId = null) => {
-    const { messages, offset } = get();
+  // reset loads the first (oldest) page, or the page starting at options.date; otherwise the
+  // next page is appended, or with options.direction === 'previous' the preceding one prepended.
+  fetchMessages: async (limit = 50, reset = false, channelId = null, options = {}) => {
+    const { messages, nextCursor, prevCursor, deletedFilter } = get();
+    const previous = !reset && options.direction === 'previous';
     
     // CRITICAL FIX: Prioritize channelId argument over store state
     const targetId = channelId || useChannelStore.getState().selectedChannel?.id;
@@ -45,6 +55,8 @@ export const useMessageStore = create(
     console.log('[MessageStore] fetchMessages called with:', {
       limit,
       reset,
+      direction: previous ? 'previous' : 'next',
+      date: options.date || null,
       channelIdArg: channelId,
       storeChannelId: useChannelStore.getState().selectedChannel?.id,
       targetId
@@ -57,17 +69,25 @@ export const useMessageStore = create(
     }
     
     if (reset) {
-      set({ isLoading: true, error: null, messages: [], offset: 0, hasMore: true });
+      set({ isLoading: true, error: null, messages: [], nextCursor: null, prevCursor: null, hasMore: true, hasPrevious: false });
     } else {
       set({ isLoading: true, error: null });
     }
     
     try {
-      const currentOffset = reset ? 0 : offset;
+      const params = new URLSearchParams({ channelId: targetId, limit: String(limit) });
+      if (reset) {
+        if (options.date) params.set('date', options.date);
+      } else if (previous) {
+        if (prevCursor) params.set('before', prevCursor);
+      } else if (nextCursor) {
+        params.set('after', nextCursor);
+      }
+      if (deletedFilter !== 'all') params.set('deleted', deletedFilter);
       // CRITICAL: Use targetId from argument prioritization
-      const response = await authenticatedFetch(`${VIEWER_URL}/messages?channelId=${targetId}&limit=${limit}&offset=${currentOffset}`);
+      const response = await authenticatedFetch(`${VIEWER_URL}/messages?${params}`);
       
-      console.log('[MessageStore] API call made to:', `${VIEWER_URL}/messages?channelId=${targetId}&limit=${limit}&offset=${currentOffset}`);
+      console.log('[MessageStore] API call made to:', `${VIEWER_URL}/messages?${params}`);
       
       // Check if response exists and is ok
       if (!response || !response.ok) {
@@ -92,26 +112,34 @@ export const useMessageStore = create(
         // CRITICAL FIX: Use pagination data from backend
         const pagination = data.pagination || {};
         const hasMore = pagination.hasMore !== undefined ? pagination.hasMore : fetchedMessages.length === limit;
+        const hasPrevious = Boolean(pagination.hasPrevious);
         
         if (reset) {
           set({ 
             messages: fetchedMessages,
-            offset: fetchedMessages.length,
+            nextCursor: pagination.nextCursor || null,
+            prevCursor: pagination.prevCursor || null,
             hasMore,
-            isLoading: false,
-            total: pagination.total || null
+            hasPrevious,
+            isLoading: false
+          });
+        } else if (previous) {
+          set({ 
+            messages: [...fetchedMessages, ...messages],
+            prevCursor: pagination.prevCursor || prevCursor,
+            hasPrevious,
+            isLoading: false
           });
         } else {
           set({ 
             messages: [...messages, ...fetchedMessages],
-            offset: offset + fetchedMessages.length,
+            nextCursor: pagination.nextCursor || nextCursor,
             hasMore,
-            isLoading: false,
-            total: pagination.total || null
+            isLoading: false
           });
         }
         
-        console.log(`Frontend: Fetched ${fetchedMessages.length} messages, total: ${pagination.total}, hasMore: ${hasMore}`);
+        console.log(`Frontend: Fetched ${fetchedMessages.length} messages, hasMore: ${hasMore}, hasPrevious: ${hasPrevious}`);
         
         // Enhanced debugging: Log raw API data structure
         if (fetchedMessages.length > 0) {
@@ -129,7 +157,7 @@ export const useMessageStore = create(
           );
         }
         
-        return { success: true, messages: fetchedMessages, hasMore };
+        return { success: true, messages: fetchedMessages, hasMore, hasPrevious };
       } else {
         set({ 
           error: data.error,
@@ -183,8 +211,11 @@ export const useMessageStore = create(
     
     console.log(`[Phase A] Syncing single batch (on-demand)`);
     
+    // Scope the sync to the channel being viewed
+    const channelId = useChannelStore.getState().selectedChannel?.id;
     const response = await authenticatedFetch(`${SCANNER_URL}/sync`, {
-      method: 'POST'
+      method: 'POST',
+      body: JSON.stringify({ channelId })
     });
     
     const data = await response.json();
@@ -207,384 +238,162 @@ export const useMessageStore = create(
     console.log(`[Phase A] Single batch sync completed`);
   },
 
-  phaseBMediaProcessing: async () => {
-    // Prevent double polling: check if already processing
-    const { isProcessing } = get();
-    if (isProcessing) {
-      console.log('[Phase B] Already processing, skipping duplicate call');
-      return;
-    }
+  // Phase A for every enabled tracked channel in one request
+  syncAllChannels: async () => {
+    set({ isSyncing: true, syncStatus: 'Syncing all tracked channels...', error: null });
     
     try {
-      set({ 
-        syncStatus: 'Phase B: Processing media queue...',
-        isProcessing: true,
-        lastActivityTimestamp: Date.now(),
-        error: null
+      const response = await authenticatedFetch(`${SCANNER_URL}/sync`, {
+        method: 'POST',
+        body: JSON.stringify({})
       });
+      const data = await response.json();
       
-      // STRICT SERIAL MODE: One-by-one processing
-      let processedCount = 0;
-      let batchCount = 0;
-      const BATCH_SIZE = 1; // FORCED: Strict serial processing
-      const maxBatches = 1000; // Increased for overnight runs
-      let fatalErrorCount = 0; // Track fatal errors (500s, network)
-      const MAX_FATAL_ERRORS = 5; // Abort after 5 consecutive fatal errors
-      let currentProcessingId = null; // Track current message ID for UI feedback
-      
-      // SAFETY: Circuit breaker for consecutive errors
-      let consecutiveErrors = 0; // Track total consecutive errors (429, 500, network)
-      const MAX_CONSECUTIVE_ERRORS = 10; // Safety shutdown after 10 errors
-      
-      // Get current channel ID for targeted processing
-      const currentChannelId = useChannelStore.getState().selectedChannel?.id;
-      console.log(`[Phase B SERIAL] Starting strict one-by-one processing for channel: ${currentChannelId}`);
-      
-      // Strict Serial Loop: Download One -> Update UI -> Start Next
-      const processAllMedia = async () => {
-        while (batchCount < maxBatches) {
-          batchCount++;
-          
-          set({
-            syncProgress: batchCount,
-            syncStatus: `Phase B: Processing item ${batchCount}...`
-          });
-          
-          // SAFETY: Circuit breaker check
-          if (consecutiveErrors >= MAX_CONSECUTIVE_ERRORS) {
-            console.error(`[Phase B SERIAL] SAFETY SHUTDOWN: ${consecutiveErrors} consecutive errors exceeded limit of ${MAX_CONSECUTIVE_ERRORS}`);
-            set({
-              syncStatus: `🛑 Safety Shutdown: Too many errors (${consecutiveErrors}), stopping to protect Account/IP.`,
-              error: `Safety Shutdown: Too many errors, stopping to protect Account/IP.`,
-              isProcessing: false
-            });
-            throw new Error("Safety Shutdown: Too many errors, stopping to protect Account/IP.");
-          }
-          
-          try {
-            // Build URL with BATCH_SIZE = 1 (strict serial)
-            const url = currentChannelId 
-              ? `${PROCESSOR_URL}/process-media?batch=true&size=${BATCH_SIZE}&chatId=${currentChannelId}`
-              : `${PROCESSOR_URL}/process-media?batch=true&size=${BATCH_SIZE}`;
-            
-            console.log(`[Phase B SERIAL] Processing item ${batchCount} (one-by-one mode, errors: ${consecutiveErrors}/${MAX_CONSECUTIVE_ERRORS})`);
-            const response = await internalFetch(url, {
-              method: 'POST'
-            });
-            
-            // === HANDLE 401 UNAUTHORIZED ===
-            if (response.status === 401) {
-              console.error('[Phase B SERIAL] FATAL: HTTP 401 Unauthorized');
-              set({
-                syncStatus: 'Error: Telegram credentials missing. Please refresh the page.',
-                error: 'Telegram credentials missing',
-                isProcessing: false
-              });
-              return false; // ABORT
-            }
-            
-            // === HANDLE 429 RATE LIMIT (COUNT AS ERROR FOR CIRCUIT BREAKER) ===
-            if (response.status === 429) {
-              consecutiveErrors++; // Increment consecutive errors for circuit breaker
-              console.warn(`[Phase B SERIAL] Rate limit hit (${consecutiveErrors}/${MAX_CONSECUTIVE_ERRORS}). Pausing...`);
-              
-              // Parse Retry-After header (priority) or response body
-              let waitTime = 10; // Default 10s
-              const retryAfterHeader = response.headers.get('Retry-After');
-              
-              if (retryAfterHeader) {
-                waitTime = parseInt(retryAfterHeader, 10);
-                console.log(`[Phase B SERIAL] Using Retry-After header: ${waitTime}s`);
-              } else {
-                const data = await response.json().catch(() => ({}));
-                if (data.floodWait) {
-                  waitTime = data.floodWait;
-                  console.log(`[Phase B SERIAL] Using floodWait from body: ${waitTime}s`);
-                }
-              }
-              
-              // Add 1s buffer for safety
-              waitTime += 1;
-              
-              console.log(`[Phase B SERIAL] Cooling down for ${waitTime}s...`);
-              set({
-                syncStatus: `⏸️ Rate Limited. Paused for ${waitTime}s... (${consecutiveErrors}/${MAX_CONSECUTIVE_ERRORS} errors)`,
-                lastActivityTimestamp: Date.now() // Update activity to prevent watchdog kill
-              });
-              
-              // Wait and retry the SAME batch
-              await new Promise(resolve => setTimeout(resolve, waitTime * 1000));
-              batchCount--; // Retry current batch
-              continue; // NOT a failure, just a pause
-            }
-            
-            if (!response.ok) {
-              throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
-            const data = await response.json();
-            console.log(`[Phase B] Batch ${batchCount} response:`, data);
-            
-            // Update activity timestamp on successful response
-            set({ lastActivityTimestamp: Date.now() });
-            
-            if (!data || !data.success) {
-              throw new Error(data?.error || 'Batch processing failed');
-            }
-            
-            if (!data.batchMode) {
-              console.log('[Phase B] Fallback to single item mode');
-              // Fallback to single item processing
-              const singleUrl = currentChannelId 
-                ? `${PROCESSOR_URL}/process-media?chatId=${currentChannelId}`
-                : `${PROCESSOR_URL}/process-media`;
-              const singleResponse = await internalFetch(singleUrl, { method: 'POST' });
-              if (!singleResponse.ok) {
-                throw new Error(`Single item fallback failed: ${singleResponse.status}`);
-              }
-              const singleData = await singleResponse.json();
-              if (singleData?.success && singleData.processedId) {
-                processedCount++;
-                // Update UI for single processed item
-                const { messages } = get();
-                const updatedMessages = messages.map(msg => {
-                  if (msg.telegram_message_id === singleData.messageId) {
-                    // Handle skipped items
-                    if (singleData.skipped) {
-                      const reason = singleData.skipReason || '';
-                      let skipStatus = 'skipped';
-                      
-                      if (reason.includes('Too Large')) {
-                        skipStatus = 'skipped_large';
-                      } else if (reason.includes('Ignored Type') || reason.includes('Non-photo') || reason.includes('Unsupported')) {
-                        skipStatus = 'skipped_type';
-                      }
-                      
-                      return {
-                        ...msg,
-                        media_status: skipStatus,
-                        skip_reason: reason
-                      };
-                    }
-                    
-                    // Handle completed items
-                    if (singleData.mediaKey) {
-                      const isDryRun = singleData.mediaKey && singleData.mediaKey.includes('dry_run/');
-                      
-                      if (isDryRun) {
-                        console.warn(`[Phase B SERIAL] 🧪 Dry Run Success: Message ${msg.telegram_message_id} completed (simulated)`);
-                      }
-                      
-                      return {
-                        ...msg,
-                        media_status: 'completed',
-                        media_key: singleData.mediaKey,
-                        r2_key: singleData.mediaKey,
-                        media_url: `${VIEWER_URL}/media/${singleData.mediaKey}`,
-                        is_dry_run: isDryRun
-                      };
-                    }
-                  }
-                  return msg;
-                });
-                set({ messages: updatedMessages });
-              }
-              return singleData?.remaining === 0; // Continue if more items
-            }
-            
-            // === SUCCESS: Immediate UI Update ===
-            fatalErrorCount = 0; // Reset fatal error counter on success
-            
-            // STRICT SERIAL: Immediate UI update after each item
-            const { messages } = get();
-            const updatedMessages = messages.map(msg => {
-              // First check processedItems array (optimistic update)
-              const processedItem = data.processedItems?.find(
-                item => String(item.telegram_message_id) === String(msg.telegram_message_id)
-              );
-              
-              if (processedItem && processedItem.media_key) {
-                currentProcessingId = processedItem.telegram_message_id; // Track for UI feedback
-                
-                // Check if this is a dry run success
-                const isDryRun = processedItem.media_key && processedItem.media_key.includes('dry_run/');
-                
-                if (isDryRun) {
-                  console.warn(`[Phase B SERIAL] 🧪 Dry Run Success: Message ${msg.telegram_message_id} completed (simulated)`);
-                } else {
-                  console.log(`[Phase B SERIAL] ✅ Message ${msg.telegram_message_id} completed with key ${processedItem.media_key}`);
-                }
-                
-                return {
-                  ...msg,
-                  media_status: 'completed',
-                  media_key: processedItem.media_key,
-                  r2_key: processedItem.media_key,
-                  media_url: `${VIEWER_URL}/media/${processedItem.media_key}`,
-                  is_dry_run: isDryRun // Add flag for UI differentiation
-                };
-              }
-              
-              // Fallback to results array for skipped items
-              const result = data.results?.find(r => r.messageId === msg.telegram_message_id);
-              if (result && result.skipped) {
-                console.log(`[Phase B SERIAL] ⏭️ Message ${msg.telegram_message_id} skipped: ${result.skipReason}`);
-                
-                // Determine skip status based on reason
-                let skipStatus = 'skipped';
-                const reason = result.skipReason || '';
-                
-                if (reason.includes('Too Large')) {
-                  skipStatus = 'skipped_large'; // >300KB
-                } else if (reason.includes('Ignored Type')) {
-                  skipStatus = 'skipped_type'; // Video, PDF, etc.
-                } else if (reason.includes('Non-photo') || reason.includes('Unsupported')) {
-                  skipStatus = 'skipped_type'; // Non-image media
-                } else if (reason.includes('No media')) {
-                  skipStatus = 'skipped'; // No media at all
-                }
-                
-                return {
-                  ...msg,
-                  media_status: skipStatus,
-                  skip_reason: reason // Store reason for UI display
-                };
-              }
-              
-              return msg;
-            });
-            
-            // IMMEDIATE STATE UPDATE: Trigger UI refresh
-            set({ 
-              messages: updatedMessages,
-              lastActivityTimestamp: Date.now() // Pet the watchdog on every success
-            });
-            
-            processedCount += Number(data.processedCount || 0);
-            const remaining = Number(data.remaining || 0);
-            const hasMore = remaining > 0;
-            
-            if (!hasMore) {
-              set({
-                syncStatus: `✅ Phase B: All media processing complete! Processed ${processedCount} items.`,
-                isProcessing: false
-              });
-              return false; // Stop processing
-            }
-            
-            // Visual feedback with current processing ID
-            const statusMsg = currentProcessingId 
-              ? `Phase B: Processing ID ${currentProcessingId}... (${remaining} remaining, ${processedCount} done)`
-              : `Phase B: Processing... ${remaining} remaining (${processedCount} done)`;
-            
-            set({
-              syncStatus: statusMsg
-            });
-            
-            // SUCCESS: Reset error counters
-            consecutiveErrors = 0;
-            fatalErrorCount = 0;
-            
-            // BREATHING INTERVAL: Human-like pause to prevent Cloudflare rate limiting
-            console.log(`[Phase B SERIAL] Breathing interval: 1000ms pause to prevent rate limiting`);
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            
-          } catch (error) {
-            console.error(`[Phase B SERIAL] ERROR in item ${batchCount}:`, error);
-            
-            // === ERROR COUNTERS ===
-            consecutiveErrors++; // Increment total consecutive errors
-            fatalErrorCount++; // Increment fatal errors (for network/server errors)
-            
-            // Check if this is a recoverable error
-            const isNetworkError = error.message.includes('Failed to fetch') || 
-                                   error.message.includes('ERR_CONNECTION') || 
-                                   error.message.includes('NetworkError') ||
-                                   error.name === 'AbortError' ||
-                                   error.message.includes('timeout');
-            
-            const isServerError = error.message.includes('HTTP 5');
-            
-            if (isNetworkError || isServerError) {
-              console.warn(`[Phase B SERIAL] Recoverable error (${fatalErrorCount}/${MAX_FATAL_ERRORS}): ${error.message}`);
-              
-              if (fatalErrorCount >= MAX_FATAL_ERRORS) {
-                console.error(`[Phase B SERIAL] ABORT: ${MAX_FATAL_ERRORS} consecutive fatal errors`);
-                set({
-                  syncStatus: `❌ Aborted after ${MAX_FATAL_ERRORS} consecutive errors: ${error.message}`,
-                  error: `Fatal error: ${error.message}`,
-                  isProcessing: false
-                });
-                return false; // ABORT
-              }
-              
-              // Retry with exponential backoff
-              const waitTime = Math.min(fatalErrorCount * 2, 10); // 2s, 4s, 6s, 8s, 10s
-              console.log(`[Phase B SERIAL] Retrying after ${waitTime}s (attempt ${fatalErrorCount}/${MAX_FATAL_ERRORS})`);
-              
-              set({
-                syncStatus: `⚠️ Error detected. Retrying in ${waitTime}s... (${consecutiveErrors}/${MAX_CONSECUTIVE_ERRORS} errors)`,
-                lastActivityTimestamp: Date.now()
-              });
-              
-              await new Promise(resolve => setTimeout(resolve, waitTime * 1000));
-              batchCount--; // Retry current item
-              continue;
-            }
-            
-            // Unknown error - treat as fatal
-            console.error(`[Phase B SERIAL] Unknown error type: ${error.message}`);
-            set({
-              syncStatus: `❌ Fatal error: ${error.message}`,
-              error: error.message,
-              isProcessing: false
-            });
-            return false; // ABORT
-          }
-        }
-        
-        // Safety limit reached
-        set({
-          syncStatus: `Phase B: Stopped after ${maxBatches} batches (processed: ${processedCount}). Please try again.`
-        });
-        return false;
-      };
+      if (!data.success) {
+        throw new Error(data.error || 'Sync failed');
+      }
       
-      // Start the client-side orchestration
-      await processAllMedia();
+      const failed = (data.channels || []).filter(ch => !ch.success);
+      set({
+        isSyncing: false,
+        syncStatus: failed.length > 0
+          ? `Synced ${data.synced} messages (${failed.length} channels failed)`
+          : `Synced ${data.synced} messages across ${data.channels?.length || 0} channels`
+      });
       
+      await useChannelStore.getState().fetchTrackedChannels();
+      return { success: true, channels: data.channels || [] };
     } catch (error) {
-      console.error('[Phase B] Unexpected error:', error);
+      console.error('[MessageStore] Sync all failed:', error);
       set({ 
-        syncStatus: 'Error: Media processing failed - ' + error.message,
-        error: 'Media processing failed: ' + error.message
+        isSyncing: false, 
+        error: 'Sync failed: ' + error.message,
+        syncStatus: 'Sync failed'
       });
-    } finally {
-      set({ 
-        isProcessing: false,
-        isLoading: false
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Phase B runs in the Processor (queue consumer and cron drain), not in the browser: the tab
+  // only queues the selected channel's pending media and follows the progress via startPolling
+  enqueueMediaProcessing: async (includeFailed = false) => {
+    const channelId = useChannelStore.getState().selectedChannel?.id;
+    if (!channelId) {
+      return { success: false, error: 'No channel selected' };
+    }
+
+    const { enqueuePendingMedia, fetchSyncRuns } = useChannelStore.getState();
+    const result = await enqueuePendingMedia(channelId, includeFailed);
+    if (!result.success) {
+      set({ error: result.error, syncStatus: `Failed to queue media: ${result.error}` });
+      return result;
+    }
+
+    console.log(`[Phase B] Queued ${result.enqueued} media jobs for channel ${channelId}`);
+    set({
+      mediaQueued: result.enqueued > 0,
+      syncStatus: result.enqueued > 0
+        ? `Phase B: ${result.enqueued} media items queued, downloading in the background...`
+        : 'Phase B: No pending media to queue'
+    });
+    await fetchSyncRuns();
+    return result;
+  },
+
+  // Full-text search via the Viewer; pass append=true to load the next page of hits
+  searchMessages: async (query, { channelId = null, from = null, to = null, append = false } = {}) => {
+    const { searchCursor, searchResults } = get();
+    const params = new URLSearchParams({ q: query });
+    if (channelId) params.set('channelId', channelId);
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    if (append && searchCursor) params.set('cursor', searchCursor);
+
+    set({ isSearching: true, searchQuery: query, error: null });
+
+    try {
+      const response = await authenticatedFetch(`${VIEWER_URL}/search?${params.toString()}`);
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.error || 'Search failed');
+      }
+
+      const hits = data.results || [];
+      set({
+        searchResults: append ? [...searchResults, ...hits] : hits,
+        searchCursor: data.nextCursor || null,
+        isSearching: false
       });
+      return { success: true, results: hits };
+    } catch (error) {
+      console.error('[MessageStore] Search error:', error);
+      set({ isSearching: false, error: error.message });
+      return { success: false, error: error.message };
     }
   },
 
-  // Auto-polling for real-time updates
-  startPolling: () => {
-    const { isProcessing } = get();
-    if (isProcessing) return; // Already polling
+  clearSearch: () => set({ searchQuery: '', searchResults: [], searchCursor: null }),
 
-    // CRITICAL: Don't set isProcessing here, it conflicts with media processing state
-    // Use a separate polling state if needed
-    
+  // Prior versions of an edited message (messages.id), oldest first
+  fetchRevisions: async (messageId) => {
+    try {
+      const response = await authenticatedFetch(`${VIEWER_URL}/messages/${messageId}/revisions`);
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to load revisions');
+      }
+      return { success: true, current: data.current, revisions: data.revisions || [] };
+    } catch (error) {
+      console.error('[MessageStore] Revisions error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Show all messages, only the ones deleted upstream, or hide those
+  setDeletedFilter: async (filter) => {
+    set({ deletedFilter: filter });
+    return get().fetchMessages(50, true);
+  },
+
+  // Prepend the page before the first loaded message
+  fetchPreviousMessages: async (limit = 50, channelId = null) => {
+    return get().fetchMessages(limit, false, channelId, { direction: 'previous' });
+  },
+
+  // Reload starting at the first message sent at or after `date` (anything Date can parse)
+  jumpToDate: async (date, limit = 50, channelId = null) => {
+    return get().fetchMessages(limit, true, channelId, { date });
+  },
+
+  // Load the messages starting at a search hit; older context is one fetchPreviousMessages away
+  jumpToMessage: async (hit, limit = 20) => {
+    // The hit itself may be deleted upstream, so don't let the filter hide it
+    set({ deletedFilter: 'all' });
+    return get().jumpToDate(hit.date, limit, hit.chat_id);
+  },
+
+  // While queued media is downloading, refresh /messages and /sync-runs until no loaded message
+  // is pending any more. Returns a cleanup function.
+  startPolling: () => {
     const pollInterval = setInterval(async () => {
-      const { isProcessing: currentlyProcessing } = get();
-      if (!currentlyProcessing) {
+      const { mediaQueued, fetchMessages } = get();
+      if (!mediaQueued) {
         clearInterval(pollInterval);
         return;
       }
 
       try {
-        const { fetchMessages } = get();
-        await fetchMessages(50, true);
+        const result = await fetchMessages(50, true);
+        await useChannelStore.getState().fetchSyncRuns();
+        const pending = (result?.messages || []).filter(msg => msg.media_status === 'pending').length;
+        set({
+          mediaQueued: pending > 0,
+          syncStatus: pending > 0
+            ? `Phase B: ${pending} media items still downloading in the background...`
+            : 'Phase B: Queued media downloaded'
+        });
       } catch (error) {
         console.error('[MessageStore] Polling error:', error);
       }
@@ -598,8 +407,9 @@ export const useMessageStore = create(
   partialize: (state) => ({ 
     messages: state.messages,
     hasMore: state.hasMore,
-    offset: state.offset,
-    total: state.total
+    hasPrevious: state.hasPrevious,
+    nextCursor: state.nextCursor,
+    prevCursor: state.prevCursor
   }),
   onRehydrateStorage: () => (state) => {
     console.log('[MessageStore] onRehydrateStorage called');
@@ -607,8 +417,7 @@ export const useMessageStore = create(
       console.log('[MessageStore] Persisted state restored:', {
         messagesCount: state.messages?.length || 0,
         hasMore: state.hasMore,
-        offset: state.offset,
-        total: state.total
+        hasPrevious: state.hasPrevious
       });
     } else {
       console.log('[MessageStore] No persisted state found, starting fresh');
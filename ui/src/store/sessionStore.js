@@ -0,0 +1,68 @@
+import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+import { SCANNER_URL } from '../utils/api';
+
+const ROLE_RANK = { viewer: 1, operator: 2, admin: 3 };
+
+// Whether a user has at least the given role (viewer < operator < admin)
+export const hasRole = (user, role) => Boolean(user) && (ROLE_RANK[user.role] || 0) >= ROLE_RANK[role];
+
+// Archiver account session (POST /session on the Scanner). The token is sent to every worker
+// as Authorization: Bearer by utils/api.js.
+export const useSessionStore = create(
+  persist(
+    (set, get) => ({
+      // State
+      token: null,
+      user: null,
+      expiresAt: null,
+      error: null,
+
+      setError: (error) => set({ error }),
+      clearError: () => set({ error: null }),
+
+      signIn: async (username, password) => {
+        set({ error: null });
+        try {
+          const response = await fetch(`${SCANNER_URL}/session`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+          });
+          const data = await response.json().catch(() => ({}));
+          if (!response.ok || !data.success) {
+            set({ error: data.error || 'Sign-in failed' });
+            return false;
+          }
+          set({ token: data.token, user: data.user, expiresAt: data.expires_at, error: null });
+          return true;
+        } catch (err) {
+          set({ error: 'Network error. Please try again.' });
+          return false;
+        }
+      },
+
+      signOut: async () => {
+        const { token } = get();
+        set({ token: null, user: null, expiresAt: null, error: null });
+        if (token) {
+          await fetch(`${SCANNER_URL}/session`, {
+            method: 'DELETE',
+            headers: { Authorization: `Bearer ${token}` }
+          }).catch(() => {});
+        }
+      },
+
+      // Called when a worker answers 401: the session expired or was revoked
+      expire: () => set({ token: null, user: null, expiresAt: null, error: 'Your session has expired. Please sign in again.' })
+    }),
+    {
+      name: 'session-storage',
+      partialize: (state) => ({
+        token: state.token,
+        user: state.user,
+        expiresAt: state.expiresAt
+      })
+    }
+  )
+);
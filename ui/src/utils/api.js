@@ -1,5 +1,6 @@
-// Auto-generated by deploy_all.sh for iflove29 deployment
-// Microservice URLs for deployment
+import { useSessionStore } from '../store/sessionStore';
+
+// Microservice URLs for deployment (rewritten by deploy_all.sh for iflove29 deployment)
 const SCANNER_URL = "https://telegram-archiver-api.iflove29.workers.dev";
 const PROCESSOR_URL = "https://telegram-processor.iflove29.workers.dev";
 const VIEWER_URL = "https://telegram-viewer.iflove29.workers.dev";
@@ -7,44 +8,47 @@ const VIEWER_URL = "https://telegram-viewer.iflove29.workers.dev";
 // Legacy fallback for backward compatibility
 const API_BASE = SCANNER_URL;
 
-// Create a fetch function that adds the access key to all requests
+// Authorization header for the signed-in archiver account (see store/sessionStore.js)
+const sessionHeaders = () => {
+  const { token } = useSessionStore.getState();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+// A 401 means the session expired or was revoked: drop it so the sign-in form shows again
+const checkSession = (response) => {
+  if (response.status === 401 && useSessionStore.getState().token) {
+    useSessionStore.getState().expire();
+  }
+  return response;
+};
+
+// Create a fetch function that adds the session token to all requests
 export const createAuthenticatedFetch = () => {
   return async (url, options = {}) => {
-    // Get access key from localStorage (since we can't use hooks in utils)
-    const accessKey = localStorage.getItem('access-key-storage');
-    const parsedAccessKey = accessKey ? JSON.parse(accessKey).state?.accessKey : null;
-    
     const headers = {
       'Content-Type': 'application/json',
+      ...sessionHeaders(),
       ...options.headers,
     };
     
-    if (parsedAccessKey) {
-      headers['X-Access-Key'] = parsedAccessKey;
-    }
-    
-    return fetch(url, {
+    return checkSession(await fetch(url, {
       ...options,
       headers,
-    });
+    }));
   };
 };
 
-// Create a fetch function for internal microservice communication
-export const createInternalFetch = () => {
+// Create a fetch function for the long-running Processor calls. Like every browser request it
+// authenticates as the signed-in user; only the workers themselves use service credentials.
+export const createProcessorFetch = () => {
   return async (url, options = {}) => {
     const headers = {
       'Content-Type': 'application/json',
-      'X-Internal-Key': 'telegram-archiver-internal-2024',
+      ...sessionHeaders(),
       ...options.headers,
     };
     
-    console.log(`[Internal Fetch] ${options.method || 'GET'} ${url}`, {
-      headers: {
-        'Content-Type': headers['Content-Type'],
-        'X-Internal-Key': headers['X-Internal-Key'] ? 'PRESENT' : 'MISSING'
-      }
-    });
+    console.log(`[Processor Fetch] ${options.method || 'GET'} ${url}`);
     
     // 创建带超时的 AbortController，增加到 60 秒
     const controller = new AbortController();
@@ -58,18 +62,18 @@ export const createInternalFetch = () => {
       clearTimeout(timeoutId);
     });
     
-    console.log(`[Internal Fetch] Response ${options.method || 'GET'} ${url}`, {
+    console.log(`[Processor Fetch] Response ${options.method || 'GET'} ${url}`, {
       status: response.status,
       statusText: response.statusText,
       ok: response.ok
     });
     
-    return response;
+    return checkSession(response);
   };
 };
 
 export const authenticatedFetch = createAuthenticatedFetch();
-export const internalFetch = createInternalFetch();
+export const processorFetch = createProcessorFetch();
 
 // Export microservice URLs for stores to use
 export { API_BASE, SCANNER_URL, PROCESSOR_URL, VIEWER_URL };
@@ -0,0 +1,20 @@
+// Media fields of a /messages row. The Viewer returns every archived file in media[] (the one
+// behind media_url first); on-demand downloads set media_key locally until the next fetch.
+
+export const primaryMedia = (msg) => (Array.isArray(msg?.media) ? msg.media[0] || null : null);
+
+// R2 key of the message's archived file, or null
+export const mediaKeyOf = (msg) => msg?.media_key || msg?.r2_key || primaryMedia(msg)?.r2_key || null;
+
+// "1920×1080 · 0:42" style details for titles
+export const describeMedia = (entry) => {
+  if (!entry) return '';
+  const parts = [];
+  if (entry.width && entry.height) parts.push(`${entry.width}×${entry.height}`);
+  if (entry.duration) {
+    const seconds = Math.round(entry.duration);
+    parts.push(`${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`);
+  }
+  if (entry.file_size) parts.push(`${(entry.file_size / 1024 / 1024).toFixed(1)} MB`);
+  return parts.join(' · ');
+};